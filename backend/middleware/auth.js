@@ -1,8 +1,76 @@
 const jwt = require('jsonwebtoken');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+// The APIs an API key can reach and the scope prefix they need: GET needs
+// "<resource>:read", anything else "<resource>:write". Everything else, like
+// accounts and organizations, takes a login.
+const API_KEY_RESOURCES = [
+    ['/api/items', 'items'],
+    ['/api/reports', 'reports']
+];
+
+// POST routes that change nothing, only take too much input for a query string
+const READ_ONLY_POSTS = ['/api/items/labels'];
+
+const requiredScope = (req) => {
+    const resource = API_KEY_RESOURCES.find(([path]) => req.baseUrl === path || req.baseUrl.startsWith(`${path}/`));
+    if (!resource) return null;
+    const readOnly = ['GET', 'HEAD'].includes(req.method)
+        || (req.method === 'POST' && READ_ONLY_POSTS.includes(`${req.baseUrl}${req.path}`));
+    return `${resource[1]}:${readOnly ? 'read' : 'write'}`;
+};
+
+// the token from x-auth-token or an "Authorization: Bearer" header
+const tokenFrom = (req) => {
+    const bearer = (req.header('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return req.header('x-auth-token') || (bearer && bearer[1]);
+};
+
+const authenticateApiKey = async (key, req, res, next) => {
+    try {
+        const apiKey = await ApiKey.findActive(key);
+        const user = apiKey && await User.findById(apiKey.user).select('username email twoFactor.enabled');
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid, expired or revoked API key'
+            });
+        }
+
+        const scope = requiredScope(req);
+        if (!scope || !apiKey.hasScope(scope)) {
+            return res.status(403).json({
+                success: false,
+                message: scope
+                    ? `This API key does not have the ${scope} scope`
+                    : 'API keys cannot be used here, please login instead'
+            });
+        }
+
+        await apiKey.touch(req);
+
+        // the key acts as the user who created it
+        req.user = {
+            id: user._id.toString(),
+            username: user.username,
+            email: user.email,
+            twoFactor: user.twoFactor.enabled
+        };
+        req.apiKey = apiKey;
+        next();
+    } catch (err) {
+        console.error('API key authentication error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking API key'
+        });
+    }
+};
 
 const auth = (req, res, next) => {
     // get token from header
-    const token = req.header('x-auth-token');
+    const token = tokenFrom(req);
 
     // check if no token
     if (!token) {
@@ -12,10 +80,18 @@ const auth = (req, res, next) => {
         });
     }
 
+    if (ApiKey.looksLikeKey(token)) {
+        return authenticateApiKey(token, req, res, next);
+    }
+
     try {
         // verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // a half-finished two-factor login is not an access token
+        if (!decoded.user) throw new Error('Not an access token');
         req.user = decoded.user;
+        // the session the token was issued for (see models/Session.js)
+        req.sessionId = decoded.session;
         next();
     } catch (err) {
         if (err.name === 'TokenExpiredError') {
@@ -31,4 +107,4 @@ const auth = (req, res, next) => {
     }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+
+// Resolves the organization the request works in and checks the user's role
+// there. The client picks the organization with the x-organization-id header;
+// without it the user's oldest membership is used. An organization API key
+// always works in its own organization. Must run after auth.
+const requireRole = (minimumRole = 'viewer') => async (req, res, next) => {
+    const requestedId = req.apiKey && req.apiKey.organization
+        ? req.apiKey.organization.toString()
+        : req.header('x-organization-id');
+
+    if (requestedId && !mongoose.isValidObjectId(requestedId)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid organization id'
+        });
+    }
+
+    try {
+        const query = { 'members.user': req.user.id };
+        if (requestedId) {
+            query._id = requestedId;
+        }
+
+        const organization = await Organization.findOne(query).sort({ createdAt: 1 });
+        if (!organization) {
+            return res.status(403).json({
+                success: false,
+                message: requestedId
+                    ? 'You are not a member of this organization'
+                    : 'You do not belong to an organization yet'
+            });
+        }
+
+        const role = organization.roleOf(req.user.id);
+        if (!Organization.hasRole(role, minimumRole)) {
+            return res.status(403).json({
+                success: false,
+                message: `This action needs the ${minimumRole} role or higher`
+            });
+        }
+
+        // the access token says whether the user has two-factor authentication on
+        if (organization.requireTwoFactor && !req.user.twoFactor) {
+            return res.status(403).json({
+                success: false,
+                code: 'two-factor-required',
+                message: `${organization.name} requires two-factor authentication. Turn it on to continue.`
+            });
+        }
+
+        req.organization = organization;
+        req.role = role;
+        next();
+    } catch (err) {
+        console.error('Organization access error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking organization access'
+        });
+    }
+};
+
+module.exports = { requireRole };
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+// what a key may do; a request to anything else is refused (see middleware/auth.js)
+const SCOPES = ['items:read', 'items:write', 'reports:read'];
+// every key starts with this, so the auth middleware can tell it from a JWT
+const KEY_PREFIX = 'sit_';
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// A key for scripts and integrations, sent as "Authorization: Bearer sit_...".
+// It acts as the user who created it, limited to its scopes. A personal key
+// works in any of the user's organizations, picked with x-organization-id
+// like a login; an organization key is pinned to its organization and is
+// managed by that organization's admins. Only the hash of the key is stored.
+const ApiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Key name is required'],
+        trim: true,
+        maxlength: [100, 'Key name cannot exceed 100 characters']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    scopes: {
+        type: [{ type: String, enum: SCOPES }],
+        validate: [scopes => scopes.length > 0, 'A key needs at least one scope']
+    },
+    keyHash: {
+        type: String,
+        required: true
+    },
+    // the start of the key, shown so users can tell their keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    lastUsedIp: {
+        type: String
+    },
+    revokedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ApiKeySchema.index({ keyHash: 1 }, { unique: true });
+ApiKeySchema.index({ user: 1, revokedAt: 1 });
+ApiKeySchema.index({ organization: 1, revokedAt: 1 });
+
+ApiKeySchema.methods.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+ApiKeySchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+// Creates a key and returns { apiKey, key }; the key itself is only ever
+// available here
+ApiKeySchema.statics.issue = async function(fields) {
+    const key = `${KEY_PREFIX}${randomToken(24)}`;
+    const apiKey = await this.create({
+        ...fields,
+        keyHash: hashToken(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 8)
+    });
+    return { apiKey, key };
+};
+
+// Records the use, at most once a minute per key so that busy scripts do
+// not write on every request
+ApiKeySchema.methods.touch = async function(req) {
+    if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) return;
+    this.set({ lastUsedAt: Date.now(), lastUsedIp: req.ip });
+    await this.save();
+};
+
+// The active key a request presented, or null
+ApiKeySchema.statics.findActive = async function(key) {
+    const apiKey = await this.findOne({ keyHash: hashToken(key), revokedAt: null });
+    return apiKey && apiKey.isActive() ? apiKey : null;
+};
+
+ApiKeySchema.statics.looksLikeKey = function(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+// What the owner sees in key lists; never the hash
+ApiKeySchema.methods.toJSON = function() {
+    const apiKey = this.toObject();
+    delete apiKey.keyHash;
+    return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
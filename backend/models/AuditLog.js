@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'trash', 'restore', 'delete'];
+const ENTITY_TYPES = ['item'];
+
+const ChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Who changed what and when. Entries outlive the documents they describe, so
+// entityLabel keeps a readable name (e.g. the inventory ID) after a delete.
+const AuditLogSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    entityType: {
+        type: String,
+        enum: ENTITY_TYPES,
+        required: true
+    },
+    entity: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    entityLabel: {
+        type: String,
+        trim: true
+    },
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    // field-level before/after; a create has only "after", a delete only "before"
+    changes: [ChangeSchema],
+    // where the change came from, e.g. the item form or a spreadsheet import
+    source: {
+        type: String,
+        trim: true,
+        default: 'api'
+    },
+    // empty for changes nobody made by hand, such as the trash purge
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// The trail is only ever appended to
+AuditLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Audit log entries cannot be modified'));
+    }
+    next();
+});
+
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+    next(new Error('Audit log entries cannot be modified'));
+});
+
+AuditLogSchema.index({ organization: 1, createdAt: -1 });
+AuditLogSchema.index({ entity: 1, createdAt: -1 });
+AuditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+AuditLog.AUDIT_ACTIONS = AUDIT_ACTIONS;
+AuditLog.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = AuditLog;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// starter set created for every new account (and by the category migration)
+const DEFAULT_CATEGORIES = [
+    { name: 'Accessories', color: '#3b82f6' },
+    { name: 'Electronics', color: '#10b981' },
+    { name: 'Furniture', color: '#f59e0b' },
+    { name: 'Printing', color: '#8b5cf6' },
+    { name: 'Audio', color: '#ec4899' },
+    { name: 'Office', color: '#06b6d4' },
+    { name: 'Storage', color: '#f97316' }
+];
+
+const CategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        trim: true,
+        maxlength: [50, 'Category name cannot exceed 50 characters']
+    },
+    // optional parent for nesting, e.g. Electronics > Networking
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    color: {
+        type: String,
+        trim: true,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3b82f6'],
+        default: '#6b7280'
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+CategorySchema.index({ organization: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+CategorySchema.index({ organization: 1, parent: 1 });
+
+// Ids of the category and every category nested below it
+CategorySchema.statics.getDescendantIds = async function(categoryId, organization) {
+    const ids = [categoryId];
+    let frontier = [categoryId];
+    while (frontier.length > 0) {
+        frontier = await this.find({ organization, parent: { $in: frontier } }).distinct('_id');
+        ids.push(...frontier);
+    }
+    return ids;
+};
+
+CategorySchema.statics.seedDefaults = function(organization) {
+    return Promise.all(DEFAULT_CATEGORIES.map(category => this.findOneAndUpdate(
+        { organization, name: category.name },
+        { $setOnInsert: { ...category, organization } },
+        { new: true, upsert: true, collation: { locale: 'en', strength: 2 } }
+    )));
+};
+
+const Category = mongoose.model('Category', CategorySchema);
+Category.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = Category;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-readable numbers (inventory IDs, purchase order
+// numbers, ...); _id is the sequence name, usually scoped by organization
+const CounterSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 }
+});
+
+// Atomically take the next value of a sequence, starting at 1
+CounterSchema.statics.next = async function(name) {
+    const counter = await this.findByIdAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', CounterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One day's rate for a currency: 1 unit of `currency` is worth `rate` units
+// of `baseCurrency`. A rate applies from its effective date until the next
+// rate for the same pair, see utils/currency.js
+const ExchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    baseCurrency: {
+        type: String,
+        required: [true, 'Base currency is required'],
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Rate is required'],
+        validate: {
+            validator: (value) => value > 0,
+            message: 'Rate must be greater than zero'
+        }
+    },
+    // midnight UTC of the day the rate starts to apply
+    effectiveDate: {
+        type: Date,
+        required: [true, 'Effective date is required']
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'import'],
+        default: 'manual'
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ExchangeRateSchema.pre('validate', function(next) {
+    if (this.currency && this.currency === this.baseCurrency) {
+        this.invalidate('currency', 'A currency cannot be quoted against itself');
+    }
+    next();
+});
+
+ExchangeRateSchema.index({ organization: 1, currency: 1, baseCurrency: 1, effectiveDate: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const STOCK_STATUSES = ['In stock', 'Low stock', 'Out of stock'];
+const UNITS_OF_MEASURE = ['each', 'pair', 'set', 'pack', 'box', 'case', 'pallet', 'kg', 'g', 'lb', 'l', 'ml', 'm'];
+const TRACKING_MODES = ['none', 'lot', 'serial'];
+
+// EAN-13, UPC-A or EAN-8 with a correct check digit
+const isValidGtin = (code) => {
+    if (!/^(\d{8}|\d{12}|\d{13})$/.test(code)) return false;
+    const digits = code.split('').map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === checkDigit;
+};
 
 const InventorySchema = new mongoose.Schema({
     inventoryId: {
@@ -12,6 +26,17 @@ const InventorySchema = new mongoose.Schema({
             return `INV-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
         }
     },
+    // the manufacturer's EAN/UPC; without one, labels carry a Code 128 of
+    // inventoryId (see utils/barcodes.js)
+    barcode: {
+        type: String,
+        trim: true,
+        set: (value) => (value === '' || value === null ? undefined : value),
+        validate: {
+            validator: isValidGtin,
+            message: 'Barcode must be a valid EAN-13, UPC-A or EAN-8 code'
+        }
+    },
     productName: {
         type: String,
         required: [true, 'Product name is required'],
@@ -19,60 +44,186 @@ const InventorySchema = new mongoose.Schema({
         maxlength: [100, 'Product name cannot exceed 100 characters']
     },
     category: {
-        type: String,
-        required: [true, 'Category is required'],
-        enum: ['Accessories', 'Electronics', 'Furniture', 'Printing', 'Audio', 'Office', 'Storage']
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        required: [true, 'Category is required']
     },
     supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'Supplier is required']
+    },
+    // cached sum of the item's stock movements, see models/StockMovement.js
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [0, 'Quantity cannot be negative'],
+        default: 0
+    },
+    // cached quantity reserved by open sales orders, see models/SalesOrder.js
+    allocated: {
+        type: Number,
+        min: [0, 'Allocated quantity cannot be negative'],
+        default: 0
+    },
+    // derived: on hand and not reserved, set in the pre-validate hook
+    available: {
+        type: Number,
+        default: 0
+    },
+    // cached on-hand quantity per warehouse
+    locations: [{
+        _id: false,
+        warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+        quantity: { type: Number, default: 0 }
+    }],
+    unitOfMeasure: {
         type: String,
-        required: [true, 'Supplier is required'],
-        trim: true,
-        maxlength: [100, 'Supplier name cannot exceed 100 characters']
+        enum: UNITS_OF_MEASURE,
+        default: 'each'
+    },
+    // lot: stock is held in lots/batches, serial: every unit has its own
+    // serial number. Movements of tracked items name their lots or serials
+    // (see models/Lot.js and utils/lotTracking.js).
+    trackingMode: {
+        type: String,
+        enum: TRACKING_MODES,
+        default: 'none'
+    },
+    lowStockThreshold: {
+        type: Number,
+        min: [0, 'Low stock threshold cannot be negative'],
+        default: 5
+    },
+    // reorder when on-hand stock falls to this level; 0 leaves the item out of reordering
+    reorderPoint: {
+        type: Number,
+        min: [0, 'Reorder point cannot be negative'],
+        default: 0
     },
+    // usual quantity ordered from the supplier at once
+    reorderQuantity: {
+        type: Number,
+        min: [0, 'Reorder quantity cannot be negative'],
+        default: 0
+    },
+    // buffer kept on hand against late deliveries; an order restocks above it
+    safetyStock: {
+        type: Number,
+        min: [0, 'Safety stock cannot be negative'],
+        default: 0
+    },
+    // derived from quantity in the pre-validate hook, never set directly
     stock: {
         type: String,
-        required: [true, 'Stock status is required'],
-        enum: ['In stock', 'Out of stock'],
-        default: 'In stock'
+        enum: STOCK_STATUSES,
+        default: 'Out of stock'
+    },
+    // derived like stock: on-hand quantity is at or below the reorder point
+    needsReorder: {
+        type: Boolean,
+        default: false
     },
     costUnit: {
         type: Number,
         required: [true, 'Cost per unit is required'],
         min: [0, 'Cost cannot be negative'],
-        max: [1000000, 'Cost cannot exceed $1,000,000']
+        max: [1000000, 'Cost cannot exceed 1,000,000']
     },
-    warehouse: {
+    // what costUnit is in; converted to the organization's base currency for
+    // stats and reports, see utils/currency.js
+    costCurrency: {
         type: String,
-        required: [true, 'Warehouse is required'],
         trim: true,
         uppercase: true,
-        maxlength: [20, 'Warehouse code cannot exceed 20 characters']
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+        default: 'USD'
+    },
+    // default warehouse; stock itself can sit in several warehouses (see locations)
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'Warehouse is required']
     },
     lastUpdated: {
         type: Date,
         default: Date.now
     },
-    userId: {
+    // set while the item sits in the trash; purged for good after the retention window
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        ref: 'User'
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
         required: true
     }
 });
 
-// Add this to your Inventory model or create a separate counter model
-const CounterSchema = new mongoose.Schema({
-    _id: { type: String, required: true },
-    seq: { type: Number, default: 0 }
-});
+InventorySchema.statics.getStockStatus = function(quantity, lowStockThreshold) {
+    if (!quantity || quantity <= 0) return 'Out of stock';
+    if (quantity <= lowStockThreshold) return 'Low stock';
+    return 'In stock';
+};
+
+InventorySchema.statics.needsReorder = function(quantity, reorderPoint) {
+    return reorderPoint > 0 && (quantity || 0) <= reorderPoint;
+};
 
-const Counter = mongoose.model('Counter', CounterSchema);
+// Units to order for an item that needs reordering: the usual reorder
+// quantity, or more when that would not bring stock back above the reorder
+// point plus safety stock
+InventorySchema.statics.suggestedOrderQuantity = function({ quantity = 0, reorderPoint = 0, reorderQuantity = 0, safetyStock = 0 }) {
+    return Math.max(reorderQuantity, reorderPoint + safetyStock - quantity, 0);
+};
+
+// Next sequential inventory ID (INV-001, INV-002, ...) for the organization
+InventorySchema.statics.generateInventoryId = async function(organization) {
+    try {
+        // Get the highest existing inventory ID in this organization
+        const lastItem = await this.findOne({ organization })
+            .sort({ inventoryId: -1 }) // Sort descending
+            .select('inventoryId');
+        
+        let nextNumber = 1;
+        
+        if (lastItem && lastItem.inventoryId) {
+            // Extract the number from the last ID (e.g., "INV-001" -> 1)
+            const match = lastItem.inventoryId.match(/INV-(\d+)/);
+            if (match) {
+                nextNumber = parseInt(match[1], 10) + 1;
+            }
+        }
+        
+        // Format with leading zeros (e.g., 1 -> "001", 25 -> "025")
+        const paddedNumber = nextNumber.toString().padStart(3, '0');
+        return `INV-${paddedNumber}`;
+    } catch (error) {
+        console.error('Error generating inventory ID:', error);
+        // Fallback: use timestamp
+        return `INV-${Date.now().toString().slice(-6)}`;
+    }
+};
+
+// Keep the stock status, reorder flag and available quantity in sync with the on-hand quantity
+InventorySchema.pre('validate', function(next) {
+    this.available = Math.max((this.quantity || 0) - (this.allocated || 0), 0);
+    this.stock = this.constructor.getStockStatus(this.quantity, this.lowStockThreshold);
+    this.needsReorder = this.constructor.needsReorder(this.quantity, this.reorderPoint);
+    next();
+});
 
 // Update the pre-save hook:
 InventorySchema.pre('save', async function(next) {
     if (!this.inventoryId) {
         try {
             const counter = await Counter.findByIdAndUpdate(
-                { _id: `userId_${this.userId}` },
+                { _id: `organization_${this.organization}` },
                 { $inc: { seq: 1 } },
                 { new: true, upsert: true }
             );
@@ -87,7 +238,29 @@ InventorySchema.pre('save', async function(next) {
 });
 
 // Add index for faster queries
-InventorySchema.index({ userId: 1, inventoryId: 1 }, { unique: true });
-InventorySchema.index({ userId: 1, lastUpdated: -1 });
+InventorySchema.index({ organization: 1, inventoryId: 1 }, { unique: true });
+InventorySchema.index(
+    { organization: 1, barcode: 1 },
+    { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } }
+);
+InventorySchema.index({ organization: 1, lastUpdated: -1 });
+InventorySchema.index({ organization: 1, stock: 1 });
+InventorySchema.index({ organization: 1, needsReorder: 1, supplier: 1 });
+InventorySchema.index({ 'locations.warehouse': 1 });
+InventorySchema.index({ organization: 1, supplier: 1 });
+InventorySchema.index({ organization: 1, category: 1 });
+InventorySchema.index({ organization: 1, deletedAt: 1 });
+// full-text search, see utils/itemSearch.js
+InventorySchema.index(
+    { organization: 1, productName: 'text', inventoryId: 'text' },
+    { name: 'item_text_search', weights: { productName: 10, inventoryId: 5 }, default_language: 'english' }
+);
+
+const Inventory = mongoose.model('Inventory', InventorySchema);
+
+Inventory.STOCK_STATUSES = STOCK_STATUSES;
+Inventory.UNITS_OF_MEASURE = UNITS_OF_MEASURE;
+Inventory.TRACKING_MODES = TRACKING_MODES;
+Inventory.isValidGtin = isValidGtin;
 
-module.exports = mongoose.model('Inventory', InventorySchema);
\ No newline at end of file
+module.exports = Inventory;
\ No newline at end of file
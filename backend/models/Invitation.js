@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// owners are made by promoting an existing member, never by invitation
+const INVITABLE_ROLES = ['admin', 'editor', 'viewer'];
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+const INVITATION_TTL_DAYS = 7;
+
+const InvitationSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: INVITABLE_ROLES,
+        default: 'editor'
+    },
+    token: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => crypto.randomBytes(24).toString('hex')
+    },
+    status: {
+        type: String,
+        enum: INVITATION_STATUSES,
+        default: 'pending'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    },
+    respondedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+InvitationSchema.index({ organization: 1, email: 1, status: 1 });
+InvitationSchema.index({ email: 1, status: 1 });
+
+InvitationSchema.methods.isOpen = function() {
+    return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+const Invitation = mongoose.model('Invitation', InvitationSchema);
+
+Invitation.INVITABLE_ROLES = INVITABLE_ROLES;
+Invitation.INVITATION_TTL_DAYS = INVITATION_TTL_DAYS;
+
+module.exports = Invitation;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const HISTORY_DAYS = 90;
+
+const REASONS = ['password', 'unknown-email', 'two-factor', 'throttled'];
+
+// One login attempt, successful or not. They make up the login history the
+// user sees; models/LoginThrottle.js does the counting that slows down
+// password guessing. The password step and the two-factor step are both
+// recorded.
+const LoginAttemptSchema = new mongoose.Schema({
+    // unset when the email has no account
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        maxlength: 500
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    // why a failed attempt failed
+    reason: {
+        type: String,
+        enum: REASONS
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+LoginAttemptSchema.index({ user: 1, createdAt: -1 });
+// MongoDB drops attempts once they are out of the history
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+LoginAttemptSchema.statics.record = function(req, { user, email, success, reason }) {
+    return this.create({
+        user,
+        email,
+        ip: req.ip,
+        userAgent: (req.get('user-agent') || '').slice(0, 500),
+        success,
+        reason: success ? undefined : reason
+    });
+};
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
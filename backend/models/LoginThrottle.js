@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// failed attempts older than this no longer count against an account or address
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+// How many failures go through without waiting. After that each failure
+// doubles the wait before the next attempt, starting at one second, until
+// lockoutAfter failures lock the account or address for the whole window.
+const LIMITS = {
+    account: { freeAttempts: 3, lockoutAfter: 10 },
+    ip: { freeAttempts: 10, lockoutAfter: 50 }
+};
+
+// Running count of recent login attempts for one account (by email) or one
+// IP address. Every attempt is counted before its password or code is
+// checked, in a single findOneAndUpdate, so attempts sent in parallel each
+// see the ones before them. Attempts that succeed or are turned away are
+// taken off again; failures stay counted until the window runs out.
+// models/LoginAttempt.js keeps the history the user sees.
+const LoginThrottleSchema = new mongoose.Schema({
+    // "account:<email>" or "ip:<address>"
+    key: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastAttemptAt: {
+        type: Date
+    },
+    // the attempt before the last one, which the wait is counted from
+    previousAttemptAt: {
+        type: Date
+    },
+    // the window ends FAILURE_WINDOW_MS after the last attempt
+    expiresAt: {
+        type: Date
+    }
+});
+
+LoginThrottleSchema.index({ key: 1 }, { unique: true });
+// MongoDB drops counts once their window is over
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Milliseconds to wait after a number of failures, counted from the latest one
+const delayFor = (failures, { freeAttempts, lockoutAfter }) => {
+    if (failures < freeAttempts) return 0;
+    if (failures >= lockoutAfter) return FAILURE_WINDOW_MS;
+    return Math.min(1000 * 2 ** (failures - freeAttempts), FAILURE_WINDOW_MS);
+};
+
+const countersFor = (req, email) => [
+    { key: `account:${email}`, limits: LIMITS.account },
+    { key: `ip:${req.ip}`, limits: LIMITS.ip }
+];
+
+// Counts a login attempt for the email and the request's address. Returns
+// { wait, attempt }: wait is the milliseconds before the next attempt is let
+// through, 0 when this one may go ahead (a turned away attempt is not
+// counted); attempt is what finish() needs.
+LoginThrottleSchema.statics.begin = async function(req, email) {
+    const now = new Date();
+    const inWindow = { $gt: ['$expiresAt', now] };
+    const counters = countersFor(req, email);
+
+    const counts = await Promise.all(counters.map(({ key }) => this.findOneAndUpdate(
+        { key },
+        [{ $set: {
+            attempts: { $cond: [inWindow, { $add: ['$attempts', 1] }, 1] },
+            previousAttemptAt: { $cond: [inWindow, '$lastAttemptAt', null] },
+            lastAttemptAt: now,
+            expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS)
+        } }],
+        { upsert: true, new: true }
+    )));
+
+    const attempt = {
+        at: now,
+        counters: counters.map(({ key }, index) => ({ key, previousAttemptAt: counts[index].previousAttemptAt }))
+    };
+    const wait = Math.max(...counts.map((count, index) => {
+        if (!count.previousAttemptAt) return 0;
+        const until = count.previousAttemptAt.getTime() + delayFor(count.attempts - 1, counters[index].limits);
+        return Math.max(until - now.getTime(), 0);
+    }));
+
+    if (wait > 0) await this.finish(attempt);
+    return { wait, attempt };
+};
+
+// Takes an attempt from begin() off the counts: one that was turned away or
+// that did not fail. A successful login (success: true) also clears the
+// failures of its account.
+LoginThrottleSchema.statics.finish = async function(attempt, { success = false } = {}) {
+    await Promise.all(attempt.counters.map(({ key, previousAttemptAt }) => {
+        if (success && key.startsWith('account:')) {
+            return this.deleteOne({ key });
+        }
+        return this.updateOne({ key }, [{ $set: {
+            attempts: { $max: [{ $subtract: ['$attempts', 1] }, 0] },
+            // unless another attempt came in since
+            lastAttemptAt: { $cond: [{ $eq: ['$lastAttemptAt', attempt.at] }, previousAttemptAt, '$lastAttemptAt'] }
+        } }]);
+    }));
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', LoginThrottleSchema);
+
+LoginThrottle.FAILURE_WINDOW_MS = FAILURE_WINDOW_MS;
+LoginThrottle.LIMITS = LIMITS;
+LoginThrottle.delayFor = delayFor;
+
+module.exports = LoginThrottle;
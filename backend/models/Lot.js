@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const LOT_KINDS = ['lot', 'serial'];
+
+// A lot/batch of a lot-tracked item, or one unit of a serial-tracked item.
+// Like the item's own quantity, the quantities here are cached sums of the
+// stock movements that name the lot (see StockMovement.recalculateLots), so
+// a serial is in stock when its quantity is 1.
+const LotSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: LOT_KINDS,
+        required: true
+    },
+    // lot/batch number, or the unit's serial number
+    code: {
+        type: String,
+        required: [true, 'Lot or serial number is required'],
+        trim: true,
+        uppercase: true,
+        maxlength: [100, 'Lot or serial number cannot exceed 100 characters']
+    },
+    expiryDate: {
+        type: Date
+    },
+    quantity: {
+        type: Number,
+        default: 0
+    },
+    // on-hand quantity per warehouse
+    locations: [{
+        _id: false,
+        warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+        quantity: { type: Number, default: 0 }
+    }],
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Quantity of the lot in one warehouse
+LotSchema.methods.quantityIn = function(warehouseId) {
+    const location = this.locations.find(l => l.warehouse.toString() === warehouseId.toString());
+    return location ? location.quantity : 0;
+};
+
+LotSchema.index({ item: 1, code: 1 }, { unique: true });
+// serial number lookup from search and scanning
+LotSchema.index({ organization: 1, code: 1 });
+// expiring-soon report
+LotSchema.index({ organization: 1, expiryDate: 1 });
+
+const Lot = mongoose.model('Lot', LotSchema);
+
+Lot.LOT_KINDS = LOT_KINDS;
+
+module.exports = Lot;
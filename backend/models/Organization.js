@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// highest first: each role can do everything the roles after it can
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+// how issued stock is costed and what remaining stock is worth, see utils/valuation.js
+const COSTING_METHODS = ['fifo', 'weighted-average'];
+
+const MemberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'viewer'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const OrganizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Organization name is required'],
+        trim: true,
+        maxlength: [100, 'Organization name cannot exceed 100 characters']
+    },
+    members: [MemberSchema],
+    costingMethod: {
+        type: String,
+        enum: COSTING_METHODS,
+        default: 'fifo'
+    },
+    // stats and reports are converted into this currency, see utils/currency.js
+    baseCurrency: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+        default: 'USD'
+    },
+    // members must turn on two-factor authentication before they can work here
+    requireTwoFactor: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+OrganizationSchema.index({ 'members.user': 1 });
+
+// True when role is minimumRole or above it
+OrganizationSchema.statics.hasRole = function(role, minimumRole) {
+    return ROLES.includes(role) && ROLES.indexOf(role) <= ROLES.indexOf(minimumRole);
+};
+
+// New organization with the user as its only owner
+OrganizationSchema.statics.createFor = function(userId, name) {
+    return this.create({
+        name,
+        createdBy: userId,
+        members: [{ user: userId, role: 'owner' }]
+    });
+};
+
+// works whether or not members.user has been populated
+OrganizationSchema.methods.findMember = function(userId) {
+    return this.members.find(m => m.user && m.user._id.toString() === userId.toString());
+};
+
+OrganizationSchema.methods.roleOf = function(userId) {
+    const member = this.findMember(userId);
+    return member ? member.role : null;
+};
+
+// What a member sees about an organization in lists and switchers
+OrganizationSchema.methods.summaryFor = function(userId) {
+    return {
+        _id: this._id,
+        name: this.name,
+        role: this.roleOf(userId),
+        memberCount: this.members.length,
+        costingMethod: this.costingMethod,
+        baseCurrency: this.baseCurrency,
+        requireTwoFactor: this.requireTwoFactor,
+        createdAt: this.createdAt
+    };
+};
+
+OrganizationSchema.methods.ownerCount = function() {
+    return this.members.filter(m => m.role === 'owner').length;
+};
+
+const Organization = mongoose.model('Organization', OrganizationSchema);
+
+Organization.ROLES = ROLES;
+Organization.COSTING_METHODS = COSTING_METHODS;
+
+module.exports = Organization;
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const PO_STATUSES = ['draft', 'sent', 'partially-received', 'received', 'cancelled'];
+// statuses in which the order's lines can still be changed or deleted
+const EDITABLE_STATUSES = ['draft'];
+// statuses in which goods can be received against the order
+const RECEIVABLE_STATUSES = ['sent', 'partially-received'];
+
+// One ordered item. inventoryId and productName are copied from the item so
+// a printed order still reads right after the item is renamed or purged.
+const PurchaseOrderLineSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Item is required']
+    },
+    inventoryId: {
+        type: String,
+        trim: true
+    },
+    productName: {
+        type: String,
+        trim: true
+    },
+    unitOfMeasure: {
+        type: String,
+        default: 'each'
+    },
+    quantityOrdered: {
+        type: Number,
+        required: [true, 'Ordered quantity is required'],
+        min: [0.001, 'Ordered quantity must be greater than zero']
+    },
+    quantityReceived: {
+        type: Number,
+        min: [0, 'Received quantity cannot be negative'],
+        default: 0
+    },
+    unitCost: {
+        type: Number,
+        required: [true, 'Unit cost is required'],
+        min: [0, 'Unit cost cannot be negative']
+    }
+});
+
+const PurchaseOrderSchema = new mongoose.Schema({
+    // PO-00001, PO-00002, ... per organization
+    number: {
+        type: String,
+        trim: true
+    },
+    supplier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: [true, 'Supplier is required']
+    },
+    // where received goods go unless the receipt names another warehouse
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'Warehouse is required']
+    },
+    status: {
+        type: String,
+        enum: PO_STATUSES,
+        default: 'draft'
+    },
+    lines: {
+        type: [PurchaseOrderLineSchema],
+        validate: {
+            validator: (lines) => lines.length > 0,
+            message: 'A purchase order needs at least one line'
+        }
+    },
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+        default: 'USD'
+    },
+    // derived from the lines in the pre-validate hook
+    total: {
+        type: Number,
+        default: 0
+    },
+    expectedDate: {
+        type: Date
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    sentAt: Date,
+    receivedAt: Date,
+    cancelledAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+PurchaseOrderSchema.methods.isEditable = function() {
+    return EDITABLE_STATUSES.includes(this.status);
+};
+
+PurchaseOrderSchema.methods.isReceivable = function() {
+    return RECEIVABLE_STATUSES.includes(this.status);
+};
+
+// Status after a receipt: received once every line is in full
+PurchaseOrderSchema.methods.receivedStatus = function() {
+    const complete = this.lines.every(line => line.quantityReceived >= line.quantityOrdered);
+    if (complete) return 'received';
+    return this.lines.some(line => line.quantityReceived > 0) ? 'partially-received' : this.status;
+};
+
+PurchaseOrderSchema.pre('validate', function(next) {
+    const total = this.lines.reduce((sum, line) => sum + line.quantityOrdered * line.unitCost, 0);
+    this.total = Math.round(total * 100) / 100;
+
+    this.lines.forEach((line, index) => {
+        if (line.quantityReceived > line.quantityOrdered) {
+            this.invalidate(`lines.${index}.quantityReceived`, 'Cannot receive more than was ordered');
+        }
+    });
+    next();
+});
+
+PurchaseOrderSchema.pre('save', async function(next) {
+    if (!this.number) {
+        try {
+            const seq = await Counter.next(`purchase_order_${this.organization}`);
+            this.number = `PO-${seq.toString().padStart(5, '0')}`;
+        } catch (error) {
+            return next(error);
+        }
+    }
+    next();
+});
+
+PurchaseOrderSchema.index({ organization: 1, number: 1 }, { unique: true });
+PurchaseOrderSchema.index({ organization: 1, status: 1, createdAt: -1 });
+PurchaseOrderSchema.index({ organization: 1, supplier: 1 });
+PurchaseOrderSchema.index({ 'lines.item': 1 });
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
+
+PurchaseOrder.PO_STATUSES = PO_STATUSES;
+PurchaseOrder.EDITABLE_STATUSES = EDITABLE_STATUSES;
+PurchaseOrder.RECEIVABLE_STATUSES = RECEIVABLE_STATUSES;
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const SO_STATUSES = ['draft', 'confirmed', 'picking', 'partially-shipped', 'shipped', 'cancelled'];
+// statuses in which the order's lines can still be changed or deleted
+const EDITABLE_STATUSES = ['draft'];
+// statuses in which the order holds (or waits for) stock
+const OPEN_STATUSES = ['confirmed', 'picking', 'partially-shipped'];
+
+// One ordered item. Stock moves through the line in three steps: allocated
+// (reserved in the order's warehouse), then shipped (issued from the ledger).
+// Whatever is neither allocated nor shipped is on backorder.
+const SalesOrderLineSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: [true, 'Item is required']
+    },
+    inventoryId: {
+        type: String,
+        trim: true
+    },
+    productName: {
+        type: String,
+        trim: true
+    },
+    unitOfMeasure: {
+        type: String,
+        default: 'each'
+    },
+    quantityOrdered: {
+        type: Number,
+        required: [true, 'Ordered quantity is required'],
+        min: [0.001, 'Ordered quantity must be greater than zero']
+    },
+    quantityAllocated: {
+        type: Number,
+        min: [0, 'Allocated quantity cannot be negative'],
+        default: 0
+    },
+    quantityShipped: {
+        type: Number,
+        min: [0, 'Shipped quantity cannot be negative'],
+        default: 0
+    },
+    unitPrice: {
+        type: Number,
+        required: [true, 'Unit price is required'],
+        min: [0, 'Unit price cannot be negative']
+    }
+});
+
+SalesOrderLineSchema.virtual('quantityBackordered').get(function() {
+    return Math.max(this.quantityOrdered - this.quantityAllocated - this.quantityShipped, 0);
+});
+
+SalesOrderLineSchema.set('toJSON', { virtuals: true });
+
+const SalesOrderSchema = new mongoose.Schema({
+    // SO-00001, SO-00002, ... per organization
+    number: {
+        type: String,
+        trim: true
+    },
+    customerName: {
+        type: String,
+        required: [true, 'Customer name is required'],
+        trim: true,
+        maxlength: [100, 'Customer name cannot exceed 100 characters']
+    },
+    customerEmail: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid customer email']
+    },
+    // the customer's own order number
+    customerReference: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Customer reference cannot exceed 100 characters']
+    },
+    shippingAddress: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Shipping address cannot exceed 500 characters']
+    },
+    // stock is reserved in and shipped from this warehouse
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'Warehouse is required']
+    },
+    status: {
+        type: String,
+        enum: SO_STATUSES,
+        default: 'draft'
+    },
+    lines: {
+        type: [SalesOrderLineSchema],
+        validate: {
+            validator: (lines) => lines.length > 0,
+            message: 'A sales order needs at least one line'
+        }
+    },
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+        default: 'USD'
+    },
+    // derived from the lines in the pre-validate hook
+    total: {
+        type: Number,
+        default: 0
+    },
+    // derived: an open order with stock still to allocate
+    backordered: {
+        type: Boolean,
+        default: false
+    },
+    requestedDate: {
+        type: Date
+    },
+    trackingNumber: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Tracking number cannot exceed 100 characters']
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    confirmedAt: Date,
+    shippedAt: Date,
+    cancelledAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+SalesOrderSchema.methods.isEditable = function() {
+    return EDITABLE_STATUSES.includes(this.status);
+};
+
+SalesOrderSchema.methods.isOpen = function() {
+    return OPEN_STATUSES.includes(this.status);
+};
+
+// Status after a shipment: shipped once every line has gone out in full
+SalesOrderSchema.methods.shippedStatus = function() {
+    const complete = this.lines.every(line => line.quantityShipped >= line.quantityOrdered);
+    return complete ? 'shipped' : 'partially-shipped';
+};
+
+SalesOrderSchema.pre('validate', function(next) {
+    const total = this.lines.reduce((sum, line) => sum + line.quantityOrdered * line.unitPrice, 0);
+    this.total = Math.round(total * 100) / 100;
+    this.backordered = this.isOpen() && this.lines.some(line => line.quantityBackordered > 0);
+
+    this.lines.forEach((line, index) => {
+        if (line.quantityAllocated + line.quantityShipped > line.quantityOrdered) {
+            this.invalidate(`lines.${index}.quantityAllocated`, 'Cannot allocate or ship more than was ordered');
+        }
+    });
+    next();
+});
+
+SalesOrderSchema.pre('save', async function(next) {
+    if (!this.number) {
+        try {
+            const seq = await Counter.next(`sales_order_${this.organization}`);
+            this.number = `SO-${seq.toString().padStart(5, '0')}`;
+        } catch (error) {
+            return next(error);
+        }
+    }
+    next();
+});
+
+// Quantity reserved by open orders, per item: { [itemId]: quantity }.
+// Pass warehouse to count only reservations in that warehouse.
+SalesOrderSchema.statics.getAllocations = async function(itemIds, { warehouse = null, session = null } = {}) {
+    const match = {
+        status: { $in: OPEN_STATUSES },
+        'lines.item': { $in: itemIds.map(id => new mongoose.Types.ObjectId(id)) }
+    };
+    if (warehouse) match.warehouse = new mongoose.Types.ObjectId(warehouse);
+
+    const totals = await this.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        { $match: { 'lines.item': match['lines.item'] } },
+        { $group: { _id: '$lines.item', quantity: { $sum: '$lines.quantityAllocated' } } }
+    ]).session(session);
+
+    return Object.fromEntries(totals.map(t => [t._id.toString(), t.quantity]));
+};
+
+// Refresh the cached allocated (and so available) quantity on each item
+SalesOrderSchema.statics.recalculateAllocations = async function(items, { session = null } = {}) {
+    const allocations = await this.getAllocations(items.map(item => item._id), { session });
+    for (const item of items) {
+        item.allocated = allocations[item._id.toString()] || 0;
+        await item.save({ session });
+    }
+};
+
+SalesOrderSchema.index({ organization: 1, number: 1 }, { unique: true });
+SalesOrderSchema.index({ organization: 1, status: 1, createdAt: -1 });
+SalesOrderSchema.index({ organization: 1, backordered: 1 });
+SalesOrderSchema.index({ 'lines.item': 1, status: 1 });
+
+const SalesOrder = mongoose.model('SalesOrder', SalesOrderSchema);
+
+SalesOrder.SO_STATUSES = SO_STATUSES;
+SalesOrder.EDITABLE_STATUSES = EDITABLE_STATUSES;
+SalesOrder.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = SalesOrder;
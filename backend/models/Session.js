@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+// the refresh token kept here gets new access tokens (see utils/tokens.js)
+const REFRESH_TOKEN_TTL_DAYS = 30;
+// browser tabs share one refresh token and may refresh at the same moment;
+// the one that loses the race is not taken for a thief within this window,
+// and gets a new access token while the winner's refresh token stays in use
+const ROTATION_GRACE_MS = 60 * 1000;
+
+const newRefreshToken = () => randomToken(48);
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// One signed-in device. Only hashes of the refresh token are stored. Every
+// refresh swaps in a new token, and the old one is remembered so that a
+// stolen token used after the real client refreshed ends the session.
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    previousTokenHash: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        maxlength: 500
+    },
+    ip: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        default: refreshExpiry
+    },
+    revokedAt: {
+        type: Date
+    }
+});
+
+SessionSchema.index({ tokenHash: 1 }, { unique: true });
+SessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB drops sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Signs a user in on the device making the request. Returns { session, refreshToken }.
+SessionSchema.statics.start = async function(userId, req) {
+    const refreshToken = newRefreshToken();
+    const session = await this.create({
+        user: userId,
+        tokenHash: hashToken(refreshToken),
+        userAgent: (req.get('user-agent') || '').slice(0, 500),
+        ip: req.ip
+    });
+    return { session, refreshToken };
+};
+
+// Trades a refresh token for a new one. Returns { session, refreshToken },
+// with refreshToken null for a tab that lost the race to rotate the same
+// token (it keeps the one the winner got), or null when the token is
+// unknown, expired or revoked. The swap is a single conditional update, so
+// only one caller can rotate a given token.
+SessionSchema.statics.rotate = async function(refreshToken, req) {
+    const hash = hashToken(refreshToken);
+    const now = new Date();
+    const next = newRefreshToken();
+
+    const session = await this.findOneAndUpdate(
+        { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: {
+            previousTokenHash: hash,
+            tokenHash: hashToken(next),
+            lastUsedAt: now,
+            expiresAt: refreshExpiry(),
+            ip: req.ip
+        } },
+        { new: true }
+    );
+    if (session) return { session, refreshToken: next };
+
+    // an already rotated token: whoever holds it is not the client that
+    // refreshed, unless it comes right after the rotation
+    const rotated = await this.findOne({ previousTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } });
+    if (!rotated) return null;
+    if (now.getTime() - rotated.lastUsedAt.getTime() <= ROTATION_GRACE_MS) {
+        return { session: rotated, refreshToken: null };
+    }
+    rotated.revokedAt = now;
+    await rotated.save();
+    return null;
+};
+
+// The session a refresh token belongs to, active or not
+SessionSchema.statics.findByToken = function(refreshToken) {
+    return this.findOne({ tokenHash: hashToken(refreshToken) });
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+Session.REFRESH_TOKEN_TTL_DAYS = REFRESH_TOKEN_TTL_DAYS;
+
+module.exports = Session;
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Lot = require('./Lot');
+
+const MOVEMENT_TYPES = ['receipt', 'issue', 'adjustment', 'transfer'];
+const ADJUSTMENT_REASONS = ['opening-balance', 'count-correction', 'damaged', 'lost', 'found', 'expired', 'returned', 'other'];
+
+// Append-only ledger: an item's quantity is always the sum of its movements.
+// A transfer is stored as two rows (out of one warehouse, into another)
+// that share the same transferId.
+const StockMovementSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: true
+    },
+    type: {
+        type: String,
+        required: [true, 'Movement type is required'],
+        enum: MOVEMENT_TYPES
+    },
+    // signed: positive adds stock, negative removes it
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        validate: {
+            validator: (value) => value !== 0,
+            message: 'Quantity cannot be zero'
+        }
+    },
+    warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse',
+        required: [true, 'Warehouse is required']
+    },
+    // the other side of a transfer
+    counterpartWarehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse'
+    },
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // the lot or serial moved, required for lot- and serial-tracked items;
+    // a movement spanning several lots is stored as one row per lot
+    lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lot'
+    },
+    reasonCode: {
+        type: String,
+        enum: ADJUSTMENT_REASONS
+    },
+    // cost per unit of stock coming in; each such row is a cost layer for
+    // valuation (utils/valuation.js). Outgoing rows are costed from the layers.
+    unitCost: {
+        type: Number,
+        min: [0, 'Unit cost cannot be negative']
+    },
+    // currency unitCost is in, converted at the row's date when valuing
+    currency: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    reference: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Reference cannot exceed 100 characters']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+StockMovementSchema.pre('validate', function(next) {
+    if (this.type === 'adjustment' && !this.reasonCode) {
+        this.invalidate('reasonCode', 'Adjustments require a reason code');
+    }
+    next();
+});
+
+// Movements are never edited once written
+StockMovementSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Stock movements are append-only and cannot be modified'));
+    }
+    next();
+});
+
+StockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+    next(new Error('Stock movements are append-only and cannot be modified'));
+});
+
+// Stock entering the item from outside; transfers only move it around
+const isIncoming = (row) => row.quantity > 0 && row.type !== 'transfer';
+
+// On-hand quantity per warehouse for one item. The session option, here and
+// below, lets callers run the ledger writes inside a transaction.
+StockMovementSchema.statics.getBalances = async function(itemId, { session = null } = {}) {
+    const balances = await this.aggregate([
+        { $match: { item: new mongoose.Types.ObjectId(itemId) } },
+        { $group: { _id: '$warehouse', quantity: { $sum: '$quantity' } } },
+        { $sort: { _id: 1 } }
+    ]).session(session);
+
+    return balances.map(b => ({ warehouse: b._id, quantity: b.quantity }));
+};
+
+// Like getBalances, but items that predate the ledger have no movements yet,
+// so their whole quantity is treated as sitting in their default warehouse
+StockMovementSchema.statics.getItemBalances = async function(item, { session = null } = {}) {
+    const balances = await this.getBalances(item._id, { session });
+    if (balances.length === 0 && item.quantity > 0) {
+        return [{ warehouse: item.warehouse, quantity: item.quantity }];
+    }
+    return balances;
+};
+
+// Rebuild the cached quantity and per-warehouse locations on the item from the ledger
+StockMovementSchema.statics.recalculateItem = async function(item, { session = null } = {}) {
+    const balances = await this.getBalances(item._id, { session });
+
+    item.locations = balances.filter(b => b.quantity !== 0);
+    item.quantity = balances.reduce((sum, b) => sum + b.quantity, 0);
+    item.lastUpdated = Date.now();
+
+    return item.save({ session });
+};
+
+// Rebuild the cached quantity and locations of lots from the ledger
+StockMovementSchema.statics.recalculateLots = async function(lotIds, { session = null } = {}) {
+    if (lotIds.length === 0) return;
+
+    const balances = await this.aggregate([
+        { $match: { lot: { $in: lotIds } } },
+        { $group: { _id: { lot: '$lot', warehouse: '$warehouse' }, quantity: { $sum: '$quantity' } } }
+    ]).session(session);
+
+    await Lot.bulkWrite(lotIds.map(lotId => {
+        const locations = balances
+            .filter(b => b._id.lot.equals(lotId) && b.quantity !== 0)
+            .map(b => ({ warehouse: b._id.warehouse, quantity: b.quantity }));
+        return {
+            updateOne: {
+                filter: { _id: lotId },
+                update: {
+                    $set: {
+                        locations,
+                        quantity: locations.reduce((sum, l) => sum + l.quantity, 0),
+                        lastUpdated: Date.now()
+                    }
+                }
+            }
+        };
+    }), { session });
+};
+
+// Write ledger rows for an item and refresh its cached quantity.
+// Items that predate the ledger get an opening-balance row first so their
+// existing quantity is not lost on the first recalculation. Incoming rows
+// without a unit cost are costed at the item's current cost per unit.
+// Rows of lot- and serial-tracked items must name their lot; the routes
+// build those rows with utils/lotTracking.js.
+StockMovementSchema.statics.record = async function(item, entries, performedBy, { session = null } = {}) {
+    if (item.trackingMode && item.trackingMode !== 'none' && entries.some(entry => !entry.lot)) {
+        throw new Error(`${item.inventoryId} is tracked by ${item.trackingMode}: every movement must name one`);
+    }
+
+    const hasHistory = await this.exists({ item: item._id }).session(session);
+    const rows = [];
+
+    if (!hasHistory && item.quantity > 0) {
+        rows.push({
+            type: 'adjustment',
+            reasonCode: 'opening-balance',
+            quantity: item.quantity,
+            warehouse: item.warehouse,
+            note: 'Balance carried over from before the stock ledger'
+        });
+    }
+
+    rows.push(...entries);
+
+    const movements = await this.insertMany(rows.map(row => ({
+        ...row,
+        ...(isIncoming(row) && row.unitCost === undefined ? { unitCost: item.costUnit } : {}),
+        ...(isIncoming(row) && row.currency === undefined ? { currency: item.costCurrency } : {}),
+        item: item._id,
+        organization: item.organization,
+        performedBy
+    })), { session });
+
+    const updatedItem = await this.recalculateItem(item, { session });
+    const lotIds = [...new Set(entries.filter(entry => entry.lot).map(entry => entry.lot.toString()))];
+    await this.recalculateLots(lotIds.map(id => new mongoose.Types.ObjectId(id)), { session });
+    return { item: updatedItem, movements };
+};
+
+StockMovementSchema.index({ item: 1, createdAt: -1 });
+StockMovementSchema.index({ organization: 1, createdAt: -1 });
+StockMovementSchema.index({ warehouse: 1 });
+StockMovementSchema.index({ lot: 1 }, { sparse: true });
+
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+
+StockMovement.MOVEMENT_TYPES = MOVEMENT_TYPES;
+StockMovement.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
+StockMovement.isIncoming = isIncoming;
+
+module.exports = StockMovement;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const SupplierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Supplier name is required'],
+        trim: true,
+        maxlength: [100, 'Supplier name cannot exceed 100 characters']
+    },
+    contactName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Contact name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [254, 'Email cannot exceed 254 characters'],
+        match: [/^\S+@\S+\.\S+$/, 'Please include a valid email']
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: [30, 'Phone number cannot exceed 30 characters']
+    },
+    // days between ordering and receiving, used as the default on purchase orders
+    defaultLeadTimeDays: {
+        type: Number,
+        min: [0, 'Lead time cannot be negative'],
+        default: 0
+    },
+    currency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+        default: 'USD'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+SupplierSchema.index({ organization: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Supplier', SupplierSchema);
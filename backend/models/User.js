@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { verifyCode, openSecret, hashRecoveryCode } = require('../utils/totp');
 
 const UserSchema = new mongoose.Schema({
     username: {
@@ -18,6 +19,35 @@ const UserSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // set once the user opens the link emailed at registration
+    // new accounts start unconfirmed; accounts from before email
+    // verification existed count as confirmed (see
+    // scripts/migrate-email-verification.js)
+    emailVerified: {
+        type: Boolean,
+        default: function() {
+            return !this.isNew;
+        }
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    // two-factor authentication with an authenticator app, see utils/totp.js.
+    // Secrets are stored encrypted, recovery codes hashed.
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String },
+        // set up but not confirmed with a code yet
+        pendingSecret: { type: String },
+        enabledAt: { type: Date },
+        // step of the newest code used, so a code cannot be used twice
+        lastUsedStep: { type: Number },
+        recoveryCodes: [{
+            _id: false,
+            codeHash: { type: String },
+            usedAt: { type: Date }
+        }]
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -26,10 +56,42 @@ const UserSchema = new mongoose.Schema({
 
 // No pre-save hooks - password hashing is done in the auth route
 
-// Remove password when converting to JSON
+UserSchema.methods.recoveryCodesLeft = function() {
+    return (this.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+};
+
+// Checks a code from the authenticator app or an unused recovery code and
+// uses it up; the caller saves the user. Returns 'code', 'recovery' or null.
+UserSchema.methods.useSecondFactor = function({ code, recoveryCode } = {}) {
+    if (!this.twoFactor.enabled) return null;
+
+    if (code) {
+        const step = verifyCode(openSecret(this.twoFactor.secret), code, {
+            lastUsedStep: this.twoFactor.lastUsedStep
+        });
+        if (step === null) return null;
+        this.twoFactor.lastUsedStep = step;
+        return 'code';
+    }
+
+    if (recoveryCode) {
+        const codeHash = hashRecoveryCode(recoveryCode);
+        const entry = this.twoFactor.recoveryCodes.find(e => e.codeHash === codeHash && !e.usedAt);
+        if (!entry) return null;
+        entry.usedAt = Date.now();
+        return 'recovery';
+    }
+    return null;
+};
+
+// Remove password and two-factor secrets when converting to JSON
 UserSchema.methods.toJSON = function() {
     const user = this.toObject();
     delete user.password;
+    user.twoFactor = {
+        enabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+        enabledAt: user.twoFactor && user.twoFactor.enabledAt
+    };
     return user;
 };
 
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+// what an emailed link lets its holder do, and for how long
+const TOKEN_PURPOSES = {
+    'verify-email': { ttlHours: 48 },
+    'reset-password': { ttlHours: 1 }
+};
+
+// A single-use token sent by email. Only its hash is stored; using it, or
+// asking for a new one for the same purpose, ends it.
+const UserTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: Object.keys(TOKEN_PURPOSES),
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+UserTokenSchema.index({ tokenHash: 1 }, { unique: true });
+UserTokenSchema.index({ user: 1, purpose: 1 });
+// MongoDB drops tokens a day after they expire
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Creates a token for the user and returns it; earlier open tokens of the
+// same purpose stop working
+UserTokenSchema.statics.issue = async function(userId, purpose) {
+    const token = randomToken();
+    await this.updateMany({ user: userId, purpose, usedAt: null }, { usedAt: Date.now() });
+    await this.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_PURPOSES[purpose].ttlHours * 60 * 60 * 1000)
+    });
+    return token;
+};
+
+// Uses a token up. Returns the user id it was issued to, or null when the
+// token is unknown, expired or already used.
+UserTokenSchema.statics.consume = async function(token, purpose) {
+    const used = await this.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: Date.now() }
+    );
+    return used ? used.user : null;
+};
+
+const UserToken = mongoose.model('UserToken', UserTokenSchema);
+
+UserToken.TOKEN_PURPOSES = TOKEN_PURPOSES;
+
+module.exports = UserToken;
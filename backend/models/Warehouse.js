@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const WarehouseSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Warehouse code is required'],
+        trim: true,
+        uppercase: true,
+        maxlength: [20, 'Warehouse code cannot exceed 20 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'Warehouse name is required'],
+        trim: true,
+        maxlength: [100, 'Warehouse name cannot exceed 100 characters']
+    },
+    address: {
+        street: { type: String, trim: true, maxlength: [200, 'Street cannot exceed 200 characters'] },
+        city: { type: String, trim: true, maxlength: [100, 'City cannot exceed 100 characters'] },
+        state: { type: String, trim: true, maxlength: [100, 'State cannot exceed 100 characters'] },
+        postalCode: { type: String, trim: true, maxlength: [20, 'Postal code cannot exceed 20 characters'] },
+        country: { type: String, trim: true, maxlength: [100, 'Country cannot exceed 100 characters'] }
+    },
+    // maximum number of units the warehouse can hold, empty means unlimited
+    capacity: {
+        type: Number,
+        min: [0, 'Capacity cannot be negative']
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+WarehouseSchema.index({ organization: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Warehouse', WarehouseSchema);
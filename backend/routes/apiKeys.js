@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+
+// Personal keys belong to the signed-in user and work in each of their
+// organizations. Organization keys (under /organization) work in the current
+// organization only and are managed by its admins. Both act with the role of
+// the user who created them, so they stop working if that user leaves.
+
+const keyValidators = [
+    check('name')
+        .trim()
+        .not().isEmpty().withMessage('Key name is required')
+        .isLength({ max: 100 }).withMessage('Key name cannot exceed 100 characters'),
+    check('scopes', 'Pick at least one scope').isArray({ min: 1 }),
+    check('scopes.*', `Scopes must be among: ${ApiKey.SCOPES.join(', ')}`).isIn(ApiKey.SCOPES),
+    check('expiresInDays', 'Expiry must be between 1 and 365 days').optional({ nullable: true }).isInt({ min: 1, max: 365 }).toInt()
+];
+
+const expiryFrom = (expiresInDays) => (expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    : undefined);
+
+const handleApiKeyError = (err, res, action) => {
+    console.error(`Error ${action} API key:`, err.message);
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid API key ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} API key`
+    });
+};
+
+// The key in plain text goes out once, when it is created
+const createKey = async (req, res, organization) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { apiKey, key } = await ApiKey.issue({
+            name: req.body.name,
+            user: req.user.id,
+            organization,
+            scopes: [...new Set(req.body.scopes)],
+            expiresAt: expiryFrom(req.body.expiresInDays)
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { ...apiKey.toJSON(), key },
+            message: 'API key created. Copy it now, it will not be shown again.'
+        });
+    } catch (err) {
+        handleApiKeyError(err, res, 'creating');
+    }
+};
+
+const revokeKey = async (res, filter) => {
+    try {
+        const apiKey = await ApiKey.findOne({ ...filter, revokedAt: null });
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        apiKey.revokedAt = Date.now();
+        await apiKey.save();
+
+        res.json({
+            success: true,
+            message: `API key "${apiKey.name}" revoked`
+        });
+    } catch (err) {
+        handleApiKeyError(err, res, 'revoking');
+    }
+};
+
+// @route   GET /api/api-keys
+// @desc    The signed-in user's personal API keys that are not revoked
+router.get('/', auth, async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ user: req.user.id, organization: null, revokedAt: null })
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: apiKeys.length,
+            data: apiKeys
+        });
+    } catch (err) {
+        handleApiKeyError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create a personal API key
+router.post('/', [auth, ...keyValidators], (req, res) => createKey(req, res, undefined));
+
+// @route   GET /api/api-keys/organization
+// @desc    API keys of the current organization that are not revoked
+router.get('/organization', [auth, requireRole('admin')], async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ organization: req.organization._id, revokedAt: null })
+            .populate('user', 'username')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: apiKeys.length,
+            data: apiKeys
+        });
+    } catch (err) {
+        handleApiKeyError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/api-keys/organization
+// @desc    Create an API key for the current organization
+router.post('/organization', [auth, requireRole('admin'), ...keyValidators], (req, res) => createKey(req, res, req.organization._id));
+
+// @route   DELETE /api/api-keys/organization/:id
+// @desc    Revoke one of the current organization's API keys
+router.delete('/organization/:id', [auth, requireRole('admin')], (req, res) => revokeKey(res, {
+    _id: req.params.id,
+    organization: req.organization._id
+}));
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke one of the signed-in user's personal API keys
+router.delete('/:id', auth, (req, res) => revokeKey(res, {
+    _id: req.params.id,
+    user: req.user.id,
+    organization: null
+}));
+
+module.exports = router;
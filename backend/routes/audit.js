@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { validationResult } = require('express-validator');
+const { DEFAULT_PAGE_SIZE } = require('../utils/itemQuery');
+const { auditQueryValidators, buildAuditFilter, findAuditPage } = require('../utils/itemAudit');
+
+// @route   GET /api/audit
+// @desc    The organization's audit trail, newest first
+//          ?page=&limit=&action=&entityType=&entity=&actor=&field=&from=&to=
+router.get('/', [auth, requireRole('admin'), auditQueryValidators], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+        const filter = buildAuditFilter(req.organization._id, req.query);
+        const { entries, total } = await findAuditPage(req.organization._id, filter, { page, limit });
+
+        res.json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+            data: entries
+        });
+    } catch (err) {
+        console.error('Error fetching audit log:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching audit log'
+        });
+    }
+});
+
+module.exports = router;
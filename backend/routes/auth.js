@@ -3,7 +3,66 @@ const router = express.Router();
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { check, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Category = require('../models/Category');
+const Organization = require('../models/Organization');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+const auth = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+const { signAccessToken } = require('../utils/tokens');
+const { verificationEmail, accountExistsEmail, passwordResetEmail } = require('../utils/emails');
+
+// how long the password step of a two-factor login stays good for
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// the availability checks tell whether an account exists, so each address
+// only gets a few of them
+const availabilityLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 20,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: {
+        success: false,
+        message: 'Too many requests, please try again later'
+    }
+});
+
+const describeWait = (seconds) => (seconds < 60
+    ? `${seconds} second${seconds === 1 ? '' : 's'}`
+    : `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? '' : 's'}`);
+
+// Counts the attempt for the account and the address before anything is
+// checked (see models/LoginThrottle.js) and turns it away with 429 while too
+// many recent logins failed. Returns the attempt to pass to
+// LoginThrottle.finish() when it did not fail, or null when it was turned away.
+const beginAttempt = async (req, res, email, user) => {
+    const { wait, attempt } = await LoginThrottle.begin(req, email);
+    if (!wait) return attempt;
+
+    await LoginAttempt.record(req, { user: user && user._id, email, success: false, reason: 'throttled' });
+    const seconds = Math.ceil(wait / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({
+        success: false,
+        retryAfter: seconds,
+        message: `Too many failed login attempts. Try again in ${describeWait(seconds)}.`
+    });
+    return null;
+};
+
+const serializeLoginUser = (user) => ({
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    createdAt: user.createdAt
+});
 
 // @route   GET /api/auth/test
 // @desc    Test auth route
@@ -16,7 +75,10 @@ router.get('/test', (req, res) => {
 });
 
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user and email them a confirmation link. Answers
+//          the same whether or not the email already has an account, so it
+//          cannot be used to find users; the owner of an existing account
+//          gets an email saying so instead.
 router.post('/register', [
     check('username', 'Username is required').not().isEmpty(),
     check('username', 'Username must be 3-30 characters').isLength({ min: 3, max: 30 }),
@@ -43,20 +105,38 @@ router.post('/register', [
     try {
         console.log('🔵 Attempting to register user:', { username, email });
         
-        // Check if user exists by email
-        let existingUser = await User.findOne({ email: email.toLowerCase() });
+        // Hash password first, so an existing email does not answer faster
+        console.log('Hashing password...');
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+
+        // the confirmation link can be sent again after logging in, so a
+        // failed email does not fail the registration; the client is told
+        const sendRegistrationMail = async (buildMail) => {
+            try {
+                await sendMail(await buildMail());
+                return true;
+            } catch (mailErr) {
+                console.error('❌ Registration email error:', mailErr.message);
+                return false;
+            }
+        };
+        const registered = (emailSent) => res.status(201).json({
+            success: true,
+            emailSent,
+            message: emailSent
+                ? `Check ${email} for a link to confirm your address, then log in.`
+                : 'We could not send the confirmation email. Log in and ask for a new link.'
+        });
+
+        const existingUser = await User.findOne({ email: email.toLowerCase() });
         if (existingUser) {
             console.log('❌ Email already exists:', email);
-            return res.status(400).json({ 
-                success: false,
-                message: 'A user with this email already exists',
-                field: 'email'
-            });
+            return registered(await sendRegistrationMail(() => accountExistsEmail(existingUser)));
         }
 
         // Check if user exists by username
-        existingUser = await User.findOne({ username });
-        if (existingUser) {
+        if (await User.exists({ username })) {
             console.log('❌ Username already exists:', username);
             return res.status(400).json({ 
                 success: false,
@@ -65,11 +145,6 @@ router.post('/register', [
             });
         }
 
-        // Hash password
-        console.log('Hashing password...');
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
-
         // Create new user
         console.log('Creating user document...');
         const user = new User({
@@ -83,53 +158,16 @@ router.post('/register', [
         await user.save();
         console.log('✅ User saved successfully:', user.username);
 
-        // Create JWT payload
-        const payload = {
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email
-            }
-        };
+        // every account starts with its own organization and a starter set of categories
+        const organization = await Organization.createFor(user._id, `${user.username}'s Inventory`);
+        await Category.seedDefaults(organization._id);
 
-        // Check if JWT_SECRET exists
-        if (!process.env.JWT_SECRET) {
-            console.error('❌ JWT_SECRET is not set in environment variables');
-            return res.status(500).json({ 
-                success: false,
-                message: 'Server configuration error' 
-            });
-        }
+        const emailSent = await sendRegistrationMail(async () => (
+            verificationEmail(user, await UserToken.issue(user._id, 'verify-email'))
+        ));
 
-        // Sign token
-        console.log('Generating JWT token...');
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' },
-            (err, token) => {
-                if (err) {
-                    console.error('❌ JWT signing error:', err);
-                    return res.status(500).json({ 
-                        success: false,
-                        message: 'Error generating authentication token' 
-                    });
-                }
-                
-                console.log('✅ Registration successful for:', user.username);
-                res.status(201).json({ 
-                    success: true,
-                    token,
-                    user: {
-                        id: user._id,
-                        username: user.username,
-                        email: user.email,
-                        createdAt: user.createdAt
-                    },
-                    message: 'Registration successful!' 
-                });
-            }
-        );
+        console.log('✅ Registration successful for:', user.username);
+        registered(emailSent);
 
     } catch (err) {
         console.error('❌ Registration error:', err.message);
@@ -183,19 +221,29 @@ router.post('/login', [
         });
     }
 
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = req.body.email.toLowerCase();
 
     try {
         console.log('🔵 Attempting login for email:', email);
         
         // Check if user exists
-        const user = await User.findOne({ email: email.toLowerCase() });
+        const user = await User.findOne({ email });
+        const attempt = await beginAttempt(req, res, email, user);
+        if (!attempt) {
+            console.log('⏳ Login throttled for email:', email);
+            return;
+        }
+
+        // the same answer for an unknown email and a wrong password, so
+        // logging in does not tell which emails have accounts
         if (!user) {
             console.log('❌ User not found for email:', email);
+            await LoginAttempt.record(req, { email, success: false, reason: 'unknown-email' });
             return res.status(400).json({ 
                 success: false,
                 message: 'Invalid email or password',
-                field: 'email'
+                field: 'password'
             });
         }
 
@@ -204,6 +252,7 @@ router.post('/login', [
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
             console.log('❌ Invalid password for user:', user.email);
+            await LoginAttempt.record(req, { user: user._id, email, success: false, reason: 'password' });
             return res.status(400).json({ 
                 success: false,
                 message: 'Invalid email or password',
@@ -211,15 +260,6 @@ router.post('/login', [
             });
         }
 
-        // Create JWT payload
-        const payload = {
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email
-            }
-        };
-
         // Check if JWT_SECRET exists
         if (!process.env.JWT_SECRET) {
             console.error('❌ JWT_SECRET is not set in environment variables');
@@ -229,35 +269,40 @@ router.post('/login', [
             });
         }
 
-        // Sign token
-        console.log('Generating JWT token...');
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' },
-            (err, token) => {
-                if (err) {
-                    console.error('❌ JWT signing error:', err);
-                    return res.status(500).json({ 
-                        success: false,
-                        message: 'Error generating authentication token' 
-                    });
-                }
-                
-                console.log('✅ Login successful for:', user.username);
-                res.json({ 
-                    success: true,
-                    token,
-                    user: {
-                        id: user._id,
-                        username: user.username,
-                        email: user.email,
-                        createdAt: user.createdAt
-                    },
-                    message: 'Login successful!' 
-                });
-            }
-        );
+        // with two-factor authentication on, the password only earns a
+        // challenge; POST /login/2fa with a code finishes the login and only
+        // then is the login recorded as successful
+        if (user.twoFactor.enabled) {
+            console.log('🔐 Two-factor code required for:', user.username);
+            // the code is counted as an attempt of its own
+            await LoginThrottle.finish(attempt);
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: jwt.sign(
+                    { challenge: user._id },
+                    process.env.JWT_SECRET,
+                    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+                ),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
+
+        // Sign the user in on this device
+        console.log('Starting session...');
+        await LoginThrottle.finish(attempt, { success: true });
+        await LoginAttempt.record(req, { user: user._id, email, success: true });
+        const { session, refreshToken } = await Session.start(user._id, req);
+        const token = signAccessToken(user, session._id);
+
+        console.log('✅ Login successful for:', user.username);
+        res.json({ 
+            success: true,
+            token,
+            refreshToken,
+            user: serializeLoginUser(user),
+            message: 'Login successful!' 
+        });
 
     } catch (err) {
         console.error('❌ Login error:', err.message);
@@ -270,6 +315,86 @@ router.post('/login', [
     }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: the challenge from POST /login plus a code
+//          from the authenticator app or a recovery code
+router.post('/login/2fa', [
+    check('challengeToken', 'Login challenge is required').isString().notEmpty(),
+    check('code').optional().isString(),
+    check('recoveryCode').optional().isString(),
+    check('code', 'Enter a code from your authenticator app or a recovery code')
+        .custom((code, { req }) => Boolean(code || req.body.recoveryCode))
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    let userId;
+    try {
+        userId = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET).challenge;
+    } catch (err) {
+        userId = null;
+    }
+    if (!userId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Login has timed out, please enter your password again'
+        });
+    }
+
+    try {
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login has timed out, please enter your password again'
+            });
+        }
+        // codes are guessed like passwords, so failures count the same way
+        const attempt = await beginAttempt(req, res, user.email, user);
+        if (!attempt) return;
+
+        const used = user.useSecondFactor(req.body);
+        if (!used) {
+            await LoginAttempt.record(req, { user: user._id, email: user.email, success: false, reason: 'two-factor' });
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid code',
+                field: req.body.code ? 'code' : 'recoveryCode'
+            });
+        }
+        await user.save();
+
+        await LoginThrottle.finish(attempt, { success: true });
+        await LoginAttempt.record(req, { user: user._id, email: user.email, success: true });
+        const { session, refreshToken } = await Session.start(user._id, req);
+        const token = signAccessToken(user, session._id);
+
+        console.log('✅ Two-factor login successful for:', user.username);
+        const recoveryCodesLeft = user.recoveryCodesLeft();
+        res.json({
+            success: true,
+            token,
+            refreshToken,
+            user: serializeLoginUser(user),
+            recoveryCodesLeft: used === 'recovery' ? recoveryCodesLeft : undefined,
+            message: used === 'recovery'
+                ? `Login successful! ${recoveryCodesLeft} recovery code${recoveryCodesLeft === 1 ? '' : 's'} left.`
+                : 'Login successful!'
+        });
+    } catch (err) {
+        console.error('❌ Two-factor login error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
 // @route   GET /api/auth/verify
 // @desc    Verify token and get user data
 router.get('/verify', async (req, res) => {
@@ -313,9 +438,358 @@ router.get('/verify', async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address with the token from the emailed link
+router.post('/verify-email', [
+    check('token', 'Verification token is required').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const userId = await UserToken.consume(req.body.token, 'verify-email');
+        const user = userId && await User.findById(userId);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This confirmation link is invalid or has expired'
+            });
+        }
+
+        if (!user.emailVerified) {
+            user.set({ emailVerified: true, emailVerifiedAt: Date.now() });
+            await user.save();
+        }
+
+        res.json({
+            success: true,
+            data: { email: user.email },
+            message: `${user.email} is confirmed`
+        });
+    } catch (err) {
+        console.error('❌ Email verification error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while confirming email'
+        });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email the signed-in user a new confirmation link
+router.post('/resend-verification', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your email address is already confirmed'
+            });
+        }
+
+        await sendMail(verificationEmail(user, await UserToken.issue(user._id, 'verify-email')));
+
+        res.json({
+            success: true,
+            message: `Confirmation link sent to ${user.email}`
+        });
+    } catch (err) {
+        console.error('❌ Verification email error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Could not send the confirmation email'
+        });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. Answers the same whether or not
+//          the address has an account, so it cannot be used to find users.
+router.post('/forgot-password', [
+    check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+        if (user) {
+            try {
+                await sendMail(passwordResetEmail(user, await UserToken.issue(user._id, 'reset-password')));
+            } catch (mailErr) {
+                console.error('❌ Password reset email error:', mailErr.message);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account uses that email, a reset link is on its way'
+        });
+    } catch (err) {
+        console.error('❌ Forgot password error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while requesting a password reset'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the emailed link. Every
+//          session of the account is signed out.
+router.post('/reset-password', [
+    check('token', 'Reset token is required').isString().notEmpty(),
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const userId = await UserToken.consume(req.body.token, 'reset-password');
+        const user = userId && await User.findById(userId);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired'
+            });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(req.body.password, salt);
+        // the link arrived by email, which proves the address
+        if (!user.emailVerified) {
+            user.set({ emailVerified: true, emailVerifiedAt: Date.now() });
+        }
+        await user.save();
+        await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: Date.now() });
+
+        res.json({
+            success: true,
+            message: 'Password changed. Log in with your new password.'
+        });
+    } catch (err) {
+        console.error('❌ Password reset error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resetting password'
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Trade a refresh token for a new access token and refresh token.
+//          The old refresh token stops working; used again within a minute
+//          (another tab refreshing at the same time) it gets an access token only.
+router.post('/refresh', [
+    check('refreshToken', 'Refresh token is required').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const rotated = await Session.rotate(req.body.refreshToken, req);
+        const user = rotated && await User.findById(rotated.session.user);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended, please login again'
+            });
+        }
+
+        res.json({
+            success: true,
+            token: signAccessToken(user, rotated.session._id),
+            // left out for the tab that lost a refresh race, see Session.rotate
+            ...(rotated.refreshToken && { refreshToken: rotated.refreshToken })
+        });
+    } catch (err) {
+        console.error('❌ Token refresh error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while refreshing session'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session of a refresh token. Its access token runs out
+//          on its own within minutes.
+router.post('/logout', [
+    check('refreshToken', 'Refresh token is required').isString().notEmpty()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const session = await Session.findByToken(req.body.refreshToken);
+        if (session && !session.revokedAt) {
+            session.revokedAt = Date.now();
+            await session.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (err) {
+        console.error('❌ Logout error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+const serializeSession = (session, currentId) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session._id.toString() === String(currentId)
+});
+
+// @route   GET /api/auth/sessions
+// @desc    The signed-in user's active sessions, most recently used first
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => serializeSession(session, req.sessionId))
+        });
+    } catch (err) {
+        console.error('❌ Session list error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign one of the user's devices out
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        session.revokedAt = Date.now();
+        await session.save();
+
+        res.json({
+            success: true,
+            message: 'Session signed out'
+        });
+    } catch (err) {
+        console.error('❌ Session revoke error:', err.message);
+        if (err.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid session ID format'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while signing session out'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign every other device out, keeping the current session
+router.delete('/sessions', auth, async (req, res) => {
+    try {
+        const filter = { user: req.user.id, revokedAt: null };
+        if (req.sessionId) filter._id = { $ne: req.sessionId };
+
+        const result = await Session.updateMany(filter, { revokedAt: Date.now() });
+
+        res.json({
+            success: true,
+            count: result.modifiedCount,
+            message: result.modifiedCount === 1
+                ? '1 other session signed out'
+                : `${result.modifiedCount} other sessions signed out`
+        });
+    } catch (err) {
+        console.error('❌ Session revoke error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while signing sessions out'
+        });
+    }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    The signed-in user's recent login attempts, newest first
+router.get('/login-history', auth, async (req, res) => {
+    try {
+        const attempts = await LoginAttempt.find({ user: req.user.id })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .select('ip userAgent success reason createdAt');
+
+        res.json({
+            success: true,
+            count: attempts.length,
+            data: attempts
+        });
+    } catch (err) {
+        console.error('❌ Login history error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching login history'
+        });
+    }
+});
+
 // @route   GET /api/auth/check-email/:email
 // @desc    Check if email is available
-router.get('/check-email/:email', async (req, res) => {
+router.get('/check-email/:email', availabilityLimiter, async (req, res) => {
     try {
         const user = await User.findOne({ email: req.params.email.toLowerCase() });
         res.json({
@@ -334,7 +808,7 @@ router.get('/check-email/:email', async (req, res) => {
 
 // @route   GET /api/auth/check-username/:username
 // @desc    Check if username is available
-router.get('/check-username/:username', async (req, res) => {
+router.get('/check-username/:username', availabilityLimiter, async (req, res) => {
     try {
         const user = await User.findOne({ username: req.params.username });
         res.json({
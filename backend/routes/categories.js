@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Inventory = require('../models/Inventory');
+
+const categoryValidators = (optional) => [
+    (optional ? check('name').optional() : check('name'))
+        .not().isEmpty().withMessage('Category name is required')
+        .isLength({ max: 50 }).withMessage('Category name cannot exceed 50 characters'),
+    check('parent', 'Parent must be a valid category').optional({ values: 'falsy' }).isMongoId(),
+    check('color', 'Color must be a hex value like #3b82f6').optional().matches(/^#[0-9a-fA-F]{6}$/)
+];
+
+const pickCategoryFields = (body) => {
+    const data = {};
+    ['name', 'parent', 'color'].forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    if (data.parent === '') {
+        data.parent = null;
+    }
+    return data;
+};
+
+// Returns an error message when parentId cannot be used as the parent of categoryId
+const checkParent = async (organization, parentId, categoryId) => {
+    if (!parentId) return null;
+
+    if (!await Category.exists({ _id: parentId, organization })) {
+        return 'Parent category not found';
+    }
+
+    if (categoryId) {
+        const descendantIds = await Category.getDescendantIds(categoryId, organization);
+        if (descendantIds.some(id => id.equals(parentId))) {
+            return 'A category cannot be nested inside itself or one of its subcategories';
+        }
+    }
+
+    return null;
+};
+
+const handleCategoryError = (err, res, action) => {
+    console.error(`Error ${action} category:`, err.message);
+
+    if (err.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'A category with this name already exists',
+            field: 'name'
+        });
+    }
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid category ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} category`
+    });
+};
+
+// @route   GET /api/categories
+// @desc    Get all categories with the number of items filed directly under each
+router.get('/', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const [categories, counts] = await Promise.all([
+            Category.find({ organization: req.organization._id }).sort({ name: 1 }).collation({ locale: 'en' }).select('-__v'),
+            Inventory.aggregate([
+                { $match: { organization: req.organization._id, deletedAt: null } },
+                { $group: { _id: '$category', itemCount: { $sum: 1 } } }
+            ])
+        ]);
+
+        const data = categories.map(category => {
+            const count = counts.find(c => c._id && c._id.equals(category._id));
+            return {
+                ...category.toObject(),
+                itemCount: count ? count.itemCount : 0
+            };
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (err) {
+        handleCategoryError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category
+router.post('/', [auth, requireRole('editor'), categoryValidators(false)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const data = pickCategoryFields(req.body);
+
+        const parentError = await checkParent(req.organization._id, data.parent);
+        if (parentError) {
+            return res.status(400).json({
+                success: false,
+                message: parentError,
+                field: 'parent'
+            });
+        }
+
+        const category = await new Category({ ...data, organization: req.organization._id }).save();
+
+        res.status(201).json({
+            success: true,
+            data: category,
+            message: 'Category created successfully!'
+        });
+    } catch (err) {
+        handleCategoryError(err, res, 'creating');
+    }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Rename, recolor or move a category; items keep pointing at it by id
+router.put('/:id', [auth, requireRole('editor'), categoryValidators(true)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const category = await Category.findOne({ _id: req.params.id, organization: req.organization._id });
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const data = pickCategoryFields(req.body);
+
+        const parentError = await checkParent(req.organization._id, data.parent, category._id);
+        if (parentError) {
+            return res.status(400).json({
+                success: false,
+                message: parentError,
+                field: 'parent'
+            });
+        }
+
+        category.set({ ...data, lastUpdated: Date.now() });
+        await category.save();
+
+        res.json({
+            success: true,
+            data: category,
+            message: 'Category updated successfully!'
+        });
+    } catch (err) {
+        handleCategoryError(err, res, 'updating');
+    }
+});
+
+// @route   POST /api/categories/:id/merge
+// @desc    Merge a category into another: its items and subcategories move to the target, then it is deleted
+router.post('/:id/merge', [
+    auth,
+    requireRole('editor'),
+    check('target', 'A valid target category is required').isMongoId()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const [source, target] = await Promise.all([
+            Category.findOne({ _id: req.params.id, organization: req.organization._id }),
+            Category.findOne({ _id: req.body.target, organization: req.organization._id })
+        ]);
+
+        if (!source || !target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const descendantIds = await Category.getDescendantIds(source._id, req.organization._id);
+        if (descendantIds.some(id => id.equals(target._id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'A category cannot be merged into itself or one of its subcategories',
+                field: 'target'
+            });
+        }
+
+        const [itemResult, childResult] = await Promise.all([
+            Inventory.updateMany(
+                { organization: req.organization._id, category: source._id },
+                { $set: { category: target._id, lastUpdated: Date.now() } }
+            ),
+            Category.updateMany(
+                { organization: req.organization._id, parent: source._id },
+                { $set: { parent: target._id, lastUpdated: Date.now() } }
+            )
+        ]);
+        await source.deleteOne();
+
+        res.json({
+            success: true,
+            data: {
+                target,
+                itemsMoved: itemResult.modifiedCount,
+                subcategoriesMoved: childResult.modifiedCount
+            },
+            message: `Merged ${source.name} into ${target.name}`
+        });
+    } catch (err) {
+        handleCategoryError(err, res, 'merging');
+    }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category with no items and no subcategories
+router.delete('/:id', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const category = await Category.findOne({ _id: req.params.id, organization: req.organization._id });
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        if (await Inventory.exists({ organization: req.organization._id, category: category._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Items are still filed under this category (items in the trash count too). Merge it into another category instead.'
+            });
+        }
+
+        if (await Category.exists({ organization: req.organization._id, parent: category._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This category has subcategories. Move or delete them first.'
+            });
+        }
+
+        await category.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Category deleted successfully!'
+        });
+    } catch (err) {
+        handleCategoryError(err, res, 'deleting');
+    }
+});
+
+module.exports = router;
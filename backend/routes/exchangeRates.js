@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const { uploadSpreadsheet, readSpreadsheet } = require('../utils/spreadsheet');
+const { loadConverter } = require('../utils/currency');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// header spellings recognised in rate files (compared lowercase, letters only)
+const HEADER_ALIASES = {
+    currency: 'currency', code: 'currency', from: 'currency',
+    basecurrency: 'baseCurrency', base: 'baseCurrency', to: 'baseCurrency',
+    rate: 'rate', exchangerate: 'rate', value: 'rate',
+    date: 'effectiveDate', effectivedate: 'effectiveDate', day: 'effectiveDate'
+};
+
+// Midnight UTC of the given day, null when it is not a date
+const toDay = (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// One rate per pair and day: saving another for the same day replaces it
+const upsertRate = (organization, fields, userId) => ({
+    updateOne: {
+        filter: {
+            organization,
+            currency: fields.currency,
+            baseCurrency: fields.baseCurrency,
+            effectiveDate: fields.effectiveDate
+        },
+        update: {
+            $set: { rate: fields.rate, source: fields.source, createdBy: userId, lastUpdated: Date.now() },
+            $setOnInsert: { createdAt: Date.now() }
+        },
+        upsert: true
+    }
+});
+
+// Checks one data row of a rate file, returns { fields } or { error }
+const checkRow = (headers, row, baseCurrency) => {
+    const values = {};
+    headers.forEach((header, index) => {
+        const field = HEADER_ALIASES[header.toLowerCase().replace(/[^a-z]/g, '')];
+        if (field && row[index] !== undefined && row[index] !== '') {
+            values[field] = row[index];
+        }
+    });
+
+    const currency = (values.currency || '').toUpperCase();
+    const base = (values.baseCurrency || baseCurrency).toUpperCase();
+    const rate = parseFloat(values.rate);
+    const effectiveDate = values.effectiveDate ? toDay(values.effectiveDate) : toDay(new Date());
+
+    if (!/^[A-Z]{3}$/.test(currency)) return { error: 'Currency must be a 3-letter ISO code' };
+    if (!/^[A-Z]{3}$/.test(base)) return { error: 'Base currency must be a 3-letter ISO code' };
+    if (currency === base) return { error: 'A currency cannot be quoted against itself' };
+    if (!(rate > 0)) return { error: 'Rate must be a number greater than zero' };
+    if (!effectiveDate) return { error: 'Date is not valid' };
+
+    return { fields: { currency, baseCurrency: base, rate, effectiveDate, source: 'import' } };
+};
+
+const handleRateError = (err, res, action) => {
+    console.error(`Error ${action} exchange rate:`, err.message);
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid exchange rate ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} exchange rate`
+    });
+};
+
+// @route   GET /api/exchange-rates
+// @desc    Get the organization's exchange rates, newest first (?currency= for
+//          one currency), with the latest rate of each against the base currency
+router.get('/', [
+    auth,
+    requireRole('viewer'),
+    check('currency', 'Currency must be a 3-letter ISO code').optional().isISO4217()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const filter = { organization: req.organization._id };
+        if (req.query.currency) {
+            filter.currency = req.query.currency.toUpperCase();
+        }
+
+        const [rates, converter] = await Promise.all([
+            ExchangeRate.find(filter)
+                .populate('createdBy', 'username')
+                .sort({ effectiveDate: -1, currency: 1 })
+                .select('-__v'),
+            loadConverter(req.organization._id, req.organization.baseCurrency)
+        ]);
+
+        res.json({
+            success: true,
+            count: rates.length,
+            baseCurrency: converter.baseCurrency,
+            latest: converter.latest(),
+            data: rates
+        });
+    } catch (err) {
+        handleRateError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Enter a rate: 1 unit of currency is worth `rate` units of the base
+//          currency (the organization's unless baseCurrency is given) from
+//          effectiveDate (default today). Replaces a rate for the same day.
+router.post('/', [
+    auth,
+    requireRole('admin'),
+    check('currency', 'Currency must be a 3-letter ISO code').isISO4217(),
+    check('baseCurrency', 'Base currency must be a 3-letter ISO code').optional().isISO4217(),
+    check('rate', 'Rate must be a number greater than zero').isFloat({ gt: 0 }),
+    check('effectiveDate', 'Effective date must be a valid date').optional().isISO8601()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const fields = {
+            currency: req.body.currency.toUpperCase(),
+            baseCurrency: (req.body.baseCurrency || req.organization.baseCurrency).toUpperCase(),
+            rate: parseFloat(req.body.rate),
+            effectiveDate: toDay(req.body.effectiveDate || new Date()),
+            source: 'manual'
+        };
+        if (fields.currency === fields.baseCurrency) {
+            return res.status(400).json({
+                success: false,
+                message: 'A currency cannot be quoted against itself',
+                field: 'currency'
+            });
+        }
+
+        await ExchangeRate.bulkWrite([upsertRate(req.organization._id, fields, req.user.id)]);
+        const rate = await ExchangeRate.findOne({
+            organization: req.organization._id,
+            currency: fields.currency,
+            baseCurrency: fields.baseCurrency,
+            effectiveDate: fields.effectiveDate
+        }).select('-__v');
+
+        res.status(201).json({
+            success: true,
+            data: rate,
+            message: `Rate for ${fields.currency} saved successfully!`
+        });
+    } catch (err) {
+        handleRateError(err, res, 'saving');
+    }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import rates from a CSV or XLSX file with currency, rate and date
+//          columns (base currency optional). Nothing is saved unless every
+//          row is valid.
+router.post('/import', [auth, requireRole('admin'), uploadSpreadsheet], async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please choose a file to import'
+        });
+    }
+
+    try {
+        let sheet;
+        try {
+            sheet = await readSpreadsheet(req.file);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                message: `Could not read the file: ${err.message}`
+            });
+        }
+
+        const { headers, rows } = sheet;
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The file has no data rows'
+            });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `A single import cannot exceed ${MAX_IMPORT_ROWS} rows`
+            });
+        }
+
+        const checked = rows
+            .map((row, index) => ({ row: index + 2, ...checkRow(headers, row, req.organization.baseCurrency) }))
+            .filter((entry, index) => rows[index].some(cell => cell !== ''));
+        const invalid = checked.filter(entry => entry.error);
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${invalid.length} row(s) have errors. Nothing was imported.`,
+                errors: invalid.map(({ row, error }) => ({ row, msg: `Row ${row}: ${error}` }))
+            });
+        }
+
+        const result = await ExchangeRate.bulkWrite(
+            checked.map(({ fields }) => upsertRate(req.organization._id, fields, req.user.id))
+        );
+
+        res.json({
+            success: true,
+            data: {
+                created: result.upsertedCount,
+                updated: result.modifiedCount
+            },
+            message: `Imported ${checked.length} exchange rate(s)`
+        });
+    } catch (err) {
+        handleRateError(err, res, 'importing');
+    }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete a rate
+router.delete('/:id', [auth, requireRole('admin')], async (req, res) => {
+    try {
+        const rate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, organization: req.organization._id });
+
+        if (!rate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exchange rate not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Exchange rate deleted successfully'
+        });
+    } catch (err) {
+        handleRateError(err, res, 'deleting');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,412 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const AuditLog = require('../models/AuditLog');
+const { createItemValidators, validateFields } = require('../utils/itemValidators');
+const { uploadSpreadsheet, readSpreadsheet } = require('../utils/spreadsheet');
+const { snapshotItem, buildItemChange } = require('../utils/itemAudit');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// item fields a column can be mapped to; inventoryId is the upsert key
+const IMPORT_FIELDS = ['inventoryId', 'barcode', 'productName', 'category', 'supplier', 'warehouse', 'costUnit', 'costCurrency', 'quantity', 'unitOfMeasure', 'trackingMode', 'lowStockThreshold', 'reorderPoint', 'reorderQuantity', 'safetyStock'];
+
+// header spellings recognised when no mapping is sent (compared lowercase, letters and digits only)
+const HEADER_ALIASES = {
+    inventoryid: 'inventoryId', id: 'inventoryId', sku: 'inventoryId',
+    productname: 'productName', product: 'productName', name: 'productName',
+    barcode: 'barcode', ean: 'barcode', upc: 'barcode', gtin: 'barcode',
+    category: 'category',
+    supplier: 'supplier', vendor: 'supplier',
+    warehouse: 'warehouse', warehousecode: 'warehouse', location: 'warehouse',
+    costunit: 'costUnit', cost: 'costUnit', unitcost: 'costUnit', costperunit: 'costUnit', price: 'costUnit',
+    costcurrency: 'costCurrency', currency: 'costCurrency',
+    quantity: 'quantity', qty: 'quantity', onhand: 'quantity',
+    unitofmeasure: 'unitOfMeasure', unit: 'unitOfMeasure', uom: 'unitOfMeasure',
+    trackingmode: 'trackingMode', tracking: 'trackingMode',
+    lowstockthreshold: 'lowStockThreshold', threshold: 'lowStockThreshold',
+    reorderpoint: 'reorderPoint', reorderlevel: 'reorderPoint', rop: 'reorderPoint',
+    reorderquantity: 'reorderQuantity', reorderqty: 'reorderQuantity', orderquantity: 'reorderQuantity',
+    safetystock: 'safetyStock'
+};
+
+// { header: field } guessed from the header names
+const suggestMapping = (headers) => {
+    const mapping = {};
+    const used = new Set();
+    headers.forEach(header => {
+        const field = HEADER_ALIASES[header.toLowerCase().replace(/[^a-z0-9]/g, '')];
+        if (field && !used.has(field)) {
+            mapping[header] = field;
+            used.add(field);
+        }
+    });
+    return mapping;
+};
+
+const mapRow = (headers, row, mapping) => {
+    const values = {};
+    headers.forEach((header, index) => {
+        const field = mapping[header];
+        if (IMPORT_FIELDS.includes(field) && row[index] !== undefined && row[index] !== '') {
+            values[field] = row[index];
+        }
+    });
+    return values;
+};
+
+// name (or code) -> id lookups for the references a row can use
+const loadReferences = async (organization) => {
+    const [categories, suppliers, warehouses] = await Promise.all([
+        Category.find({ organization }).select('name'),
+        Supplier.find({ organization }).select('name'),
+        Warehouse.find({ organization }).select('code name')
+    ]);
+
+    const byName = (docs, keys) => {
+        const map = new Map();
+        docs.forEach(doc => keys.forEach(key => map.set(doc[key].toLowerCase(), doc._id.toString())));
+        return map;
+    };
+
+    return {
+        category: byName(categories, ['name']),
+        supplier: byName(suppliers, ['name']),
+        warehouse: byName(warehouses, ['name', 'code'])
+    };
+};
+
+const REFERENCE_LABELS = { category: 'Category', supplier: 'Supplier', warehouse: 'Warehouse' };
+
+// Validates every row with the same rules as POST /api/items and works out
+// whether it creates a new item or updates the one with the same inventoryId
+const checkRows = async (organization, headers, rows, mapping) => {
+    const references = await loadReferences(organization);
+    const mapped = rows.map(row => mapRow(headers, row, mapping));
+
+    const inventoryIds = mapped.map(values => values.inventoryId).filter(Boolean).map(id => id.toUpperCase());
+    const existing = new Map(
+        (await Inventory.find({ organization, inventoryId: { $in: inventoryIds } })).map(item => [item.inventoryId, item])
+    );
+    // barcodes already taken, by the inventory ID holding them
+    const barcodes = mapped.map(values => values.barcode).filter(Boolean);
+    const barcodeOwners = new Map(
+        (await Inventory.find({ organization, barcode: { $in: barcodes } }).select('barcode inventoryId'))
+            .map(item => [item.barcode, item.inventoryId])
+    );
+
+    const seen = new Set();
+    const seenBarcodes = new Set();
+    const report = [];
+
+    for (const [index, values] of mapped.entries()) {
+        // blank lines are skipped silently
+        if (Object.keys(values).length === 0) continue;
+
+        const errors = [];
+        const inventoryId = values.inventoryId ? values.inventoryId.toUpperCase() : undefined;
+        const current = inventoryId && existing.get(inventoryId);
+
+        if (inventoryId) {
+            if (seen.has(inventoryId)) {
+                errors.push({ field: 'inventoryId', message: 'Inventory ID appears more than once in this file' });
+            }
+            if (current && current.deletedAt) {
+                errors.push({ field: 'inventoryId', message: 'This item is in the trash. Restore it before importing over it.' });
+            }
+            seen.add(inventoryId);
+        }
+
+        if (values.barcode) {
+            if (seenBarcodes.has(values.barcode)) {
+                errors.push({ field: 'barcode', message: 'Barcode appears more than once in this file' });
+            }
+            const owner = barcodeOwners.get(values.barcode);
+            if (owner && owner !== inventoryId) {
+                errors.push({ field: 'barcode', message: `Barcode is already used by ${owner}` });
+            }
+            seenBarcodes.add(values.barcode);
+        }
+
+        // rows updating an item only need the columns that change
+        const body = current ? {
+            productName: current.productName,
+            barcode: current.barcode,
+            category: current.category.toString(),
+            supplier: current.supplier.toString(),
+            warehouse: current.warehouse.toString(),
+            costUnit: String(current.costUnit),
+            costCurrency: current.costCurrency,
+            unitOfMeasure: current.unitOfMeasure,
+            trackingMode: current.trackingMode,
+            lowStockThreshold: String(current.lowStockThreshold),
+            reorderPoint: String(current.reorderPoint),
+            reorderQuantity: String(current.reorderQuantity),
+            safetyStock: String(current.safetyStock)
+        } : {};
+
+        ['productName', 'barcode', 'costUnit', 'quantity', 'lowStockThreshold', 'reorderPoint', 'reorderQuantity', 'safetyStock'].forEach(field => {
+            if (values[field] !== undefined) body[field] = values[field];
+        });
+        // a re-imported export carries the count of tracked stock unchanged
+        if (current && current.trackingMode !== 'none' && parseFloat(body.quantity) === current.quantity) {
+            delete body.quantity;
+        }
+        if (values.unitOfMeasure !== undefined) {
+            body.unitOfMeasure = values.unitOfMeasure.toLowerCase();
+        }
+        if (values.costCurrency !== undefined) {
+            body.costCurrency = values.costCurrency.toUpperCase();
+        }
+        if (values.trackingMode !== undefined) {
+            body.trackingMode = values.trackingMode.toLowerCase();
+            if (current && body.trackingMode !== current.trackingMode && current.quantity !== 0) {
+                errors.push({ field: 'trackingMode', message: 'Tracking can only be changed while the item has no stock' });
+            }
+        }
+        // the file cannot say which lots or serials the stock is in
+        if (body.quantity !== undefined && body.trackingMode && body.trackingMode !== 'none'
+            && parseFloat(body.quantity) !== (current ? current.quantity : 0)) {
+            errors.push({ field: 'quantity', message: 'Stock of lot- and serial-tracked items can only change through stock movements naming the lots' });
+        }
+
+        Object.keys(REFERENCE_LABELS).forEach(field => {
+            if (values[field] === undefined) return;
+            const id = references[field].get(values[field].toLowerCase());
+            if (id) {
+                body[field] = id;
+            } else {
+                delete body[field];
+                errors.push({ field, message: `${REFERENCE_LABELS[field]} "${values[field]}" not found` });
+            }
+        });
+
+        const validationErrors = await validateFields(createItemValidators, body);
+        validationErrors.forEach(err => {
+            if (!errors.some(e => e.field === err.path)) {
+                errors.push({ field: err.path, message: err.msg });
+            }
+        });
+
+        report.push({
+            row: index + 2, // spreadsheet line, counting the header
+            action: errors.length > 0 ? 'error' : current ? 'update' : 'create',
+            inventoryId,
+            productName: body.productName,
+            values,
+            body,
+            errors
+        });
+    }
+
+    return { report, existing };
+};
+
+const summarize = (report) => ({
+    totalRows: report.length,
+    create: report.filter(r => r.action === 'create').length,
+    update: report.filter(r => r.action === 'update').length,
+    invalid: report.filter(r => r.action === 'error').length
+});
+
+// Applies one validated row inside the caller's transaction; quantities
+// always go through the stock ledger and every created or changed item gets
+// an audit entry. scope is { organization, performedBy }.
+const applyRow = async (scope, row, existing, reference, session) => {
+    const { body } = row;
+    const fields = {
+        productName: body.productName,
+        barcode: body.barcode,
+        category: body.category,
+        supplier: body.supplier,
+        warehouse: body.warehouse,
+        costUnit: parseFloat(body.costUnit),
+        costCurrency: body.costCurrency,
+        unitOfMeasure: body.unitOfMeasure,
+        trackingMode: body.trackingMode,
+        lowStockThreshold: body.lowStockThreshold !== undefined ? parseFloat(body.lowStockThreshold) : undefined,
+        reorderPoint: body.reorderPoint !== undefined ? parseFloat(body.reorderPoint) : undefined,
+        reorderQuantity: body.reorderQuantity !== undefined ? parseFloat(body.reorderQuantity) : undefined,
+        safetyStock: body.safetyStock !== undefined ? parseFloat(body.safetyStock) : undefined
+    };
+    const quantity = body.quantity !== undefined ? parseFloat(body.quantity) : undefined;
+
+    if (row.action === 'update') {
+        let item = existing.get(row.inventoryId);
+        const before = snapshotItem(item);
+        item.set({ ...fields, lastUpdated: Date.now() });
+        item = await item.save({ session });
+
+        if (quantity !== undefined) {
+            // the imported quantity is the on-hand count in the item's default warehouse
+            const balances = await StockMovement.getBalances(item._id, { session });
+            const hasHistory = balances.length > 0;
+            const balance = balances.find(b => b.warehouse && b.warehouse.equals(item.warehouse));
+            const onHand = hasHistory ? (balance ? balance.quantity : 0) : item.quantity;
+            const difference = quantity - onHand;
+
+            if (difference !== 0) {
+                ({ item } = await StockMovement.record(item, [{
+                    type: 'adjustment',
+                    reasonCode: 'count-correction',
+                    quantity: difference,
+                    warehouse: item.warehouse,
+                    reference,
+                    note: `Imported count of ${quantity}`
+                }], scope.performedBy, { session }));
+            }
+        }
+        const entry = buildItemChange({ action: 'update', item, before, actor: scope.performedBy, source: 'import' });
+        if (entry) {
+            await AuditLog.create([entry], { session });
+        }
+        return;
+    }
+
+    if (!fields.costCurrency) {
+        // new items are priced in their supplier's currency, like in the item form
+        const supplier = await Supplier.findById(fields.supplier).select('currency').session(session);
+        fields.costCurrency = supplier ? supplier.currency : undefined;
+    }
+
+    let item = await new Inventory({
+        ...fields,
+        inventoryId: row.inventoryId || await Inventory.generateInventoryId(scope.organization),
+        quantity: 0,
+        organization: scope.organization
+    }).save({ session });
+
+    if (quantity > 0) {
+        ({ item } = await StockMovement.record(item, [{
+            type: 'adjustment',
+            reasonCode: 'opening-balance',
+            quantity,
+            warehouse: item.warehouse,
+            reference,
+            note: 'Opening quantity'
+        }], scope.performedBy, { session }));
+    }
+    await AuditLog.create([buildItemChange({ action: 'create', item, actor: scope.performedBy, source: 'import' })], { session });
+};
+
+// @route   POST /api/items/import
+// @desc    Import items from a CSV or XLSX file (multipart field "file").
+//          Body fields: mapping (JSON of header -> item field), dryRun ("false" to commit),
+//          skipInvalid ("true" to import the valid rows when some rows fail)
+router.post('/', [auth, requireRole('editor'), uploadSpreadsheet], async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please choose a CSV or Excel file to import'
+        });
+    }
+
+    let mapping;
+    try {
+        mapping = req.body.mapping ? JSON.parse(req.body.mapping) : null;
+    } catch (err) {
+        return res.status(400).json({
+            success: false,
+            message: 'Column mapping is not valid JSON'
+        });
+    }
+
+    // nothing is written unless the caller explicitly asks for it
+    const dryRun = req.body.dryRun !== 'false';
+    const skipInvalid = req.body.skipInvalid === 'true';
+
+    try {
+        let sheet;
+        try {
+            sheet = await readSpreadsheet(req.file);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                message: `Could not read the file: ${err.message}`
+            });
+        }
+
+        const { headers, rows } = sheet;
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The file has no data rows'
+            });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `A single import cannot exceed ${MAX_IMPORT_ROWS} rows`
+            });
+        }
+
+        const columnMapping = mapping || suggestMapping(headers);
+        const { report, existing } = await checkRows(req.organization._id, headers, rows, columnMapping);
+        const summary = summarize(report);
+        const preview = {
+            headers,
+            mapping: columnMapping,
+            fields: IMPORT_FIELDS,
+            summary,
+            rows: report.map(({ body, ...row }) => row)
+        };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                data: { dryRun: true, ...preview }
+            });
+        }
+
+        if (summary.invalid > 0 && !skipInvalid) {
+            return res.status(400).json({
+                success: false,
+                message: `${summary.invalid} row(s) have errors. Fix them or choose to skip invalid rows.`,
+                data: { dryRun: false, ...preview }
+            });
+        }
+
+        const reference = `Import ${req.file.originalname}`.slice(0, 100);
+        const scope = { organization: req.organization._id, performedBy: req.user.id };
+        const failed = [];
+        let created = 0;
+        let updated = 0;
+
+        // rows are applied one at a time so generated inventory IDs stay
+        // sequential, each in its own transaction so that a failed row
+        // leaves neither a half-saved item nor a stray ledger or audit entry
+        for (const row of report.filter(r => r.action !== 'error')) {
+            try {
+                await Inventory.db.transaction(session => applyRow(scope, row, existing, reference, session));
+                if (row.action === 'create') created++;
+                else updated++;
+            } catch (err) {
+                failed.push({ row: row.row, message: err.message });
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                dryRun: false,
+                summary: { ...summary, created, updated, skipped: summary.invalid, failed: failed.length },
+                failed
+            },
+            message: `Imported ${created + updated} items (${created} new, ${updated} updated)`
+        });
+    } catch (err) {
+        console.error('Import error:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while importing items'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+
+// Invitations as seen by the person invited. Admins create and revoke them
+// through /api/organizations/current/invitations. Invitations go by email
+// address, so only users who confirmed theirs can list, accept or decline
+// them; anyone can register with someone else's address.
+
+const serializeInvitation = (invitation, user) => ({
+    token: invitation.token,
+    organization: invitation.organization,
+    role: invitation.role,
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    forYou: invitation.email === user.email,
+    emailVerified: user.emailVerified
+});
+
+// The open invitation with this token, plus the logged-in user's email
+const findOpenInvitation = async (req) => {
+    const [invitation, user] = await Promise.all([
+        Invitation.findOne({ token: req.params.token })
+            .populate('organization', 'name')
+            .populate('invitedBy', 'username'),
+        User.findById(req.user.id).select('email emailVerified')
+    ]);
+
+    if (!invitation || !invitation.isOpen() || !invitation.organization) {
+        return { user };
+    }
+    return { invitation, user };
+};
+
+const handleInvitationError = (err, res, action) => {
+    console.error(`Error ${action} invitation:`, err.message);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} invitation`
+    });
+};
+
+const invitationNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'This invitation is no longer valid. Ask for a new one.'
+});
+
+const wrongRecipient = (res) => res.status(403).json({
+    success: false,
+    message: 'This invitation was sent to a different email address'
+});
+
+const emailNotVerified = (res) => res.status(403).json({
+    success: false,
+    code: 'email-not-verified',
+    message: 'Confirm your email address before responding to invitations'
+});
+
+// @route   GET /api/invitations
+// @desc    Open invitations addressed to the logged-in user's email
+router.get('/', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('email emailVerified');
+        if (!user.emailVerified) {
+            return emailNotVerified(res);
+        }
+
+        const invitations = await Invitation.find({
+            email: user.email,
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        })
+            .populate('organization', 'name')
+            .populate('invitedBy', 'username')
+            .sort({ createdAt: -1 });
+
+        const data = invitations
+            .filter(invitation => invitation.organization)
+            .map(invitation => serializeInvitation(invitation, user));
+
+        res.json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (err) {
+        handleInvitationError(err, res, 'fetching');
+    }
+});
+
+// @route   GET /api/invitations/:token
+// @desc    Details of one invitation, for the accept page
+router.get('/:token', auth, async (req, res) => {
+    try {
+        const { invitation, user } = await findOpenInvitation(req);
+        if (!invitation) {
+            return invitationNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: serializeInvitation(invitation, user)
+        });
+    } catch (err) {
+        handleInvitationError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/invitations/:token/accept
+// @desc    Join the organization with the invited role
+router.post('/:token/accept', auth, async (req, res) => {
+    try {
+        const { invitation, user } = await findOpenInvitation(req);
+        if (!invitation) {
+            return invitationNotFound(res);
+        }
+        if (invitation.email !== user.email) {
+            return wrongRecipient(res);
+        }
+        if (!user.emailVerified) {
+            return emailNotVerified(res);
+        }
+
+        const organization = await Organization.findById(invitation.organization._id);
+        // someone who already belongs keeps their current role
+        if (!organization.roleOf(user._id)) {
+            organization.members.push({ user: user._id, role: invitation.role });
+            organization.lastUpdated = Date.now();
+            await organization.save();
+        }
+
+        invitation.set({ status: 'accepted', respondedAt: Date.now() });
+        await invitation.save();
+
+        res.json({
+            success: true,
+            data: organization.summaryFor(user._id),
+            message: `You joined ${organization.name}`
+        });
+    } catch (err) {
+        handleInvitationError(err, res, 'accepting');
+    }
+});
+
+// @route   POST /api/invitations/:token/decline
+// @desc    Turn an invitation down
+router.post('/:token/decline', auth, async (req, res) => {
+    try {
+        const { invitation, user } = await findOpenInvitation(req);
+        if (!invitation) {
+            return invitationNotFound(res);
+        }
+        if (invitation.email !== user.email) {
+            return wrongRecipient(res);
+        }
+        if (!user.emailVerified) {
+            return emailNotVerified(res);
+        }
+
+        invitation.set({ status: 'declined', respondedAt: Date.now() });
+        await invitation.save();
+
+        res.json({
+            success: true,
+            message: 'Invitation declined'
+        });
+    } catch (err) {
+        handleInvitationError(err, res, 'declining');
+    }
+});
+
+module.exports = router;
@@ -1,48 +1,140 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
 const { check, validationResult } = require('express-validator');
 const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const Supplier = require('../models/Supplier');
+const Category = require('../models/Category');
+const AuditLog = require('../models/AuditLog');
+const Lot = require('../models/Lot');
+const { DEFAULT_PAGE_SIZE, buildItemFilter, sortStages, projectSortFields, findItemPage } = require('../utils/itemQuery');
+const { createItemValidators, updateItemValidators, listItemValidators } = require('../utils/itemValidators');
+const { parseSearchQuery, buildScopedFilter, rankItems } = require('../utils/itemSearch');
+const { EXPORT_BATCH_SIZE, EXPORT_FORMATS, findInOrder, streamExport } = require('../utils/itemExport');
+const { auditQueryValidators, snapshotItem, buildItemChange, recordItemChange, buildAuditFilter, findAuditPage } = require('../utils/itemAudit');
+const { TRASH_RETENTION_DAYS, purgeDate, purgeItem } = require('../utils/itemTrash');
+const { MAX_BULK_ITEMS, bulkSelectionValidators, bulkUpdateValidators, applyBulkChanges } = require('../utils/itemBulk');
+const { groupBySupplier } = require('../utils/itemReorder');
+const { loadConverter } = require('../utils/currency');
+const { valueInventory, sumBy, sumByWarehouse } = require('../utils/valuation');
+const { CODE_KINDS, IMAGE_FORMATS, renderCode, writeLabelSheet } = require('../utils/barcodes');
 
+// references returned with every item
+const itemPopulate = [
+    { path: 'category', select: 'name color parent' },
+    { path: 'supplier', select: 'name currency defaultLeadTimeDays' },
+    { path: 'warehouse', select: 'code name' },
+    { path: 'locations.warehouse', select: 'code name' }
+];
 
-const generateInventoryId = async (userId) => {
-    try {
-        // Get the highest existing inventory ID for this user
-        const lastItem = await Inventory.findOne({ userId })
-            .sort({ inventoryId: -1 }) // Sort descending
-            .select('inventoryId');
-        
-        let nextNumber = 1;
-        
-        if (lastItem && lastItem.inventoryId) {
-            // Extract the number from the last ID (e.g., "INV-001" -> 1)
-            const match = lastItem.inventoryId.match(/INV-(\d+)/);
-            if (match) {
-                nextNumber = parseInt(match[1], 10) + 1;
-            }
-        }
-        
-        // Format with leading zeros (e.g., 1 -> "001", 25 -> "025")
-        const paddedNumber = nextNumber.toString().padStart(3, '0');
-        return `INV-${paddedNumber}`;
-    } catch (error) {
-        console.error('Error generating inventory ID:', error);
-        // Fallback: use timestamp
-        return `INV-${Date.now().toString().slice(-6)}`;
+const findOwnedWarehouse = (organization, warehouseId) => Warehouse.findOne({ _id: warehouseId, organization });
+const findOwnedSupplier = (organization, supplierId) => Supplier.findOne({ _id: supplierId, organization });
+const findOwnedCategory = (organization, categoryId) => Category.findOne({ _id: categoryId, organization });
+// another item (trashed ones included) already carrying the barcode
+const findBarcodeOwner = (organization, barcode, itemId) => Inventory.findOne({ organization, barcode, _id: { $ne: itemId } }).select('inventoryId');
+
+const barcodeTaken = (res, owner) => res.status(400).json({
+    success: false,
+    message: `Barcode is already used by ${owner.inventoryId}`,
+    field: 'barcode'
+});
+
+// Parses ?q= and ranks the matching items. The dropdown filters and the
+// field:value scopes both narrow the search; hits is null when q has no free text.
+const searchItems = async (organizationId, query) => {
+    const { terms, filters } = parseSearchQuery(query.q);
+
+    const filter = await buildItemFilter(organizationId, { ...query, q: undefined });
+    const scoped = await buildScopedFilter(organizationId, filters);
+    if (scoped.length > 0) {
+        filter.$and = [...(filter.$and || []), ...scoped];
     }
+
+    const hits = terms.length > 0 ? await rankItems(filter, terms) : null;
+    return { filter, terms, filters, hits };
+};
+
+// The items a bulk request points at (by ids or by list filter), limited to
+// the organization and out of the trash. missing lists requested ids that
+// matched nothing; tooMany is set when a filter matches more than one request may touch.
+const selectBulkItems = async (req) => {
+    const organization = req.organization._id;
+
+    if (req.body.ids) {
+        const ids = [...new Set(req.body.ids)];
+        const items = await Inventory.find({ _id: { $in: ids }, organization, deletedAt: null }).sort({ inventoryId: 1 });
+        const missing = ids.filter(id => !items.some(item => item._id.equals(id)));
+        return { items, missing };
+    }
+
+    const { filter, hits } = await searchItems(organization, req.body.filter);
+    const query = hits ? { ...filter, _id: { $in: hits.map(hit => hit._id) } } : filter;
+    const total = await Inventory.countDocuments(query);
+    if (total > MAX_BULK_ITEMS) {
+        return { tooMany: total };
+    }
+    return { items: await Inventory.find(query).sort({ inventoryId: 1 }), missing: [] };
+};
+
+const bulkResult = (item, extra) => ({
+    _id: item._id,
+    inventoryId: item.inventoryId,
+    productName: item.productName,
+    ...extra
+});
+
+// 400 for a selection that cannot be used as a whole, or null when it can
+const rejectSelection = (res, { tooMany, missing }) => {
+    if (tooMany) {
+        return res.status(400).json({
+            success: false,
+            message: `The filter matches ${tooMany} items; bulk changes are limited to ${MAX_BULK_ITEMS} at a time. Narrow the filter first.`
+        });
+    }
+    if (missing.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `No items were changed: ${missing.length} of the selected items no longer exist`,
+            data: { results: missing.map(_id => ({ _id, success: false, message: 'Item not found' })) }
+        });
+    }
+    return null;
 };
 
 // @route   GET /api/items
-// @desc    Get all inventory items for logged-in user
-router.get('/', auth, async (req, res) => {
+// @desc    Get a page of the organization's items, filtered and sorted
+//          ?page=&limit=&sort=-costUnit&q=&category=&stock=&warehouse=&supplier=&minCost=&maxCost=
+router.get('/', [auth, requireRole('viewer'), listItemValidators], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false,
+            errors: errors.array() 
+        });
+    }
+
     try {
-        const items = await Inventory.find({ userId: req.user.id })
-            .sort({ lastUpdated: -1 })
-            .select('-__v');
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+        const filter = await buildItemFilter(req.organization._id, req.query);
+        const { items, total } = await findItemPage(filter, {
+            sort: req.query.sort,
+            page,
+            limit,
+            populate: itemPopulate
+        });
         
         res.json({ 
             success: true,
             count: items.length,
+            total,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
             data: items 
         });
     } catch (err) {
@@ -55,32 +147,72 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   GET /api/items/search
-// @desc    Search inventory items
-router.get('/search', auth, async (req, res) => {
+// @desc    Ranked search, e.g. ?q=supplier:acme "usb hub" cost>100
+//          Accepts the same filters, sort and paging as GET /api/items; without
+//          a sort, results come back by relevance.
+router.get('/search', [
+    auth,
+    requireRole('viewer'),
+    [
+        check('q', 'Search query is required').trim().not().isEmpty(),
+        check('q', 'Search query cannot exceed 200 characters').isLength({ max: 200 }),
+        ...listItemValidators
+    ]
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false,
+            errors: errors.array() 
+        });
+    }
+
     try {
-        const { q } = req.query;
-        
-        if (!q || q.trim() === '') {
-            return res.status(400).json({ 
-                success: false,
-                message: 'Search query is required' 
-            });
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+        const { filter, terms, filters, hits } = await searchItems(req.organization._id, req.query);
+        let items;
+        let total;
+
+        if (hits && !req.query.sort) {
+            // relevance order
+            total = hits.length;
+            const pageHits = hits.slice((page - 1) * limit, page * limit);
+            const found = await Inventory.find({ _id: { $in: pageHits.map(hit => hit._id) } })
+                .populate(itemPopulate)
+                .select('-__v');
+            items = pageHits.map(hit => found.find(item => item._id.equals(hit._id))).filter(Boolean);
+        } else {
+            ({ items, total } = await findItemPage(
+                hits ? { ...filter, _id: { $in: hits.map(hit => hit._id) } } : filter,
+                { sort: req.query.sort, page, limit, populate: itemPopulate }
+            ));
         }
 
-        const items = await Inventory.find({
-            userId: req.user.id,
-            $or: [
-                { productName: { $regex: q, $options: 'i' } },
-                { category: { $regex: q, $options: 'i' } },
-                { supplier: { $regex: q, $options: 'i' } },
-                { inventoryId: { $regex: q, $options: 'i' } }
-            ]
-        }).sort({ lastUpdated: -1 });
+        // words to highlight: what the user typed, the words typos resolved to,
+        // and the values of field:value scopes
+        const data = items.map(item => {
+            const hit = hits && hits.find(h => h._id.equals(item._id));
+            return {
+                ...item.toObject(),
+                score: hit ? hit.score : undefined,
+                matchedTerms: hit ? hit.matchedTerms : []
+            };
+        });
 
         res.json({ 
             success: true,
-            count: items.length,
-            data: items 
+            count: data.length,
+            total,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+            query: { terms, filters },
+            highlight: [
+                ...terms,
+                ...filters.filter(f => typeof f.value === 'string').map(f => f.value)
+            ],
+            data 
         });
     } catch (err) {
         console.error('Search error:', err.message);
@@ -91,14 +223,407 @@ router.get('/search', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/items/export
+// @desc    Download every item matching the list filters, q and sort as
+//          ?format=csv|xlsx|json|pdf. Rows are streamed, not paged.
+router.get('/export', [
+    auth,
+    requireRole('viewer'),
+    [
+        check('format', `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`).isIn(Object.keys(EXPORT_FORMATS)),
+        check('q', 'Search query cannot exceed 200 characters').optional().isLength({ max: 200 }),
+        ...listItemValidators
+    ]
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+            success: false,
+            errors: errors.array() 
+        });
+    }
+
+    try {
+        const { format, sort } = req.query;
+        let filter;
+        let hits = null;
+
+        // with a query, export exactly what the search shows, in the same order
+        if (req.query.q && req.query.q.trim() !== '') {
+            ({ filter, hits } = await searchItems(req.organization._id, req.query));
+        } else {
+            filter = await buildItemFilter(req.organization._id, req.query);
+        }
+
+        const items = hits && !sort
+            ? findInOrder(hits.map(hit => hit._id))
+            : Inventory.aggregate([
+                { $match: hits ? { ...filter, _id: { $in: hits.map(hit => hit._id) } } : filter },
+                ...sortStages(sort),
+                projectSortFields(sort)
+            ]).cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        const filename = `inventory-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        await streamExport(format, res, items, {
+            organization: req.organization,
+            title: `${req.organization.name} Inventory`
+        });
+    } catch (err) {
+        console.error('Export error:', err.message);
+        // once rows have been sent the status can no longer change; cut the download short instead
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({ 
+            success: false,
+            message: 'Server error while exporting items' 
+        });
+    }
+});
+
+// @route   PATCH /api/items/bulk
+// @desc    Change category, warehouse, supplier, low stock threshold and/or cost
+//          of many items at once. Body: { ids | filter, changes }, where cost is
+//          { mode: 'set' | 'percent', value }. All items change or none do: every
+//          item is checked first and the writes run in one transaction.
+router.patch('/bulk', [auth, requireRole('editor'), bulkUpdateValidators], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    const { changes } = req.body;
+
+    try {
+        if (changes.warehouse && !await findOwnedWarehouse(req.organization._id, changes.warehouse)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Warehouse not found',
+                field: 'warehouse'
+            });
+        }
+        if (changes.supplier && !await findOwnedSupplier(req.organization._id, changes.supplier)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier not found',
+                field: 'supplier'
+            });
+        }
+        if (changes.category && !await findOwnedCategory(req.organization._id, changes.category)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category not found',
+                field: 'category'
+            });
+        }
+
+        const selection = await selectBulkItems(req);
+        if (rejectSelection(res, selection)) return;
+        const { items } = selection;
+
+        // apply in memory and validate every item before anything is written
+        const before = new Map(items.map(item => [item._id.toString(), snapshotItem(item)]));
+        const results = items.map(item => {
+            applyBulkChanges(item, changes);
+            const validation = item.validateSync();
+            return validation
+                ? bulkResult(item, { success: false, message: Object.values(validation.errors).map(e => e.message).join(', ') })
+                : bulkResult(item, { success: true });
+        });
+
+        const failed = results.filter(result => !result.success);
+        if (failed.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `No items were changed: ${failed.length} of ${items.length} items cannot take these changes`,
+                data: { results }
+            });
+        }
+
+        await Inventory.db.transaction(async (session) => {
+            for (const item of items) {
+                await item.save({ session });
+            }
+            const entries = items
+                .map(item => buildItemChange({ action: 'update', item, before: before.get(item._id.toString()), actor: req.user.id, source: 'bulk' }))
+                .filter(Boolean);
+            if (entries.length > 0) {
+                await AuditLog.insertMany(entries, { session });
+            }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                updated: items.length,
+                results: items.map(item => bulkResult(item, {
+                    success: true,
+                    costUnit: item.costUnit,
+                    stock: item.stock
+                }))
+            },
+            message: `${items.length} ${items.length === 1 ? 'item' : 'items'} updated`
+        });
+    } catch (err) {
+        console.error('Error bulk updating items:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating items. No items were changed.'
+        });
+    }
+});
+
+// @route   POST /api/items/bulk-delete
+// @desc    Move many items to the trash at once. Body: { ids | filter }.
+//          Runs in one transaction, so either every item moves or none does.
+router.post('/bulk-delete', [auth, requireRole('editor'), bulkSelectionValidators], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const selection = await selectBulkItems(req);
+        if (rejectSelection(res, selection)) return;
+        const { items } = selection;
+
+        const deletedAt = Date.now();
+        await Inventory.db.transaction(async (session) => {
+            for (const item of items) {
+                item.set({ deletedAt, deletedBy: req.user.id });
+                await item.save({ session });
+            }
+            if (items.length > 0) {
+                await AuditLog.insertMany(
+                    items.map(item => buildItemChange({ action: 'trash', item, actor: req.user.id, source: 'bulk' })),
+                    { session }
+                );
+            }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                deleted: items.length,
+                results: items.map(item => bulkResult(item, { success: true }))
+            },
+            message: `${items.length} ${items.length === 1 ? 'item' : 'items'} moved to trash`
+        });
+    } catch (err) {
+        console.error('Error bulk deleting items:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting items. No items were changed.'
+        });
+    }
+});
+
+// @route   POST /api/items/labels
+// @desc    Printable PDF sheet of labels for the items picked by { ids | filter },
+//          with barcodes or, with kind: 'qr', QR codes. Deleted items are skipped.
+router.post('/labels', [
+    auth,
+    requireRole('viewer'),
+    bulkSelectionValidators,
+    check('kind', `Kind must be one of: ${CODE_KINDS.join(', ')}`).optional().isIn(CODE_KINDS)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { items, tooMany } = await selectBulkItems(req);
+        if (tooMany) {
+            return res.status(400).json({
+                success: false,
+                message: `The filter matches ${tooMany} items; labels are limited to ${MAX_BULK_ITEMS} at a time. Narrow the filter first.`
+            });
+        }
+        if (items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'None of the selected items exist any more'
+            });
+        }
+        await Inventory.populate(items, { path: 'warehouse', select: 'code' });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="labels-${new Date().toISOString().slice(0, 10)}.pdf"`);
+        await writeLabelSheet(res, items, {
+            kind: req.body.kind,
+            title: `${req.organization.name} Labels`
+        });
+    } catch (err) {
+        console.error('Label sheet error:', err.message);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while printing labels'
+        });
+    }
+});
+
+// @route   GET /api/items/lookup
+// @desc    Find the item a scanned code belongs to (?code=): its EAN/UPC
+//          barcode, its inventory ID or the serial number of one of its
+//          units. Items in the trash are not found.
+router.get('/lookup', [
+    auth,
+    requireRole('viewer'),
+    check('code', 'Code is required').trim().notEmpty().isLength({ max: 100 })
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { code } = req.query;
+        const serials = await Lot.find({ organization: req.organization._id, kind: 'serial', code: code.toUpperCase() }).distinct('item');
+        const item = await Inventory.findOne({
+            organization: req.organization._id,
+            deletedAt: null,
+            $or: [{ barcode: code }, { inventoryId: code.toUpperCase() }, { _id: { $in: serials } }]
+        }).populate(itemPopulate);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: `No item matches ${code}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: item
+        });
+    } catch (err) {
+        console.error('Error looking up item:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while looking up item'
+        });
+    }
+});
+
+// @route   GET /api/items/trash
+// @desc    Items in the trash, most recently deleted first (?page=&limit=)
+router.get('/trash', [auth, requireRole('viewer'), listItemValidators], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+        const filter = { organization: req.organization._id, deletedAt: { $ne: null } };
+
+        const [items, total] = await Promise.all([
+            Inventory.find(filter)
+                .sort({ deletedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate([...itemPopulate, { path: 'deletedBy', select: 'username' }]),
+            Inventory.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            count: items.length,
+            total,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+            retentionDays: TRASH_RETENTION_DAYS,
+            data: items.map(item => ({ ...item.toObject(), purgeAt: purgeDate(item) }))
+        });
+    } catch (err) {
+        console.error('Error fetching trash:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching trash'
+        });
+    }
+});
+
+// @route   GET /api/items/reorder-suggestions
+// @desc    Items at or below their reorder point, grouped by supplier with a
+//          suggested order quantity each (?supplier=&warehouse=&category=)
+router.get('/reorder-suggestions', [
+    auth,
+    requireRole('viewer'),
+    check('supplier', 'Invalid supplier').optional().isMongoId(),
+    check('warehouse', 'Invalid warehouse').optional().isMongoId(),
+    check('category', 'Invalid category').optional().isMongoId()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const { supplier, warehouse, category } = req.query;
+        const filter = await buildItemFilter(req.organization._id, { supplier, warehouse, category, reorder: 'true' });
+
+        const items = await Inventory.find(filter)
+            .populate([
+                { path: 'supplier', select: 'name contactName email phone currency defaultLeadTimeDays' },
+                { path: 'warehouse', select: 'code name' },
+                { path: 'category', select: 'name color' }
+            ])
+            .lean();
+        const groups = groupBySupplier(items);
+
+        res.json({
+            success: true,
+            count: groups.length,
+            total: items.length,
+            data: groups
+        });
+    } catch (err) {
+        console.error('Error fetching reorder suggestions:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching reorder suggestions'
+        });
+    }
+});
+
 // @route   GET /api/items/:id
 // @desc    Get single inventory item
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [auth, requireRole('viewer')], async (req, res) => {
     try {
         const item = await Inventory.findOne({
             _id: req.params.id,
-            userId: req.user.id
-        });
+            organization: req.organization._id,
+            deletedAt: null
+        }).populate(itemPopulate);
 
         if (!item) {
             return res.status(404).json({ 
@@ -120,18 +645,100 @@ router.get('/:id', auth, async (req, res) => {
     }
 });
 
-// @route   POST /api/items
-// @desc    Create a new inventory item
-router.post('/', [
+// @route   GET /api/items/:id/history
+// @desc    Audit trail of one item, newest first (?page=&limit=). Deleted items
+//          keep their history, so this does not require the item to exist.
+router.get('/:id/history', [
     auth,
-    [
-        check('productName', 'Product name is required').not().isEmpty(),
-        check('category', 'Category is required').not().isEmpty(),
-        check('supplier', 'Supplier is required').not().isEmpty(),
-        check('costUnit', 'Cost per unit must be a positive number').isFloat({ min: 0 }),
-        check('warehouse', 'Warehouse is required').not().isEmpty()
-    ]
+    requireRole('viewer'),
+    check('id', 'Invalid item ID').isMongoId(),
+    auditQueryValidators
 ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+        const filter = buildAuditFilter(req.organization._id, { ...req.query, entityType: 'item', entity: req.params.id });
+        const { entries, total } = await findAuditPage(req.organization._id, filter, { page, limit });
+
+        res.json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+            data: entries
+        });
+    } catch (err) {
+        console.error('Error fetching item history:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching item history'
+        });
+    }
+});
+
+// @route   GET /api/items/:id/barcode
+// @desc    The item's barcode (?kind=barcode, the default) or QR code
+//          (?kind=qr) as an image, ?format=svg (default) or png
+router.get('/:id/barcode', [
+    auth,
+    requireRole('viewer'),
+    check('kind', `Kind must be one of: ${CODE_KINDS.join(', ')}`).optional().isIn(CODE_KINDS),
+    check('format', `Format must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`).optional().isIn(Object.keys(IMAGE_FORMATS))
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const item = await Inventory.findOne({ _id: req.params.id, organization: req.organization._id, deletedAt: null })
+            .select('inventoryId barcode');
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        const { kind = 'barcode', format = 'svg' } = req.query;
+        res.setHeader('Content-Type', IMAGE_FORMATS[format]);
+        res.setHeader('Content-Disposition', `inline; filename="${item.inventoryId}-${kind}.${format}"`);
+        res.send(await renderCode(item, { kind, format }));
+    } catch (err) {
+        console.error('Barcode error:', err.message);
+
+        if (err.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while drawing barcode'
+        });
+    }
+});
+
+// @route   POST /api/items
+// @desc    Create a new inventory item
+router.post('/', [auth, requireRole('editor'), createItemValidators], async (req, res) => {
     // Validate request
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -141,25 +748,83 @@ router.post('/', [
         });
     }
 
-    const { productName, category, supplier, stock, costUnit, warehouse } = req.body;
+    const { productName, barcode, category, supplier, costUnit, costCurrency, quantity, unitOfMeasure, trackingMode, lowStockThreshold, reorderPoint, reorderQuantity, safetyStock, warehouse } = req.body;
 
     try {
-        // Generate inventory ID
-        const inventoryId = await generateInventoryId(req.user.id);
-        
-        // Create new item
-        const newItem = new Inventory({
-            inventoryId,
-            productName,
-            category,
-            supplier,
-            stock: stock || 'In stock',
-            costUnit: parseFloat(costUnit),
-            warehouse: warehouse.toUpperCase(),
-            userId: req.user.id
-        });
-
-        const item = await newItem.save();
+        if (!await findOwnedWarehouse(req.organization._id, warehouse)) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Warehouse not found',
+                field: 'warehouse'
+            });
+        }
+
+        const supplierDoc = await findOwnedSupplier(req.organization._id, supplier);
+        if (!supplierDoc) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Supplier not found',
+                field: 'supplier'
+            });
+        }
+
+        if (!await findOwnedCategory(req.organization._id, category)) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Category not found',
+                field: 'category'
+            });
+        }
+
+        const barcodeOwner = barcode && await findBarcodeOwner(req.organization._id, barcode.trim());
+        if (barcodeOwner) {
+            return barcodeTaken(res, barcodeOwner);
+        }
+
+        // the item, its opening quantity and its audit entry are saved
+        // together, so a failure leaves none of them behind
+        const openingQuantity = quantity !== undefined ? parseFloat(quantity) : 0;
+        let item;
+        await Inventory.db.transaction(async (session) => {
+            // Generate inventory ID
+            const inventoryId = await Inventory.generateInventoryId(req.organization._id);
+
+            // Create new item
+            item = await new Inventory({
+                inventoryId,
+                barcode,
+                productName,
+                category,
+                supplier,
+                costUnit: parseFloat(costUnit),
+                // priced in the supplier's currency unless told otherwise
+                costCurrency: costCurrency || supplierDoc.currency,
+                quantity: 0,
+                unitOfMeasure,
+                trackingMode,
+                lowStockThreshold: lowStockThreshold !== undefined ? parseFloat(lowStockThreshold) : undefined,
+                reorderPoint: reorderPoint !== undefined ? parseFloat(reorderPoint) : undefined,
+                reorderQuantity: reorderQuantity !== undefined ? parseFloat(reorderQuantity) : undefined,
+                safetyStock: safetyStock !== undefined ? parseFloat(safetyStock) : undefined,
+                warehouse,
+                organization: req.organization._id
+            }).save({ session });
+
+            // the opening quantity goes through the stock ledger like any other change
+            if (openingQuantity > 0) {
+                ({ item } = await StockMovement.record(item, [{
+                    type: 'adjustment',
+                    reasonCode: 'opening-balance',
+                    quantity: openingQuantity,
+                    warehouse: item.warehouse,
+                    note: 'Opening quantity'
+                }], req.user.id, { session }));
+            }
+
+            await AuditLog.create([buildItemChange({ action: 'create', item, actor: req.user.id })], { session });
+        });
+
+        await item.populate(itemPopulate);
         
         res.status(201).json({ 
             success: true,
@@ -185,16 +850,7 @@ router.post('/', [
 
 // @route   PUT /api/items/:id
 // @desc    Update an inventory item
-router.put('/:id', [
-    auth,
-    [
-        check('productName', 'Product name is required').optional().not().isEmpty(),
-        check('category', 'Category is required').optional().not().isEmpty(),
-        check('supplier', 'Supplier is required').optional().not().isEmpty(),
-        check('costUnit', 'Cost must be a positive number').optional().isFloat({ min: 0 }),
-        check('warehouse', 'Warehouse is required').optional().not().isEmpty()
-    ]
-], async (req, res) => {
+router.put('/:id', [auth, requireRole('editor'), updateItemValidators], async (req, res) => {
     // validate request
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -205,8 +861,8 @@ router.put('/:id', [
     }
 
     try {
-        // find item and check ownership
-        let item = await Inventory.findById(req.params.id);
+        // items outside the organization or in the trash are reported as missing
+        const item = await Inventory.findOne({ _id: req.params.id, organization: req.organization._id, deletedAt: null });
         
         if (!item) {
             return res.status(404).json({ 
@@ -215,30 +871,60 @@ router.put('/:id', [
             });
         }
 
-        // check if user owns the item
-        if (item.userId.toString() !== req.user.id) {
-            return res.status(403).json({ 
+        // prepare update data (quantity and stock status come from the stock ledger, never from the body)
+        const editableFields = ['productName', 'barcode', 'category', 'supplier', 'costUnit', 'costCurrency', 'unitOfMeasure', 'trackingMode', 'lowStockThreshold', 'reorderPoint', 'reorderQuantity', 'safetyStock', 'warehouse'];
+        const updateData = {};
+        editableFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                updateData[field] = req.body[field];
+            }
+        });
+        if (updateData.warehouse && !await findOwnedWarehouse(req.organization._id, updateData.warehouse)) {
+            return res.status(400).json({ 
                 success: false,
-                message: 'Not authorized to update this item' 
+                message: 'Warehouse not found',
+                field: 'warehouse'
             });
         }
-
-        // prepare update data
-        const updateData = { ...req.body };
-        if (updateData.warehouse) {
-            updateData.warehouse = updateData.warehouse.toUpperCase();
+        if (updateData.supplier && !await findOwnedSupplier(req.organization._id, updateData.supplier)) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Supplier not found',
+                field: 'supplier'
+            });
+        }
+        if (updateData.category && !await findOwnedCategory(req.organization._id, updateData.category)) {
+            return res.status(400).json({ 
+                success: false,
+                message: 'Category not found',
+                field: 'category'
+            });
+        }
+        // stock already on hand has no lots or serials to carry over
+        if (updateData.trackingMode && updateData.trackingMode !== item.trackingMode && item.quantity !== 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tracking can only be changed while the item has no stock',
+                field: 'trackingMode'
+            });
         }
-        if (updateData.costUnit) {
-            updateData.costUnit = parseFloat(updateData.costUnit);
+        const barcodeOwner = updateData.barcode && await findBarcodeOwner(req.organization._id, String(updateData.barcode).trim(), item._id);
+        if (barcodeOwner) {
+            return barcodeTaken(res, barcodeOwner);
         }
+        ['costUnit', 'lowStockThreshold', 'reorderPoint', 'reorderQuantity', 'safetyStock'].forEach(field => {
+            if (updateData[field] !== undefined) {
+                updateData[field] = parseFloat(updateData[field]);
+            }
+        });
         updateData.lastUpdated = Date.now();
 
-        // update item
-        item = await Inventory.findByIdAndUpdate(
-            req.params.id,
-            { $set: updateData },
-            { new: true, runValidators: true }
-        );
+        // update item through save() so the stock status is recomputed
+        const before = snapshotItem(item);
+        item.set(updateData);
+        await item.save();
+        await recordItemChange({ action: 'update', item, before, actor: req.user.id });
+        await item.populate(itemPopulate);
 
         res.json({ 
             success: true,
@@ -263,13 +949,10 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/items/:id
-// @desc    Delete an inventory item
-router.delete('/:id', auth, async (req, res) => {
+// @desc    Move an inventory item to the trash. It can be restored until the
+//          retention window runs out, then it is purged. Its stock ledger is kept.
+router.delete('/:id', [auth, requireRole('editor')], async (req, res) => {
     try {
-        console.log('🗑️ Delete request for item ID:', req.params.id);
-        console.log('Request method:', req.method);
-        console.log('Request headers:', req.headers);
-        
         // check if ID is provided
         if (!req.params.id || req.params.id === 'undefined') {
             return res.status(400).json({ 
@@ -278,38 +961,27 @@ router.delete('/:id', auth, async (req, res) => {
             });
         }
 
-        // find item
-        const item = await Inventory.findById(req.params.id);
+        // find item within the organization
+        const item = await Inventory.findOne({ _id: req.params.id, organization: req.organization._id, deletedAt: null });
         
         if (!item) {
-            console.log('❌ Item not found with ID:', req.params.id);
             return res.status(404).json({ 
                 success: false,
                 message: 'Item not found' 
             });
         }
 
-        // check if user owns the item
-        if (item.userId.toString() !== req.user.id) {
-            console.log('❌ Authorization failed:');
-            console.log('   Item userId:', item.userId.toString());
-            console.log('   Request userId:', req.user.id);
-            return res.status(403).json({ 
-                success: false,
-                message: 'Not authorized to delete this item' 
-            });
-        }
-
-        // delete item
-        await Inventory.findByIdAndDelete(req.params.id);
-        console.log('✅ Item deleted successfully:', item.inventoryId);
+        item.set({ deletedAt: Date.now(), deletedBy: req.user.id });
+        await item.save();
+        await recordItemChange({ action: 'trash', item, actor: req.user.id });
 
         res.json({ 
             success: true,
-            message: 'Item deleted successfully!' 
+            data: { _id: item._id, deletedAt: item.deletedAt, purgeAt: purgeDate(item) },
+            message: 'Item moved to trash' 
         });
     } catch (err) {
-        console.error('❌ Error deleting item:', err.message);
+        console.error('Error deleting item:', err.message);
         
         // handle invalid ID format
         if (err.name === 'CastError') {
@@ -326,43 +998,176 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
-// @route   GET /api/items/stats/summary
-// @desc    Get inventory statistics
-router.get('/stats/summary', auth, async (req, res) => {
+// @route   POST /api/items/:id/restore
+// @desc    Take an item out of the trash
+router.post('/:id/restore', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const item = await Inventory.findOne({
+            _id: req.params.id,
+            organization: req.organization._id,
+            deletedAt: { $ne: null }
+        });
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found in the trash'
+            });
+        }
+
+        item.set({ deletedAt: null, deletedBy: undefined, lastUpdated: Date.now() });
+        await item.save();
+        await recordItemChange({ action: 'restore', item, actor: req.user.id });
+        await item.populate(itemPopulate);
+
+        res.json({
+            success: true,
+            data: item,
+            message: `${item.inventoryId} restored`
+        });
+    } catch (err) {
+        console.error('Error restoring item:', err.message);
+
+        if (err.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while restoring item'
+        });
+    }
+});
+
+// @route   DELETE /api/items/:id/permanent
+// @desc    Delete an item in the trash for good. Its stock ledger is kept for
+//          past valuations.
+router.delete('/:id/permanent', [auth, requireRole('admin')], async (req, res) => {
     try {
-        const totalItems = await Inventory.countDocuments({ userId: req.user.id });
-        const inStockItems = await Inventory.countDocuments({ 
-            userId: req.user.id, 
-            stock: 'In stock' 
+        const item = await Inventory.findOne({
+            _id: req.params.id,
+            organization: req.organization._id,
+            deletedAt: { $ne: null }
+        });
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found in the trash'
+            });
+        }
+
+        await purgeItem(item, { actor: req.user.id });
+
+        res.json({
+            success: true,
+            message: 'Item deleted permanently'
         });
-        const outOfStockItems = await Inventory.countDocuments({ 
-            userId: req.user.id, 
-            stock: 'Out of stock' 
+    } catch (err) {
+        console.error('Error permanently deleting item:', err.message);
+
+        if (err.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting item'
         });
-        
-        const totalValue = await Inventory.aggregate([
-            { $match: { userId: req.user.id, stock: 'In stock' } },
-            { $group: { _id: null, total: { $sum: '$costUnit' } } }
-        ]);
+    }
+});
+
+// @route   GET /api/items/stats/summary
+// @desc    Get inventory statistics (items in the trash are left out). Values
+//          come from the stock ledger costed with the organization's costing
+//          method in the base currency, as in /api/reports/valuation and the
+//          item exports.
+router.get('/stats/summary', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        // the organization document already holds a real ObjectId, which aggregate() needs
+        const organization = req.organization._id;
+        const converter = await loadConverter(organization, req.organization.baseCurrency);
+
+        const counts = (group, quantity) => [
+            { $group: { _id: group, count: { $sum: 1 }, totalUnits: { $sum: quantity } } }
+        ];
 
-        const categoryStats = await Inventory.aggregate([
-            { $match: { userId: req.user.id } },
-            { $group: { 
-                _id: '$category', 
-                count: { $sum: 1 },
-                totalValue: { $sum: '$costUnit' }
-            }},
-            { $sort: { count: -1 } }
+        const [statusCounts, needsReorderItems, totals, categoryStats, warehouseStats, valued] = await Promise.all([
+            Inventory.aggregate([
+                { $match: { organization, deletedAt: null } },
+                { $group: { _id: '$stock', count: { $sum: 1 } } }
+            ]),
+            Inventory.countDocuments({ organization, deletedAt: null, needsReorder: true }),
+            Inventory.aggregate([
+                { $match: { organization, deletedAt: null } },
+                ...counts(null, '$quantity')
+            ]),
+            Inventory.aggregate([
+                { $match: { organization, deletedAt: null } },
+                ...counts('$category', '$quantity'),
+                { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+                { $unwind: '$category' },
+                { $project: {
+                    count: 1,
+                    totalUnits: 1,
+                    name: '$category.name',
+                    color: '$category.color'
+                }},
+                { $sort: { count: -1 } }
+            ]),
+            Inventory.aggregate([
+                { $match: { organization, deletedAt: null } },
+                { $unwind: '$locations' },
+                ...counts('$locations.warehouse', '$locations.quantity'),
+                { $lookup: { from: 'warehouses', localField: '_id', foreignField: '_id', as: 'warehouse' } },
+                { $unwind: '$warehouse' },
+                { $project: {
+                    count: 1,
+                    totalUnits: 1,
+                    code: '$warehouse.code',
+                    name: '$warehouse.name',
+                    capacity: '$warehouse.capacity'
+                }},
+                { $sort: { code: 1 } }
+            ]),
+            valueInventory(organization, { method: req.organization.costingMethod, converter })
         ]);
 
+        const valueByCategory = sumBy(valued, item => item.category && item.category.toString());
+        const valueByWarehouse = sumByWarehouse(valued);
+        const withValue = (values) => (stat) => ({
+            ...stat,
+            totalValue: values[stat._id] ? values[stat._id].value : 0
+        });
+
+        const countFor = (status) => {
+            const entry = statusCounts.find(s => s._id === status);
+            return entry ? entry.count : 0;
+        };
+        const summary = totals[0] || { count: 0, totalUnits: 0 };
+        const totalValue = Math.round(valued.reduce((sum, item) => sum + item.valuation.value, 0) * 100) / 100;
+
         res.json({ 
             success: true,
             data: {
-                totalItems,
-                inStockItems,
-                outOfStockItems,
-                totalValue: totalValue.length > 0 ? totalValue[0].total : 0,
-                categoryStats
+                totalItems: summary.count,
+                totalUnits: summary.totalUnits,
+                inStockItems: countFor('In stock'),
+                lowStockItems: countFor('Low stock'),
+                outOfStockItems: countFor('Out of stock'),
+                needsReorderItems,
+                totalValue,
+                baseCurrency: converter.baseCurrency,
+                categoryStats: categoryStats.map(withValue(valueByCategory)),
+                warehouseStats: warehouseStats.map(withValue(valueByWarehouse)),
+                // currencies valued unconverted because they have no rate
+                missingRates: [...converter.missing].sort()
             }
         });
     } catch (err) {
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const Inventory = require('../models/Inventory');
+const Lot = require('../models/Lot');
+
+// Mounted at /api/items/:id/lots. Lots are created by the stock movements
+// that receive them (see utils/lotTracking.js); only their expiry date is
+// edited here.
+
+const findOwnedItem = (req) => Inventory.findOne({
+    _id: req.params.id,
+    organization: req.organization._id,
+    deletedAt: null
+});
+
+const handleLotError = (err, res, action) => {
+    console.error(`Error ${action} lots:`, err.message);
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid item or lot ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} lots`
+    });
+};
+
+// @route   GET /api/items/:id/lots
+// @desc    The item's lots or serials, soonest to expire first (?inStock=true
+//          leaves out the ones with no stock left)
+router.get('/', [
+    auth,
+    requireRole('viewer'),
+    check('inStock', 'inStock must be true or false').optional().isBoolean()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const item = await findOwnedItem(req);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        const filter = { item: item._id };
+        if (req.query.inStock === 'true') {
+            filter.quantity = { $gt: 0 };
+        }
+
+        const lots = await Lot.find(filter)
+            .populate('locations.warehouse', 'code name')
+            .sort({ expiryDate: 1, code: 1 })
+            .select('-__v')
+            .lean();
+
+        // lots without an expiry date go last
+        lots.sort((a, b) => (a.expiryDate ? 0 : 1) - (b.expiryDate ? 0 : 1));
+
+        res.json({
+            success: true,
+            count: lots.length,
+            trackingMode: item.trackingMode,
+            data: lots
+        });
+    } catch (err) {
+        handleLotError(err, res, 'fetching');
+    }
+});
+
+// @route   PUT /api/items/:id/lots/:lotId
+// @desc    Correct a lot's expiry date. Left out of the body it stays as it
+//          is; an explicit null clears it.
+router.put('/:lotId', [
+    auth,
+    requireRole('editor'),
+    check('expiryDate', 'Expiry date must be a valid date').optional({ values: 'null' }).isISO8601()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const item = await findOwnedItem(req);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        const lot = await Lot.findOne({ _id: req.params.lotId, item: item._id });
+        if (!lot) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lot not found'
+            });
+        }
+
+        if (req.body.expiryDate !== undefined) {
+            lot.expiryDate = req.body.expiryDate === null ? undefined : new Date(req.body.expiryDate);
+        }
+        lot.lastUpdated = Date.now();
+        await lot.save();
+        await lot.populate('locations.warehouse', 'code name');
+
+        res.json({
+            success: true,
+            data: lot,
+            message: `${lot.kind === 'serial' ? 'Serial number' : 'Lot'} ${lot.code} updated successfully!`
+        });
+    } catch (err) {
+        handleLotError(err, res, 'updating');
+    }
+});
+
+module.exports = router;
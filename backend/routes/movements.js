@@ -0,0 +1,334 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const SalesOrder = require('../models/SalesOrder');
+const { isTracked, incomingParts, outgoingParts, splitEntry, trackingFrom } = require('../utils/lotTracking');
+
+// Mounted at /api/items/:id/movements
+
+const findOwnedItem = (req, { session = null } = {}) => Inventory.findOne({
+    _id: req.params.id,
+    organization: req.organization._id,
+    deletedAt: null
+}).session(session);
+
+const getBalances = (item, { session = null } = {}) => StockMovement.getItemBalances(item, { session });
+
+// Available quantity of an item in one warehouse
+const availableIn = (balances, warehouseId) => {
+    const balance = balances.find(b => b.warehouse.toString() === warehouseId.toString());
+    return balance ? balance.quantity : 0;
+};
+
+// Stock in one warehouse that open sales orders have not reserved
+const unreservedIn = async (item, balances, warehouseId, { session = null } = {}) => {
+    const reserved = await SalesOrder.getAllocations([item._id], { warehouse: warehouseId, session });
+    return availableIn(balances, warehouseId) - (reserved[item._id.toString()] || 0);
+};
+
+// The requested warehouse (or the item's default one), if it belongs to the organization
+const resolveWarehouse = (req, item, warehouseId) => Warehouse.findOne({
+    _id: warehouseId || item.warehouse,
+    organization: req.organization._id
+});
+
+// The entry as ledger rows: one row, or for lot- and serial-tracked items one
+// row per lot or serial named in the body. direction is 1 in, -1 out.
+const trackedEntries = async (req, item, entry, warehouse, direction, session) => {
+    if (!isTracked(item)) return { entries: [entry] };
+
+    const quantity = Math.abs(entry.quantity);
+    const result = direction > 0
+        ? await incomingParts(item, quantity, trackingFrom(req.body), { session })
+        : await outgoingParts(item, warehouse, quantity, trackingFrom(req.body), { session });
+    if (result.error) return result;
+
+    return { entries: splitEntry(entry, result.parts, direction) };
+};
+
+// Thrown inside the transaction to give up on a movement and answer with status
+const rejectMovement = (status, message) => Object.assign(new Error(message), { rejectedStatus: status });
+
+// Shared handler for the POST routes: validate, load the item, let the caller
+// build the ledger rows, then write them and return the refreshed item. The
+// stock checks and the writes share one transaction: when two movements of
+// the same item race, both update the item, one of them conflicts and is run
+// again, and its checks then see the other's rows.
+const recordMovement = (buildEntries, successMessage) => async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        let recorded;
+        await StockMovement.db.transaction(async (session) => {
+            const item = await findOwnedItem(req, { session });
+            if (!item) throw rejectMovement(404, 'Item not found');
+
+            const balances = await getBalances(item, { session });
+            const result = await buildEntries(req, item, balances, session);
+            // throwing also rolls back lots created for the entry
+            if (result.error) throw rejectMovement(400, result.error);
+
+            recorded = await StockMovement.record(item, result.entries, req.user.id, { session });
+        });
+
+        const { item: updatedItem, movements } = recorded;
+        await updatedItem.populate(['warehouse', 'locations.warehouse']);
+
+        res.status(201).json({
+            success: true,
+            data: { item: updatedItem, movements },
+            message: successMessage
+        });
+    } catch (err) {
+        if (err.rejectedStatus) {
+            return res.status(err.rejectedStatus).json({
+                success: false,
+                message: err.message
+            });
+        }
+
+        console.error('Error recording stock movement:', err.message);
+
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(err.errors).map(e => e.message).join(', ')
+            });
+        }
+
+        if (err.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording stock movement'
+        });
+    }
+};
+
+// lots or serials, required for tracked items (see utils/lotTracking.js)
+const trackingFields = [
+    check('lots', 'Lots must be a list of up to 500 lots').optional().isArray({ min: 1, max: 500 }),
+    check('serials', 'Serials must be a list of up to 1000 serial numbers').optional().isArray({ min: 1, max: 1000 }),
+    check('expiryDate', 'Expiry date must be a valid date').optional({ values: 'falsy' }).isISO8601()
+];
+
+const optionalFields = [
+    ...trackingFields,
+    check('warehouse', 'A valid warehouse is required').optional().isMongoId(),
+    check('reference', 'Reference cannot exceed 100 characters').optional().isLength({ max: 100 }),
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })
+];
+
+// @route   GET /api/items/:id/movements
+// @desc    Get the stock movement history of an item
+router.get('/', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const item = await findOwnedItem(req);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const [movements, balances] = await Promise.all([
+            StockMovement.find({ item: item._id })
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .populate('performedBy', 'username email')
+                .populate('warehouse counterpartWarehouse', 'code name')
+                .populate('lot', 'code kind expiryDate')
+                .select('-__v'),
+            getBalances(item)
+        ]);
+
+        const warehouses = await Warehouse.find({ _id: { $in: balances.map(b => b.warehouse) } }).select('code name');
+
+        res.json({
+            success: true,
+            count: movements.length,
+            data: {
+                quantity: item.quantity,
+                balances: balances.map(b => ({
+                    warehouse: warehouses.find(w => w._id.equals(b.warehouse)) || b.warehouse,
+                    quantity: b.quantity
+                })),
+                movements
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching stock movements:', err.message);
+
+        if (err.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item ID format'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching stock movements'
+        });
+    }
+});
+
+const warehouseNotFound = { error: 'Warehouse not found' };
+
+// @route   POST /api/items/:id/movements/receive
+// @desc    Receive stock into a warehouse. Lot- and serial-tracked items also
+//          give lots or serials, which the movements below take from stock.
+router.post('/receive', [
+    auth,
+    requireRole('editor'),
+    [
+        check('quantity', 'Quantity must be greater than zero').isFloat({ gt: 0 }),
+        check('unitCost', 'Unit cost must be zero or more').optional({ values: 'null' }).isFloat({ min: 0 }),
+        ...optionalFields
+    ]
+], recordMovement(async (req, item, balances, session) => {
+    const warehouse = await resolveWarehouse(req, item, req.body.warehouse);
+    if (!warehouse) return warehouseNotFound;
+
+    return trackedEntries(req, item, {
+        type: 'receipt',
+        quantity: parseFloat(req.body.quantity),
+        // what this delivery cost; the item's cost per unit when left out
+        unitCost: req.body.unitCost !== undefined && req.body.unitCost !== null ? parseFloat(req.body.unitCost) : undefined,
+        warehouse: warehouse._id,
+        reference: req.body.reference,
+        note: req.body.note
+    }, warehouse, 1, session);
+}, 'Stock received successfully!'));
+
+// @route   POST /api/items/:id/movements/issue
+// @desc    Issue stock out of a warehouse
+router.post('/issue', [
+    auth,
+    requireRole('editor'),
+    [
+        check('quantity', 'Quantity must be greater than zero').isFloat({ gt: 0 }),
+        ...optionalFields
+    ]
+], recordMovement(async (req, item, balances, session) => {
+    const warehouse = await resolveWarehouse(req, item, req.body.warehouse);
+    if (!warehouse) return warehouseNotFound;
+
+    const quantity = parseFloat(req.body.quantity);
+    const available = await unreservedIn(item, balances, warehouse._id, { session });
+
+    if (quantity > available) {
+        return { error: `Insufficient stock in ${warehouse.code}: ${Math.max(available, 0)} available after sales order reservations` };
+    }
+
+    return trackedEntries(req, item, {
+        type: 'issue',
+        quantity: -quantity,
+        warehouse: warehouse._id,
+        reference: req.body.reference,
+        note: req.body.note
+    }, warehouse, -1, session);
+}, 'Stock issued successfully!'));
+
+// @route   POST /api/items/:id/movements/adjust
+// @desc    Adjust stock up or down with a reason code
+router.post('/adjust', [
+    auth,
+    requireRole('editor'),
+    [
+        check('quantity', 'Adjustment quantity must be a number').isFloat(),
+        check('reasonCode', 'A valid reason code is required').isIn(StockMovement.ADJUSTMENT_REASONS),
+        ...optionalFields
+    ]
+], recordMovement(async (req, item, balances, session) => {
+    const quantity = parseFloat(req.body.quantity);
+    if (quantity === 0) {
+        return { error: 'Adjustment quantity cannot be zero' };
+    }
+
+    const warehouse = await resolveWarehouse(req, item, req.body.warehouse);
+    if (!warehouse) return warehouseNotFound;
+
+    // like an issue, an adjustment down cannot take stock sales orders reserved
+    if (quantity < 0) {
+        const available = await unreservedIn(item, balances, warehouse._id, { session });
+        if (-quantity > available) {
+            return { error: `Adjustment would take reserved or missing stock in ${warehouse.code}: ${Math.max(available, 0)} available after sales order reservations` };
+        }
+    }
+
+    return trackedEntries(req, item, {
+        type: 'adjustment',
+        quantity,
+        warehouse: warehouse._id,
+        reasonCode: req.body.reasonCode,
+        reference: req.body.reference,
+        note: req.body.note
+    }, warehouse, Math.sign(quantity), session);
+}, 'Stock adjusted successfully!'));
+
+// @route   POST /api/items/:id/movements/transfer
+// @desc    Move stock from one warehouse to another
+router.post('/transfer', [
+    auth,
+    requireRole('editor'),
+    [
+        check('quantity', 'Quantity must be greater than zero').isFloat({ gt: 0 }),
+        check('toWarehouse', 'A valid destination warehouse is required').isMongoId(),
+        check('fromWarehouse', 'A valid source warehouse is required').optional().isMongoId(),
+        ...trackingFields,
+        check('reference', 'Reference cannot exceed 100 characters').optional().isLength({ max: 100 }),
+        check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })
+    ]
+], recordMovement(async (req, item, balances, session) => {
+    const [fromWarehouse, toWarehouse] = await Promise.all([
+        resolveWarehouse(req, item, req.body.fromWarehouse),
+        resolveWarehouse(req, item, req.body.toWarehouse)
+    ]);
+    if (!fromWarehouse || !toWarehouse) return warehouseNotFound;
+
+    if (fromWarehouse._id.equals(toWarehouse._id)) {
+        return { error: 'Source and destination warehouses must be different' };
+    }
+
+    const quantity = parseFloat(req.body.quantity);
+    const available = await unreservedIn(item, balances, fromWarehouse._id, { session });
+    if (quantity > available) {
+        return { error: `Insufficient stock in ${fromWarehouse.code}: ${Math.max(available, 0)} available after sales order reservations` };
+    }
+
+    const transferId = new mongoose.Types.ObjectId();
+    const common = { type: 'transfer', transferId, reference: req.body.reference, note: req.body.note };
+    const out = { ...common, quantity: -quantity, warehouse: fromWarehouse._id, counterpartWarehouse: toWarehouse._id };
+    const into = { ...common, quantity, warehouse: toWarehouse._id, counterpartWarehouse: fromWarehouse._id };
+
+    if (!isTracked(item)) {
+        return { entries: [out, into] };
+    }
+
+    // the same lots or serials leave one warehouse and arrive in the other
+    const result = await outgoingParts(item, fromWarehouse, quantity, trackingFrom(req.body), { session });
+    if (result.error) return result;
+
+    return { entries: [...splitEntry(out, result.parts, -1), ...splitEntry(into, result.parts, 1)] };
+}, 'Stock transferred successfully!'));
+
+module.exports = router;
@@ -0,0 +1,438 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { sendMail } = require('../utils/mailer');
+const { invitationEmail } = require('../utils/emails');
+
+// Routes under /current act on the organization picked by the
+// x-organization-id header, like every other inventory route.
+//
+// Roles: viewers read, editors also change inventory data, admins also manage
+// members and invitations, owners also rename the organization and manage owners.
+
+const nameValidator = check('name')
+    .trim()
+    .not().isEmpty().withMessage('Organization name is required')
+    .isLength({ max: 100 }).withMessage('Organization name cannot exceed 100 characters');
+
+const invitationLink = (invitation) => `/invitations/${invitation.token}`;
+
+const serializeInvitation = (invitation) => ({
+    _id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    status: invitation.status,
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt,
+    link: invitationLink(invitation)
+});
+
+// Why the acting user may not give member newRole (or remove them when
+// newRole is null), or null when the change is allowed
+const memberChangeError = (req, member, newRole) => {
+    const actorIsOwner = req.role === 'owner';
+
+    if (!actorIsOwner && (member.role === 'owner' || newRole === 'owner')) {
+        return 'Only owners can change the owners of an organization';
+    }
+    if (member.role === 'owner' && newRole !== 'owner' && req.organization.ownerCount() === 1) {
+        return 'An organization needs at least one owner. Make someone else an owner first.';
+    }
+    return null;
+};
+
+const handleOrganizationError = (err, res, action) => {
+    console.error(`Error ${action} organization:`, err.message);
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} organization`
+    });
+};
+
+// @route   GET /api/organizations
+// @desc    Organizations the logged-in user belongs to, with their role in each
+router.get('/', auth, async (req, res) => {
+    try {
+        const organizations = await Organization.find({ 'members.user': req.user.id }).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            count: organizations.length,
+            data: organizations.map(organization => organization.summaryFor(req.user.id))
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/organizations
+// @desc    Create an organization owned by the logged-in user
+router.post('/', [auth, nameValidator], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const organization = await Organization.createFor(req.user.id, req.body.name);
+        await Category.seedDefaults(organization._id);
+
+        res.status(201).json({
+            success: true,
+            data: organization.summaryFor(req.user.id),
+            message: 'Organization created successfully!'
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'creating');
+    }
+});
+
+// @route   GET /api/organizations/current
+// @desc    The current organization and its members
+router.get('/current', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        await req.organization.populate('members.user', 'username email twoFactor.enabled');
+
+        res.json({
+            success: true,
+            data: {
+                ...req.organization.summaryFor(req.user.id),
+                members: req.organization.members
+                    .filter(member => member.user)
+                    .map(member => ({
+                        user: member.user,
+                        twoFactorEnabled: Boolean(member.user.twoFactor && member.user.twoFactor.enabled),
+                        role: member.role,
+                        joinedAt: member.joinedAt
+                    }))
+            }
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'fetching');
+    }
+});
+
+// @route   PUT /api/organizations/current
+// @desc    Rename the current organization
+router.put('/current', [auth, requireRole('owner'), nameValidator], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        req.organization.set({ name: req.body.name, lastUpdated: Date.now() });
+        await req.organization.save();
+
+        res.json({
+            success: true,
+            data: req.organization.summaryFor(req.user.id),
+            message: 'Organization updated successfully!'
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'updating');
+    }
+});
+
+// @route   PUT /api/organizations/current/settings
+// @desc    Change how the current organization costs its inventory, which
+//          currency its stats and reports are in and whether members need
+//          two-factor authentication
+router.put('/current/settings', [
+    auth,
+    requireRole('owner'),
+    check('costingMethod', `Costing method must be one of: ${Organization.COSTING_METHODS.join(', ')}`).optional().isIn(Organization.COSTING_METHODS),
+    check('baseCurrency', 'Base currency must be a 3-letter ISO code').optional().isISO4217(),
+    check('requireTwoFactor', 'Require two-factor must be true or false').optional().isBoolean().toBoolean()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    // an owner without it would lock themselves out
+    if (req.body.requireTwoFactor && !req.user.twoFactor) {
+        return res.status(400).json({
+            success: false,
+            message: 'Turn on two-factor authentication for your own account first'
+        });
+    }
+
+    try {
+        const updates = {};
+        ['costingMethod', 'baseCurrency', 'requireTwoFactor'].forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+        req.organization.set({ ...updates, lastUpdated: Date.now() });
+        await req.organization.save();
+
+        res.json({
+            success: true,
+            data: req.organization.summaryFor(req.user.id),
+            message: 'Organization settings updated successfully!'
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'updating');
+    }
+});
+
+// @route   POST /api/organizations/current/leave
+// @desc    Leave the current organization
+router.post('/current/leave', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const member = req.organization.findMember(req.user.id);
+        const changeError = memberChangeError(req, member, null);
+        if (changeError) {
+            return res.status(400).json({
+                success: false,
+                message: changeError
+            });
+        }
+
+        req.organization.members.pull(member);
+        await req.organization.save();
+
+        res.json({
+            success: true,
+            message: `You have left ${req.organization.name}`
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'leaving');
+    }
+});
+
+// @route   PUT /api/organizations/current/members/:userId
+// @desc    Change a member's role
+router.put('/current/members/:userId', [
+    auth,
+    requireRole('admin'),
+    check('role', `Role must be one of: ${Organization.ROLES.join(', ')}`).isIn(Organization.ROLES)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const member = req.organization.findMember(req.params.userId);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        const changeError = memberChangeError(req, member, req.body.role);
+        if (changeError) {
+            return res.status(400).json({
+                success: false,
+                message: changeError
+            });
+        }
+
+        member.role = req.body.role;
+        req.organization.lastUpdated = Date.now();
+        await req.organization.save();
+
+        res.json({
+            success: true,
+            data: { user: member.user, role: member.role, joinedAt: member.joinedAt },
+            message: 'Member role updated successfully!'
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'updating');
+    }
+});
+
+// @route   DELETE /api/organizations/current/members/:userId
+// @desc    Remove a member from the current organization
+router.delete('/current/members/:userId', [auth, requireRole('admin')], async (req, res) => {
+    try {
+        const member = req.organization.findMember(req.params.userId);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        const changeError = memberChangeError(req, member, null);
+        if (changeError) {
+            return res.status(400).json({
+                success: false,
+                message: changeError
+            });
+        }
+
+        req.organization.members.pull(member);
+        req.organization.lastUpdated = Date.now();
+        await req.organization.save();
+
+        res.json({
+            success: true,
+            message: 'Member removed successfully!'
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'updating');
+    }
+});
+
+// @route   GET /api/organizations/current/invitations
+// @desc    Invitations to the current organization that are still open
+router.get('/current/invitations', [auth, requireRole('admin')], async (req, res) => {
+    try {
+        const invitations = await Invitation.find({
+            organization: req.organization._id,
+            status: 'pending',
+            expiresAt: { $gt: new Date() }
+        })
+            .populate('invitedBy', 'username')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: invitations.length,
+            data: invitations.map(serializeInvitation)
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'fetching invitations for');
+    }
+});
+
+// @route   POST /api/organizations/current/invitations
+// @desc    Invite someone by email. Inviting an address again refreshes the open invitation.
+router.post('/current/invitations', [
+    auth,
+    requireRole('admin'),
+    check('email', 'Please include a valid email').isEmail(),
+    check('role', `Role must be one of: ${Invitation.INVITABLE_ROLES.join(', ')}`).optional().isIn(Invitation.INVITABLE_ROLES)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+    const role = req.body.role || 'editor';
+
+    try {
+        const existingUser = await User.findOne({ email }).select('_id');
+        if (existingUser && req.organization.roleOf(existingUser._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This person is already a member of the organization',
+                field: 'email'
+            });
+        }
+
+        let invitation = await Invitation.findOne({
+            organization: req.organization._id,
+            email,
+            status: 'pending'
+        });
+
+        if (invitation) {
+            invitation.set({
+                role,
+                invitedBy: req.user.id,
+                expiresAt: new Date(Date.now() + Invitation.INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+            });
+        } else {
+            invitation = new Invitation({
+                organization: req.organization._id,
+                email,
+                role,
+                invitedBy: req.user.id
+            });
+        }
+        await invitation.save();
+        await invitation.populate('invitedBy', 'username');
+
+        // the link is also returned for sharing, e.g. when the email does not arrive
+        let emailed = true;
+        try {
+            await sendMail(invitationEmail(invitation, req.organization));
+        } catch (mailErr) {
+            emailed = false;
+            console.error('Error emailing invitation:', mailErr.message);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: serializeInvitation(invitation),
+            message: emailed
+                ? `Invitation sent to ${email}`
+                : `Invitation created for ${email}, but the email could not be sent. Share the link instead.`
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'inviting to');
+    }
+});
+
+// @route   DELETE /api/organizations/current/invitations/:id
+// @desc    Revoke an open invitation
+router.delete('/current/invitations/:id', [auth, requireRole('admin')], async (req, res) => {
+    try {
+        const invitation = await Invitation.findOne({
+            _id: req.params.id,
+            organization: req.organization._id,
+            status: 'pending'
+        });
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation not found'
+            });
+        }
+
+        invitation.set({ status: 'revoked', respondedAt: Date.now() });
+        await invitation.save();
+
+        res.json({
+            success: true,
+            message: 'Invitation revoked'
+        });
+    } catch (err) {
+        handleOrganizationError(err, res, 'revoking an invitation to');
+    }
+});
+
+module.exports = router;
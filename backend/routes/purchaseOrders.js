@@ -0,0 +1,486 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../utils/itemQuery');
+const { isTracked, planIncoming, applyIncoming, splitEntry, trackingFrom } = require('../utils/lotTracking');
+const { loadConverter } = require('../utils/currency');
+
+const MAX_LINES = 200;
+
+// references returned with every purchase order
+const orderPopulate = [
+    { path: 'supplier', select: 'name contactName email phone currency defaultLeadTimeDays' },
+    { path: 'warehouse', select: 'code name address' },
+    { path: 'createdBy', select: 'username' }
+];
+
+const orderValidators = (optional) => [
+    (optional ? check('supplier').optional() : check('supplier'))
+        .isMongoId().withMessage('A valid supplier is required'),
+    (optional ? check('warehouse').optional() : check('warehouse'))
+        .isMongoId().withMessage('A valid warehouse is required'),
+    (optional ? check('lines').optional() : check('lines'))
+        .isArray({ min: 1, max: MAX_LINES }).withMessage(`A purchase order needs between 1 and ${MAX_LINES} lines`),
+    check('lines.*.item', 'A valid item is required on every line').isMongoId(),
+    check('lines.*.quantityOrdered', 'Ordered quantity must be greater than zero').isFloat({ gt: 0 }),
+    check('lines.*.unitCost', 'Unit cost must be zero or more').optional().isFloat({ min: 0 }),
+    check('expectedDate', 'Expected date must be a valid date').optional({ values: 'falsy' }).isISO8601(),
+    check('notes', 'Notes cannot exceed 1000 characters').optional().isLength({ max: 1000 })
+];
+
+const receiveValidators = [
+    check('lines', 'Pick at least one line to receive').isArray({ min: 1, max: MAX_LINES }),
+    check('lines.*.line', 'A valid order line is required').isMongoId(),
+    check('lines.*.quantity', 'Received quantity must be greater than zero').isFloat({ gt: 0 }),
+    // lot- and serial-tracked items, see utils/lotTracking.js
+    check('lines.*.lots', 'Lots must be a list of up to 500 lots').optional().isArray({ min: 1, max: 500 }),
+    check('lines.*.serials', 'Serials must be a list of up to 1000 serial numbers').optional().isArray({ min: 1, max: 1000 }),
+    check('lines.*.expiryDate', 'Expiry date must be a valid date').optional({ values: 'falsy' }).isISO8601(),
+    check('warehouse', 'A valid warehouse is required').optional().isMongoId(),
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })
+];
+
+const findOwnedOrder = (req) => PurchaseOrder.findOne({ _id: req.params.id, organization: req.organization._id });
+
+// Thrown inside the receive transaction to turn it down with a status,
+// a message and, optionally, the request field at fault
+const rejectOrder = (status, message, field) => Object.assign(new Error(message), { rejectedStatus: status, field });
+
+// Turns the requested lines into order lines, copying each item's name and
+// taking its current cost when no unit cost is given. Returns { lines } or { error }.
+const buildLines = async (req, requested, currency) => {
+    const organization = req.organization._id;
+    const ids = requested.map(line => String(line.item));
+    if (new Set(ids).size !== ids.length) {
+        return { error: 'Each item can only appear on one line' };
+    }
+
+    const items = await Inventory.find({ _id: { $in: ids }, organization, deletedAt: null });
+
+    // A line without a unit cost gets the item's cost, which is in the item's
+    // currency: converted through the organization's exchange rates into the
+    // order's currency, or null when a rate is missing
+    let converter;
+    const defaultCost = async (item) => {
+        if (item.costCurrency === currency) return item.costUnit;
+        converter = converter || await loadConverter(organization, req.organization.baseCurrency);
+        const [from, to] = [converter.rateOn(item.costCurrency), converter.rateOn(currency)];
+        return from === null || to === null ? null : item.costUnit * from / to;
+    };
+
+    const lines = [];
+    for (const line of requested) {
+        const item = items.find(i => i._id.equals(line.item));
+        if (!item) {
+            return { error: `Item ${line.item} not found` };
+        }
+        const unitCost = line.unitCost !== undefined && line.unitCost !== ''
+            ? parseFloat(line.unitCost)
+            : await defaultCost(item);
+        if (unitCost === null) {
+            return { error: `${item.inventoryId}: enter a unit cost in ${currency}, there is no exchange rate from ${item.costCurrency}` };
+        }
+        lines.push({
+            item: item._id,
+            inventoryId: item.inventoryId,
+            productName: item.productName,
+            unitOfMeasure: item.unitOfMeasure,
+            quantityOrdered: parseFloat(line.quantityOrdered),
+            unitCost
+        });
+    }
+    return { lines };
+};
+
+const handleOrderError = (err, res, action) => {
+    if (err.rejectedStatus) {
+        return res.status(err.rejectedStatus).json({
+            success: false,
+            message: err.message,
+            ...(err.field && { field: err.field })
+        });
+    }
+
+    console.error(`Error ${action} purchase order:`, err.message);
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid purchase order ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} purchase order`
+    });
+};
+
+const rejectInvalid = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Purchase order not found'
+});
+
+// @route   GET /api/purchase-orders
+// @desc    Purchase orders, newest first (?status=&supplier=&page=&limit=)
+router.get('/', [
+    auth,
+    requireRole('viewer'),
+    check('status', 'Invalid status').optional().isIn(PurchaseOrder.PO_STATUSES),
+    check('supplier', 'Invalid supplier').optional().isMongoId(),
+    check('page', 'Page must be a positive whole number').optional().isInt({ min: 1 }),
+    check('limit', `Limit must be between 1 and ${MAX_PAGE_SIZE}`).optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+        const filter = { organization: req.organization._id };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.supplier) filter.supplier = req.query.supplier;
+
+        const [orders, total] = await Promise.all([
+            PurchaseOrder.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate([{ path: 'supplier', select: 'name' }, { path: 'warehouse', select: 'code name' }])
+                .select('-__v'),
+            PurchaseOrder.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            count: orders.length,
+            total,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+            data: orders
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'fetching');
+    }
+});
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get a purchase order with its lines
+router.get('/:id', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const order = await findOwnedOrder(req).populate(orderPopulate).select('-__v');
+        if (!order) return notFound(res);
+
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/purchase-orders
+// @desc    Create a draft purchase order
+router.post('/', [auth, requireRole('editor'), orderValidators(false)], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+        const organization = req.organization._id;
+        const [supplier, warehouse] = await Promise.all([
+            Supplier.findOne({ _id: req.body.supplier, organization }),
+            Warehouse.findOne({ _id: req.body.warehouse, organization })
+        ]);
+        if (!supplier) {
+            return res.status(400).json({ success: false, message: 'Supplier not found', field: 'supplier' });
+        }
+        if (!warehouse) {
+            return res.status(400).json({ success: false, message: 'Warehouse not found', field: 'warehouse' });
+        }
+
+        const { lines, error } = await buildLines(req, req.body.lines, supplier.currency);
+        if (error) {
+            return res.status(400).json({ success: false, message: error, field: 'lines' });
+        }
+
+        const order = new PurchaseOrder({
+            supplier: supplier._id,
+            warehouse: warehouse._id,
+            lines,
+            currency: supplier.currency,
+            // the supplier's lead time gives a sensible default delivery date
+            expectedDate: req.body.expectedDate || new Date(Date.now() + (supplier.defaultLeadTimeDays || 0) * 24 * 60 * 60 * 1000),
+            notes: req.body.notes,
+            createdBy: req.user.id,
+            organization
+        });
+        await order.save();
+        await order.populate(orderPopulate);
+
+        res.status(201).json({
+            success: true,
+            data: order,
+            message: `Purchase order ${order.number} created`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'creating');
+    }
+});
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Update a draft purchase order; lines, when sent, replace the old ones
+router.put('/:id', [auth, requireRole('editor'), orderValidators(true)], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+        const organization = req.organization._id;
+        const order = await findOwnedOrder(req);
+        if (!order) return notFound(res);
+
+        if (!order.isEditable()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft purchase orders can be edited'
+            });
+        }
+
+        const updates = {};
+        if (req.body.supplier) {
+            const supplier = await Supplier.findOne({ _id: req.body.supplier, organization });
+            if (!supplier) {
+                return res.status(400).json({ success: false, message: 'Supplier not found', field: 'supplier' });
+            }
+            updates.supplier = supplier._id;
+            updates.currency = supplier.currency;
+        }
+        if (req.body.warehouse) {
+            if (!await Warehouse.exists({ _id: req.body.warehouse, organization })) {
+                return res.status(400).json({ success: false, message: 'Warehouse not found', field: 'warehouse' });
+            }
+            updates.warehouse = req.body.warehouse;
+        }
+        if (req.body.lines) {
+            const { lines, error } = await buildLines(req, req.body.lines, updates.currency || order.currency);
+            if (error) {
+                return res.status(400).json({ success: false, message: error, field: 'lines' });
+            }
+            updates.lines = lines;
+        }
+        ['expectedDate', 'notes'].forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field] || undefined;
+        });
+
+        order.set({ ...updates, lastUpdated: Date.now() });
+        await order.save();
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Purchase order ${order.number} updated`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'updating');
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/send
+// @desc    Mark a draft as sent to the supplier; it can be received from then on
+router.post('/:id/send', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const order = await findOwnedOrder(req);
+        if (!order) return notFound(res);
+
+        if (order.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft purchase orders can be sent'
+            });
+        }
+
+        order.set({ status: 'sent', sentAt: Date.now(), lastUpdated: Date.now() });
+        await order.save();
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Purchase order ${order.number} marked as sent`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'sending');
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/cancel
+// @desc    Cancel an order that is not fully received. Stock already
+//          received stays; nothing more can be received against it.
+router.post('/:id/cancel', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const order = await findOwnedOrder(req);
+        if (!order) return notFound(res);
+
+        if (['received', 'cancelled'].includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `A ${order.status} purchase order cannot be cancelled`
+            });
+        }
+
+        order.set({ status: 'cancelled', cancelledAt: Date.now(), lastUpdated: Date.now() });
+        await order.save();
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Purchase order ${order.number} cancelled`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'cancelling');
+    }
+});
+
+// @route   POST /api/purchase-orders/:id/receive
+// @desc    Receive some or all of the outstanding quantities. Body:
+//          { lines: [{ line, quantity, lots?, serials?, expiryDate? }], warehouse?, note? }.
+//          Lines of lot- or serial-tracked items say which lots or serials
+//          arrived. Each line adds a receipt to the item's stock ledger;
+//          everything runs in one transaction.
+router.post('/:id/receive', [auth, requireRole('editor'), receiveValidators], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+        const organization = req.organization._id;
+        const lineIds = req.body.lines.map(entry => String(entry.line));
+        if (new Set(lineIds).size !== lineIds.length) {
+            return res.status(400).json({ success: false, message: 'Each order line can only be received once per receipt' });
+        }
+
+        // The order is read and checked inside the transaction: two receipts
+        // for the same order both save it, so one of them conflicts and is
+        // run again, and then sees what the other received
+        let order;
+        let receipts;
+        await PurchaseOrder.db.transaction(async (session) => {
+            order = await findOwnedOrder(req).session(session);
+            if (!order) throw rejectOrder(404, 'Purchase order not found');
+            if (!order.isReceivable()) {
+                throw rejectOrder(400, 'Only sent or partially received purchase orders can be received');
+            }
+
+            const warehouse = await Warehouse.findOne({ _id: req.body.warehouse || order.warehouse, organization }).session(session);
+            if (!warehouse) throw rejectOrder(400, 'Warehouse not found', 'warehouse');
+
+            // check every line before any stock moves
+            receipts = [];
+            for (const entry of req.body.lines) {
+                const line = order.lines.id(entry.line);
+                if (!line) throw rejectOrder(400, `Order line ${entry.line} not found`);
+                const quantity = parseFloat(entry.quantity);
+                const outstanding = line.quantityOrdered - line.quantityReceived;
+                if (quantity > outstanding) {
+                    throw rejectOrder(400, `${line.inventoryId}: only ${outstanding} ${line.unitOfMeasure} outstanding`);
+                }
+                receipts.push({ line, quantity, tracking: trackingFrom(entry) });
+            }
+
+            const items = await Inventory.find({ _id: { $in: receipts.map(r => r.line.item) }, organization, deletedAt: null }).session(session);
+            for (const receipt of receipts) {
+                const item = items.find(i => i._id.equals(receipt.line.item));
+                if (!item) {
+                    throw rejectOrder(400, `${receipt.line.inventoryId} is no longer in inventory. Restore it from the trash first.`);
+                }
+                if (!isTracked(item)) continue;
+                const checked = await planIncoming(item, receipt.quantity, receipt.tracking, { session });
+                if (checked.error) throw rejectOrder(400, `${receipt.line.inventoryId}: ${checked.error}`);
+                receipt.plan = checked.plan;
+            }
+
+            for (const { line, quantity, plan } of receipts) {
+                const item = items.find(i => i._id.equals(line.item));
+                const entry = {
+                    type: 'receipt',
+                    quantity,
+                    unitCost: line.unitCost,
+                    currency: order.currency,
+                    warehouse: warehouse._id,
+                    reference: order.number,
+                    note: req.body.note
+                };
+                const entries = plan ? splitEntry(entry, await applyIncoming(item, plan, { session }), 1) : [entry];
+                await StockMovement.record(item, entries, req.user.id, { session });
+                line.quantityReceived += quantity;
+            }
+
+            order.status = order.receivedStatus();
+            if (order.status === 'received') order.receivedAt = Date.now();
+            order.lastUpdated = Date.now();
+            await order.save({ session });
+        });
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: order.status === 'received'
+                ? `Purchase order ${order.number} fully received`
+                : `Received ${receipts.length} ${receipts.length === 1 ? 'line' : 'lines'} on ${order.number}`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'receiving');
+    }
+});
+
+// @route   DELETE /api/purchase-orders/:id
+// @desc    Delete a draft purchase order (sent ones are cancelled instead)
+router.delete('/:id', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const order = await findOwnedOrder(req);
+        if (!order) return notFound(res);
+
+        if (!order.isEditable()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft purchase orders can be deleted. Cancel it instead.'
+            });
+        }
+
+        await order.deleteOne();
+
+        res.json({
+            success: true,
+            message: `Purchase order ${order.number} deleted`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'deleting');
+    }
+});
+
+module.exports = router;
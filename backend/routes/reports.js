@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const Category = require('../models/Category');
+const Warehouse = require('../models/Warehouse');
+const Lot = require('../models/Lot');
+const { valueInventory, sumBy, sumByWarehouse } = require('../utils/valuation');
+const { loadConverter } = require('../utils/currency');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_WINDOW_DAYS = 30;
+
+// @route   GET /api/reports/valuation
+// @desc    Inventory value at a point in time (?asOf=, default now), costed
+//          with the organization's method unless ?method= asks for another.
+//          ?from= limits the cost of goods issued to issues on or after it.
+//          Amounts are in the organization's base currency.
+router.get('/valuation', [
+    auth,
+    requireRole('viewer'),
+    check('asOf', 'asOf must be a valid date').optional().isISO8601(),
+    check('from', 'from must be a valid date').optional().isISO8601(),
+    check('method', `Method must be one of: ${Organization.COSTING_METHODS.join(', ')}`).optional().isIn(Organization.COSTING_METHODS)
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const organization = req.organization._id;
+        // a bare date means the end of that day
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (req.query.asOf && /^\d{4}-\d{2}-\d{2}$/.test(req.query.asOf)) {
+            asOf.setUTCHours(23, 59, 59, 999);
+        }
+        const from = req.query.from ? new Date(req.query.from) : null;
+        if (from && from > asOf) {
+            return res.status(400).json({
+                success: false,
+                message: 'from must be before asOf'
+            });
+        }
+        const method = req.query.method || req.organization.costingMethod;
+
+        const converter = await loadConverter(organization, req.organization.baseCurrency);
+        const [valued, categories, warehouses] = await Promise.all([
+            valueInventory(organization, { asOf, from, method, converter }),
+            Category.find({ organization }).select('name color').lean(),
+            Warehouse.find({ organization }).select('code name').lean()
+        ]);
+
+        const held = valued.filter(item => item.valuation.quantity !== 0 || item.valuation.costOfGoodsIssued !== 0);
+        const byCategory = sumBy(held, item => item.category && item.category.toString());
+        const byWarehouse = sumByWarehouse(held);
+
+        res.json({
+            success: true,
+            data: {
+                asOf,
+                from,
+                method,
+                baseCurrency: converter.baseCurrency,
+                // currencies counted unconverted because they have no rate
+                missingRates: [...converter.missing].sort(),
+                totals: {
+                    items: held.length,
+                    quantity: held.reduce((sum, item) => sum + item.valuation.quantity, 0),
+                    value: round(held.reduce((sum, item) => sum + item.valuation.value, 0)),
+                    costOfGoodsIssued: round(held.reduce((sum, item) => sum + item.valuation.costOfGoodsIssued, 0))
+                },
+                items: held.map(item => ({
+                    _id: item._id,
+                    inventoryId: item.inventoryId,
+                    productName: item.productName,
+                    category: item.category,
+                    unitOfMeasure: item.unitOfMeasure,
+                    ...item.valuation
+                })),
+                categories: categories
+                    .filter(category => byCategory[category._id])
+                    .map(category => ({ ...category, ...byCategory[category._id] }))
+                    .sort((a, b) => b.value - a.value),
+                warehouses: warehouses
+                    .filter(warehouse => byWarehouse[warehouse._id])
+                    .map(warehouse => ({ ...warehouse, ...byWarehouse[warehouse._id] }))
+                    .sort((a, b) => a.code.localeCompare(b.code))
+            }
+        });
+    } catch (err) {
+        console.error('Error valuing inventory:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while valuing inventory'
+        });
+    }
+});
+
+// @route   GET /api/reports/expiring
+// @desc    Lots and serials in stock that expire within ?days= (default 30),
+//          soonest first, including those already expired. ?warehouse= keeps
+//          the stock held in one warehouse.
+router.get('/expiring', [
+    auth,
+    requireRole('viewer'),
+    check('days', 'Days must be a whole number from 0 to 3650').optional().isInt({ min: 0, max: 3650 }),
+    check('warehouse', 'Invalid warehouse').optional().isMongoId()
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : DEFAULT_EXPIRY_WINDOW_DAYS;
+        const now = new Date();
+        const cutoff = new Date(now.getTime() + days * DAY_MS);
+        const warehouseId = req.query.warehouse;
+
+        const filter = {
+            organization: req.organization._id,
+            quantity: { $gt: 0 },
+            expiryDate: { $ne: null, $lte: cutoff }
+        };
+        if (warehouseId) {
+            filter['locations.warehouse'] = warehouseId;
+        }
+
+        const lots = await Lot.find(filter)
+            .populate('item', 'inventoryId productName unitOfMeasure trackingMode deletedAt')
+            .populate('locations.warehouse', 'code name')
+            .sort({ expiryDate: 1, code: 1 })
+            .lean();
+
+        const entries = lots
+            // lots of trashed items come back with the item if it is restored
+            .filter(lot => lot.item && !lot.item.deletedAt)
+            .map(lot => {
+                const locations = warehouseId
+                    ? lot.locations.filter(l => l.warehouse && l.warehouse._id.toString() === warehouseId)
+                    : lot.locations;
+                return {
+                    _id: lot._id,
+                    code: lot.code,
+                    kind: lot.kind,
+                    expiryDate: lot.expiryDate,
+                    expired: lot.expiryDate <= now,
+                    daysLeft: Math.ceil((lot.expiryDate - now) / DAY_MS),
+                    quantity: locations.reduce((sum, l) => sum + l.quantity, 0),
+                    locations,
+                    item: {
+                        _id: lot.item._id,
+                        inventoryId: lot.item.inventoryId,
+                        productName: lot.item.productName,
+                        unitOfMeasure: lot.item.unitOfMeasure
+                    }
+                };
+            })
+            .filter(entry => entry.quantity > 0);
+
+        res.json({
+            success: true,
+            data: {
+                days,
+                cutoff,
+                totals: {
+                    lots: entries.length,
+                    expired: entries.filter(entry => entry.expired).length
+                },
+                lots: entries
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching expiring lots:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching expiring lots'
+        });
+    }
+});
+
+module.exports = router;
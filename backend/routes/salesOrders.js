@@ -0,0 +1,569 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const SalesOrder = require('../models/SalesOrder');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../utils/itemQuery');
+const { isTracked, outgoingParts, splitEntry, trackingFrom } = require('../utils/lotTracking');
+
+const MAX_LINES = 200;
+
+// references returned with every sales order
+const orderPopulate = [
+    { path: 'warehouse', select: 'code name address' },
+    { path: 'createdBy', select: 'username' }
+];
+
+const orderValidators = (optional) => [
+    (optional ? check('customerName').optional() : check('customerName'))
+        .trim().not().isEmpty().withMessage('Customer name is required'),
+    check('customerName', 'Customer name cannot exceed 100 characters').optional().isLength({ max: 100 }),
+    check('customerEmail', 'Please include a valid customer email').optional({ values: 'falsy' }).isEmail(),
+    check('customerReference', 'Customer reference cannot exceed 100 characters').optional().isLength({ max: 100 }),
+    check('shippingAddress', 'Shipping address cannot exceed 500 characters').optional().isLength({ max: 500 }),
+    (optional ? check('warehouse').optional() : check('warehouse'))
+        .isMongoId().withMessage('A valid warehouse is required'),
+    (optional ? check('lines').optional() : check('lines'))
+        .isArray({ min: 1, max: MAX_LINES }).withMessage(`A sales order needs between 1 and ${MAX_LINES} lines`),
+    check('lines.*.item', 'A valid item is required on every line').isMongoId(),
+    check('lines.*.quantityOrdered', 'Ordered quantity must be greater than zero').isFloat({ gt: 0 }),
+    check('lines.*.unitPrice', 'Unit price must be zero or more').isFloat({ min: 0 }),
+    check('currency', 'Currency must be a 3-letter ISO code').optional().isISO4217(),
+    check('requestedDate', 'Requested date must be a valid date').optional({ values: 'falsy' }).isISO8601(),
+    check('notes', 'Notes cannot exceed 1000 characters').optional().isLength({ max: 1000 })
+];
+
+const shipValidators = [
+    // lots or serials shipped on lines of tracked items, see utils/lotTracking.js
+    check('lines', 'Lines must be a list').optional().isArray({ max: MAX_LINES }),
+    check('lines.*.line', 'A valid order line is required').optional().isMongoId(),
+    check('lines.*.lots', 'Lots must be a list of up to 500 lots').optional().isArray({ min: 1, max: 500 }),
+    check('lines.*.serials', 'Serials must be a list of up to 1000 serial numbers').optional().isArray({ min: 1, max: 1000 }),
+    check('trackingNumber', 'Tracking number cannot exceed 100 characters').optional().isLength({ max: 100 }),
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })
+];
+
+const findOwnedOrder = (req) => SalesOrder.findOne({ _id: req.params.id, organization: req.organization._id });
+
+// Thrown inside a transaction to turn it down with a status and message; the
+// routes below load and check the order inside the transaction, so that a
+// run retried after a write conflict starts again from what is stored
+const rejectOrder = (status, message) => Object.assign(new Error(message), { rejectedStatus: status });
+
+// The order for the request, read in the session, or a 404 rejection
+const loadOrder = async (req, session) => {
+    const order = await findOwnedOrder(req).session(session);
+    if (!order) throw rejectOrder(404, 'Sales order not found');
+    return order;
+};
+
+// Turns the requested lines into order lines, copying each item's name.
+// Returns { lines } or { error }.
+const buildLines = async (organization, requested) => {
+    const ids = requested.map(line => String(line.item));
+    if (new Set(ids).size !== ids.length) {
+        return { error: 'Each item can only appear on one line' };
+    }
+
+    const items = await Inventory.find({ _id: { $in: ids }, organization, deletedAt: null });
+    const lines = [];
+    for (const line of requested) {
+        const item = items.find(i => i._id.equals(line.item));
+        if (!item) {
+            return { error: `Item ${line.item} not found` };
+        }
+        lines.push({
+            item: item._id,
+            inventoryId: item.inventoryId,
+            productName: item.productName,
+            unitOfMeasure: item.unitOfMeasure,
+            quantityOrdered: parseFloat(line.quantityOrdered),
+            unitPrice: parseFloat(line.unitPrice)
+        });
+    }
+    return { lines };
+};
+
+// The order's items that are still in inventory (not in the trash)
+const findOrderItems = (order, session = null) => Inventory.find({
+    _id: { $in: order.lines.map(line => line.item) },
+    organization: order.organization,
+    deletedAt: null
+}).session(session);
+
+// The first line whose item has been trashed, if any
+const findTrashedLine = (order, items) =>
+    order.lines.find(line => !items.some(item => item._id.equals(line.item)));
+
+// On-hand quantity of an item in one warehouse
+const onHandIn = async (item, warehouseId, session) => {
+    const balances = await StockMovement.getItemBalances(item, { session });
+    const balance = balances.find(b => b.warehouse.toString() === warehouseId.toString());
+    return balance ? balance.quantity : 0;
+};
+
+// Reserves as much of each line's backorder as the order's warehouse has
+// free: on hand there, less what open orders (this one included) already hold
+const allocateLines = async (order, items, session) => {
+    const reserved = await SalesOrder.getAllocations(items.map(item => item._id), {
+        warehouse: order.warehouse,
+        session
+    });
+
+    for (const line of order.lines) {
+        const item = items.find(i => i._id.equals(line.item));
+        if (!item || line.quantityBackordered <= 0) continue;
+
+        const free = await onHandIn(item, order.warehouse, session) - (reserved[item._id.toString()] || 0);
+        line.quantityAllocated += Math.min(line.quantityBackordered, Math.max(free, 0));
+    }
+};
+
+const allocationMessage = (order) => {
+    const backordered = order.lines.filter(line => line.quantityBackordered > 0).length;
+    return backordered === 0
+        ? 'all lines allocated'
+        : `${backordered} ${backordered === 1 ? 'line' : 'lines'} on backorder`;
+};
+
+const handleOrderError = (err, res, action) => {
+    if (err.rejectedStatus) {
+        return res.status(err.rejectedStatus).json({
+            success: false,
+            message: err.message
+        });
+    }
+
+    console.error(`Error ${action} sales order:`, err.message);
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid sales order ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} sales order`
+    });
+};
+
+const rejectInvalid = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Sales order not found'
+});
+
+// @route   GET /api/sales-orders
+// @desc    Sales orders, newest first (?status=&item=&backordered=&page=&limit=)
+router.get('/', [
+    auth,
+    requireRole('viewer'),
+    check('status', 'Invalid status').optional().isIn(SalesOrder.SO_STATUSES),
+    check('item', 'Invalid item').optional().isMongoId(),
+    check('backordered', 'Backordered must be true or false').optional().isBoolean(),
+    check('page', 'Page must be a positive whole number').optional().isInt({ min: 1 }),
+    check('limit', `Limit must be between 1 and ${MAX_PAGE_SIZE}`).optional().isInt({ min: 1, max: MAX_PAGE_SIZE })
+], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+        const filter = { organization: req.organization._id };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.item) filter['lines.item'] = req.query.item;
+        if (req.query.backordered !== undefined) filter.backordered = req.query.backordered === 'true';
+
+        const [orders, total] = await Promise.all([
+            SalesOrder.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate({ path: 'warehouse', select: 'code name' })
+                .select('-__v'),
+            SalesOrder.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            count: orders.length,
+            total,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+            data: orders
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'fetching');
+    }
+});
+
+// @route   GET /api/sales-orders/:id
+// @desc    Get a sales order with its lines
+router.get('/:id', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const order = await findOwnedOrder(req).populate(orderPopulate).select('-__v');
+        if (!order) return notFound(res);
+
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/sales-orders
+// @desc    Create a draft sales order; no stock is reserved until it is confirmed
+router.post('/', [auth, requireRole('editor'), orderValidators(false)], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+        const organization = req.organization._id;
+        if (!await Warehouse.exists({ _id: req.body.warehouse, organization })) {
+            return res.status(400).json({ success: false, message: 'Warehouse not found', field: 'warehouse' });
+        }
+
+        const { lines, error } = await buildLines(organization, req.body.lines);
+        if (error) {
+            return res.status(400).json({ success: false, message: error, field: 'lines' });
+        }
+
+        const order = new SalesOrder({
+            customerName: req.body.customerName,
+            customerEmail: req.body.customerEmail || undefined,
+            customerReference: req.body.customerReference,
+            shippingAddress: req.body.shippingAddress,
+            warehouse: req.body.warehouse,
+            lines,
+            currency: req.body.currency,
+            requestedDate: req.body.requestedDate || undefined,
+            notes: req.body.notes,
+            createdBy: req.user.id,
+            organization
+        });
+        await order.save();
+        await order.populate(orderPopulate);
+
+        res.status(201).json({
+            success: true,
+            data: order,
+            message: `Sales order ${order.number} created`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'creating');
+    }
+});
+
+// @route   PUT /api/sales-orders/:id
+// @desc    Update a draft sales order; lines, when sent, replace the old ones
+router.put('/:id', [auth, requireRole('editor'), orderValidators(true)], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+        const organization = req.organization._id;
+        const order = await findOwnedOrder(req);
+        if (!order) return notFound(res);
+
+        if (!order.isEditable()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft sales orders can be edited'
+            });
+        }
+
+        const updates = {};
+        if (req.body.warehouse) {
+            if (!await Warehouse.exists({ _id: req.body.warehouse, organization })) {
+                return res.status(400).json({ success: false, message: 'Warehouse not found', field: 'warehouse' });
+            }
+            updates.warehouse = req.body.warehouse;
+        }
+        if (req.body.lines) {
+            const { lines, error } = await buildLines(organization, req.body.lines);
+            if (error) {
+                return res.status(400).json({ success: false, message: error, field: 'lines' });
+            }
+            updates.lines = lines;
+        }
+        ['customerName', 'customerEmail', 'customerReference', 'shippingAddress', 'currency', 'requestedDate', 'notes'].forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field] || undefined;
+        });
+
+        order.set({ ...updates, lastUpdated: Date.now() });
+        await order.save();
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Sales order ${order.number} updated`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'updating');
+    }
+});
+
+// @route   POST /api/sales-orders/:id/confirm
+// @desc    Confirm a draft and reserve stock for it. Lines the warehouse
+//          cannot cover in full stay on backorder.
+router.post('/:id/confirm', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        let order;
+        await SalesOrder.db.transaction(async (session) => {
+            order = await loadOrder(req, session);
+            if (order.status !== 'draft') {
+                throw rejectOrder(400, 'Only draft sales orders can be confirmed');
+            }
+
+            const items = await findOrderItems(order, session);
+            const trashed = findTrashedLine(order, items);
+            if (trashed) {
+                throw rejectOrder(400, `${trashed.inventoryId} is no longer in inventory. Remove it from the order first.`);
+            }
+
+            order.set({ status: 'confirmed', confirmedAt: Date.now(), lastUpdated: Date.now() });
+            await allocateLines(order, items, session);
+            await order.save({ session });
+            await SalesOrder.recalculateAllocations(items, { session });
+        });
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Sales order ${order.number} confirmed, ${allocationMessage(order)}`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'confirming');
+    }
+});
+
+// @route   POST /api/sales-orders/:id/allocate
+// @desc    Try again to reserve stock for backordered lines, e.g. after a delivery
+router.post('/:id/allocate', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        let order;
+        await SalesOrder.db.transaction(async (session) => {
+            order = await loadOrder(req, session);
+            if (!order.isOpen()) {
+                throw rejectOrder(400, 'Only confirmed sales orders can be allocated');
+            }
+            if (!order.backordered) {
+                throw rejectOrder(400, 'Nothing on this order is backordered');
+            }
+
+            const items = await findOrderItems(order, session);
+            await allocateLines(order, items, session);
+            order.lastUpdated = Date.now();
+            await order.save({ session });
+            await SalesOrder.recalculateAllocations(items, { session });
+        });
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Sales order ${order.number}: ${allocationMessage(order)}`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'allocating');
+    }
+});
+
+// @route   POST /api/sales-orders/:id/pick
+// @desc    Start picking the allocated stock
+router.post('/:id/pick', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const order = await findOwnedOrder(req);
+        if (!order) return notFound(res);
+
+        if (!['confirmed', 'partially-shipped'].includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only confirmed or partially shipped sales orders can be picked'
+            });
+        }
+
+        if (!order.lines.some(line => line.quantityAllocated > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'No stock is allocated to this order yet'
+            });
+        }
+
+        order.set({ status: 'picking', lastUpdated: Date.now() });
+        await order.save();
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Picking started for ${order.number}`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'picking');
+    }
+});
+
+// @route   POST /api/sales-orders/:id/ship
+// @desc    Ship everything allocated: each line issues its allocated quantity
+//          from the order's warehouse in the stock ledger, in one transaction.
+//          Backordered quantities stay open. Body: { trackingNumber?, note?,
+//          lines?: [{ line, lots?, serials? }] }. Serial-tracked lines must
+//          list the serials shipped; lot-tracked lines without lots ship the
+//          lots that expire first.
+router.post('/:id/ship', [auth, requireRole('editor'), shipValidators], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    try {
+        let order;
+        let shipments;
+        await SalesOrder.db.transaction(async (session) => {
+            order = await loadOrder(req, session);
+            if (order.status !== 'picking') {
+                throw rejectOrder(400, 'Start picking the order before shipping it');
+            }
+
+            const items = await findOrderItems(order, session);
+            shipments = order.lines.filter(line => line.quantityAllocated > 0);
+            const warehouse = await Warehouse.findById(order.warehouse).select('code').session(session);
+            const lotParts = {};
+
+            // check every line before any stock moves
+            for (const line of shipments) {
+                const item = items.find(i => i._id.equals(line.item));
+                if (!item) {
+                    throw rejectOrder(400, `${line.inventoryId} is no longer in inventory. Restore it from the trash first.`);
+                }
+                const onHand = await onHandIn(item, order.warehouse, session);
+                if (line.quantityAllocated > onHand) {
+                    throw rejectOrder(400, `${line.inventoryId}: only ${onHand} ${line.unitOfMeasure} on hand to ship`);
+                }
+                if (isTracked(item)) {
+                    const requested = (req.body.lines || []).find(entry => String(entry.line) === line._id.toString());
+                    const result = await outgoingParts(item, warehouse, line.quantityAllocated, trackingFrom(requested), { session, autoPick: true });
+                    if (result.error) {
+                        throw rejectOrder(400, `${line.inventoryId}: ${result.error}`);
+                    }
+                    lotParts[line._id.toString()] = result.parts;
+                }
+            }
+
+            for (const line of shipments) {
+                const item = items.find(i => i._id.equals(line.item));
+                const entry = {
+                    type: 'issue',
+                    quantity: -line.quantityAllocated,
+                    warehouse: order.warehouse,
+                    reference: order.number,
+                    note: req.body.note
+                };
+                const parts = lotParts[line._id.toString()];
+                await StockMovement.record(item, parts ? splitEntry(entry, parts, -1) : [entry], req.user.id, { session });
+                line.quantityShipped += line.quantityAllocated;
+                line.quantityAllocated = 0;
+            }
+
+            order.status = order.shippedStatus();
+            if (order.status === 'shipped') order.shippedAt = Date.now();
+            if (req.body.trackingNumber) order.trackingNumber = req.body.trackingNumber;
+            order.lastUpdated = Date.now();
+            await order.save({ session });
+            await SalesOrder.recalculateAllocations(items, { session });
+        });
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: order.status === 'shipped'
+                ? `Sales order ${order.number} shipped`
+                : `Shipped ${shipments.length} ${shipments.length === 1 ? 'line' : 'lines'} on ${order.number}; the rest is on backorder`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'shipping');
+    }
+});
+
+// @route   POST /api/sales-orders/:id/cancel
+// @desc    Cancel an order that is not fully shipped and release its reservations.
+//          Stock already shipped is not returned.
+router.post('/:id/cancel', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        let order;
+        await SalesOrder.db.transaction(async (session) => {
+            order = await loadOrder(req, session);
+            if (['shipped', 'cancelled'].includes(order.status)) {
+                throw rejectOrder(400, `A ${order.status} sales order cannot be cancelled`);
+            }
+
+            const items = await findOrderItems(order, session);
+            order.lines.forEach(line => { line.quantityAllocated = 0; });
+            order.set({ status: 'cancelled', cancelledAt: Date.now(), lastUpdated: Date.now() });
+            await order.save({ session });
+            await SalesOrder.recalculateAllocations(items, { session });
+        });
+        await order.populate(orderPopulate);
+
+        res.json({
+            success: true,
+            data: order,
+            message: `Sales order ${order.number} cancelled`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'cancelling');
+    }
+});
+
+// @route   DELETE /api/sales-orders/:id
+// @desc    Delete a draft sales order (confirmed ones are cancelled instead)
+router.delete('/:id', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const order = await findOwnedOrder(req);
+        if (!order) return notFound(res);
+
+        if (!order.isEditable()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft sales orders can be deleted. Cancel it instead.'
+            });
+        }
+
+        await order.deleteOne();
+
+        res.json({
+            success: true,
+            message: `Sales order ${order.number} deleted`
+        });
+    } catch (err) {
+        handleOrderError(err, res, 'deleting');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const Inventory = require('../models/Inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { loadConverter } = require('../utils/currency');
+
+const supplierValidators = (optional) => [
+    (optional ? check('name').optional() : check('name'))
+        .not().isEmpty().withMessage('Supplier name is required')
+        .isLength({ max: 100 }).withMessage('Supplier name cannot exceed 100 characters'),
+    check('contactName', 'Contact name cannot exceed 100 characters').optional().isLength({ max: 100 }),
+    check('email', 'Please include a valid email').optional({ values: 'falsy' }).isEmail(),
+    check('phone', 'Phone number cannot exceed 30 characters').optional().isLength({ max: 30 }),
+    check('defaultLeadTimeDays', 'Lead time must be zero or more days').optional({ values: 'falsy' }).isInt({ min: 0 }),
+    check('currency', 'Currency must be a 3-letter ISO code').optional().matches(/^[A-Za-z]{3}$/),
+    check('notes', 'Notes cannot exceed 1000 characters').optional().isLength({ max: 1000 }),
+    check('active', 'Active must be true or false').optional().isBoolean()
+];
+
+const pickSupplierFields = (body) => {
+    const data = {};
+    ['name', 'contactName', 'email', 'phone', 'defaultLeadTimeDays', 'currency', 'notes', 'active'].forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    return data;
+};
+
+// Item count and inventory value per supplier in the organization, the
+// value converted into its base currency at today's rates
+const getTotalsBySupplier = async (organization, converter) => {
+    const byCurrency = await Inventory.aggregate([
+        { $match: { organization, deletedAt: null } },
+        { $group: {
+            _id: { supplier: '$supplier', currency: '$costCurrency' },
+            itemCount: { $sum: 1 },
+            totalUnits: { $sum: '$quantity' },
+            totalValue: { $sum: { $multiply: ['$quantity', '$costUnit'] } }
+        }}
+    ]);
+
+    const totals = new Map();
+    byCurrency.forEach(({ _id, itemCount, totalUnits, totalValue }) => {
+        const key = String(_id.supplier);
+        const entry = totals.get(key) || { itemCount: 0, totalUnits: 0, totalValue: 0 };
+        entry.itemCount += itemCount;
+        entry.totalUnits += totalUnits;
+        entry.totalValue += converter.convert(totalValue, _id.currency);
+        totals.set(key, entry);
+    });
+    return totals;
+};
+
+const handleSupplierError = (err, res, action) => {
+    console.error(`Error ${action} supplier:`, err.message);
+
+    if (err.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'A supplier with this name already exists',
+            field: 'name'
+        });
+    }
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid supplier ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} supplier`
+    });
+};
+
+// @route   GET /api/suppliers
+// @desc    Get all suppliers with their item counts and inventory value
+//          (in the organization's base currency)
+router.get('/', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const filter = { organization: req.organization._id };
+        if (req.query.active !== undefined) {
+            filter.active = req.query.active === 'true';
+        }
+
+        const converter = await loadConverter(req.organization._id, req.organization.baseCurrency);
+        const [suppliers, totals] = await Promise.all([
+            Supplier.find(filter).sort({ name: 1 }).collation({ locale: 'en' }).select('-__v'),
+            getTotalsBySupplier(req.organization._id, converter)
+        ]);
+
+        const data = suppliers.map(supplier => {
+            const supplierTotals = totals.get(supplier._id.toString());
+            return {
+                ...supplier.toObject(),
+                itemCount: supplierTotals ? supplierTotals.itemCount : 0,
+                totalUnits: supplierTotals ? supplierTotals.totalUnits : 0,
+                totalValue: supplierTotals ? Math.round(supplierTotals.totalValue * 100) / 100 : 0
+            };
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            baseCurrency: converter.baseCurrency,
+            missingRates: [...converter.missing].sort(),
+            data
+        });
+    } catch (err) {
+        handleSupplierError(err, res, 'fetching');
+    }
+});
+
+// @route   GET /api/suppliers/:id
+// @desc    Get a supplier with every item sourced from them and their total
+//          value in the organization's base currency
+router.get('/:id', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const supplier = await Supplier.findOne({ _id: req.params.id, organization: req.organization._id }).select('-__v');
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        const [items, converter] = await Promise.all([
+            Inventory.find({ organization: req.organization._id, supplier: supplier._id, deletedAt: null })
+                .populate('warehouse', 'code name')
+                .sort({ inventoryId: 1 })
+                .select('-__v'),
+            loadConverter(req.organization._id, req.organization.baseCurrency)
+        ]);
+
+        const totalValue = Math.round(items.reduce((sum, item) => sum + converter.convert(item.quantity * item.costUnit, item.costCurrency), 0) * 100) / 100;
+        const totalUnits = items.reduce((sum, item) => sum + item.quantity, 0);
+
+        res.json({
+            success: true,
+            data: {
+                ...supplier.toObject(),
+                itemCount: items.length,
+                totalUnits,
+                totalValue,
+                baseCurrency: converter.baseCurrency,
+                missingRates: [...converter.missing].sort(),
+                items
+            }
+        });
+    } catch (err) {
+        handleSupplierError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create a supplier
+router.post('/', [auth, requireRole('editor'), supplierValidators(false)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const supplier = await new Supplier({
+            ...pickSupplierFields(req.body),
+            organization: req.organization._id
+        }).save();
+
+        res.status(201).json({
+            success: true,
+            data: supplier,
+            message: 'Supplier created successfully!'
+        });
+    } catch (err) {
+        handleSupplierError(err, res, 'creating');
+    }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update a supplier
+router.put('/:id', [auth, requireRole('editor'), supplierValidators(true)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const supplier = await Supplier.findOne({ _id: req.params.id, organization: req.organization._id });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        supplier.set({ ...pickSupplierFields(req.body), lastUpdated: Date.now() });
+        await supplier.save();
+
+        res.json({
+            success: true,
+            data: supplier,
+            message: 'Supplier updated successfully!'
+        });
+    } catch (err) {
+        handleSupplierError(err, res, 'updating');
+    }
+});
+
+// @route   DELETE /api/suppliers/:id
+// @desc    Delete a supplier that no item is sourced from
+router.delete('/:id', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const supplier = await Supplier.findOne({ _id: req.params.id, organization: req.organization._id });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        if (await Inventory.exists({ organization: req.organization._id, supplier: supplier._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Items are still sourced from this supplier (items in the trash count too). Reassign them first or mark the supplier inactive.'
+            });
+        }
+
+        if (await PurchaseOrder.exists({ organization: req.organization._id, supplier: supplier._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'This supplier has purchase orders. Mark the supplier inactive instead.'
+            });
+        }
+
+        await supplier.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Supplier deleted successfully!'
+        });
+    } catch (err) {
+        handleSupplierError(err, res, 'deleting');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { check, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const auth = require('../middleware/auth');
+const { signAccessToken } = require('../utils/tokens');
+const {
+    generateSecret,
+    verifyCode,
+    otpauthUrl,
+    qrCodeDataUrl,
+    sealSecret,
+    openSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} = require('../utils/totp');
+
+// Turning two-factor authentication on and off for the signed-in user.
+// Enabling takes two steps: POST /setup hands out a secret for the
+// authenticator app, POST /enable confirms it with a first code. Both enable
+// and disable answer with a new access token, since the token tells
+// organizations whether the user has two-factor authentication on.
+
+const secondFactorValidator = check('code', 'Enter a code from your authenticator app or a recovery code')
+    .custom((code, { req }) => Boolean(code || req.body.recoveryCode));
+
+const codeValidator = check('code', 'Enter a code from your authenticator app').isString().notEmpty();
+
+// Stores new recovery codes on the user and returns them in plain text, the
+// only time they are ever shown
+const replaceRecoveryCodes = (user) => {
+    const codes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = codes.map(code => ({ codeHash: hashRecoveryCode(code) }));
+    return codes;
+};
+
+const loadUser = async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+    return user;
+};
+
+const handleTwoFactorError = (err, res, action) => {
+    console.error(`❌ Two-factor ${action} error:`, err.message);
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} two-factor authentication`
+    });
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Whether the signed-in user has two-factor authentication on
+router.get('/', auth, async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+
+        res.json({
+            success: true,
+            data: {
+                enabled: user.twoFactor.enabled,
+                enabledAt: user.twoFactor.enabledAt,
+                recoveryCodesLeft: user.twoFactor.enabled ? user.recoveryCodesLeft() : 0
+            }
+        });
+    } catch (err) {
+        handleTwoFactorError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enabling: a new secret with its QR code for the authenticator app
+router.post('/setup', auth, async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already on'
+            });
+        }
+
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = sealSecret(secret);
+        await user.save();
+
+        const url = otpauthUrl(secret, user.email);
+        res.json({
+            success: true,
+            data: {
+                secret,
+                otpauthUrl: url,
+                qrCode: await qrCodeDataUrl(url)
+            }
+        });
+    } catch (err) {
+        handleTwoFactorError(err, res, 'setting up');
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enabling with a code for the secret from /setup. Returns
+//          the recovery codes.
+router.post('/enable', [auth, codeValidator], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already on'
+            });
+        }
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start the setup first'
+            });
+        }
+
+        const step = verifyCode(openSecret(user.twoFactor.pendingSecret), req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid code. Check the time on your phone and try again.',
+                field: 'code'
+            });
+        }
+
+        user.twoFactor = {
+            enabled: true,
+            secret: user.twoFactor.pendingSecret,
+            enabledAt: Date.now(),
+            lastUsedStep: step
+        };
+        const recoveryCodes = replaceRecoveryCodes(user);
+        await user.save();
+
+        res.json({
+            success: true,
+            token: signAccessToken(user, req.sessionId),
+            data: { recoveryCodes },
+            message: 'Two-factor authentication is on'
+        });
+    } catch (err) {
+        handleTwoFactorError(err, res, 'enabling');
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off. Needs the password and a code.
+router.post('/disable', [
+    auth,
+    check('password', 'Password is required').isString().notEmpty(),
+    secondFactorValidator
+], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not on'
+            });
+        }
+
+        const requiring = await Organization.findOne({ 'members.user': user._id, requireTwoFactor: true });
+        if (requiring) {
+            return res.status(400).json({
+                success: false,
+                message: `${requiring.name} requires two-factor authentication`
+            });
+        }
+
+        if (!(await bcrypt.compare(req.body.password, user.password))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Incorrect password',
+                field: 'password'
+            });
+        }
+        if (!user.useSecondFactor(req.body)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid code',
+                field: req.body.code ? 'code' : 'recoveryCode'
+            });
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save();
+
+        res.json({
+            success: true,
+            token: signAccessToken(user, req.sessionId),
+            message: 'Two-factor authentication is off'
+        });
+    } catch (err) {
+        handleTwoFactorError(err, res, 'disabling');
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes; the old ones stop working
+router.post('/recovery-codes', [auth, codeValidator], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not on'
+            });
+        }
+        if (!user.useSecondFactor({ code: req.body.code })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid code',
+                field: 'code'
+            });
+        }
+
+        const recoveryCodes = replaceRecoveryCodes(user);
+        await user.save();
+
+        res.json({
+            success: true,
+            data: { recoveryCodes },
+            message: 'New recovery codes created'
+        });
+    } catch (err) {
+        handleTwoFactorError(err, res, 'updating');
+    }
+});
+
+module.exports = router;
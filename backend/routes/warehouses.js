@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { check, validationResult } = require('express-validator');
+const Warehouse = require('../models/Warehouse');
+const Inventory = require('../models/Inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const SalesOrder = require('../models/SalesOrder');
+const { loadConverter } = require('../utils/currency');
+
+const warehouseValidators = (optional) => {
+    const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+    return [
+        field('code', 'Warehouse code is required').not().isEmpty(),
+        check('code', 'Warehouse code cannot exceed 20 characters').optional().isLength({ max: 20 }),
+        field('name', 'Warehouse name is required').not().isEmpty(),
+        check('name', 'Warehouse name cannot exceed 100 characters').optional().isLength({ max: 100 }),
+        check('capacity', 'Capacity must be zero or more').optional({ values: 'falsy' }).isFloat({ min: 0 }),
+        check('active', 'Active must be true or false').optional().isBoolean()
+    ];
+};
+
+const pickWarehouseFields = (body) => {
+    const data = {};
+    ['code', 'name', 'address', 'capacity', 'active'].forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    if (data.capacity === '' || data.capacity === null) {
+        data.capacity = undefined;
+    }
+    return data;
+};
+
+// Units and value held per warehouse in the organization, the value
+// converted into its base currency at today's rates
+const getStockByWarehouse = async (organization, converter) => {
+    const byCurrency = await Inventory.aggregate([
+        { $match: { organization, deletedAt: null } },
+        { $unwind: '$locations' },
+        { $group: {
+            _id: { warehouse: '$locations.warehouse', currency: '$costCurrency' },
+            itemCount: { $sum: 1 },
+            totalUnits: { $sum: '$locations.quantity' },
+            totalValue: { $sum: { $multiply: ['$locations.quantity', '$costUnit'] } }
+        }}
+    ]);
+
+    const totals = new Map();
+    byCurrency.forEach(({ _id, itemCount, totalUnits, totalValue }) => {
+        const key = String(_id.warehouse);
+        const entry = totals.get(key) || { itemCount: 0, totalUnits: 0, totalValue: 0 };
+        entry.itemCount += itemCount;
+        entry.totalUnits += totalUnits;
+        entry.totalValue += converter.convert(totalValue, _id.currency);
+        totals.set(key, entry);
+    });
+    return totals;
+};
+
+const handleWarehouseError = (err, res, action) => {
+    console.error(`Error ${action} warehouse:`, err.message);
+
+    if (err.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'A warehouse with this code already exists',
+            field: 'code'
+        });
+    }
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: Object.values(err.errors).map(e => e.message).join(', ')
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid warehouse ID format'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error while ${action} warehouse`
+    });
+};
+
+// @route   GET /api/warehouses
+// @desc    Get all warehouses with their stock totals
+router.get('/', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const filter = { organization: req.organization._id };
+        if (req.query.active !== undefined) {
+            filter.active = req.query.active === 'true';
+        }
+
+        const converter = await loadConverter(req.organization._id, req.organization.baseCurrency);
+        const [warehouses, stock] = await Promise.all([
+            Warehouse.find(filter).sort({ code: 1 }).select('-__v'),
+            getStockByWarehouse(req.organization._id, converter)
+        ]);
+
+        const data = warehouses.map(warehouse => {
+            const totals = stock.get(warehouse._id.toString());
+            return {
+                ...warehouse.toObject(),
+                itemCount: totals ? totals.itemCount : 0,
+                totalUnits: totals ? totals.totalUnits : 0,
+                totalValue: totals ? Math.round(totals.totalValue * 100) / 100 : 0
+            };
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            baseCurrency: converter.baseCurrency,
+            missingRates: [...converter.missing].sort(),
+            data
+        });
+    } catch (err) {
+        console.error('Error fetching warehouses:', err.message);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching warehouses'
+        });
+    }
+});
+
+// @route   GET /api/warehouses/:id
+// @desc    Get a warehouse and the items stocked in it
+router.get('/:id', [auth, requireRole('viewer')], async (req, res) => {
+    try {
+        const warehouse = await Warehouse.findOne({ _id: req.params.id, organization: req.organization._id }).select('-__v');
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Warehouse not found'
+            });
+        }
+
+        const items = await Inventory.find({ organization: req.organization._id, 'locations.warehouse': warehouse._id, deletedAt: null })
+            .select('inventoryId productName unitOfMeasure costUnit costCurrency locations')
+            .sort({ inventoryId: 1 });
+
+        const stock = items.map(item => ({
+            _id: item._id,
+            inventoryId: item.inventoryId,
+            productName: item.productName,
+            unitOfMeasure: item.unitOfMeasure,
+            costUnit: item.costUnit,
+            costCurrency: item.costCurrency,
+            quantity: item.locations.find(l => l.warehouse.equals(warehouse._id)).quantity
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                ...warehouse.toObject(),
+                totalUnits: stock.reduce((sum, s) => sum + s.quantity, 0),
+                stock
+            }
+        });
+    } catch (err) {
+        handleWarehouseError(err, res, 'fetching');
+    }
+});
+
+// @route   POST /api/warehouses
+// @desc    Create a warehouse
+router.post('/', [auth, requireRole('editor'), warehouseValidators(false)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const warehouse = await new Warehouse({
+            ...pickWarehouseFields(req.body),
+            organization: req.organization._id
+        }).save();
+
+        res.status(201).json({
+            success: true,
+            data: warehouse,
+            message: 'Warehouse created successfully!'
+        });
+    } catch (err) {
+        handleWarehouseError(err, res, 'creating');
+    }
+});
+
+// @route   PUT /api/warehouses/:id
+// @desc    Update a warehouse
+router.put('/:id', [auth, requireRole('editor'), warehouseValidators(true)], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const warehouse = await Warehouse.findOne({ _id: req.params.id, organization: req.organization._id });
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Warehouse not found'
+            });
+        }
+
+        warehouse.set({ ...pickWarehouseFields(req.body), lastUpdated: Date.now() });
+        await warehouse.save();
+
+        res.json({
+            success: true,
+            data: warehouse,
+            message: 'Warehouse updated successfully!'
+        });
+    } catch (err) {
+        handleWarehouseError(err, res, 'updating');
+    }
+});
+
+// @route   DELETE /api/warehouses/:id
+// @desc    Delete an empty warehouse that no item uses as its default
+router.delete('/:id', [auth, requireRole('editor')], async (req, res) => {
+    try {
+        const warehouse = await Warehouse.findOne({ _id: req.params.id, organization: req.organization._id });
+
+        if (!warehouse) {
+            return res.status(404).json({
+                success: false,
+                message: 'Warehouse not found'
+            });
+        }
+
+        const inUse = await Inventory.exists({
+            organization: req.organization._id,
+            $or: [{ warehouse: warehouse._id }, { 'locations.warehouse': warehouse._id }]
+        });
+
+        if (inUse) {
+            return res.status(400).json({
+                success: false,
+                message: 'This warehouse still holds stock or is the default warehouse of some items (items in the trash count too). Move them first or mark it inactive.'
+            });
+        }
+
+        // open orders would have nowhere to deliver to
+        const openOrder = await PurchaseOrder.exists({
+            organization: req.organization._id,
+            warehouse: warehouse._id,
+            status: { $in: ['draft', ...PurchaseOrder.RECEIVABLE_STATUSES] }
+        });
+
+        if (openOrder) {
+            return res.status(400).json({
+                success: false,
+                message: 'Open purchase orders deliver to this warehouse. Receive, cancel or move them first.'
+            });
+        }
+
+        const openSalesOrder = await SalesOrder.exists({
+            organization: req.organization._id,
+            warehouse: warehouse._id,
+            status: { $in: ['draft', ...SalesOrder.OPEN_STATUSES] }
+        });
+
+        if (openSalesOrder) {
+            return res.status(400).json({
+                success: false,
+                message: 'Open sales orders ship from this warehouse. Ship, cancel or move them first.'
+            });
+        }
+
+        await warehouse.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Warehouse deleted successfully!'
+        });
+    } catch (err) {
+        handleWarehouseError(err, res, 'deleting');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+// One-off migration: replace the category names stored on items with
+// references to Category documents. Every organization gets the default
+// categories; any other name found on an item becomes a category of its own.
+//
+// Run npm run migrate:organizations first.
+// Usage: npm run migrate:categories
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const db = mongoose.connection.db;
+    const items = db.collection('inventories');
+
+    const organizationIds = await db.collection('organizations').distinct('_id');
+    for (const organizationId of organizationIds) {
+        await Category.seedDefaults(organizationId);
+    }
+
+    const idFor = {};
+    const categoryFor = async (organization, name) => {
+        const key = `${organization}:${name.trim().toLowerCase()}`;
+        if (!idFor[key]) {
+            const category = await Category.findOneAndUpdate(
+                { organization, name: name.trim() },
+                { $setOnInsert: { organization, name: name.trim() } },
+                { new: true, upsert: true, collation: { locale: 'en', strength: 2 } }
+            );
+            idFor[key] = category._id;
+        }
+        return idFor[key];
+    };
+
+    let itemCount = 0;
+    for await (const item of items.find({ category: { $type: 'string' } })) {
+        const categoryId = await categoryFor(item.organization, item.category);
+        await items.updateOne({ _id: item._id }, { $set: { category: categoryId } });
+        itemCount++;
+    }
+
+    console.log(`✅ Seeded categories for ${organizationIds.length} organizations, migrated ${itemCount} items`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('❌ Category migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
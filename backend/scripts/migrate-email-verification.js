@@ -0,0 +1,40 @@
+// One-off migration: mark the accounts that existed before email
+// verification as verified, so they can keep accepting invitations.
+// Accounts without the field are always marked. Accounts saved since the
+// upgrade may have stored emailVerified: false already; pass the date email
+// verification went live to mark those created before it as well.
+//
+// Usage: npm run migrate:email-verification [-- --created-before=2026-01-31]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const createdBeforeArg = process.argv.find(arg => arg.startsWith('--created-before='));
+
+const migrate = async () => {
+    const createdBefore = createdBeforeArg && new Date(createdBeforeArg.split('=')[1]);
+    if (createdBefore && isNaN(createdBefore.getTime())) {
+        throw new Error('--created-before must be a date, e.g. 2026-01-31');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const users = mongoose.connection.db.collection('users');
+
+    const legacy = [{ emailVerified: { $exists: false } }];
+    if (createdBefore) {
+        legacy.push({ emailVerified: false, emailVerifiedAt: null, createdAt: { $lt: createdBefore } });
+    }
+
+    const result = await users.updateMany(
+        { $or: legacy },
+        [{ $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+    );
+
+    console.log(`✅ Marked ${result.modifiedCount} existing accounts as verified`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('❌ Email verification migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,56 @@
+// One-off migration: give every user an organization of their own and move
+// the data they owned (items, stock movements, categories, suppliers and
+// warehouses) from their userId to that organization. Indexes are then synced
+// with the models, which replaces the old per-user ones.
+//
+// Run this before the other migrate:* scripts; they work per organization.
+// Usage: npm run migrate:organizations
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const Invitation = require('../models/Invitation');
+
+const OWNED_COLLECTIONS = ['inventories', 'stockmovements', 'categories', 'suppliers', 'warehouses'];
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const db = mongoose.connection.db;
+
+    let createdCount = 0;
+    let documentCount = 0;
+    for await (const user of db.collection('users').find({}, { projection: { username: 1 } })) {
+        // running the script again reuses the organization made the first time
+        let organization = await Organization.findOne({ createdBy: user._id, 'members.user': user._id }).sort({ createdAt: 1 });
+        if (!organization) {
+            organization = await Organization.createFor(user._id, `${user.username}'s Inventory`);
+            createdCount++;
+        }
+
+        // raw collections, because the models no longer know the userId field
+        for (const name of OWNED_COLLECTIONS) {
+            const result = await db.collection(name).updateMany(
+                { userId: user._id },
+                { $set: { organization: organization._id }, $unset: { userId: '' } }
+            );
+            documentCount += result.modifiedCount;
+        }
+    }
+
+    for (const Model of [Organization, Invitation, Inventory, StockMovement, Category, Supplier, Warehouse]) {
+        await Model.syncIndexes();
+    }
+
+    console.log(`✅ Created ${createdCount} organizations, moved ${documentCount} documents`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('❌ Organization migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+// One-off migration: turn the free-text supplier names stored on items into
+// Supplier documents referenced by id. Names that differ only in case are
+// merged into one supplier.
+//
+// Run npm run migrate:organizations first.
+// Usage: npm run migrate:suppliers
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const items = mongoose.connection.db.collection('inventories');
+
+    const idFor = {};
+    const supplierFor = async (organization, name) => {
+        const key = `${organization}:${name.trim().toLowerCase()}`;
+        if (!idFor[key]) {
+            const supplier = await Supplier.findOneAndUpdate(
+                { organization, name: name.trim() },
+                { $setOnInsert: { organization, name: name.trim() } },
+                { new: true, upsert: true, collation: { locale: 'en', strength: 2 } }
+            );
+            idFor[key] = supplier._id;
+        }
+        return idFor[key];
+    };
+
+    let itemCount = 0;
+    for await (const item of items.find({ supplier: { $type: 'string' } })) {
+        const supplierId = await supplierFor(item.organization, item.supplier);
+        await items.updateOne({ _id: item._id }, { $set: { supplier: supplierId } });
+        itemCount++;
+    }
+
+    console.log(`✅ Created or matched ${Object.keys(idFor).length} suppliers, migrated ${itemCount} items`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('❌ Supplier migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,80 @@
+// One-off migration: turn the free-text warehouse codes stored on items and
+// stock movements into Warehouse documents referenced by id.
+//
+// Run npm run migrate:organizations first.
+// Usage: npm run migrate:warehouses
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Warehouse = require('../models/Warehouse');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const db = mongoose.connection.db;
+    const items = db.collection('inventories');
+    const movements = db.collection('stockmovements');
+
+    // every (organization, code) pair used by items, their locations or the stock ledger
+    const codeSources = [
+        [items, '$warehouse'],
+        [items, '$locations.warehouse', true],
+        [movements, '$warehouse'],
+        [movements, '$counterpartWarehouse']
+    ];
+    const pairs = new Map();
+    for (const [collection, path, unwind] of codeSources) {
+        const field = path.slice(1);
+        const pipeline = [
+            ...(unwind ? [{ $unwind: '$locations' }] : []),
+            { $match: { [field]: { $type: 'string' } } },
+            { $group: { _id: { organization: '$organization', code: path } } }
+        ];
+        const found = await collection.aggregate(pipeline).toArray();
+        found.forEach(({ _id }) => pairs.set(`${_id.organization}:${_id.code}`, _id));
+    }
+
+    const idFor = {};
+    for (const [key, { organization, code }] of pairs) {
+        const warehouse = await Warehouse.findOneAndUpdate(
+            { organization, code },
+            { $setOnInsert: { organization, code, name: code } },
+            { new: true, upsert: true }
+        );
+        idFor[key] = warehouse._id;
+    }
+
+    let itemCount = 0;
+    for await (const item of items.find({ warehouse: { $type: 'string' } })) {
+        const locations = (item.locations || []).map(location => ({
+            warehouse: typeof location.warehouse === 'string'
+                ? idFor[`${item.organization}:${location.warehouse}`]
+                : location.warehouse,
+            quantity: location.quantity
+        }));
+
+        await items.updateOne(
+            { _id: item._id },
+            { $set: { warehouse: idFor[`${item.organization}:${item.warehouse}`], locations } }
+        );
+        itemCount++;
+    }
+
+    let movementCount = 0;
+    for (const field of ['warehouse', 'counterpartWarehouse']) {
+        for await (const movement of movements.find({ [field]: { $type: 'string' } })) {
+            await movements.updateOne(
+                { _id: movement._id },
+                { $set: { [field]: idFor[`${movement.organization}:${movement[field]}`] } }
+            );
+            movementCount++;
+        }
+    }
+
+    console.log(`✅ Created or matched ${pairs.size} warehouses, migrated ${itemCount} items and ${movementCount} movements`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('❌ Warehouse migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
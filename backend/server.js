@@ -3,15 +3,21 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path'); // ADD THIS
+const { scheduleTrashPurge } = require('./utils/itemTrash');
 
 const app = express();
 
+// behind the hosting proxy: req.ip is the client's address, as recorded on sessions
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
         ? ['https://cloudfinalprojectf25-5.onrender.com']
         : 'http://localhost:3000',
-    credentials: true
+    credentials: true,
+    // lets the browser read the file name of export downloads
+    exposedHeaders: ['Content-Disposition']
 }));
 
 app.use(express.json());
@@ -22,6 +28,7 @@ mongoose.connect(process.env.MONGODB_URI)
 .then(() => {
     console.log('✅ MongoDB Connected');
     console.log('Database:', mongoose.connection.db?.databaseName);
+    scheduleTrashPurge();
 })
 .catch(err => {
     console.error('❌ MongoDB Connection Error:', err.message);
@@ -30,11 +37,41 @@ mongoose.connect(process.env.MONGODB_URI)
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const itemRoutes = require('./routes/items');
+const importRoutes = require('./routes/imports');
+const movementRoutes = require('./routes/movements');
+const lotRoutes = require('./routes/lots');
+const warehouseRoutes = require('./routes/warehouses');
+const supplierRoutes = require('./routes/suppliers');
+const categoryRoutes = require('./routes/categories');
+const organizationRoutes = require('./routes/organizations');
+const invitationRoutes = require('./routes/invitations');
+const auditRoutes = require('./routes/audit');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const salesOrderRoutes = require('./routes/salesOrders');
+const reportRoutes = require('./routes/reports');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const apiKeyRoutes = require('./routes/apiKeys');
 
 // Use routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/items/import', importRoutes);
 app.use('/api/items', itemRoutes);
+app.use('/api/items/:id/movements', movementRoutes);
+app.use('/api/items/:id/lots', lotRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/sales-orders', salesOrderRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // 👇 SERVE FRONTEND IN PRODUCTION 👇
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,128 @@
+const express = require('express');
+const request = require('supertest');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { hashToken } = require('../utils/tokens');
+const { objectId, query } = require('./helpers');
+
+const KEY = 'sit_0123456789abcdef0123456789abcdef0123456789abcdef';
+
+// routers mounted where server.js mounts the real ones, since the scope
+// a request needs depends on where it goes
+const app = express();
+const mount = (path, routes) => {
+    const router = express.Router();
+    routes.forEach(([method, route]) => {
+        router[method](route, auth, requireRole('viewer'), (req, res) => {
+            res.json({ user: req.user.id, organization: req.organization._id });
+        });
+    });
+    app.use(path, router);
+};
+mount('/api/items', [['get', '/'], ['post', '/'], ['post', '/labels']]);
+mount('/api/reports', [['get', '/valuation']]);
+mount('/api/organizations', [['get', '/']]);
+
+const setUp = (fields = {}) => {
+    const user = new User({ _id: objectId(), username: 'script-owner', email: 'owner@example.com', password: 'hash' });
+    const organization = new Organization({ name: 'Test Inventory', members: [{ user: user._id, role: 'editor' }] });
+    const apiKey = ApiKey.hydrate({
+        _id: objectId(),
+        name: 'Nightly sync',
+        user: user._id,
+        scopes: ['items:read'],
+        keyHash: hashToken(KEY),
+        prefix: KEY.slice(0, 12),
+        lastUsedAt: new Date(),
+        ...fields
+    });
+
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue(query(apiKey));
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(Organization, 'findOne').mockReturnValue(query(organization));
+    jest.spyOn(ApiKey.prototype, 'save').mockImplementation(async function() { return this; });
+    return { user, organization, apiKey };
+};
+
+const bearer = { authorization: `Bearer ${KEY}` };
+
+describe('API key scopes', () => {
+    test('reads items with items:read, acting as the user who created the key', async () => {
+        const { user, organization } = setUp();
+
+        const res = await request(app).get('/api/items').set(bearer);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ user: user._id.toString(), organization: organization._id.toString() });
+        expect(ApiKey.findOne).toHaveBeenCalledWith({ keyHash: hashToken(KEY), revokedAt: null });
+    });
+
+    test('needs items:write to change items', async () => {
+        setUp();
+
+        const res = await request(app).post('/api/items').set(bearer);
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('This API key does not have the items:write scope');
+    });
+
+    test('counts label sheets as reading', async () => {
+        setUp();
+
+        const res = await request(app).post('/api/items/labels').set(bearer);
+
+        expect(res.status).toBe(200);
+    });
+
+    test('keeps each scope to its own resource', async () => {
+        setUp({ scopes: ['items:write'] });
+
+        const res = await request(app).get('/api/reports/valuation').set(bearer);
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('This API key does not have the reports:read scope');
+    });
+
+    test('cannot reach routes outside the API key resources', async () => {
+        setUp({ scopes: ApiKey.SCOPES });
+
+        const res = await request(app).get('/api/organizations').set({ 'x-auth-token': KEY });
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('API keys cannot be used here, please login instead');
+    });
+
+    test('turns away expired and unknown keys', async () => {
+        setUp({ expiresAt: new Date(Date.now() - 1000) });
+        const expired = await request(app).get('/api/items').set(bearer);
+        expect(expired.status).toBe(401);
+
+        ApiKey.findOne.mockReturnValue(query(null));
+        const unknown = await request(app).get('/api/items').set(bearer);
+        expect(unknown.status).toBe(401);
+        expect(unknown.body.message).toBe('Invalid, expired or revoked API key');
+    });
+
+    test('keeps organization keys in their organization', async () => {
+        const pinned = objectId();
+        const { user } = setUp({ organization: pinned });
+
+        await request(app).get('/api/items').set({ ...bearer, 'x-organization-id': objectId().toString() });
+
+        expect(Organization.findOne).toHaveBeenCalledWith({ 'members.user': user._id.toString(), _id: pinned.toString() });
+    });
+
+    test('records the use at most once a minute', async () => {
+        const { apiKey } = setUp();
+
+        await request(app).get('/api/items').set(bearer);
+        expect(apiKey.save).not.toHaveBeenCalled();
+
+        apiKey.lastUsedAt = new Date(Date.now() - 2 * 60 * 1000);
+        await request(app).get('/api/items').set(bearer);
+        expect(apiKey.save).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,69 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const { signAccessToken } = require('../utils/tokens');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Stands in for a mongoose query: chainable like one, resolves to value
+const query = (value) => {
+    const stub = {
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+        catch: (reject) => Promise.resolve(value).catch(reject)
+    };
+    ['session', 'select', 'sort', 'skip', 'limit', 'lean', 'populate', 'collation'].forEach(method => {
+        stub[method] = () => stub;
+    });
+    return stub;
+};
+
+// Runs Model.db.transaction callbacks straight away with a fake session.
+// runs > 1 calls the callback again, like mongoose does after a write conflict.
+const mockTransaction = (Model, { runs = 1 } = {}) => {
+    const session = { id: 'test-session' };
+    jest.spyOn(Model.db, 'transaction').mockImplementation(async (fn) => {
+        for (let run = 0; run < runs; run++) {
+            await fn(session);
+        }
+    });
+    return session;
+};
+
+// Saving validates the document like mongoose would, without writing it
+const mockSave = (Model) => jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+});
+
+// A signed-in member of a new organization with the given role. Requests
+// made with `headers` pass auth and requireRole without a database.
+const signIn = (role = 'editor') => {
+    const user = { _id: objectId(), username: 'tester', email: 'tester@example.com' };
+    const organization = new Organization({
+        name: 'Test Inventory',
+        members: [{ user: user._id, role }]
+    });
+    jest.spyOn(Organization, 'findOne').mockReturnValue(query(organization));
+    return {
+        user,
+        organization,
+        headers: { 'x-auth-token': signAccessToken(user, objectId()) }
+    };
+};
+
+// An app with just the router under test, mounted where server.js mounts it
+const appWith = (path, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+    return app;
+};
+
+module.exports = {
+    objectId,
+    query,
+    mockTransaction,
+    mockSave,
+    signIn,
+    appWith
+};
@@ -0,0 +1,199 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { objectId, query, appWith } = require('./helpers');
+
+const req = { ip: '198.51.100.4' };
+const { FAILURE_WINDOW_MS, LIMITS, delayFor } = LoginThrottle;
+
+// Just enough of the aggregation operators LoginThrottle's updates use
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+    if (expression === null || expression instanceof Date || typeof expression !== 'object') return expression;
+
+    const [operator, args] = Object.entries(expression)[0];
+    const values = args.map(arg => evaluate(arg, doc));
+    const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+    switch (operator) {
+    case '$cond': return values[0] ? values[1] : values[2];
+    case '$gt': return values[0] !== undefined && comparable(values[0]) > comparable(values[1]);
+    case '$eq': return comparable(values[0]) === comparable(values[1]);
+    case '$add': return values[0] + values[1];
+    case '$subtract': return values[0] - values[1];
+    case '$max': return Math.max(...values);
+    default: throw new Error(`${operator} is not supported here`);
+    }
+};
+
+// The counts in a Map; every update is applied in one step, like MongoDB does
+const stubCounts = () => {
+    const counts = new Map();
+    const apply = (doc, [{ $set }]) => {
+        const changes = Object.fromEntries(Object.entries($set).map(([field, expression]) => [field, evaluate(expression, doc)]));
+        return { ...doc, ...changes };
+    };
+
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(({ key }, pipeline) => {
+        counts.set(key, apply(counts.get(key) || { key, attempts: 0 }, pipeline));
+        return query({ ...counts.get(key) });
+    });
+    jest.spyOn(LoginThrottle, 'updateOne').mockImplementation(({ key }, pipeline) => {
+        if (counts.has(key)) counts.set(key, apply(counts.get(key), pipeline));
+        return query({});
+    });
+    jest.spyOn(LoginThrottle, 'deleteOne').mockImplementation(({ key }) => {
+        counts.delete(key);
+        return query({});
+    });
+    return counts;
+};
+
+// a failed login: counted, and left counted
+const fail = (email) => LoginThrottle.begin(req, email);
+
+describe('delayFor', () => {
+    test('lets the free attempts through, then doubles the wait up to a lockout', () => {
+        expect(delayFor(2, LIMITS.account)).toBe(0);
+        expect(delayFor(3, LIMITS.account)).toBe(1000);
+        expect(delayFor(4, LIMITS.account)).toBe(2000);
+        expect(delayFor(9, LIMITS.account)).toBe(64000);
+        expect(delayFor(10, LIMITS.account)).toBe(FAILURE_WINDOW_MS);
+    });
+});
+
+describe('LoginThrottle', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-03-02T09:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('makes the attempt after the free ones wait, counted from the last failure', async () => {
+        const counts = stubCounts();
+        for (let i = 0; i < LIMITS.account.freeAttempts; i++) {
+            await expect(fail('sam@example.com')).resolves.toMatchObject({ wait: 0 });
+        }
+
+        await expect(LoginThrottle.begin(req, 'sam@example.com')).resolves.toMatchObject({ wait: 1000 });
+        // turned away, so not counted
+        expect(counts.get('account:sam@example.com').attempts).toBe(3);
+
+        jest.advanceTimersByTime(1000);
+        await expect(LoginThrottle.begin(req, 'sam@example.com')).resolves.toMatchObject({ wait: 0 });
+    });
+
+    test('lets only the free attempts through when they arrive in parallel', async () => {
+        const counts = stubCounts();
+
+        const results = await Promise.all(Array.from({ length: 8 }, () => LoginThrottle.begin(req, 'sam@example.com')));
+
+        expect(results.filter(({ wait }) => wait === 0)).toHaveLength(LIMITS.account.freeAttempts);
+        expect(counts.get('account:sam@example.com').attempts).toBe(LIMITS.account.freeAttempts);
+    });
+
+    test('does not move the wait on for attempts it turned away', async () => {
+        const counts = stubCounts();
+        for (let i = 0; i < LIMITS.account.freeAttempts; i++) await fail('sam@example.com');
+        const lastFailure = counts.get('account:sam@example.com').lastAttemptAt;
+
+        jest.advanceTimersByTime(500);
+        await LoginThrottle.begin(req, 'sam@example.com');
+
+        expect(counts.get('account:sam@example.com').lastAttemptAt).toEqual(lastFailure);
+        jest.advanceTimersByTime(500);
+        await expect(LoginThrottle.begin(req, 'sam@example.com')).resolves.toMatchObject({ wait: 0 });
+    });
+
+    test('forgets failures once the window is over', async () => {
+        stubCounts();
+        // fail up to the lockout, waiting out each delay
+        for (let failures = 0; failures < LIMITS.account.lockoutAfter;) {
+            const { wait } = await fail('sam@example.com');
+            if (wait) jest.advanceTimersByTime(wait);
+            else failures++;
+        }
+        await expect(LoginThrottle.begin(req, 'sam@example.com')).resolves.toMatchObject({ wait: FAILURE_WINDOW_MS });
+
+        jest.advanceTimersByTime(FAILURE_WINDOW_MS);
+        await expect(LoginThrottle.begin(req, 'sam@example.com')).resolves.toMatchObject({ wait: 0 });
+    });
+
+    test('clears the account failures after a successful login', async () => {
+        const counts = stubCounts();
+        for (let i = 0; i < LIMITS.account.freeAttempts - 1; i++) await fail('sam@example.com');
+
+        const { attempt } = await LoginThrottle.begin(req, 'sam@example.com');
+        await LoginThrottle.finish(attempt, { success: true });
+
+        expect(counts.has('account:sam@example.com')).toBe(false);
+        // the address keeps counting the failures
+        expect(counts.get(`ip:${req.ip}`).attempts).toBe(LIMITS.account.freeAttempts - 1);
+    });
+
+    test('counts the failures of every account from one address', async () => {
+        stubCounts();
+        for (let i = 0; i < LIMITS.ip.freeAttempts; i++) await fail(`user${i}@example.com`);
+
+        await expect(LoginThrottle.begin(req, 'someone-new@example.com')).resolves.toMatchObject({ wait: 1000 });
+    });
+});
+
+describe('POST /api/auth/login throttling', () => {
+    const app = appWith('/api/auth', authRoutes);
+    const attempt = { at: new Date(), counters: [] };
+
+    const setUp = ({ wait = 0 } = {}) => {
+        const user = new User({ _id: objectId(), username: 'sam', email: 'sam@example.com', password: 'hash' });
+        jest.spyOn(User, 'findOne').mockReturnValue(query(user));
+        jest.spyOn(LoginThrottle, 'begin').mockResolvedValue({ wait, attempt });
+        jest.spyOn(LoginThrottle, 'finish').mockResolvedValue();
+        jest.spyOn(LoginAttempt, 'record').mockResolvedValue();
+        jest.spyOn(Session, 'start').mockResolvedValue({ session: { _id: objectId() }, refreshToken: 'refresh' });
+        return user;
+    };
+
+    test('turns the attempt away before checking the password', async () => {
+        const user = setUp({ wait: 4200 });
+        const compare = jest.spyOn(bcrypt, 'compare');
+
+        const res = await request(app).post('/api/auth/login').send({ email: 'Sam@example.com', password: 'secret' });
+
+        expect(res.status).toBe(429);
+        expect(res.headers['retry-after']).toBe('5');
+        expect(res.body).toMatchObject({ retryAfter: 5, message: 'Too many failed login attempts. Try again in 5 seconds.' });
+        expect(LoginThrottle.begin).toHaveBeenCalledWith(expect.anything(), 'sam@example.com');
+        expect(compare).not.toHaveBeenCalled();
+        expect(LoginAttempt.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            user: user._id,
+            success: false,
+            reason: 'throttled'
+        }));
+    });
+
+    test('leaves a wrong password counted', async () => {
+        setUp();
+        jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+        const res = await request(app).post('/api/auth/login').send({ email: 'sam@example.com', password: 'wrong' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Invalid email or password');
+        expect(LoginThrottle.finish).not.toHaveBeenCalled();
+    });
+
+    test('clears the failures of the account on success', async () => {
+        setUp();
+        jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+        const res = await request(app).post('/api/auth/login').send({ email: 'sam@example.com', password: 'secret' });
+
+        expect(res.status).toBe(200);
+        expect(LoginThrottle.finish).toHaveBeenCalledWith(attempt, { success: true });
+    });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const SalesOrder = require('../models/SalesOrder');
+const Warehouse = require('../models/Warehouse');
+const movementRoutes = require('../routes/movements');
+const { objectId, query, mockTransaction, signIn, appWith } = require('./helpers');
+
+const app = appWith('/api/items/:id/movements', movementRoutes);
+
+// An item with 10 on hand in its warehouse, `reserved` of them held by sales orders
+const setUp = ({ reserved }) => {
+    const login = signIn('editor');
+    const warehouse = { _id: objectId(), code: 'MAIN' };
+    const item = new Inventory({
+        inventoryId: 'INV-00001',
+        productName: 'Widget',
+        warehouse: warehouse._id,
+        organization: login.organization._id,
+        quantity: 10
+    });
+
+    const session = mockTransaction(StockMovement);
+    jest.spyOn(Inventory, 'findOne').mockReturnValue(query(item));
+    jest.spyOn(Warehouse, 'findOne').mockReturnValue(query(warehouse));
+    jest.spyOn(StockMovement, 'getItemBalances').mockResolvedValue([{ warehouse: warehouse._id, quantity: 10 }]);
+    jest.spyOn(SalesOrder, 'getAllocations').mockResolvedValue({ [item._id.toString()]: reserved });
+    jest.spyOn(StockMovement, 'record').mockImplementation(async (recorded) => ({ item: recorded, movements: [] }));
+    jest.spyOn(Inventory.prototype, 'populate').mockImplementation(async function() { return this; });
+
+    return { ...login, warehouse, item, session, url: `/api/items/${item._id}/movements` };
+};
+
+describe('stock movements and sales order reservations', () => {
+    test('issues stock that no sales order holds', async () => {
+        const { headers, user, item, warehouse, session, url } = setUp({ reserved: 8 });
+
+        const res = await request(app).post(`${url}/issue`).set(headers).send({ quantity: 2 });
+
+        expect(res.status).toBe(201);
+        expect(SalesOrder.getAllocations).toHaveBeenCalledWith([item._id], { warehouse: warehouse._id, session });
+        expect(StockMovement.record).toHaveBeenCalledWith(item, [expect.objectContaining({
+            type: 'issue',
+            quantity: -2,
+            warehouse: warehouse._id
+        })], user._id.toString(), { session });
+    });
+
+    test('does not issue reserved stock', async () => {
+        const { headers, url } = setUp({ reserved: 8 });
+
+        const res = await request(app).post(`${url}/issue`).set(headers).send({ quantity: 3 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Insufficient stock in MAIN: 2 available after sales order reservations');
+        expect(StockMovement.record).not.toHaveBeenCalled();
+    });
+
+    test('does not adjust reserved stock away', async () => {
+        const { headers, url } = setUp({ reserved: 8 });
+
+        const res = await request(app).post(`${url}/adjust`).set(headers).send({ quantity: -3, reasonCode: 'damaged' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Adjustment would take reserved or missing stock in MAIN: 2 available after sales order reservations');
+        expect(StockMovement.record).not.toHaveBeenCalled();
+    });
+
+    test('adjusts up regardless of reservations', async () => {
+        const { headers, url } = setUp({ reserved: 10 });
+
+        const res = await request(app).post(`${url}/adjust`).set(headers).send({ quantity: 4, reasonCode: 'found' });
+
+        expect(res.status).toBe(201);
+        expect(SalesOrder.getAllocations).not.toHaveBeenCalled();
+        expect(StockMovement.record.mock.calls[0][1]).toEqual([expect.objectContaining({ quantity: 4, reasonCode: 'found' })]);
+    });
+
+    test('does not transfer reserved stock', async () => {
+        const { headers, url, warehouse } = setUp({ reserved: 8 });
+        const destination = { _id: objectId(), code: 'EAST' };
+        Warehouse.findOne.mockImplementation(({ _id }) => query(String(_id) === String(destination._id) ? destination : warehouse));
+
+        const res = await request(app).post(`${url}/transfer`).set(headers).send({ quantity: 3, toWarehouse: destination._id.toString() });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Insufficient stock in MAIN: 2 available after sales order reservations');
+        expect(StockMovement.record).not.toHaveBeenCalled();
+    });
+});
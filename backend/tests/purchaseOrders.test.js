@@ -0,0 +1,134 @@
+const request = require('supertest');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const purchaseOrderRoutes = require('../routes/purchaseOrders');
+const { objectId, query, mockTransaction, mockSave, signIn, appWith } = require('./helpers');
+
+const app = appWith('/api/purchase-orders', purchaseOrderRoutes);
+
+// A sent purchase order for 10 of one item at 4 USD, `received` of them in already
+const setUp = ({ status = 'sent', received = 0 } = {}) => {
+    const login = signIn('editor');
+    const warehouse = { _id: objectId(), code: 'MAIN' };
+    const item = new Inventory({
+        inventoryId: 'INV-00001',
+        productName: 'Widget',
+        warehouse: warehouse._id,
+        organization: login.organization._id
+    });
+    const order = new PurchaseOrder({
+        number: 'PO-00001',
+        supplier: objectId(),
+        warehouse: warehouse._id,
+        currency: 'USD',
+        status,
+        lines: [{ item: item._id, inventoryId: 'INV-00001', quantityOrdered: 10, quantityReceived: received, unitCost: 4 }],
+        createdBy: login.user._id,
+        organization: login.organization._id
+    });
+
+    const session = mockTransaction(PurchaseOrder);
+    jest.spyOn(PurchaseOrder, 'findOne').mockReturnValue(query(order));
+    jest.spyOn(Warehouse, 'findOne').mockReturnValue(query(warehouse));
+    jest.spyOn(Inventory, 'find').mockReturnValue(query([item]));
+    jest.spyOn(StockMovement, 'record').mockImplementation(async (recorded) => ({ item: recorded, movements: [] }));
+    jest.spyOn(PurchaseOrder.prototype, 'populate').mockImplementation(async function() { return this; });
+    mockSave(PurchaseOrder);
+
+    return { ...login, warehouse, item, order, session, url: `/api/purchase-orders/${order._id}/receive` };
+};
+
+describe('POST /api/purchase-orders/:id/receive', () => {
+    test('receives into the ledger at the order cost and currency', async () => {
+        const { headers, user, order, item, warehouse, session, url } = setUp();
+        const line = order.lines[0]._id.toString();
+
+        const res = await request(app).post(url).set(headers).send({ lines: [{ line, quantity: 4 }], note: 'First pallet' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Received 1 line on PO-00001');
+        expect(StockMovement.record).toHaveBeenCalledWith(item, [{
+            type: 'receipt',
+            quantity: 4,
+            unitCost: 4,
+            currency: 'USD',
+            warehouse: warehouse._id,
+            reference: 'PO-00001',
+            note: 'First pallet'
+        }], user._id.toString(), { session });
+        expect(order.lines[0].quantityReceived).toBe(4);
+        expect(order.status).toBe('partially-received');
+        expect(order.save).toHaveBeenCalledWith({ session });
+    });
+
+    test('marks the order received once every line is in', async () => {
+        const { headers, order, url } = setUp({ status: 'partially-received', received: 6 });
+
+        const res = await request(app).post(url).set(headers).send({ lines: [{ line: order.lines[0]._id.toString(), quantity: 4 }] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Purchase order PO-00001 fully received');
+        expect(order.status).toBe('received');
+        expect(order.receivedAt).toBeInstanceOf(Date);
+    });
+
+    test('does not receive more than is outstanding', async () => {
+        const { headers, order, url } = setUp({ status: 'partially-received', received: 8 });
+
+        const res = await request(app).post(url).set(headers).send({ lines: [{ line: order.lines[0]._id.toString(), quantity: 3 }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('INV-00001: only 2 each outstanding');
+        expect(StockMovement.record).not.toHaveBeenCalled();
+        expect(order.save).not.toHaveBeenCalled();
+    });
+
+    test('checks what is outstanding again when the transaction is retried', async () => {
+        const { headers, order, session, url } = setUp();
+        const line = order.lines[0]._id.toString();
+        // another receipt of 8 committed while the first run was in flight
+        PurchaseOrder.db.transaction.mockImplementation(async (fn) => {
+            await fn(session);
+            order.lines[0].quantityReceived = 8;
+            await fn(session);
+        });
+
+        const res = await request(app).post(url).set(headers).send({ lines: [{ line, quantity: 4 }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('INV-00001: only 2 each outstanding');
+        expect(PurchaseOrder.findOne).toHaveBeenCalledTimes(2);
+    });
+
+    test('only receives sent orders', async () => {
+        const { headers, order, url } = setUp({ status: 'draft' });
+
+        const res = await request(app).post(url).set(headers).send({ lines: [{ line: order.lines[0]._id.toString(), quantity: 1 }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Only sent or partially received purchase orders can be received');
+    });
+
+    test('names the field when the warehouse is not found', async () => {
+        const { headers, order, url } = setUp();
+        Warehouse.findOne.mockReturnValue(query(null));
+
+        const res = await request(app).post(url).set(headers).send({ lines: [{ line: order.lines[0]._id.toString(), quantity: 1 }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ message: 'Warehouse not found', field: 'warehouse' });
+    });
+
+    test('receives each line once per receipt', async () => {
+        const { headers, order, url } = setUp();
+        const line = order.lines[0]._id.toString();
+
+        const res = await request(app).post(url).set(headers).send({ lines: [{ line, quantity: 1 }, { line, quantity: 2 }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Each order line can only be received once per receipt');
+        expect(PurchaseOrder.db.transaction).not.toHaveBeenCalled();
+    });
+});
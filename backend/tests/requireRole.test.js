@@ -0,0 +1,89 @@
+const express = require('express');
+const request = require('supertest');
+const Organization = require('../models/Organization');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/organization');
+const { objectId, query, signIn } = require('./helpers');
+
+// one route per role, answering with what requireRole resolved
+const app = express();
+Organization.ROLES.forEach(role => {
+    app.get(`/${role}`, auth, requireRole(role), (req, res) => {
+        res.json({ organization: req.organization._id, role: req.role });
+    });
+});
+
+describe('requireRole', () => {
+    test('lets members with the role or a higher one through', async () => {
+        const { headers, organization } = signIn('admin');
+
+        for (const role of ['viewer', 'editor', 'admin']) {
+            const res = await request(app).get(`/${role}`).set(headers);
+            expect(res.status).toBe(200);
+            expect(res.body).toEqual({ organization: organization._id.toString(), role: 'admin' });
+        }
+    });
+
+    test('turns away members with a lower role', async () => {
+        const { headers } = signIn('viewer');
+
+        const res = await request(app).get('/editor').set(headers);
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('This action needs the editor role or higher');
+    });
+
+    test('works in the organization the client picks', async () => {
+        const { headers, user } = signIn('editor');
+        const picked = objectId();
+
+        await request(app).get('/viewer').set({ ...headers, 'x-organization-id': picked.toString() });
+
+        expect(Organization.findOne).toHaveBeenCalledWith({ 'members.user': user._id.toString(), _id: picked.toString() });
+    });
+
+    test('turns away users who are not members of the picked organization', async () => {
+        const { headers } = signIn('owner');
+        Organization.findOne.mockReturnValue(query(null));
+
+        const res = await request(app).get('/viewer').set({ ...headers, 'x-organization-id': objectId().toString() });
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('You are not a member of this organization');
+    });
+
+    test('turns away users without an organization', async () => {
+        const { headers } = signIn('owner');
+        Organization.findOne.mockReturnValue(query(null));
+
+        const res = await request(app).get('/viewer').set(headers);
+
+        expect(res.status).toBe(403);
+        expect(res.body.message).toBe('You do not belong to an organization yet');
+    });
+
+    test('refuses organization ids that are not ids', async () => {
+        const { headers } = signIn('owner');
+
+        const res = await request(app).get('/viewer').set({ ...headers, 'x-organization-id': 'not-an-id' });
+
+        expect(res.status).toBe(400);
+        expect(Organization.findOne).not.toHaveBeenCalled();
+    });
+
+    test('asks for two-factor authentication where the organization requires it', async () => {
+        const { headers, organization } = signIn('owner');
+        organization.requireTwoFactor = true;
+
+        const res = await request(app).get('/viewer').set(headers);
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('two-factor-required');
+    });
+
+    test('needs a login first', async () => {
+        const res = await request(app).get('/viewer');
+
+        expect(res.status).toBe(401);
+    });
+});
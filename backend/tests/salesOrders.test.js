@@ -0,0 +1,184 @@
+const request = require('supertest');
+const SalesOrder = require('../models/SalesOrder');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const salesOrderRoutes = require('../routes/salesOrders');
+const { objectId, query, mockTransaction, mockSave, signIn, appWith } = require('./helpers');
+
+const app = appWith('/api/sales-orders', salesOrderRoutes);
+
+// One item, one warehouse and a sales order for 8 of the item
+const setUp = ({ status = 'draft', allocated = 0, onHand = 5, reservedElsewhere = 0 } = {}) => {
+    const login = signIn('editor');
+    const warehouse = { _id: objectId(), code: 'MAIN' };
+    const item = new Inventory({
+        inventoryId: 'INV-00001',
+        productName: 'Widget',
+        warehouse: warehouse._id,
+        organization: login.organization._id,
+        quantity: onHand
+    });
+    const order = new SalesOrder({
+        number: 'SO-00001',
+        customerName: 'Acme',
+        warehouse: warehouse._id,
+        status,
+        lines: [{ item: item._id, inventoryId: 'INV-00001', quantityOrdered: 8, quantityAllocated: allocated, unitPrice: 3 }],
+        createdBy: login.user._id,
+        organization: login.organization._id
+    });
+    const reserved = reservedElsewhere + (status === 'draft' ? 0 : allocated);
+
+    const session = mockTransaction(SalesOrder);
+    jest.spyOn(SalesOrder, 'findOne').mockReturnValue(query(order));
+    jest.spyOn(Inventory, 'find').mockReturnValue(query([item]));
+    jest.spyOn(Warehouse, 'findById').mockReturnValue(query(warehouse));
+    jest.spyOn(StockMovement, 'getItemBalances').mockResolvedValue([{ warehouse: warehouse._id, quantity: onHand }]);
+    jest.spyOn(SalesOrder, 'getAllocations').mockResolvedValue({ [item._id.toString()]: reserved });
+    jest.spyOn(SalesOrder, 'recalculateAllocations').mockResolvedValue();
+    jest.spyOn(SalesOrder.prototype, 'populate').mockImplementation(async function() { return this; });
+    jest.spyOn(StockMovement, 'record').mockImplementation(async (recorded) => ({ item: recorded, movements: [] }));
+    mockSave(SalesOrder);
+
+    return { ...login, warehouse, item, order, session };
+};
+
+describe('POST /api/sales-orders/:id/confirm', () => {
+    test('reserves what the warehouse has free and backorders the rest', async () => {
+        const { headers, order, item, session } = setUp({ onHand: 5, reservedElsewhere: 2 });
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/confirm`).set(headers);
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Sales order SO-00001 confirmed, 1 line on backorder');
+        expect(order.status).toBe('confirmed');
+        expect(order.lines[0].quantityAllocated).toBe(3);
+        expect(order.backordered).toBe(true);
+        expect(order.save).toHaveBeenCalledWith({ session });
+        expect(SalesOrder.recalculateAllocations).toHaveBeenCalledWith([item], { session });
+    });
+
+    test('allocates every line in full when there is enough stock', async () => {
+        const { headers, order } = setUp({ onHand: 20 });
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/confirm`).set(headers);
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Sales order SO-00001 confirmed, all lines allocated');
+        expect(order.lines[0].quantityAllocated).toBe(8);
+    });
+
+    test('only confirms drafts', async () => {
+        const { headers, order } = setUp({ status: 'confirmed' });
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/confirm`).set(headers);
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Only draft sales orders can be confirmed');
+        expect(order.save).not.toHaveBeenCalled();
+    });
+
+    test('loads the order again when the transaction is retried', async () => {
+        const { headers, order, session } = setUp();
+        // the first run conflicted with a confirm that committed in between
+        SalesOrder.db.transaction.mockImplementation(async (fn) => {
+            await fn(session);
+            order.status = 'confirmed';
+            await fn(session);
+        });
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/confirm`).set(headers);
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Only draft sales orders can be confirmed');
+        expect(SalesOrder.findOne).toHaveBeenCalledTimes(2);
+    });
+
+    test('refuses orders with an item in the trash', async () => {
+        const { headers, order } = setUp();
+        Inventory.find.mockReturnValue(query([]));
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/confirm`).set(headers);
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('INV-00001 is no longer in inventory. Remove it from the order first.');
+    });
+
+    test('answers 404 for orders of other organizations', async () => {
+        const { headers } = setUp();
+        SalesOrder.findOne.mockReturnValue(query(null));
+
+        const res = await request(app).post(`/api/sales-orders/${objectId()}/confirm`).set(headers);
+
+        expect(res.status).toBe(404);
+        expect(res.body.message).toBe('Sales order not found');
+    });
+
+    test('needs the editor role', async () => {
+        const { order } = setUp();
+        const { headers } = signIn('viewer');
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/confirm`).set(headers);
+
+        expect(res.status).toBe(403);
+        expect(SalesOrder.db.transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /api/sales-orders/:id/ship', () => {
+    test('issues the allocated stock from the order warehouse', async () => {
+        const { headers, user, order, item, warehouse, session } = setUp({ status: 'picking', allocated: 8, onHand: 8 });
+
+        const res = await request(app)
+            .post(`/api/sales-orders/${order._id}/ship`)
+            .set(headers)
+            .send({ trackingNumber: 'TRACK-1', note: 'Left the dock' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Sales order SO-00001 shipped');
+        expect(StockMovement.record).toHaveBeenCalledWith(item, [{
+            type: 'issue',
+            quantity: -8,
+            warehouse: warehouse._id,
+            reference: 'SO-00001',
+            note: 'Left the dock'
+        }], user._id.toString(), { session });
+        expect(order.lines[0].quantityShipped).toBe(8);
+        expect(order.lines[0].quantityAllocated).toBe(0);
+        expect(order.status).toBe('shipped');
+        expect(order.trackingNumber).toBe('TRACK-1');
+    });
+
+    test('leaves the unallocated rest on backorder', async () => {
+        const { headers, order } = setUp({ status: 'picking', allocated: 5, onHand: 5 });
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/ship`).set(headers);
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Shipped 1 line on SO-00001; the rest is on backorder');
+        expect(order.status).toBe('partially-shipped');
+        expect(order.backordered).toBe(true);
+    });
+
+    test('moves no stock when the warehouse no longer holds the allocation', async () => {
+        const { headers, order } = setUp({ status: 'picking', allocated: 8, onHand: 6 });
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/ship`).set(headers);
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('INV-00001: only 6 each on hand to ship');
+        expect(StockMovement.record).not.toHaveBeenCalled();
+        expect(order.save).not.toHaveBeenCalled();
+    });
+
+    test('only ships orders being picked', async () => {
+        const { headers, order } = setUp({ status: 'confirmed', allocated: 8, onHand: 8 });
+
+        const res = await request(app).post(`/api/sales-orders/${order._id}/ship`).set(headers);
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Start picking the order before shipping it');
+        expect(StockMovement.record).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,83 @@
+const Session = require('../models/Session');
+const { hashToken } = require('../utils/tokens');
+const { objectId, query } = require('./helpers');
+
+const req = { ip: '203.0.113.7' };
+
+// One stored session and just enough of findOneAndUpdate and findOne to run
+// rotate() against it. Each update is applied in one step, like MongoDB does.
+const setUp = ({ lastUsedAt = new Date(), expiresAt = new Date(Date.now() + 60 * 60 * 1000) } = {}) => {
+    const stored = Session.hydrate({
+        _id: objectId(),
+        user: objectId(),
+        tokenHash: hashToken('first-token'),
+        lastUsedAt,
+        expiresAt
+    });
+    const matches = (filter) => Object.entries(filter).every(([field, condition]) => {
+        if (condition === null) return !stored[field];
+        if (condition && condition.$gt) return stored[field] > condition.$gt;
+        return stored[field] === condition;
+    });
+
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((filter, { $set }) => {
+        if (!matches(filter)) return query(null);
+        stored.set($set);
+        return query(stored);
+    });
+    jest.spyOn(Session, 'findOne').mockImplementation((filter) => query(matches(filter) ? stored : null));
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() { return this; });
+    return stored;
+};
+
+describe('Session.rotate', () => {
+    test('swaps the refresh token for a new one', async () => {
+        const stored = setUp();
+
+        const rotated = await Session.rotate('first-token', req);
+
+        expect(rotated.session).toBe(stored);
+        expect(rotated.refreshToken).toMatch(/^[0-9a-f]{96}$/);
+        expect(stored.tokenHash).toBe(hashToken(rotated.refreshToken));
+        expect(stored.previousTokenHash).toBe(hashToken('first-token'));
+        expect(stored.ip).toBe(req.ip);
+    });
+
+    test('lets only one of two parallel refreshes rotate the token', async () => {
+        const stored = setUp();
+
+        const results = await Promise.all([Session.rotate('first-token', req), Session.rotate('first-token', req)]);
+
+        const winners = results.filter(result => result.refreshToken);
+        expect(winners).toHaveLength(1);
+        expect(stored.tokenHash).toBe(hashToken(winners[0].refreshToken));
+        // the other tab keeps the session and picks up the winner's token
+        expect(results.find(result => !result.refreshToken)).toEqual({ session: stored, refreshToken: null });
+        expect(stored.revokedAt).toBeUndefined();
+    });
+
+    test('revokes the session when a rotated token comes back after the grace period', async () => {
+        const stored = setUp();
+        const { refreshToken } = await Session.rotate('first-token', req);
+        stored.lastUsedAt = new Date(Date.now() - 2 * 60 * 1000);
+
+        await expect(Session.rotate('first-token', req)).resolves.toBeNull();
+
+        expect(stored.revokedAt).toBeInstanceOf(Date);
+        expect(stored.save).toHaveBeenCalled();
+        // the new token goes with it
+        await expect(Session.rotate(refreshToken, req)).resolves.toBeNull();
+    });
+
+    test('turns down unknown, expired and revoked tokens', async () => {
+        setUp();
+        await expect(Session.rotate('some-other-token', req)).resolves.toBeNull();
+
+        setUp({ expiresAt: new Date(Date.now() - 1000) });
+        await expect(Session.rotate('first-token', req)).resolves.toBeNull();
+
+        const revoked = setUp();
+        revoked.revokedAt = new Date();
+        await expect(Session.rotate('first-token', req)).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,12 @@
+// Tests run without a database: models are stubbed per test (see helpers.js).
+// With buffering off a query nobody stubbed fails at once instead of waiting
+// for a connection.
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+mongoose.set('bufferCommands', false);
+
+// the routes log every step of registration and login
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
@@ -0,0 +1,146 @@
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const { objectId, query } = require('./helpers');
+
+const newItem = (fields = {}) => new Inventory({
+    inventoryId: 'INV-00001',
+    productName: 'Widget',
+    category: objectId(),
+    supplier: objectId(),
+    warehouse: objectId(),
+    organization: objectId(),
+    costUnit: 2.5,
+    costCurrency: 'EUR',
+    quantity: 0,
+    ...fields
+});
+
+// record() with the database stubbed out; returns the rows it inserted
+const stubLedger = ({ hasHistory }) => {
+    jest.spyOn(StockMovement, 'exists').mockReturnValue(query(hasHistory ? { _id: objectId() } : null));
+    const insertMany = jest.spyOn(StockMovement, 'insertMany').mockImplementation(async (rows) => rows);
+    jest.spyOn(StockMovement, 'recalculateItem').mockImplementation(async (item) => item);
+    const recalculateLots = jest.spyOn(StockMovement, 'recalculateLots').mockResolvedValue();
+    return { insertMany, recalculateLots };
+};
+
+describe('StockMovement.record', () => {
+    test('carries over the quantity of an item from before the ledger', async () => {
+        const item = newItem({ quantity: 12 });
+        const { insertMany } = stubLedger({ hasHistory: false });
+        const performedBy = objectId();
+
+        await StockMovement.record(item, [{ type: 'issue', quantity: -2, warehouse: item.warehouse }], performedBy);
+
+        const rows = insertMany.mock.calls[0][0];
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toMatchObject({
+            type: 'adjustment',
+            reasonCode: 'opening-balance',
+            quantity: 12,
+            warehouse: item.warehouse,
+            item: item._id,
+            organization: item.organization,
+            performedBy
+        });
+        expect(rows[1]).toMatchObject({ type: 'issue', quantity: -2 });
+    });
+
+    test('adds no opening balance once the item has history', async () => {
+        const item = newItem({ quantity: 12 });
+        const { insertMany } = stubLedger({ hasHistory: true });
+
+        await StockMovement.record(item, [{ type: 'issue', quantity: -2, warehouse: item.warehouse }], objectId());
+
+        expect(insertMany.mock.calls[0][0]).toHaveLength(1);
+    });
+
+    test('costs incoming rows at the item cost unless they name one', async () => {
+        const item = newItem();
+        const { insertMany } = stubLedger({ hasHistory: true });
+
+        await StockMovement.record(item, [
+            { type: 'receipt', quantity: 5, warehouse: item.warehouse },
+            { type: 'receipt', quantity: 3, unitCost: 4, currency: 'USD', warehouse: item.warehouse },
+            { type: 'issue', quantity: -1, warehouse: item.warehouse }
+        ], objectId());
+
+        const [plain, priced, issue] = insertMany.mock.calls[0][0];
+        expect(plain).toMatchObject({ unitCost: 2.5, currency: 'EUR' });
+        expect(priced).toMatchObject({ unitCost: 4, currency: 'USD' });
+        expect(issue.unitCost).toBeUndefined();
+    });
+
+    test('passes the session to every write', async () => {
+        const item = newItem();
+        const { insertMany, recalculateLots } = stubLedger({ hasHistory: true });
+        const session = { id: 'session' };
+
+        await StockMovement.record(item, [{ type: 'receipt', quantity: 1, warehouse: item.warehouse }], objectId(), { session });
+
+        expect(insertMany.mock.calls[0][1]).toEqual({ session });
+        expect(StockMovement.recalculateItem).toHaveBeenCalledWith(item, { session });
+        expect(recalculateLots).toHaveBeenCalledWith([], { session });
+    });
+
+    test('refuses rows without a lot for tracked items', async () => {
+        const item = newItem({ trackingMode: 'lot' });
+        const { insertMany } = stubLedger({ hasHistory: true });
+
+        await expect(StockMovement.record(item, [{ type: 'receipt', quantity: 1, warehouse: item.warehouse }], objectId()))
+            .rejects.toThrow('INV-00001 is tracked by lot: every movement must name one');
+        expect(insertMany).not.toHaveBeenCalled();
+    });
+
+    test('refreshes the lots the rows name', async () => {
+        const item = newItem({ trackingMode: 'lot' });
+        const { recalculateLots } = stubLedger({ hasHistory: true });
+        const lot = objectId();
+
+        await StockMovement.record(item, [
+            { type: 'receipt', quantity: 1, warehouse: item.warehouse, lot },
+            { type: 'receipt', quantity: 2, warehouse: item.warehouse, lot }
+        ], objectId());
+
+        expect(recalculateLots.mock.calls[0][0].map(String)).toEqual([lot.toString()]);
+    });
+});
+
+describe('StockMovement.getItemBalances', () => {
+    test('puts the quantity of an item from before the ledger in its default warehouse', async () => {
+        const item = newItem({ quantity: 7 });
+        jest.spyOn(StockMovement, 'getBalances').mockResolvedValue([]);
+
+        await expect(StockMovement.getItemBalances(item)).resolves.toEqual([{ warehouse: item.warehouse, quantity: 7 }]);
+    });
+
+    test('uses the ledger once it has rows', async () => {
+        const item = newItem({ quantity: 7 });
+        const balances = [{ warehouse: item.warehouse, quantity: 4 }];
+        jest.spyOn(StockMovement, 'getBalances').mockResolvedValue(balances);
+
+        await expect(StockMovement.getItemBalances(item)).resolves.toBe(balances);
+    });
+});
+
+describe('ledger rows are append-only', () => {
+    test('saved rows cannot be saved again', async () => {
+        const row = StockMovement.hydrate({
+            _id: objectId(),
+            type: 'receipt',
+            quantity: 1,
+            item: objectId(),
+            warehouse: objectId(),
+            organization: objectId(),
+            performedBy: objectId()
+        });
+        row.quantity = 2;
+
+        await expect(row.save()).rejects.toThrow('Stock movements are append-only and cannot be modified');
+    });
+
+    test('update queries are refused', async () => {
+        await expect(StockMovement.updateOne({ _id: objectId() }, { quantity: 2 }))
+            .rejects.toThrow('Stock movements are append-only and cannot be modified');
+    });
+});
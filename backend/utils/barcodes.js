@@ -0,0 +1,82 @@
+const { once } = require('events');
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+
+const CODE_KINDS = ['barcode', 'qr'];
+const IMAGE_FORMATS = {
+    svg: 'image/svg+xml',
+    png: 'image/png'
+};
+
+// bwip-js symbology for each EAN/UPC length
+const GTIN_SYMBOLOGIES = { 13: 'ean13', 12: 'upca', 8: 'ean8' };
+
+// 24 labels per A4 sheet, in points
+const LABEL_SHEET = { columns: 3, rows: 8, margin: 20, padding: 8 };
+
+// What an item's codes encode: its own EAN/UPC when it has one, otherwise
+// its inventory ID as Code 128. Scanning either finds it through GET /api/items/lookup.
+const codeFor = (item) => (item.barcode
+    ? { bcid: GTIN_SYMBOLOGIES[item.barcode.length], text: item.barcode }
+    : { bcid: 'code128', text: item.inventoryId });
+
+const renderOptions = (item, kind) => {
+    const { bcid, text } = codeFor(item);
+    if (kind === 'qr') {
+        return { bcid: 'qrcode', text, scale: 4 };
+    }
+    return { bcid, text, scale: 3, height: 12, includetext: true, textxalign: 'center' };
+};
+
+// An item's barcode or QR code as an SVG string or a PNG buffer
+const renderCode = async (item, { kind = 'barcode', format = 'svg' } = {}) => {
+    const options = renderOptions(item, kind);
+    return format === 'png' ? bwipjs.toBuffer(options) : bwipjs.toSVG(options);
+};
+
+// Streams a PDF sheet with one label per item: name, code, inventory ID and
+// warehouse. Items need warehouse populated with its code.
+const writeLabelSheet = async (res, items, { kind = 'barcode', title }) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 0, info: { Title: title } });
+    const { columns, rows, margin, padding } = LABEL_SHEET;
+    const labelWidth = (doc.page.width - margin * 2) / columns;
+    const labelHeight = (doc.page.height - margin * 2) / rows;
+    const innerWidth = labelWidth - padding * 2;
+
+    doc.pipe(res);
+
+    for (const [index, item] of items.entries()) {
+        const slot = index % (columns * rows);
+        if (index > 0 && slot === 0) doc.addPage();
+
+        const x = margin + (slot % columns) * labelWidth + padding;
+        const y = margin + Math.floor(slot / columns) * labelHeight + padding;
+        const codeHeight = labelHeight - padding * 2 - 24;
+
+        doc.font('Helvetica-Bold').fontSize(8)
+            .text(item.productName, x, y, { width: innerWidth, height: 10, ellipsis: true, lineBreak: false });
+        doc.image(await renderCode(item, { kind, format: 'png' }), x, y + 12, {
+            fit: [innerWidth, codeHeight],
+            align: 'center',
+            valign: 'center'
+        });
+        doc.font('Helvetica').fontSize(7)
+            .text(
+                [item.inventoryId, item.warehouse && item.warehouse.code].filter(Boolean).join(' · '),
+                x, y + 14 + codeHeight,
+                { width: innerWidth, align: 'center', lineBreak: false }
+            );
+    }
+
+    doc.end();
+    await once(res, 'finish');
+};
+
+module.exports = {
+    CODE_KINDS,
+    IMAGE_FORMATS,
+    LABEL_SHEET,
+    codeFor,
+    renderCode,
+    writeLabelSheet
+};
@@ -0,0 +1,66 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+// Loads the organization's exchange rates into a converter to baseCurrency.
+// Rates quoted the other way round (base currency against another) are used
+// inverted. A conversion takes the latest rate on or before the given date,
+// or the earliest rate when the date predates them all. Amounts in a
+// currency with no rate at all are passed through unchanged and the
+// currency is added to `missing`, so totals can be flagged as incomplete.
+const loadConverter = async (organization, baseCurrency) => {
+    const rates = await ExchangeRate.find({
+        organization,
+        $or: [{ baseCurrency }, { currency: baseCurrency }]
+    })
+        .sort({ effectiveDate: 1 })
+        .lean();
+
+    // currency -> [{ effectiveDate, rate }] oldest first, rate in base per unit
+    const history = new Map();
+    rates.forEach(entry => {
+        const [currency, rate] = entry.baseCurrency === baseCurrency
+            ? [entry.currency, entry.rate]
+            : [entry.baseCurrency, 1 / entry.rate];
+        if (!history.has(currency)) history.set(currency, []);
+        history.get(currency).push({ effectiveDate: entry.effectiveDate, rate });
+    });
+
+    const missing = new Set();
+
+    // base units per unit of currency on the date, null when there is no rate
+    const rateOn = (currency, date = new Date()) => {
+        if (!currency || currency === baseCurrency) return 1;
+        const entries = history.get(currency);
+        if (!entries) return null;
+        let found = entries[0];
+        for (const entry of entries) {
+            if (entry.effectiveDate > date) break;
+            found = entry;
+        }
+        return found.rate;
+    };
+
+    const convert = (amount, currency, date) => {
+        const rate = rateOn(currency, date);
+        if (rate === null) {
+            missing.add(currency);
+            return amount;
+        }
+        return amount * rate;
+    };
+
+    // { [currency]: { rate, effectiveDate } } with each currency's newest rate
+    const latest = () => {
+        const result = {};
+        history.forEach((entries, currency) => {
+            const { rate, effectiveDate } = entries[entries.length - 1];
+            result[currency] = { rate, effectiveDate };
+        });
+        return result;
+    };
+
+    return { baseCurrency, rateOn, convert, latest, missing };
+};
+
+module.exports = {
+    loadConverter
+};
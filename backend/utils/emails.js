@@ -0,0 +1,80 @@
+const { appUrl } = require('./mailer');
+const UserToken = require('../models/UserToken');
+
+// The messages the app sends, as { to, subject, text, html } for sendMail.
+// Both parts carry the same link so plain-text mail clients work too.
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const hours = (count) => (count === 1 ? '1 hour' : `${count} hours`);
+
+const message = ({ to, subject, lines, link, action }) => ({
+    to,
+    subject,
+    text: [...lines, '', `${action}: ${link}`].join('\n'),
+    html: [
+        ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+        `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`
+    ].join('\n')
+});
+
+const verificationEmail = (user, token) => message({
+    to: user.email,
+    subject: 'Confirm your email address',
+    lines: [
+        `Hi ${user.username},`,
+        'Please confirm that this is your email address for Smart Inventory Tracker.',
+        `The link works for ${hours(UserToken.TOKEN_PURPOSES['verify-email'].ttlHours)}.`
+    ],
+    link: appUrl(`/verify-email/${token}`),
+    action: 'Confirm email address'
+});
+
+// sent instead of a confirmation link when someone registers with an
+// address that already has an account
+const accountExistsEmail = (user) => message({
+    to: user.email,
+    subject: 'You already have an account',
+    lines: [
+        `Hi ${user.username},`,
+        'Someone tried to create a Smart Inventory Tracker account with this email address, which already has one.',
+        'If that was you, log in instead, or reset your password if you forgot it. If not, ignore this email.'
+    ],
+    link: appUrl('/forgot-password'),
+    action: 'Reset your password'
+});
+
+const passwordResetEmail = (user, token) => message({
+    to: user.email,
+    subject: 'Reset your password',
+    lines: [
+        `Hi ${user.username},`,
+        'Someone asked to reset the password of your Smart Inventory Tracker account.',
+        `The link works once, for ${hours(UserToken.TOKEN_PURPOSES['reset-password'].ttlHours)}. If you did not ask for it, ignore this email.`
+    ],
+    link: appUrl(`/reset-password/${token}`),
+    action: 'Choose a new password'
+});
+
+// invitation needs invitedBy populated with its username
+const invitationEmail = (invitation, organization) => message({
+    to: invitation.email,
+    subject: `You're invited to ${organization.name}`,
+    lines: [
+        `${invitation.invitedBy?.username || 'Someone'} invited you to join ${organization.name} on Smart Inventory Tracker as ${invitation.role}.`,
+        `The invitation expires on ${invitation.expiresAt.toISOString().slice(0, 10)}.`
+    ],
+    link: appUrl(`/invitations/${invitation.token}`),
+    action: 'Open the invitation'
+});
+
+module.exports = {
+    verificationEmail,
+    accountExistsEmail,
+    passwordResetEmail,
+    invitationEmail
+};
@@ -0,0 +1,181 @@
+const { check } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const { MAX_PAGE_SIZE } = require('./itemQuery');
+
+// item fields whose old and new values are kept in the audit trail
+const AUDITED_ITEM_FIELDS = [
+    'inventoryId', 'barcode', 'productName', 'category', 'supplier', 'costUnit', 'costCurrency', 'quantity',
+    'unitOfMeasure', 'trackingMode', 'lowStockThreshold', 'reorderPoint', 'reorderQuantity', 'safetyStock',
+    'warehouse', 'stock'
+];
+
+// audited fields that hold a reference, and how to name what they point at
+const REFERENCE_FIELDS = {
+    category: { model: Category, label: (doc) => doc.name },
+    supplier: { model: Supplier, label: (doc) => doc.name },
+    warehouse: { model: Warehouse, label: (doc) => `${doc.code} - ${doc.name}` }
+};
+
+// actor names are returned with every entry
+const auditPopulate = { path: 'actor', select: 'username email' };
+
+// query string of the audit routes
+const auditQueryValidators = [
+    check('page', 'Page must be a positive whole number').optional().isInt({ min: 1 }),
+    check('limit', `Limit must be between 1 and ${MAX_PAGE_SIZE}`).optional().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+    check('action', `Action must be one of: ${AuditLog.AUDIT_ACTIONS.join(', ')}`).optional().isIn(AuditLog.AUDIT_ACTIONS),
+    check('entityType', `Entity type must be one of: ${AuditLog.ENTITY_TYPES.join(', ')}`).optional().isIn(AuditLog.ENTITY_TYPES),
+    check('entity', 'Invalid entity').optional().isMongoId(),
+    check('actor', 'Invalid actor').optional().isMongoId(),
+    check('field', 'Invalid field').optional().isIn(AUDITED_ITEM_FIELDS),
+    check('from', 'From must be a date').optional().isISO8601(),
+    check('to', 'To must be a date').optional().isISO8601()
+];
+
+// Audited values of an item; references are stored as plain ids even when populated
+const snapshotItem = (item) => {
+    const snapshot = {};
+    AUDITED_ITEM_FIELDS.forEach(field => {
+        const value = item[field];
+        snapshot[field] = value && value._id ? value._id : value;
+    });
+    return snapshot;
+};
+
+const sameValue = (a, b) => {
+    if (a === undefined || a === null || b === undefined || b === null) {
+        return (a === undefined || a === null) && (b === undefined || b === null);
+    }
+    return a.toString() === b.toString();
+};
+
+// Field-level differences between two snapshots; either side may be null
+// (nothing before a create, nothing after a delete)
+const diffSnapshots = (before, after) => AUDITED_ITEM_FIELDS
+    .filter(field => !sameValue(before?.[field], after?.[field]))
+    .map(field => ({
+        field,
+        ...(before && { before: before[field] }),
+        ...(after && { after: after[field] })
+    }));
+
+// The audit entry for a change to an item, or null when there is nothing to
+// record. before is the snapshot taken before the change (null for a create
+// and not needed for trash/restore, which change no audited field). Updates
+// that changed nothing are not recorded.
+const buildItemChange = ({ action, item, before = null, actor = null, source = 'api' }) => {
+    const after = action === 'delete' ? null : snapshotItem(item);
+    const changes = ['trash', 'restore'].includes(action) ? [] : diffSnapshots(before, after);
+
+    if (action === 'update' && changes.length === 0) {
+        return null;
+    }
+
+    return {
+        organization: item.organization,
+        entityType: 'item',
+        entity: item._id,
+        entityLabel: `${item.inventoryId} - ${item.productName}`,
+        action,
+        changes,
+        source,
+        actor
+    };
+};
+
+// Append the audit entry for a change to an item (see buildItemChange).
+// A failed write is logged rather than thrown: the change itself has
+// already been saved by then and must still be reported as done.
+const recordItemChange = async (change) => {
+    const entry = buildItemChange(change);
+    if (!entry) {
+        return null;
+    }
+
+    try {
+        return await AuditLog.create(entry);
+    } catch (err) {
+        console.error(`Error writing audit log for item ${change.item._id}:`, err.message);
+        return null;
+    }
+};
+
+// Mongo filter for the audit query string
+const buildAuditFilter = (organizationId, query) => {
+    const filter = { organization: organizationId };
+
+    if (query.action) filter.action = query.action;
+    if (query.entityType) filter.entityType = query.entityType;
+    if (query.entity) filter.entity = query.entity;
+    if (query.actor) filter.actor = query.actor;
+    if (query.field) filter['changes.field'] = query.field;
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = new Date(query.from);
+        if (query.to) filter.createdAt.$lte = new Date(query.to);
+    }
+
+    return filter;
+};
+
+// Plain entries with a readable label next to every referenced id, so the
+// timeline can show "Main Warehouse" rather than an ObjectId. Deleted
+// references keep their raw id.
+const labelReferences = async (organizationId, entries) => {
+    const idsByField = {};
+    entries.forEach(entry => entry.changes.forEach(change => {
+        if (!REFERENCE_FIELDS[change.field]) return;
+        idsByField[change.field] = idsByField[change.field] || new Set();
+        [change.before, change.after].forEach(value => {
+            if (value) idsByField[change.field].add(value.toString());
+        });
+    }));
+
+    const labels = {};
+    await Promise.all(Object.entries(idsByField).map(async ([field, ids]) => {
+        const { model, label } = REFERENCE_FIELDS[field];
+        const docs = await model.find({ _id: { $in: [...ids] }, organization: organizationId });
+        docs.forEach(doc => { labels[doc._id.toString()] = label(doc); });
+    }));
+
+    return entries.map(entry => {
+        const plain = entry.toObject();
+        plain.changes = plain.changes.map(change => {
+            if (!REFERENCE_FIELDS[change.field]) return change;
+            return {
+                ...change,
+                beforeLabel: change.before ? labels[change.before.toString()] : undefined,
+                afterLabel: change.after ? labels[change.after.toString()] : undefined
+            };
+        });
+        return plain;
+    });
+};
+
+// One page of entries, newest first, with actors and reference labels filled in
+const findAuditPage = async (organizationId, filter, { page, limit }) => {
+    const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate(auditPopulate),
+        AuditLog.countDocuments(filter)
+    ]);
+
+    return { entries: await labelReferences(organizationId, entries), total };
+};
+
+module.exports = {
+    AUDITED_ITEM_FIELDS,
+    auditQueryValidators,
+    snapshotItem,
+    diffSnapshots,
+    buildItemChange,
+    recordItemChange,
+    buildAuditFilter,
+    findAuditPage
+};
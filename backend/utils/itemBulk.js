@@ -0,0 +1,80 @@
+const { check, body } = require('express-validator');
+const { listItemValidators, validateFields } = require('./itemValidators');
+
+// largest selection one bulk request may touch
+const MAX_BULK_ITEMS = 1000;
+
+const COST_MODES = ['set', 'percent'];
+
+// Items are picked either by id or by the list filters the Dashboard is
+// showing ("select all matching"), never both
+const bulkSelectionValidators = [
+    body().custom(({ ids, filter } = {}) => {
+        if (!ids === !filter) {
+            throw new Error('Send either ids or filter');
+        }
+        return true;
+    }),
+    check('ids', `Select between 1 and ${MAX_BULK_ITEMS} items`).optional().isArray({ min: 1, max: MAX_BULK_ITEMS }),
+    check('ids.*', 'Invalid item ID').isMongoId(),
+    check('filter', 'Filter must be an object').optional().isObject(),
+    check('filter.q', 'Search query cannot exceed 200 characters').optional().isString().isLength({ max: 200 }),
+    // the filter takes the same values as the GET /api/items query string
+    check('filter').optional().custom(async (filter) => {
+        const errors = await validateFields(listItemValidators, filter);
+        if (errors.length > 0) {
+            throw new Error(errors.map(err => err.msg).join(', '));
+        }
+        return true;
+    })
+];
+
+// Stock status follows quantity and threshold, so bulk edits move items
+// between "In stock" and "Low stock" through lowStockThreshold
+const bulkUpdateValidators = [
+    ...bulkSelectionValidators,
+    check('changes', 'Nothing to change').isObject(),
+    check('changes').custom((changes) => {
+        const fields = ['category', 'warehouse', 'supplier', 'lowStockThreshold', 'cost'];
+        if (!fields.some(field => changes[field] !== undefined)) {
+            throw new Error(`Changes must include at least one of: ${fields.join(', ')}`);
+        }
+        return true;
+    }),
+    check('changes.category', 'A valid category is required').optional().isMongoId(),
+    check('changes.warehouse', 'A valid warehouse is required').optional().isMongoId(),
+    check('changes.supplier', 'A valid supplier is required').optional().isMongoId(),
+    check('changes.lowStockThreshold', 'Low stock threshold must be zero or more').optional().isFloat({ min: 0 }),
+    check('changes.cost.mode', `Cost mode must be one of: ${COST_MODES.join(', ')}`).if(check('changes.cost').exists()).isIn(COST_MODES),
+    check('changes.cost.value', 'Cost change must be a number').if(check('changes.cost').exists()).isFloat(),
+    check('changes.cost.value', 'Cost must be zero or more').if(check('changes.cost.mode').equals('set')).isFloat({ min: 0 }),
+    check('changes.cost.value', 'A percentage cannot lower the cost by more than 100%').if(check('changes.cost.mode').equals('percent')).isFloat({ min: -100 })
+];
+
+// Cost after a bulk change, rounded to cents
+const applyCostChange = (costUnit, { mode, value }) => {
+    const amount = parseFloat(value);
+    const cost = mode === 'percent' ? costUnit * (1 + amount / 100) : amount;
+    return Math.round(cost * 100) / 100;
+};
+
+// Applies the requested changes to an item document without saving it
+const applyBulkChanges = (item, changes) => {
+    ['category', 'warehouse', 'supplier'].forEach(field => {
+        if (changes[field] !== undefined) item[field] = changes[field];
+    });
+    if (changes.lowStockThreshold !== undefined) {
+        item.lowStockThreshold = parseFloat(changes.lowStockThreshold);
+    }
+    if (changes.cost !== undefined) {
+        item.costUnit = applyCostChange(item.costUnit, changes.cost);
+    }
+    item.lastUpdated = Date.now();
+};
+
+module.exports = {
+    MAX_BULK_ITEMS,
+    bulkSelectionValidators,
+    bulkUpdateValidators,
+    applyBulkChanges
+};
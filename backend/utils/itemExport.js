@@ -0,0 +1,291 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const Inventory = require('../models/Inventory');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const { valueItems } = require('./valuation');
+const { loadConverter } = require('./currency');
+
+// items read from the database per round trip
+const EXPORT_BATCH_SIZE = 200;
+
+// Column headers match what the importer recognises, so an export can be
+// edited and imported again
+const EXPORT_COLUMNS = [
+    { key: 'inventoryId', header: 'Inventory ID', width: 14 },
+    { key: 'productName', header: 'Product Name', width: 36 },
+    { key: 'barcode', header: 'Barcode', width: 16 },
+    { key: 'category', header: 'Category', width: 20 },
+    { key: 'supplier', header: 'Supplier', width: 24 },
+    { key: 'warehouse', header: 'Warehouse', width: 12 },
+    { key: 'quantity', header: 'Quantity', width: 10 },
+    { key: 'unitOfMeasure', header: 'Unit of Measure', width: 10 },
+    { key: 'trackingMode', header: 'Tracking', width: 10 },
+    { key: 'costUnit', header: 'Cost per Unit', width: 12 },
+    { key: 'costCurrency', header: 'Currency', width: 8 },
+    { key: 'totalValue', header: 'Total Value', width: 14 },
+    { key: 'stock', header: 'Stock', width: 12 },
+    { key: 'lowStockThreshold', header: 'Low Stock Threshold', width: 10 },
+    { key: 'reorderPoint', header: 'Reorder Point', width: 10 },
+    { key: 'reorderQuantity', header: 'Reorder Quantity', width: 10 },
+    { key: 'safetyStock', header: 'Safety Stock', width: 10 },
+    { key: 'lastUpdated', header: 'Last Updated', width: 20 }
+];
+
+// the PDF is for reading, so it keeps the columns that fit a landscape page
+const PDF_COLUMNS = [
+    { key: 'inventoryId', width: 70 },
+    { key: 'productName', width: 170 },
+    { key: 'category', width: 90 },
+    { key: 'supplier', width: 110 },
+    { key: 'warehouse', width: 60 },
+    { key: 'quantity', width: 60, align: 'right' },
+    { key: 'costUnit', width: 70, align: 'right' },
+    { key: 'totalValue', width: 80, align: 'right' },
+    { key: 'stock', width: 70 }
+];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const money = (value) => value.toFixed(2);
+
+// Flattens a valued lean item into export values; names maps reference ids
+// to display names. Total Value is the stock ledger costed the way the
+// valuation report does it, in the item's cost currency.
+const toExportRow = (item, names) => ({
+    inventoryId: item.inventoryId,
+    productName: item.productName,
+    barcode: item.barcode || '',
+    category: names.category.get(String(item.category)) || '',
+    supplier: names.supplier.get(String(item.supplier)) || '',
+    warehouse: names.warehouse.get(String(item.warehouse)) || '',
+    quantity: item.quantity,
+    unitOfMeasure: item.unitOfMeasure,
+    trackingMode: item.trackingMode || 'none',
+    costUnit: item.costUnit,
+    costCurrency: item.costCurrency,
+    totalValue: item.valuation.value,
+    stock: item.stock,
+    lowStockThreshold: item.lowStockThreshold,
+    reorderPoint: item.reorderPoint,
+    reorderQuantity: item.reorderQuantity,
+    safetyStock: item.safetyStock,
+    lastUpdated: item.lastUpdated ? new Date(item.lastUpdated).toISOString() : ''
+});
+
+// Text starting like a formula, or with a tab or carriage return that some
+// spreadsheet apps skip before reading one, is prefixed with ' so that they
+// show it instead of running it
+const csvCell = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// respect backpressure so a slow client does not make the whole export pile up
+// in memory; a client that goes away ends the wait too
+const writeChunk = async (stream, chunk) => {
+    if (stream.write(chunk)) return;
+
+    const waiting = new AbortController();
+    try {
+        await Promise.race([
+            once(stream, 'drain', { signal: waiting.signal }),
+            once(stream, 'close', { signal: waiting.signal })
+        ]);
+    } finally {
+        waiting.abort();
+    }
+};
+
+const endStream = async (stream, chunk) => {
+    stream.end(chunk);
+    await once(stream, 'finish');
+};
+
+const csvWriter = (res) => ({
+    start: () => writeChunk(res, `\uFEFF${EXPORT_COLUMNS.map(c => csvCell(c.header)).join(',')}\r\n`),
+    write: (row) => writeChunk(res, `${EXPORT_COLUMNS.map(c => csvCell(row[c.key])).join(',')}\r\n`),
+    end: () => endStream(res)
+});
+
+const jsonWriter = (res) => {
+    let first = true;
+    return {
+        start: () => writeChunk(res, '['),
+        write: (row) => {
+            const chunk = `${first ? '' : ','}\n${JSON.stringify(row)}`;
+            first = false;
+            return writeChunk(res, chunk);
+        },
+        end: () => endStream(res, first ? ']' : '\n]')
+    };
+};
+
+const xlsxWriter = (res) => {
+    // the streaming writer flushes each committed row instead of keeping the sheet in memory
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Inventory');
+    sheet.columns = EXPORT_COLUMNS;
+
+    return {
+        start: async () => {
+            sheet.getRow(1).font = { bold: true };
+            sheet.getRow(1).commit();
+        },
+        write: async (row) => {
+            const added = sheet.addRow({ ...row, lastUpdated: row.lastUpdated ? new Date(row.lastUpdated) : '' });
+            added.getCell('costUnit').numFmt = '0.00';
+            added.getCell('totalValue').numFmt = '0.00';
+            added.commit();
+        },
+        end: async () => {
+            sheet.commit();
+            await workbook.commit();
+        }
+    };
+};
+
+const pdfWriter = (res, { title }) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    const headers = Object.fromEntries(EXPORT_COLUMNS.map(c => [c.key, c.header]));
+    let itemCount = 0;
+    // { [currency]: value }, items are not converted in exports
+    const totalValues = {};
+
+    const drawRow = (values, font) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        let height = 0;
+        doc.font(font).fontSize(8);
+        PDF_COLUMNS.forEach(column => {
+            const text = String(values[column.key] ?? '');
+            const options = { width: column.width - 6, align: column.align || 'left' };
+            doc.text(text, x, y, options);
+            height = Math.max(height, doc.heightOfString(text, options));
+            x += column.width;
+        });
+        doc.x = doc.page.margins.left;
+        doc.y = y + height + 4;
+    };
+
+    const drawHeader = () => drawRow(headers, 'Helvetica-Bold');
+
+    doc.pipe(res);
+
+    return {
+        start: async () => {
+            doc.font('Helvetica-Bold').fontSize(14).text(title);
+            doc.font('Helvetica').fontSize(9).fillColor('#64748b')
+                .text(`Exported ${new Date().toLocaleString('en-US')}`)
+                .fillColor('black')
+                .moveDown();
+            drawHeader();
+        },
+        write: async (row) => {
+            if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+                doc.addPage();
+                drawHeader();
+            }
+            drawRow({
+                ...row,
+                quantity: `${row.quantity} ${row.unitOfMeasure}`,
+                costUnit: `${money(row.costUnit)} ${row.costCurrency}`,
+                totalValue: `${money(row.totalValue)} ${row.costCurrency}`
+            }, 'Helvetica');
+            itemCount++;
+            totalValues[row.costCurrency] = (totalValues[row.costCurrency] || 0) + row.totalValue;
+        },
+        end: async () => {
+            doc.moveDown().font('Helvetica-Bold').fontSize(10)
+                .text(`${itemCount} items, total value ${Object.entries(totalValues).map(([currency, value]) => `${money(value)} ${currency}`).join(' + ') || money(0)}`, doc.page.margins.left);
+            doc.end();
+            await once(res, 'finish');
+        }
+    };
+};
+
+const WRITERS = {
+    csv: csvWriter,
+    xlsx: xlsxWriter,
+    json: jsonWriter,
+    pdf: pdfWriter
+};
+
+// Display names for the references on an organization's items, keyed by id
+const loadReferenceNames = async (organization) => {
+    const [categories, suppliers, warehouses] = await Promise.all([
+        Category.find({ organization }).select('name').lean(),
+        Supplier.find({ organization }).select('name').lean(),
+        Warehouse.find({ organization }).select('code').lean()
+    ]);
+    const byId = (docs, field) => new Map(docs.map(doc => [String(doc._id), doc[field]]));
+
+    return {
+        category: byId(categories, 'name'),
+        supplier: byId(suppliers, 'name'),
+        warehouse: byId(warehouses, 'code')
+    };
+};
+
+// Lean items for ids in the order given, fetched a batch at a time
+const findInOrder = async function* (ids) {
+    for (let start = 0; start < ids.length; start += EXPORT_BATCH_SIZE) {
+        const batch = ids.slice(start, start + EXPORT_BATCH_SIZE);
+        const found = await Inventory.find({ _id: { $in: batch } }).lean();
+        const byId = new Map(found.map(item => [String(item._id), item]));
+        for (const id of batch) {
+            if (byId.has(String(id))) yield byId.get(String(id));
+        }
+    }
+};
+
+// Streams items (any async iterable of lean items) to res in the given
+// format, valuing them with the organization's costing method a batch at a time
+const streamExport = async (format, res, items, { organization, title }) => {
+    const [names, converter] = await Promise.all([
+        loadReferenceNames(organization._id),
+        loadConverter(organization._id, organization.baseCurrency)
+    ]);
+    const writer = WRITERS[format](res, { title });
+
+    let batch = [];
+    const writeBatch = async () => {
+        if (batch.length === 0) return;
+        const valued = await valueItems(batch, { method: organization.costingMethod, converter });
+        batch = [];
+        for (const item of valued) {
+            if (res.destroyed) {
+                throw new Error('Export cancelled by the client');
+            }
+            await writer.write(toExportRow(item, names));
+        }
+    };
+
+    await writer.start();
+    for await (const item of items) {
+        batch.push(item);
+        if (batch.length === EXPORT_BATCH_SIZE) {
+            await writeBatch();
+        }
+    }
+    await writeBatch();
+    await writer.end();
+};
+
+module.exports = {
+    EXPORT_BATCH_SIZE,
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    findInOrder,
+    streamExport
+};
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+
+const { ObjectId } = mongoose.Types;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// sort keys accepted in ?sort= (prefix with - for descending), mapped to the
+// field they sort on; referenced documents sort by their display name
+const SORT_FIELDS = {
+    inventoryId: 'inventoryId',
+    productName: 'productName',
+    category: 'sortCategory',
+    supplier: 'sortSupplier',
+    quantity: 'quantity',
+    stock: 'stock',
+    costUnit: 'costUnit',
+    warehouse: 'sortWarehouse',
+    lastUpdated: 'lastUpdated'
+};
+
+// lookups needed before sorting on a referenced document's name
+const SORT_LOOKUPS = {
+    sortCategory: { from: 'categories', localField: 'category', field: 'name' },
+    sortSupplier: { from: 'suppliers', localField: 'supplier', field: 'name' },
+    sortWarehouse: { from: 'warehouses', localField: 'warehouse', field: 'code' }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isValidSort = (sort) => Object.prototype.hasOwnProperty.call(SORT_FIELDS, sort.replace(/^-/, ''));
+
+// Turns the list query string into a $match stage. Ids are cast by hand because
+// aggregate() does not cast like find() does.
+const buildItemFilter = async (organizationId, query) => {
+    // items in the trash never show up in lists, searches or exports
+    const filter = { organization: new ObjectId(organizationId), deletedAt: null };
+
+    if (query.category) {
+        filter.category = { $in: await Category.getDescendantIds(new ObjectId(query.category), organizationId) };
+    }
+
+    if (query.stock) {
+        filter.stock = { $in: [].concat(query.stock) };
+    }
+
+    if (query.reorder !== undefined) {
+        filter.needsReorder = String(query.reorder) === 'true';
+    }
+
+    if (query.supplier) {
+        filter.supplier = new ObjectId(query.supplier);
+    }
+
+    // items whose default warehouse it is, or that hold stock there
+    if (query.warehouse) {
+        const warehouseId = new ObjectId(query.warehouse);
+        filter.$or = [{ warehouse: warehouseId }, { 'locations.warehouse': warehouseId }];
+    }
+
+    if (query.minCost !== undefined || query.maxCost !== undefined) {
+        filter.costUnit = {};
+        if (query.minCost !== undefined) filter.costUnit.$gte = parseFloat(query.minCost);
+        if (query.maxCost !== undefined) filter.costUnit.$lte = parseFloat(query.maxCost);
+    }
+
+    if (query.q && query.q.trim() !== '') {
+        const pattern = new RegExp(escapeRegex(query.q.trim()), 'i');
+        const [supplierIds, categoryIds] = await Promise.all([
+            Supplier.find({ organization: organizationId, name: pattern }).distinct('_id'),
+            Category.find({ organization: organizationId, name: pattern }).distinct('_id')
+        ]);
+        const searchClause = [
+            { productName: pattern },
+            { inventoryId: pattern },
+            { supplier: { $in: supplierIds } },
+            { category: { $in: categoryIds } }
+        ];
+        filter.$and = [...(filter.$or ? [{ $or: filter.$or }] : []), { $or: searchClause }];
+        delete filter.$or;
+    }
+
+    return filter;
+};
+
+// Stages that order matched items by a ?sort= key; referenced names are looked
+// up into a temporary field that projectSortFields() removes again
+const sortStages = (sort = '-lastUpdated') => {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const sortField = SORT_FIELDS[sort.replace(/^-/, '')];
+    const lookup = SORT_LOOKUPS[sortField];
+
+    const stages = [];
+    if (lookup) {
+        stages.push(
+            { $lookup: { from: lookup.from, localField: lookup.localField, foreignField: '_id', as: sortField } },
+            { $set: { [sortField]: { $first: `$${sortField}.${lookup.field}` } } }
+        );
+    }
+    // _id breaks ties so pages never overlap
+    stages.push({ $sort: { [sortField]: direction, _id: direction } });
+    return stages;
+};
+
+const projectSortFields = (sort = '-lastUpdated') => {
+    const sortField = SORT_FIELDS[sort.replace(/^-/, '')];
+    return { $project: SORT_LOOKUPS[sortField] ? { __v: 0, [sortField]: 0 } : { __v: 0 } };
+};
+
+// One page of items matching filter plus the total match count
+const findItemPage = async (filter, { sort = '-lastUpdated', page = 1, limit = DEFAULT_PAGE_SIZE, populate } = {}) => {
+    const pipeline = [
+        { $match: filter },
+        ...sortStages(sort),
+        { $facet: {
+            data: [
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                projectSortFields(sort)
+            ],
+            total: [{ $count: 'count' }]
+        }}
+    ];
+
+    const [result] = await Inventory.aggregate(pipeline);
+    let items = result.data.map(doc => Inventory.hydrate(doc));
+    if (populate) {
+        items = await Inventory.populate(items, populate);
+    }
+
+    return {
+        items,
+        total: result.total[0] ? result.total[0].count : 0
+    };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    SORT_FIELDS,
+    escapeRegex,
+    isValidSort,
+    buildItemFilter,
+    sortStages,
+    projectSortFields,
+    findItemPage
+};
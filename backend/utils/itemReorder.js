@@ -0,0 +1,64 @@
+const Inventory = require('../models/Inventory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What to order for one item, with the numbers behind the suggestion
+const toSuggestion = (item) => {
+    const suggestedQuantity = Inventory.suggestedOrderQuantity(item);
+    return {
+        _id: item._id,
+        inventoryId: item.inventoryId,
+        productName: item.productName,
+        category: item.category,
+        warehouse: item.warehouse,
+        unitOfMeasure: item.unitOfMeasure,
+        quantity: item.quantity,
+        reorderPoint: item.reorderPoint,
+        reorderQuantity: item.reorderQuantity,
+        safetyStock: item.safetyStock,
+        // already eating into the buffer, so this order is urgent
+        belowSafetyStock: item.quantity <= item.safetyStock,
+        suggestedQuantity,
+        costUnit: item.costUnit,
+        costCurrency: item.costCurrency,
+        estimatedCost: Math.round(suggestedQuantity * item.costUnit * 100) / 100
+    };
+};
+
+// Groups lean items with a populated supplier into one purchase list per
+// supplier. Suppliers come in name order and their items most urgent first,
+// i.e. furthest below the reorder point.
+const groupBySupplier = (items, now = Date.now()) => {
+    const groups = new Map();
+
+    items.forEach(item => {
+        const supplier = item.supplier || { _id: null, name: '(deleted supplier)' };
+        const key = String(supplier._id);
+        if (!groups.has(key)) {
+            const leadTimeDays = supplier.defaultLeadTimeDays || 0;
+            groups.set(key, {
+                supplier,
+                // when an order placed today should arrive
+                expectedArrival: new Date(now + leadTimeDays * DAY_MS),
+                items: []
+            });
+        }
+        groups.get(key).items.push(toSuggestion(item));
+    });
+
+    return [...groups.values()]
+        .map(group => ({
+            ...group,
+            items: group.items.sort((a, b) => (a.quantity - a.reorderPoint) - (b.quantity - b.reorderPoint)),
+            totalItems: group.items.length,
+            estimatedCost: Math.round(group.items.reduce((sum, item) => sum + item.estimatedCost, 0) * 100) / 100,
+            // null when the items are priced in different currencies and the sum means nothing
+            currency: new Set(group.items.map(item => item.costCurrency)).size === 1 ? group.items[0].costCurrency : null
+        }))
+        .sort((a, b) => a.supplier.name.localeCompare(b.supplier.name));
+};
+
+module.exports = {
+    toSuggestion,
+    groupBySupplier
+};
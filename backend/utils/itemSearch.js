@@ -0,0 +1,250 @@
+const Inventory = require('../models/Inventory');
+const Category = require('../models/Category');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const Lot = require('../models/Lot');
+const { escapeRegex } = require('./itemQuery');
+
+// upper bound on ranked matches; results beyond this are not worth paging through
+const MAX_SEARCH_RESULTS = 500;
+// how many items the typo-tolerant fallback scans
+const FUZZY_SCAN_LIMIT = 5000;
+
+// field:value scopes understood in a query, with their aliases
+const FIELD_ALIASES = {
+    supplier: 'supplier',
+    category: 'category',
+    cat: 'category',
+    warehouse: 'warehouse',
+    wh: 'warehouse',
+    stock: 'stock',
+    status: 'stock',
+    id: 'inventoryId',
+    barcode: 'barcode',
+    ean: 'barcode',
+    upc: 'barcode',
+    serial: 'lot',
+    sn: 'lot',
+    lot: 'lot',
+    batch: 'lot',
+    name: 'productName',
+    product: 'productName',
+    cost: 'costUnit',
+    price: 'costUnit',
+    qty: 'quantity',
+    quantity: 'quantity'
+};
+const NUMERIC_FIELDS = ['costUnit', 'quantity'];
+const COMPARISON_OPERATORS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte', '=': '$eq', ':': '$eq' };
+
+const TOKEN_PATTERN = /(\w+)(>=|<=|:|>|<|=)("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+const INVENTORY_ID_PATTERN = /^inv-?\d*$/i;
+
+const unquote = (value) => value.replace(/^"|"$/g, '');
+
+// Splits a query like `supplier:acme "usb hub" cost>100` into free-text terms and scoped filters
+const parseSearchQuery = (q = '') => {
+    const terms = [];
+    const filters = [];
+
+    for (const match of q.matchAll(TOKEN_PATTERN)) {
+        const [token, rawField, operator, rawValue, phrase, word] = match;
+        const field = rawField && FIELD_ALIASES[rawField.toLowerCase()];
+
+        if (field) {
+            const value = unquote(rawValue).trim();
+            const numeric = NUMERIC_FIELDS.includes(field);
+            if (value !== '' && (numeric ? !isNaN(parseFloat(value)) : operator === ':')) {
+                filters.push({ field, operator, value: numeric ? parseFloat(value) : value });
+                continue;
+            }
+        }
+
+        const text = (phrase !== undefined ? phrase : word || token).trim();
+        if (text !== '') {
+            terms.push(text);
+        }
+    }
+
+    return { terms, filters };
+};
+
+// Mongo conditions for the scoped part of a parsed query
+const buildScopedFilter = async (organizationId, filters) => {
+    const conditions = [];
+
+    for (const { field, operator, value } of filters) {
+        if (NUMERIC_FIELDS.includes(field)) {
+            conditions.push({ [field]: { [COMPARISON_OPERATORS[operator]]: value } });
+            continue;
+        }
+
+        const pattern = new RegExp(escapeRegex(value), 'i');
+        switch (field) {
+            case 'supplier':
+                conditions.push({ supplier: { $in: await Supplier.find({ organization: organizationId, name: pattern }).distinct('_id') } });
+                break;
+            case 'category': {
+                // a category also matches everything nested below it
+                const matched = await Category.find({ organization: organizationId, name: pattern }).distinct('_id');
+                const withChildren = await Promise.all(matched.map(id => Category.getDescendantIds(id, organizationId)));
+                conditions.push({ category: { $in: withChildren.flat() } });
+                break;
+            }
+            case 'warehouse': {
+                const warehouseIds = await Warehouse.find({ organization: organizationId, $or: [{ code: pattern }, { name: pattern }] }).distinct('_id');
+                conditions.push({ $or: [{ warehouse: { $in: warehouseIds } }, { 'locations.warehouse': { $in: warehouseIds } }] });
+                break;
+            }
+            case 'stock':
+                conditions.push({ stock: { $in: Inventory.STOCK_STATUSES.filter(s => s.toLowerCase().startsWith(value.toLowerCase())) } });
+                break;
+            case 'inventoryId':
+                conditions.push({ inventoryId: new RegExp(`^${escapeRegex(value)}`, 'i') });
+                break;
+            case 'barcode':
+                conditions.push({ barcode: new RegExp(`^${escapeRegex(value)}`) });
+                break;
+            case 'lot': {
+                // items holding a lot or serial number starting with the value
+                const lotPattern = new RegExp(`^${escapeRegex(value.toUpperCase())}`);
+                conditions.push({ _id: { $in: await Lot.find({ organization: organizationId, code: lotPattern }).distinct('item') } });
+                break;
+            }
+            default:
+                conditions.push({ [field]: pattern });
+        }
+    }
+
+    return conditions;
+};
+
+// Edit distance between two words, used for typo tolerance
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// no typos allowed in very short words, one in medium words, two in long ones
+const maxTypos = (term) => (term.length <= 4 ? 0 : term.length <= 7 ? 1 : 2);
+
+// Best close match for term among the words of text, or null
+const fuzzyMatch = (term, text) => {
+    let best = null;
+    for (const word of text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)) {
+        // compare against the word's prefix too, so "headphon" still finds "headphones"
+        const distance = Math.min(levenshtein(term, word), levenshtein(term, word.slice(0, term.length)));
+        if (distance <= maxTypos(term) && (!best || distance < best.distance)) {
+            best = { word, distance };
+        }
+    }
+    return best;
+};
+
+const addHit = (hits, id, score, matchedTerms) => {
+    const key = id.toString();
+    const hit = hits.get(key) || { _id: id, score: 0, matchedTerms: [] };
+    hit.score = Math.max(hit.score, score);
+    hit.matchedTerms = [...new Set([...hit.matchedTerms, ...matchedTerms])];
+    hits.set(key, hit);
+};
+
+// Ranks the items matching filter against the free-text terms. Exact words come
+// from the text index, partial words from a prefix match and, when neither finds
+// anything, misspellings from a fuzzy scan of product names.
+const rankItems = async (filter, terms) => {
+    const hits = new Map();
+    // stray punctuation like "(" or "*" carries no meaning on its own
+    const words = terms.flatMap(term => term.toLowerCase().split(/\s+/)).filter(word => /[a-z0-9]/i.test(word));
+    const idTerms = words.filter(word => INVENTORY_ID_PATTERN.test(word));
+    const textTerms = words.filter(word => !INVENTORY_ID_PATTERN.test(word));
+
+    if (idTerms.length > 0) {
+        const idPattern = new RegExp(`^(${idTerms.map(escapeRegex).join('|')})`, 'i');
+        const byId = await Inventory.find({ ...filter, inventoryId: idPattern })
+            .select('_id')
+            .limit(MAX_SEARCH_RESULTS)
+            .lean();
+        byId.forEach(item => addHit(hits, item._id, 20, idTerms));
+    }
+
+    // a scanned EAN/UPC typed or pasted into the search box
+    const barcodeTerms = words.filter(word => Inventory.isValidGtin(word));
+    if (barcodeTerms.length > 0) {
+        const byBarcode = await Inventory.find({ ...filter, barcode: { $in: barcodeTerms } })
+            .select('_id')
+            .lean();
+        byBarcode.forEach(item => addHit(hits, item._id, 20, barcodeTerms));
+    }
+
+    // a serial or lot number typed in full finds the item it belongs to
+    const lotWords = words.filter(word => /\d/.test(word));
+    if (lotWords.length > 0) {
+        const lots = await Lot.find({ organization: filter.organization, code: { $in: lotWords.map(word => word.toUpperCase()) } })
+            .select('item code')
+            .lean();
+        if (lots.length > 0) {
+            const byLot = await Inventory.find({ ...filter, _id: { $in: lots.map(lot => lot.item) } }).select('_id').lean();
+            byLot.forEach(item => addHit(hits, item._id, 20, lots.filter(lot => lot.item.equals(item._id)).map(lot => lot.code.toLowerCase())));
+        }
+    }
+
+    if (textTerms.length === 0) {
+        return [...hits.values()];
+    }
+
+    // quoted phrases are passed through so the text index matches them as phrases
+    const textQuery = terms
+        .filter(term => !INVENTORY_ID_PATTERN.test(term))
+        .map(term => (term.includes(' ') ? `"${term.replace(/"/g, '')}"` : term))
+        .join(' ');
+    const prefixConditions = textTerms.map(word => ({ productName: new RegExp(`\\b${escapeRegex(word)}`, 'i') }));
+
+    const [textMatches, prefixMatches] = await Promise.all([
+        Inventory.find({ ...filter, $text: { $search: textQuery } }, { _id: 1, score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(MAX_SEARCH_RESULTS)
+            .lean(),
+        Inventory.find({ ...filter, $and: [...(filter.$and || []), ...prefixConditions] })
+            .select('_id')
+            .limit(MAX_SEARCH_RESULTS)
+            .lean()
+    ]);
+
+    textMatches.forEach(item => addHit(hits, item._id, 10 + item.score, textTerms));
+    prefixMatches.forEach(item => addHit(hits, item._id, 5, textTerms));
+
+    if (hits.size === 0) {
+        const candidates = await Inventory.find(filter).select('productName').limit(FUZZY_SCAN_LIMIT).lean();
+        candidates.forEach(item => {
+            const matches = textTerms.map(term => fuzzyMatch(term, item.productName));
+            if (matches.every(Boolean)) {
+                const typos = matches.reduce((sum, m) => sum + m.distance, 0);
+                addHit(hits, item._id, 4 - typos / textTerms.length, matches.map(m => m.word));
+            }
+        });
+    }
+
+    return [...hits.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SEARCH_RESULTS);
+};
+
+module.exports = {
+    MAX_SEARCH_RESULTS,
+    parseSearchQuery,
+    buildScopedFilter,
+    rankItems,
+    levenshtein
+};
@@ -0,0 +1,57 @@
+const Inventory = require('../models/Inventory');
+const Lot = require('../models/Lot');
+const AuditLog = require('../models/AuditLog');
+const { snapshotItem, buildItemChange } = require('./itemAudit');
+
+// days an item stays in the trash before it is deleted for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a trashed item will be purged
+const purgeDate = (item) => new Date(item.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Delete an item and its lots for good. Its stock ledger is kept, so past
+// valuations still add up: utils/valuation.js reads what it needs of the
+// purged item from the audit entry written here, which is why that entry is
+// part of the transaction rather than written after it.
+const purgeItem = async (item, { actor = null, source = 'api' } = {}) => {
+    const entry = buildItemChange({ action: 'delete', item, before: snapshotItem(item), actor, source });
+    await Inventory.db.transaction(async (session) => {
+        await Inventory.deleteOne({ _id: item._id }, { session });
+        await Lot.deleteMany({ item: item._id }, { session });
+        await AuditLog.create([entry], { session });
+    });
+};
+
+// Purge every item that has been in the trash longer than the retention window
+const purgeExpiredTrash = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+    const expired = await Inventory.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+    for (const item of expired) {
+        await purgeItem(item, { source: 'retention' });
+    }
+    return expired.length;
+};
+
+// Run the purge now and then every hour for as long as the server is up
+const scheduleTrashPurge = () => {
+    const run = () => purgeExpiredTrash()
+        .then(count => {
+            if (count > 0) console.log(`🗑️ Purged ${count} items from the trash`);
+        })
+        .catch(err => console.error('Error purging the trash:', err.message));
+
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    purgeDate,
+    purgeItem,
+    purgeExpiredTrash,
+    scheduleTrashPurge
+};
@@ -0,0 +1,77 @@
+const { check, validationResult } = require('express-validator');
+const Inventory = require('../models/Inventory');
+const { MAX_PAGE_SIZE, isValidSort } = require('./itemQuery');
+
+// an empty barcode clears it
+const barcodeValidator = check('barcode', 'Barcode must be a valid EAN-13, UPC-A or EAN-8 code')
+    .optional({ values: 'falsy' })
+    .custom(value => Inventory.isValidGtin(String(value).trim()));
+
+const trackingModeValidator = check('trackingMode', 'Tracking must be none, lot or serial').optional().isIn(Inventory.TRACKING_MODES);
+
+// rules for a new item; bulk imports apply the same rules to every row
+const createItemValidators = [
+    check('productName', 'Product name is required').not().isEmpty(),
+    barcodeValidator,
+    check('category', 'A valid category is required').isMongoId(),
+    check('supplier', 'A valid supplier is required').isMongoId(),
+    check('costUnit', 'Cost per unit must be a positive number').isFloat({ min: 0 }),
+    check('costCurrency', 'Currency must be a 3-letter ISO code').optional().isISO4217(),
+    check('quantity', 'Quantity must be zero or more').optional().isFloat({ min: 0 }),
+    // tracked stock only comes in with a lot or serial number
+    check('quantity', 'Stock of lot- and serial-tracked items can only be received with its lots or serials')
+        .optional()
+        .custom((value, { req }) => !(parseFloat(value) > 0 && ['lot', 'serial'].includes(req.body.trackingMode))),
+    check('unitOfMeasure', 'Invalid unit of measure').optional().isIn(Inventory.UNITS_OF_MEASURE),
+    trackingModeValidator,
+    check('lowStockThreshold', 'Low stock threshold must be zero or more').optional().isFloat({ min: 0 }),
+    check('reorderPoint', 'Reorder point must be zero or more').optional().isFloat({ min: 0 }),
+    check('reorderQuantity', 'Reorder quantity must be zero or more').optional().isFloat({ min: 0 }),
+    check('safetyStock', 'Safety stock must be zero or more').optional().isFloat({ min: 0 }),
+    check('warehouse', 'A valid warehouse is required').isMongoId()
+];
+
+const updateItemValidators = [
+    check('productName', 'Product name is required').optional().not().isEmpty(),
+    barcodeValidator,
+    check('category', 'A valid category is required').optional().isMongoId(),
+    check('supplier', 'A valid supplier is required').optional().isMongoId(),
+    check('costUnit', 'Cost must be a positive number').optional().isFloat({ min: 0 }),
+    check('costCurrency', 'Currency must be a 3-letter ISO code').optional().isISO4217(),
+    check('quantity', 'Quantity can only be changed through stock movements').not().exists(),
+    check('unitOfMeasure', 'Invalid unit of measure').optional().isIn(Inventory.UNITS_OF_MEASURE),
+    trackingModeValidator,
+    check('lowStockThreshold', 'Low stock threshold must be zero or more').optional().isFloat({ min: 0 }),
+    check('reorderPoint', 'Reorder point must be zero or more').optional().isFloat({ min: 0 }),
+    check('reorderQuantity', 'Reorder quantity must be zero or more').optional().isFloat({ min: 0 }),
+    check('safetyStock', 'Safety stock must be zero or more').optional().isFloat({ min: 0 }),
+    check('warehouse', 'A valid warehouse is required').optional().isMongoId()
+];
+
+// query string of the item list and search routes
+const listItemValidators = [
+    check('page', 'Page must be a positive whole number').optional().isInt({ min: 1 }),
+    check('limit', `Limit must be between 1 and ${MAX_PAGE_SIZE}`).optional().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+    check('sort', 'Invalid sort field').optional().custom(isValidSort),
+    check('category', 'Invalid category').optional().isMongoId(),
+    check('stock', 'Invalid stock status').optional().isIn(Inventory.STOCK_STATUSES),
+    check('reorder', 'Reorder filter must be true or false').optional().isBoolean(),
+    check('warehouse', 'Invalid warehouse').optional().isMongoId(),
+    check('supplier', 'Invalid supplier').optional().isMongoId(),
+    check('minCost', 'Minimum cost must be zero or more').optional().isFloat({ min: 0 }),
+    check('maxCost', 'Maximum cost must be zero or more').optional().isFloat({ min: 0 })
+];
+
+// Runs validator chains against a plain object instead of a request
+const validateFields = async (validators, body) => {
+    const req = { body };
+    await Promise.all(validators.map(validator => validator.run(req)));
+    return validationResult(req).array();
+};
+
+module.exports = {
+    createItemValidators,
+    updateItemValidators,
+    listItemValidators,
+    validateFields
+};
@@ -0,0 +1,189 @@
+const Lot = require('../models/Lot');
+
+// Lots and serial numbers on stock movements. A movement of a lot-tracked
+// item says which lots it touches with `lots: [{ code, quantity, expiryDate? }]`,
+// one of a serial-tracked item lists `serials: [code]` (plus an optional
+// `expiryDate` for all of them on the way in). The helpers below check those
+// against the movement's quantity and the lots' stock, and return the
+// { lot, quantity } parts the movement is split into, one ledger row each.
+
+const isTracked = (item) => item.trackingMode === 'lot' || item.trackingMode === 'serial';
+
+const sameQuantity = (a, b) => Math.abs(a - b) < 1e-9;
+
+const toDate = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Normalizes what the request gave for one movement into
+// [{ code, quantity, expiryDate }]. Returns { parts } or { error }.
+const parseTracking = (item, quantity, { lots, serials, expiryDate } = {}) => {
+    if (item.trackingMode === 'serial') {
+        if (!Array.isArray(serials) || serials.length === 0) {
+            return { error: `${item.inventoryId} is serial-tracked: list the serial numbers moved` };
+        }
+        const codes = serials.map(code => String(code).trim().toUpperCase());
+        if (codes.some(code => code === '' || code.length > 100)) {
+            return { error: 'Serial numbers must be 1 to 100 characters' };
+        }
+        if (new Set(codes).size !== codes.length) {
+            return { error: 'Each serial number can only be listed once' };
+        }
+        if (!sameQuantity(codes.length, quantity)) {
+            return { error: `${codes.length} serial number(s) given for a quantity of ${quantity}` };
+        }
+        const expiry = toDate(expiryDate);
+        if (expiry === null) return { error: 'Expiry date is not valid' };
+        return { parts: codes.map(code => ({ code, quantity: 1, expiryDate: expiry })) };
+    }
+
+    if (!Array.isArray(lots) || lots.length === 0) {
+        return { error: `${item.inventoryId} is lot-tracked: give the lot numbers and quantities moved` };
+    }
+    const parts = [];
+    for (const lot of lots) {
+        const code = String((lot && lot.code) || '').trim().toUpperCase();
+        const lotQuantity = parseFloat(lot && lot.quantity);
+        const expiry = toDate(lot && lot.expiryDate);
+        if (code === '' || code.length > 100) return { error: 'Lot numbers must be 1 to 100 characters' };
+        if (!(lotQuantity > 0)) return { error: `Lot ${code}: quantity must be greater than zero` };
+        if (expiry === null) return { error: `Lot ${code}: expiry date is not valid` };
+        if (parts.some(part => part.code === code)) return { error: `Lot ${code} is listed more than once` };
+        parts.push({ code, quantity: lotQuantity, expiryDate: expiry });
+    }
+    const total = parts.reduce((sum, part) => sum + part.quantity, 0);
+    if (!sameQuantity(total, quantity)) {
+        return { error: `Lot quantities add up to ${total}, not ${quantity}` };
+    }
+    return { parts };
+};
+
+// Checks stock coming in: serials must not already be in stock and a lot
+// keeps the expiry date it was first received with. Nothing is written, so
+// callers can check every line of a receipt first. Returns { plan } or { error }.
+const planIncoming = async (item, quantity, tracking, { session = null } = {}) => {
+    const parsed = parseTracking(item, quantity, tracking);
+    if (parsed.error) return parsed;
+
+    const existing = await Lot.find({ item: item._id, code: { $in: parsed.parts.map(part => part.code) } }).session(session);
+    const plan = [];
+    for (const part of parsed.parts) {
+        const lot = existing.find(l => l.code === part.code);
+        if (lot && item.trackingMode === 'serial' && lot.quantity > 0) {
+            return { error: `Serial number ${part.code} is already in stock` };
+        }
+        if (lot && part.expiryDate && lot.expiryDate && lot.expiryDate.getTime() !== part.expiryDate.getTime()) {
+            return { error: `Lot ${part.code} already expires on ${lot.expiryDate.toISOString().slice(0, 10)}` };
+        }
+        plan.push({ ...part, lot });
+    }
+    return { plan };
+};
+
+// Creates the lots of a checked plan that do not exist yet.
+// Returns the [{ lot, quantity }] parts.
+const applyIncoming = async (item, plan, { session = null } = {}) => {
+    const parts = [];
+    for (const { code, quantity, expiryDate, lot: existing } of plan) {
+        let lot = existing;
+        if (!lot) {
+            [lot] = await Lot.create([{
+                item: item._id,
+                kind: item.trackingMode,
+                code,
+                expiryDate,
+                organization: item.organization
+            }], { session });
+        } else if (expiryDate && !lot.expiryDate) {
+            lot.set({ expiryDate, lastUpdated: Date.now() });
+            await lot.save({ session });
+        }
+        parts.push({ lot: lot._id, quantity });
+    }
+    return parts;
+};
+
+// planIncoming and applyIncoming in one go. Returns { parts } or { error }.
+const incomingParts = async (item, quantity, tracking, { session = null } = {}) => {
+    const checked = await planIncoming(item, quantity, tracking, { session });
+    if (checked.error) return checked;
+    return { parts: await applyIncoming(item, checked.plan, { session }) };
+};
+
+// Lots of the item in the warehouse, first to expire first (lots without an
+// expiry date last, then oldest first)
+const lotsByExpiry = async (item, warehouseId, { session = null } = {}) => {
+    const lots = await Lot.find({ item: item._id, 'locations.warehouse': warehouseId, quantity: { $gt: 0 } })
+        .sort({ createdAt: 1 })
+        .session(session);
+    const expiry = (lot) => (lot.expiryDate ? lot.expiryDate.getTime() : Infinity);
+    return lots
+        .filter(lot => lot.quantityIn(warehouseId) > 0)
+        .sort((a, b) => expiry(a) - expiry(b));
+};
+
+// Stock going out of a warehouse: every lot or serial named must hold the
+// quantity there. With autoPick, a lot-tracked item given no lots takes them
+// first-expiry-first-out. Returns { parts: [{ lot, quantity }] } or { error }.
+const outgoingParts = async (item, warehouse, quantity, tracking = {}, { session = null, autoPick = false } = {}) => {
+    if (autoPick && item.trackingMode === 'lot' && !(Array.isArray(tracking.lots) && tracking.lots.length > 0)) {
+        const parts = [];
+        let remaining = quantity;
+        for (const lot of await lotsByExpiry(item, warehouse._id, { session })) {
+            if (remaining <= 0) break;
+            const taken = Math.min(lot.quantityIn(warehouse._id), remaining);
+            parts.push({ lot: lot._id, quantity: taken });
+            remaining -= taken;
+        }
+        if (remaining > 1e-9) {
+            return { error: `${item.inventoryId}: only ${quantity - remaining} in lots in ${warehouse.code}` };
+        }
+        return { parts };
+    }
+
+    const parsed = parseTracking(item, quantity, tracking);
+    if (parsed.error) return parsed;
+
+    const lots = await Lot.find({ item: item._id, code: { $in: parsed.parts.map(part => part.code) } }).session(session);
+    const parts = [];
+    for (const part of parsed.parts) {
+        const lot = lots.find(l => l.code === part.code);
+        const label = item.trackingMode === 'serial' ? `Serial number ${part.code}` : `Lot ${part.code}`;
+        if (!lot) {
+            return { error: `${label} not found for ${item.inventoryId}` };
+        }
+        const available = lot.quantityIn(warehouse._id);
+        if (part.quantity > available + 1e-9) {
+            return {
+                error: item.trackingMode === 'serial'
+                    ? `${label} is not in stock in ${warehouse.code}`
+                    : `${label}: only ${available} in ${warehouse.code}`
+            };
+        }
+        parts.push({ lot: lot._id, quantity: part.quantity });
+    }
+    return { parts };
+};
+
+// One ledger row per part, quantities signed by direction (1 in, -1 out)
+const splitEntry = (entry, parts, direction) => parts.map(part => ({
+    ...entry,
+    lot: part.lot,
+    quantity: direction * part.quantity
+}));
+
+// The tracking fields of a request body, for passing on to the helpers
+const trackingFrom = (body = {}) => ({ lots: body.lots, serials: body.serials, expiryDate: body.expiryDate });
+
+module.exports = {
+    isTracked,
+    parseTracking,
+    planIncoming,
+    applyIncoming,
+    incomingParts,
+    outgoingParts,
+    splitEntry,
+    trackingFrom
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing email. MAIL_TRANSPORT picks how it leaves the server:
+//   smtp     through SMTP_HOST and SMTP_PORT, logging in with SMTP_USER and
+//            SMTP_PASS when set (SMTP_SECURE=true for TLS from the start)
+//   file     written as .eml files to MAIL_DIR (default ./mail), for local testing
+//   console  printed to the server log; the default when SMTP_HOST is not set
+// MAIL_FROM is the sender, APP_URL the frontend the links in messages open.
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+const DEFAULT_FROM = 'Smart Inventory Tracker <no-reply@localhost>';
+
+let transporter = null;
+
+const transportName = () => process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+const createTransporter = (name) => {
+    if (name === 'smtp') {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    // file and console only build the raw message, written out below
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+};
+
+// Sends { to, subject, text, html? } and resolves once the transport took it
+const sendMail = async (message) => {
+    const name = transportName();
+    if (!MAIL_TRANSPORTS.includes(name)) {
+        throw new Error(`MAIL_TRANSPORT must be one of: ${MAIL_TRANSPORTS.join(', ')}`);
+    }
+    if (!transporter) {
+        transporter = createTransporter(name);
+    }
+
+    const info = await transporter.sendMail({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+
+    if (name === 'file') {
+        const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+        const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(file, info.message);
+        console.log(`📧 Mail to ${message.to} written to ${file}`);
+    } else if (name === 'console') {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+    return info;
+};
+
+// Absolute link to a frontend page, for use in messages
+const appUrl = (pathname) => `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '')}${pathname}`;
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    sendMail,
+    appUrl
+};
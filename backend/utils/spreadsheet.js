@@ -0,0 +1,81 @@
+const path = require('path');
+const multer = require('multer');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+const SPREADSHEET_TYPES = {
+    '.csv': 'csv',
+    '.xlsx': 'xlsx'
+};
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const spreadsheetType = (filename) => SPREADSHEET_TYPES[path.extname(filename || '').toLowerCase()];
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE },
+    fileFilter: (req, file, cb) => {
+        if (!spreadsheetType(file.originalname)) {
+            return cb(new Error('Only .csv and .xlsx files can be imported'));
+        }
+        cb(null, true);
+    }
+});
+
+// Route middleware taking a single CSV or XLSX upload in the `file` field.
+// multer reports problems through next(err); answer them like validation errors
+const uploadSpreadsheet = (req, res, next) => upload.single('file')(req, res, (err) => {
+    if (err) {
+        return res.status(400).json({
+            success: false,
+            message: err.code === 'LIMIT_FILE_SIZE' ? 'File cannot exceed 5 MB' : err.message
+        });
+    }
+    next();
+});
+
+// Plain text for an exceljs cell value (formulas, links and rich text included)
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellText(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value);
+};
+
+// Reads the first sheet of a CSV or XLSX upload into a header row and data rows of strings
+const readSpreadsheet = async ({ originalname, buffer }) => {
+    let table;
+
+    if (spreadsheetType(originalname) === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+        const sheet = workbook.worksheets[0];
+        table = [];
+        if (sheet) {
+            sheet.eachRow({ includeEmpty: true }, (row) => {
+                // row.values is 1-based
+                table.push(row.values.slice(1).map(cellText));
+            });
+        }
+    } else {
+        table = parse(buffer, { bom: true, relax_column_count: true });
+    }
+
+    const [headers = [], ...rows] = table;
+    return {
+        headers: headers.map(header => String(header).trim()),
+        rows: rows.map(row => row.map(cell => String(cell ?? '').trim()))
+    };
+};
+
+module.exports = {
+    spreadsheetType,
+    uploadSpreadsheet,
+    readSpreadsheet
+};
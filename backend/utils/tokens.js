@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// access tokens are short-lived JWTs; a session's refresh token gets new ones
+// (see models/Session.js)
+const ACCESS_TOKEN_TTL = '15m';
+
+// Secrets handed to a client (refresh tokens, emailed links) are random hex
+// strings; only their SHA-256 hash is stored, so a database leak does not
+// leak working tokens.
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Signs the access token of one of the user's sessions. twoFactor tells
+// organizations that require two-factor authentication whether the user has it.
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        user: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            twoFactor: Boolean(user.twoFactor && user.twoFactor.enabled)
+        },
+        session: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    randomToken,
+    hashToken,
+    signAccessToken
+};
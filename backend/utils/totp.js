@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const bwipjs = require('bwip-js');
+const { randomToken, hashToken } = require('./tokens');
+
+// Time-based one-time passwords (RFC 6238) as shown by authenticator apps:
+// 6 digits from HMAC-SHA1 over the number of 30-second steps since 1970.
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// steps either side of now that are still accepted, for clock drift
+const DRIFT_STEPS = 1;
+const ISSUER = 'Smart Inventory Tracker';
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const toBase32 = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const fromBase32 = (text) => {
+    const bits = text.toUpperCase().replace(/[\s=]/g, '').split('')
+        .map(char => {
+            const value = BASE32_ALPHABET.indexOf(char);
+            if (value === -1) throw new Error('Invalid base32 secret');
+            return value.toString(2).padStart(5, '0');
+        })
+        .join('');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// A new secret for an authenticator app, base32 as the apps expect it
+const generateSecret = () => toBase32(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const codeAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// The step a code matches within the drift window, or null. A code of a
+// step at or before lastUsedStep is refused, so each code logs in only once.
+const verifyCode = (secret, code, { lastUsedStep = -1, now = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const step = currentStep(now);
+    for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+        if (candidate <= lastUsedStep) continue;
+        const expected = codeAt(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+};
+
+// otpauth:// link the authenticator app reads from the QR code
+const otpauthUrl = (secret, account) => {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    const params = new URLSearchParams({ secret, issuer: ISSUER, digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// The otpauth link as a PNG data URL, ready for an <img>
+const qrCodeDataUrl = async (url) => {
+    const png = await bwipjs.toBuffer({ bcid: 'qrcode', text: url, scale: 4 });
+    return `data:image/png;base64,${png.toString('base64')}`;
+};
+
+// Secrets are stored encrypted with AES-256-GCM under a key derived from
+// TWO_FACTOR_KEY (or JWT_SECRET when it is not set)
+const encryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const sealSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const openSecret = (sealed) => {
+    const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "3f9a1-c07e2"; dashes, spaces and case do not matter
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = randomToken(5);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+module.exports = {
+    DIGITS,
+    STEP_SECONDS,
+    RECOVERY_CODE_COUNT,
+    generateSecret,
+    currentStep,
+    codeAt,
+    verifyCode,
+    otpauthUrl,
+    qrCodeDataUrl,
+    sealSecret,
+    openSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
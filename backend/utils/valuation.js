@@ -0,0 +1,270 @@
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const AuditLog = require('../models/AuditLog');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Replays one item's ledger rows (oldest first) and returns what is left on
+// hand and what it is worth. Every incoming row adds a cost layer; outgoing
+// rows use up the oldest layers first (fifo) or take the running average
+// cost (weighted-average). Issues dated from `from` onwards add to the cost
+// of goods issued. Transfers move stock between warehouses without changing
+// the item's cost, so they are skipped here.
+const replayLedger = (movements, { method = 'fifo', from = null, fallbackCost = 0 } = {}) => {
+    let layers = [];
+    let quantity = 0;
+    let value = 0;
+    let costOfGoodsIssued = 0;
+
+    for (const movement of movements) {
+        if (movement.type === 'transfer') continue;
+
+        if (StockMovement.isIncoming(movement)) {
+            const unitCost = movement.unitCost ?? fallbackCost;
+            layers.push({ receivedAt: movement.createdAt, quantity: movement.quantity, unitCost });
+            quantity += movement.quantity;
+            value += movement.quantity * unitCost;
+            continue;
+        }
+
+        let outgoing = -movement.quantity;
+        let cost;
+        if (method === 'weighted-average') {
+            const averageCost = quantity > 0 ? value / quantity : fallbackCost;
+            cost = outgoing * averageCost;
+        } else {
+            cost = 0;
+            while (outgoing > 0 && layers.length > 0) {
+                const taken = Math.min(outgoing, layers[0].quantity);
+                cost += taken * layers[0].unitCost;
+                layers[0].quantity -= taken;
+                outgoing -= taken;
+                if (layers[0].quantity <= 0) layers.shift();
+            }
+            // more went out than the layers hold (bad historical data)
+            cost += outgoing * fallbackCost;
+        }
+
+        quantity += movement.quantity;
+        value = quantity > 0 ? value - cost : 0;
+        if (movement.type === 'issue' && (!from || movement.createdAt >= from)) {
+            costOfGoodsIssued += cost;
+        }
+    }
+
+    // under weighted-average the whole stock sits in one layer at the average cost
+    if (method === 'weighted-average') {
+        layers = quantity > 0 ? [{ receivedAt: null, quantity, unitCost: value / quantity }] : [];
+    }
+
+    return {
+        quantity,
+        value: round(Math.max(value, 0)),
+        unitCost: quantity > 0 ? round(value / quantity) : 0,
+        costOfGoodsIssued: round(costOfGoodsIssued),
+        layers: layers.map(layer => ({ ...layer, unitCost: round(layer.unitCost) }))
+    };
+};
+
+// The ledger is read with two aggregations rather than row by row: the net
+// quantity per item and warehouse, and each item's rows grouped together in
+// MongoDB, so only one item's history is held in memory at a time.
+
+// { [itemId]: [{ warehouse, quantity }] } for every item with ledger rows
+// matching `match`, including items whose quantities have come to nothing
+const aggregateHoldings = async (match) => {
+    const totals = await StockMovement.aggregate([
+        { $match: match },
+        { $group: { _id: { item: '$item', warehouse: '$warehouse' }, quantity: { $sum: '$quantity' } } }
+    ]);
+    const byItem = new Map();
+    totals.forEach(({ _id, quantity }) => {
+        const key = _id.item.toString();
+        if (!byItem.has(key)) byItem.set(key, []);
+        if (quantity !== 0) byItem.get(key).push({ warehouse: _id.warehouse.toString(), quantity });
+    });
+    return byItem;
+};
+
+// Calls visit(itemId, rows) for each item with ledger rows matching `match`,
+// its rows oldest first. Transfers do not change an item's value, so they
+// are left out.
+const eachItemLedger = async (match, visit) => {
+    const cursor = StockMovement.aggregate([
+        { $match: { ...match, type: { $ne: 'transfer' } } },
+        { $sort: { item: 1, createdAt: 1, _id: 1 } },
+        { $group: {
+            _id: '$item',
+            rows: { $push: { type: '$type', quantity: '$quantity', unitCost: '$unitCost', currency: '$currency', createdAt: '$createdAt' } }
+        } }
+    ])
+        .allowDiskUse(true)
+        .cursor();
+
+    for await (const { _id, rows } of cursor) {
+        visit(_id.toString(), rows);
+    }
+};
+
+// One lean item valued from its ledger rows up to asOf and the holdings
+// they add up to (none for an item without ledger rows); convert(amount,
+// currency, date) turns costs into the currency the value is wanted in
+const valueItem = (item, rows, holdings, { asOf, from, method, convert }) => {
+    const currentCost = convert(item.costUnit, item.costCurrency, asOf);
+    if (!holdings) {
+        const held = item.lastUpdated <= asOf ? item.quantity : 0;
+        return {
+            ...item,
+            valuation: {
+                quantity: held,
+                value: round(held * currentCost),
+                unitCost: held > 0 ? round(currentCost) : 0,
+                costOfGoodsIssued: 0,
+                layers: held > 0 ? [{ receivedAt: null, quantity: held, unitCost: round(currentCost) }] : []
+            },
+            holdings: held > 0 ? [{ warehouse: item.warehouse.toString(), quantity: held }] : []
+        };
+    }
+
+    const converted = rows.map(row => (StockMovement.isIncoming(row) && row.unitCost !== undefined
+        ? { ...row, unitCost: convert(row.unitCost, row.currency || item.costCurrency, row.createdAt) }
+        : row));
+    const valuation = replayLedger(converted, { method, from, fallbackCost: currentCost });
+    return { ...item, valuation, holdings };
+};
+
+// Items purged from the trash (utils/itemTrash.js) keep their ledger rows but
+// not their document. Their fields come from the audit entry of the purge and
+// the time they went to the trash from their last trash entry.
+const findPurgedItems = async (organization, ids) => {
+    if (ids.length === 0) return [];
+
+    const entries = await AuditLog.find({
+        organization,
+        entityType: 'item',
+        entity: { $in: ids },
+        action: { $in: ['trash', 'delete'] }
+    })
+        .sort({ createdAt: 1 })
+        .lean();
+
+    const purged = new Map();
+    entries.forEach(entry => {
+        const key = entry.entity.toString();
+        const item = purged.get(key) || { _id: entry.entity };
+        if (entry.action === 'trash') {
+            item.deletedAt = entry.createdAt;
+        } else {
+            entry.changes.forEach(change => { item[change.field] = change.before; });
+            item.deletedAt = item.deletedAt || entry.createdAt;
+        }
+        purged.set(key, item);
+    });
+    return [...purged.values()].filter(item => item.inventoryId);
+};
+
+// Values every item the organization held at asOf (default now): items in
+// the trash at that moment are left out, including ones purged since.
+// Cost layers are kept per item, so a warehouse's share of an item's value
+// is its share of the quantity at the item's unit cost. Items that predate
+// the stock ledger have no rows and are valued at their current cost.
+// With a converter (utils/currency.js) every receipt is converted into the
+// base currency at the rate of the day it came in.
+// Returns lean items with a `valuation` and per-warehouse `holdings`.
+const valueInventory = async (organization, { asOf = new Date(), from = null, method = 'fifo', converter = null } = {}) => {
+    const convert = (amount, currency, date) => (converter ? converter.convert(amount, currency, date) : amount);
+
+    const ledger = { organization, createdAt: { $lte: asOf } };
+
+    const [items, holdingsByItem] = await Promise.all([
+        Inventory.find({
+            organization,
+            $or: [{ deletedAt: null }, { deletedAt: { $gt: asOf } }]
+        })
+            .select('inventoryId productName category warehouse unitOfMeasure costUnit costCurrency quantity lastUpdated')
+            .sort({ inventoryId: 1 })
+            .lean(),
+        aggregateHoldings(ledger)
+    ]);
+
+    const known = new Set(items.map(item => item._id.toString()));
+    const purged = await findPurgedItems(organization, [...holdingsByItem.keys()].filter(key => !known.has(key)));
+    const heldThen = purged.filter(item => item.deletedAt > asOf);
+    if (heldThen.length > 0) {
+        items.push(...heldThen);
+        items.sort((a, b) => (a.inventoryId < b.inventoryId ? -1 : 1));
+    }
+
+    const options = { asOf, from, method, convert };
+    const valued = new Map();
+    const byId = new Map(items.map(item => [item._id.toString(), item]));
+    await eachItemLedger(ledger, (id, rows) => {
+        // items in the trash at asOf or purged before it are not valued
+        if (byId.has(id)) valued.set(id, valueItem(byId.get(id), rows, holdingsByItem.get(id), options));
+    });
+
+    return items.map(item => {
+        const id = item._id.toString();
+        return valued.get(id) || valueItem(item, [], holdingsByItem.get(id), options);
+    });
+};
+
+// Values the given lean items as they stand now, reading only their own
+// ledger rows, for callers that go through items a batch at a time (exports).
+// Each item is valued in its own cost currency: receipts priced in another
+// currency are converted at the rates of the day they came in, and kept as
+// they are when a rate is missing.
+const valueItems = async (items, { method = 'fifo', converter }) => {
+    const ledger = { item: { $in: items.map(item => item._id) } };
+    const rowsByItem = new Map();
+    const [holdingsByItem] = await Promise.all([
+        aggregateHoldings(ledger),
+        eachItemLedger(ledger, (id, rows) => rowsByItem.set(id, rows))
+    ]);
+    const asOf = new Date();
+
+    return items.map(item => {
+        const convert = (amount, currency, date) => {
+            if (!currency || currency === item.costCurrency) return amount;
+            const [rate, itemRate] = [converter.rateOn(currency, date), converter.rateOn(item.costCurrency, date)];
+            return rate === null || itemRate === null ? amount : amount * rate / itemRate;
+        };
+        const id = item._id.toString();
+        return valueItem(item, rowsByItem.get(id) || [], holdingsByItem.get(id), { asOf, from: null, method, convert });
+    });
+};
+
+// Adds up valued items by a key (category, warehouse, ...): { [key]: { quantity, value, costOfGoodsIssued } }
+const sumBy = (valuedItems, keyOf) => {
+    const totals = {};
+    valuedItems.forEach(item => {
+        const key = keyOf(item);
+        if (!key) return;
+        totals[key] = totals[key] || { quantity: 0, value: 0, costOfGoodsIssued: 0 };
+        totals[key].quantity += item.valuation.quantity;
+        totals[key].value = round(totals[key].value + item.valuation.value);
+        totals[key].costOfGoodsIssued = round(totals[key].costOfGoodsIssued + item.valuation.costOfGoodsIssued);
+    });
+    return totals;
+};
+
+// Value held in each warehouse: { [warehouseId]: { quantity, value } }
+const sumByWarehouse = (valuedItems) => {
+    const totals = {};
+    valuedItems.forEach(item => {
+        item.holdings.forEach(({ warehouse, quantity }) => {
+            totals[warehouse] = totals[warehouse] || { quantity: 0, value: 0 };
+            totals[warehouse].quantity += quantity;
+            totals[warehouse].value = round(totals[warehouse].value + quantity * item.valuation.unitCost);
+        });
+    });
+    return totals;
+};
+
+module.exports = {
+    replayLedger,
+    valueInventory,
+    valueItems,
+    sumBy,
+    sumByWarehouse
+};
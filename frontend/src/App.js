@@ -1,5 +1,5 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -9,11 +9,37 @@ import Register from './components/Register';
 import Dashboard from './components/Dashboard';
 import CreateItem from './components/CreateItem';
 import EditItem from './components/EditItem';
+import Warehouses from './components/Warehouses';
+import Suppliers from './components/Suppliers';
+import SupplierDetail from './components/SupplierDetail';
+import Categories from './components/Categories';
+import ImportItems from './components/ImportItems';
+import Team from './components/Team';
+import AcceptInvitation from './components/AcceptInvitation';
+import Trash from './components/Trash';
+import ReorderSuggestions from './components/ReorderSuggestions';
+import PurchaseOrders from './components/PurchaseOrders';
+import PurchaseOrderForm from './components/PurchaseOrderForm';
+import PurchaseOrderDetail from './components/PurchaseOrderDetail';
+import SalesOrders from './components/SalesOrders';
+import SalesOrderForm from './components/SalesOrderForm';
+import SalesOrderDetail from './components/SalesOrderDetail';
+import InventoryValuation from './components/InventoryValuation';
+import ExpiringLots from './components/ExpiringLots';
+import ExchangeRates from './components/ExchangeRates';
+import ScanItem from './components/ScanItem';
+import Sessions from './components/Sessions';
+import Security from './components/Security';
+import ApiKeys from './components/ApiKeys';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
 
-// Private route wrapper
+// Private route wrapper (remembers the page so login can come back to it)
 const PrivateRoute = ({ children }) => {
   const token = localStorage.getItem('token');
-  return token ? children : <Navigate to="/login" />;
+  const location = useLocation();
+  return token ? children : <Navigate to="/login" state={{ from: location }} />;
 };
 
 // Public route wrapper (redirect if logged in)
@@ -37,6 +63,14 @@ function App() {
               <Register />
             </PublicRoute>
           } />
+          <Route path="/forgot-password" element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          } />
+          {/* emailed links work whether or not someone is logged in */}
+          <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
           <Route path="/" element={
             <PrivateRoute>
               <Dashboard />
@@ -52,6 +86,126 @@ function App() {
               <EditItem />
             </PrivateRoute>
           } />
+          <Route path="/scan" element={
+            <PrivateRoute>
+              <ScanItem />
+            </PrivateRoute>
+          } />
+          <Route path="/warehouses" element={
+            <PrivateRoute>
+              <Warehouses />
+            </PrivateRoute>
+          } />
+          <Route path="/suppliers" element={
+            <PrivateRoute>
+              <Suppliers />
+            </PrivateRoute>
+          } />
+          <Route path="/suppliers/:id" element={
+            <PrivateRoute>
+              <SupplierDetail />
+            </PrivateRoute>
+          } />
+          <Route path="/categories" element={
+            <PrivateRoute>
+              <Categories />
+            </PrivateRoute>
+          } />
+          <Route path="/import" element={
+            <PrivateRoute>
+              <ImportItems />
+            </PrivateRoute>
+          } />
+          <Route path="/purchase-orders" element={
+            <PrivateRoute>
+              <PurchaseOrders />
+            </PrivateRoute>
+          } />
+          <Route path="/purchase-orders/new" element={
+            <PrivateRoute>
+              <PurchaseOrderForm />
+            </PrivateRoute>
+          } />
+          <Route path="/purchase-orders/:id" element={
+            <PrivateRoute>
+              <PurchaseOrderDetail />
+            </PrivateRoute>
+          } />
+          <Route path="/purchase-orders/:id/edit" element={
+            <PrivateRoute>
+              <PurchaseOrderForm />
+            </PrivateRoute>
+          } />
+          <Route path="/sales-orders" element={
+            <PrivateRoute>
+              <SalesOrders />
+            </PrivateRoute>
+          } />
+          <Route path="/sales-orders/new" element={
+            <PrivateRoute>
+              <SalesOrderForm />
+            </PrivateRoute>
+          } />
+          <Route path="/sales-orders/:id" element={
+            <PrivateRoute>
+              <SalesOrderDetail />
+            </PrivateRoute>
+          } />
+          <Route path="/sales-orders/:id/edit" element={
+            <PrivateRoute>
+              <SalesOrderForm />
+            </PrivateRoute>
+          } />
+          <Route path="/reports/valuation" element={
+            <PrivateRoute>
+              <InventoryValuation />
+            </PrivateRoute>
+          } />
+          <Route path="/reports/expiring" element={
+            <PrivateRoute>
+              <ExpiringLots />
+            </PrivateRoute>
+          } />
+          <Route path="/exchange-rates" element={
+            <PrivateRoute>
+              <ExchangeRates />
+            </PrivateRoute>
+          } />
+          <Route path="/reorder" element={
+            <PrivateRoute>
+              <ReorderSuggestions />
+            </PrivateRoute>
+          } />
+          <Route path="/trash" element={
+            <PrivateRoute>
+              <Trash />
+            </PrivateRoute>
+          } />
+          <Route path="/sessions" element={
+            <PrivateRoute>
+              <Sessions />
+            </PrivateRoute>
+          } />
+          <Route path="/security" element={
+            <PrivateRoute>
+              <Security />
+            </PrivateRoute>
+          } />
+          <Route path="/api-keys" element={
+            <PrivateRoute>
+              <ApiKeys />
+            </PrivateRoute>
+          } />
+          <Route path="/team" element={
+            <PrivateRoute>
+              <Team />
+            </PrivateRoute>
+          } />
+          <Route path="/invitations/:token" element={
+            <PrivateRoute>
+              <AcceptInvitation />
+            </PrivateRoute>
+          } />
           <Route path="*" element={<Navigate to="/" />} />
         </Routes>
         <ToastContainer 
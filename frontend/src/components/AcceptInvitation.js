@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { FaEnvelopeOpenText, FaCheck, FaTimes } from 'react-icons/fa';
+import { invitationAPI } from '../services/api';
+import { toast } from 'react-toastify';
+import Navbar from './Navbar';
+import { ROLE_LABELS, ROLE_DESCRIPTIONS, setCurrentOrganization } from '../utils/organization';
+
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(false);
+  const [declined, setDeclined] = useState(false);
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await invitationAPI.get(token);
+        setInvitation(response.data);
+      } catch (error) {
+        console.error('Error fetching invitation:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setResponding(true);
+    try {
+      const response = await invitationAPI.accept(token);
+      setCurrentOrganization(response.data);
+      toast.success(response.message);
+      // reload so the navbar and every page pick up the new organization
+      window.location.assign('/');
+    } catch (error) {
+      console.error('Error accepting invitation:', error);
+      setResponding(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    setResponding(true);
+    try {
+      await invitationAPI.decline(token);
+      setDeclined(true);
+      toast.info('Invitation declined');
+    } catch (error) {
+      console.error('Error declining invitation:', error);
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading invitation...</p>
+      </div>
+    );
+  }
+
+  const renderBody = () => {
+    if (!invitation) {
+      return <p className="panel-empty">This invitation is no longer valid. Ask for a new one.</p>;
+    }
+    if (declined) {
+      return <p className="panel-empty">You declined the invitation to {invitation.organization.name}.</p>;
+    }
+    if (!invitation.forYou) {
+      return (
+        <p className="panel-empty">
+          This invitation was sent to a different email address than {user.email}. Log in with the invited account to accept it.
+        </p>
+      );
+    }
+    if (!invitation.emailVerified) {
+      return (
+        <p className="panel-empty">
+          Confirm your email address with the link we sent to {user.email} before answering this invitation.
+        </p>
+      );
+    }
+
+    return (
+      <>
+        <p className="invitation-text">
+          {invitation.invitedBy?.username || 'Someone'} invited you to join <strong>{invitation.organization.name}</strong> as{' '}
+          <span className={`role-badge ${invitation.role}`}>{ROLE_LABELS[invitation.role]}</span>
+        </p>
+        <p className="field-hint">{ROLE_DESCRIPTIONS[invitation.role]}</p>
+        <div className="form-actions">
+          <button onClick={handleAccept} className="submit-btn" disabled={responding}>
+            <FaCheck /> {responding ? 'Joining...' : 'Accept Invitation'}
+          </button>
+          <button onClick={handleDecline} className="cancel-btn" disabled={responding}>
+            <FaTimes /> Decline
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="panel invitation-panel">
+          <div className="panel-header">
+            <h3 className="panel-title">
+              <FaEnvelopeOpenText /> Invitation
+            </h3>
+            <Link to="/team" className="auth-link">Back to Team</Link>
+          </div>
+          {renderBody()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaKey, FaArrowLeft, FaPlus, FaCopy, FaTrash, FaCheck } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { apiKeyAPI } from '../services/api';
+import Navbar from './Navbar';
+import { formatDate, formatDay } from '../utils/format';
+import { getCurrentOrganization, hasRole } from '../utils/organization';
+
+const SCOPE_LABELS = {
+  'items:read': 'Read items',
+  'items:write': 'Change items',
+  'reports:read': 'Read reports'
+};
+
+const EXPIRY_OPTIONS = [
+  ['30', '30 days'],
+  ['90', '90 days'],
+  ['365', '1 year'],
+  ['', 'Never']
+];
+
+const EMPTY_KEY = { name: '', scopes: ['items:read'], expiresInDays: '90', organization: false };
+
+// API keys for scripts and integrations: the user's own and, for admins,
+// the current organization's
+const ApiKeys = () => {
+  const isAdmin = hasRole('admin');
+  const organizationName = getCurrentOrganization()?.name || 'this organization';
+
+  const [personalKeys, setPersonalKeys] = useState([]);
+  const [organizationKeys, setOrganizationKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_KEY);
+  // the key just created, shown once
+  const [createdKey, setCreatedKey] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const fetchKeys = useCallback(async () => {
+    try {
+      const [personal, organization] = await Promise.all([
+        apiKeyAPI.getAll(),
+        isAdmin ? apiKeyAPI.getOrganization() : Promise.resolve({ data: [] })
+      ]);
+      setPersonalKeys(personal.data || []);
+      setOrganizationKeys(organization.data || []);
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    fetchKeys();
+  }, [fetchKeys]);
+
+  const toggleScope = (scope) => {
+    setFormData(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+    setErrors({});
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const newErrors = {};
+    if (!formData.name.trim()) newErrors.name = 'Key name is required';
+    if (formData.scopes.length === 0) newErrors.scopes = 'Pick at least one scope';
+    if (Object.keys(newErrors).length > 0) {
+      setErrors(newErrors);
+      return;
+    }
+
+    const key = {
+      name: formData.name.trim(),
+      scopes: formData.scopes,
+      expiresInDays: formData.expiresInDays ? parseInt(formData.expiresInDays, 10) : null
+    };
+
+    setSaving(true);
+    try {
+      const response = formData.organization
+        ? await apiKeyAPI.createOrganization(key)
+        : await apiKeyAPI.create(key);
+      const { key: secret, ...apiKey } = response.data;
+      if (formData.organization) {
+        setOrganizationKeys(prev => [apiKey, ...prev]);
+      } else {
+        setPersonalKeys(prev => [apiKey, ...prev]);
+      }
+      setCreatedKey(secret);
+      setFormData(EMPTY_KEY);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error creating API key:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it stop working right away.`)) {
+      return;
+    }
+
+    try {
+      const response = apiKey.organization
+        ? await apiKeyAPI.revokeOrganization(apiKey._id)
+        : await apiKeyAPI.revoke(apiKey._id);
+      setPersonalKeys(prev => prev.filter(k => k._id !== apiKey._id));
+      setOrganizationKeys(prev => prev.filter(k => k._id !== apiKey._id));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      toast.info('API key copied');
+    } catch (error) {
+      toast.error('Could not copy the key');
+    }
+  };
+
+  const renderKeys = (keys, showCreator) => (
+    keys.length === 0 ? (
+      <p className="panel-empty">No API keys yet</p>
+    ) : (
+      <div className="table-container">
+        <table className="inventory-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Key</th>
+              <th>Scopes</th>
+              {showCreator && <th>Created By</th>}
+              <th>Expires</th>
+              <th>Last Used</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map(apiKey => {
+              const expired = apiKey.expiresAt && new Date(apiKey.expiresAt) < new Date();
+              return (
+                <tr key={apiKey._id}>
+                  <td className="product-name">{apiKey.name}</td>
+                  <td><code>{apiKey.prefix}…</code></td>
+                  <td>
+                    {apiKey.scopes.map(scope => (
+                      <span key={scope} className="scope-badge">{scope}</span>
+                    ))}
+                  </td>
+                  {showCreator && <td>{apiKey.user?.username || '—'}</td>}
+                  <td className={expired ? 'expired-key' : ''}>
+                    {apiKey.expiresAt ? formatDay(apiKey.expiresAt) : 'Never'}
+                    {expired && ' (expired)'}
+                  </td>
+                  <td>{apiKey.lastUsedAt ? formatDate(apiKey.lastUsedAt) : 'Never'}</td>
+                  <td className="actions">
+                    <button
+                      onClick={() => handleRevoke(apiKey)}
+                      className="action-btn delete-btn"
+                      title="Revoke Key"
+                    >
+                      <FaTrash />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    )
+  );
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading API keys...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaKey /> API Keys
+          </h2>
+          <div className="control-actions">
+            <Link to="/security" className="secondary-btn">
+              <FaArrowLeft /> Back to Security
+            </Link>
+          </div>
+        </div>
+
+        <div className="results-info">
+          <p>
+            Scripts send a key as <code>Authorization: Bearer &lt;key&gt;</code>. A key acts as the person who
+            created it, with that person's role, but only for its scopes.
+          </p>
+        </div>
+
+        {createdKey && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaKey /> Your New Key
+              </h3>
+              <button type="button" className="secondary-btn" onClick={handleCopy}>
+                <FaCopy /> Copy
+              </button>
+            </div>
+            <p className="field-hint">Copy it now and keep it secret: it is not shown again.</p>
+            <code className="created-key">{createdKey}</code>
+            <div className="form-actions">
+              <button type="button" className="submit-btn" onClick={() => setCreatedKey(null)}>
+                <FaCheck /> Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="panel">
+          <div className="panel-header">
+            <h3 className="panel-title">
+              <FaPlus /> New API Key
+            </h3>
+          </div>
+          <form onSubmit={handleCreate} className="item-form compact-form">
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="key-name">Name *</label>
+                <input
+                  type="text"
+                  id="key-name"
+                  value={formData.name}
+                  onChange={(e) => { setFormData(prev => ({ ...prev, name: e.target.value })); setErrors({}); }}
+                  placeholder="e.g., Nightly sync"
+                  className={errors.name ? 'error' : ''}
+                  disabled={saving}
+                  maxLength={100}
+                />
+                {errors.name && <span className="field-error">{errors.name}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="key-expiry">Expires</label>
+                <select
+                  id="key-expiry"
+                  value={formData.expiresInDays}
+                  onChange={(e) => setFormData(prev => ({ ...prev, expiresInDays: e.target.value }))}
+                  disabled={saving}
+                >
+                  {EXPIRY_OPTIONS.map(([value, label]) => (
+                    <option key={label} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label>Scopes *</label>
+                {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+                  <label key={scope} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={formData.scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                      disabled={saving}
+                    />
+                    {label} <code>{scope}</code>
+                  </label>
+                ))}
+                {errors.scopes && <span className="field-error">{errors.scopes}</span>}
+              </div>
+
+              {isAdmin && (
+                <div className="form-group">
+                  <label>Belongs to</label>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={formData.organization}
+                      onChange={(e) => setFormData(prev => ({ ...prev, organization: e.target.checked }))}
+                      disabled={saving}
+                    />
+                    {organizationName}
+                  </label>
+                  <span className="field-hint">
+                    Organization keys only work in {organizationName} and every admin can revoke them.
+                  </span>
+                </div>
+              )}
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="submit-btn" disabled={saving}>
+                <FaKey /> {saving ? 'Creating...' : 'Create Key'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        <div className="panel">
+          <div className="panel-header">
+            <h3 className="panel-title">
+              <FaKey /> Personal Keys
+            </h3>
+          </div>
+          {renderKeys(personalKeys, false)}
+        </div>
+
+        {isAdmin && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaKey /> Keys of {organizationName}
+              </h3>
+            </div>
+            {renderKeys(organizationKeys, true)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
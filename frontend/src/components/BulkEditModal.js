@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { FaTimes, FaEdit } from 'react-icons/fa';
+import { categoryOptionLabel } from '../utils/categories';
+
+const emptyForm = {
+  category: '',
+  warehouse: '',
+  supplier: '',
+  lowStockThreshold: '',
+  costMode: '',
+  costValue: ''
+};
+
+// Changes applied to every selected item; empty fields are left alone
+const BulkEditModal = ({ show, count, categories = [], warehouses = [], suppliers = [], onClose, onSubmit }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState('');
+  const [failures, setFailures] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (show) {
+      setFormData(emptyForm);
+      setError('');
+      setFailures([]);
+    }
+  }, [show]);
+
+  if (!show) return null;
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && !submitting) {
+      onClose();
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const changes = {};
+    ['category', 'warehouse', 'supplier'].forEach(field => {
+      if (formData[field]) changes[field] = formData[field];
+    });
+    if (formData.lowStockThreshold !== '') {
+      const threshold = parseFloat(formData.lowStockThreshold);
+      if (isNaN(threshold) || threshold < 0) {
+        setError('Low stock threshold must be zero or more');
+        return;
+      }
+      changes.lowStockThreshold = threshold;
+    }
+    if (formData.costMode) {
+      const value = parseFloat(formData.costValue);
+      if (isNaN(value) || (formData.costMode === 'set' && value < 0) || (formData.costMode === 'percent' && value < -100)) {
+        setError(formData.costMode === 'set'
+          ? 'Cost must be zero or more'
+          : 'Enter a percentage of -100 or more');
+        return;
+      }
+      changes.cost = { mode: formData.costMode, value };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      setError('Pick at least one change');
+      return;
+    }
+
+    setSubmitting(true);
+    setFailures([]);
+    try {
+      await onSubmit(changes);
+    } catch (err) {
+      // nothing was changed; list the items that blocked the update
+      setFailures((err.response?.data?.data?.results || []).filter(result => !result.success));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div className="modal-content form-modal">
+        <div className="modal-header">
+          <div className="modal-icon movement adjust">
+            <FaEdit />
+          </div>
+          <h3 className="modal-title">Edit {count} {count === 1 ? 'Item' : 'Items'}</h3>
+          <button onClick={onClose} className="modal-close-btn" disabled={submitting}>
+            <FaTimes />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <p className="modal-message">
+              Only the fields you fill in are changed. Either every item is updated or none is.
+            </p>
+
+            <div className="form-group">
+              <label htmlFor="bulk-category">Category</label>
+              <select id="bulk-category" name="category" value={formData.category} onChange={handleChange} disabled={submitting}>
+                <option value="">Keep current</option>
+                {categories.map(category => (
+                  <option key={category._id} value={category._id}>{categoryOptionLabel(category)}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="bulk-supplier">Supplier</label>
+              <select id="bulk-supplier" name="supplier" value={formData.supplier} onChange={handleChange} disabled={submitting}>
+                <option value="">Keep current</option>
+                {suppliers.filter(supplier => supplier.active).map(supplier => (
+                  <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="bulk-warehouse">Default Warehouse</label>
+              <select id="bulk-warehouse" name="warehouse" value={formData.warehouse} onChange={handleChange} disabled={submitting}>
+                <option value="">Keep current</option>
+                {warehouses.filter(warehouse => warehouse.active).map(warehouse => (
+                  <option key={warehouse._id} value={warehouse._id}>{warehouse.code} - {warehouse.name}</option>
+                ))}
+              </select>
+              <div className="input-help">Stock already on hand stays where it is</div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="bulk-threshold">Low Stock Threshold</label>
+              <input
+                type="number"
+                id="bulk-threshold"
+                name="lowStockThreshold"
+                value={formData.lowStockThreshold}
+                onChange={handleChange}
+                step="any"
+                min="0"
+                placeholder="Keep current"
+                disabled={submitting}
+              />
+              <div className="input-help">Stock status follows: items at or below it become low stock</div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="bulk-cost-mode">Cost per Unit</label>
+              <div className="bulk-cost-row">
+                <select id="bulk-cost-mode" name="costMode" value={formData.costMode} onChange={handleChange} disabled={submitting}>
+                  <option value="">Keep current</option>
+                  <option value="set">Set to ($)</option>
+                  <option value="percent">Change by (%)</option>
+                </select>
+                {formData.costMode && (
+                  <input
+                    type="number"
+                    name="costValue"
+                    value={formData.costValue}
+                    onChange={handleChange}
+                    step="any"
+                    placeholder={formData.costMode === 'set' ? 'e.g., 12.50' : 'e.g., 10 or -5'}
+                    aria-label="Cost change"
+                    disabled={submitting}
+                  />
+                )}
+              </div>
+            </div>
+
+            {error && <span className="field-error">{error}</span>}
+
+            {failures.length > 0 && (
+              <div className="bulk-failures">
+                <strong>No items were changed. These items cannot take the changes:</strong>
+                <ul>
+                  {failures.map(failure => (
+                    <li key={failure._id}>
+                      {failure.inventoryId ? `${failure.inventoryId} - ${failure.productName}` : failure._id}: {failure.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" onClick={onClose} className="modal-btn cancel-btn" disabled={submitting}>
+              Cancel
+            </button>
+            <button type="submit" className="modal-btn confirm-btn" disabled={submitting}>
+              {submitting ? 'Saving...' : `Update ${count} ${count === 1 ? 'Item' : 'Items'}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BulkEditModal;
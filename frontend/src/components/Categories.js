@@ -0,0 +1,379 @@
+import React, { useState, useEffect } from 'react';
+import { FaTags, FaPlus, FaEdit, FaTrash, FaSave, FaTimes, FaCompressArrowsAlt } from 'react-icons/fa';
+import { categoryAPI } from '../services/api';
+import { toast } from 'react-toastify';
+import Navbar from './Navbar';
+import { hasRole } from '../utils/organization';
+import { sortCategoryTree, getDescendantIds, categoryOptionLabel, DEFAULT_CATEGORY_COLOR } from '../utils/categories';
+
+const emptyForm = {
+  name: '',
+  parent: '',
+  color: DEFAULT_CATEGORY_COLOR
+};
+
+const Categories = () => {
+  const canEdit = hasRole('editor');
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [merge, setMerge] = useState({ source: null, target: '' });
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getAll();
+      setCategories(sortCategoryTree(response.data));
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setFormData(emptyForm);
+    setErrors({});
+    setMerge({ source: null, target: '' });
+    setShowForm(true);
+  };
+
+  const openEditForm = (category) => {
+    setEditingId(category._id);
+    setFormData({
+      name: category.name,
+      parent: category.parent || '',
+      color: category.color || DEFAULT_CATEGORY_COLOR
+    });
+    setErrors({});
+    setMerge({ source: null, target: '' });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+  };
+
+  const openMerge = (category) => {
+    closeForm();
+    setMerge({ source: category, target: '' });
+  };
+
+  const closeMerge = () => {
+    setMerge({ source: null, target: '' });
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Category name is required';
+    } else if (formData.name.length > 50) {
+      newErrors.name = 'Category name cannot exceed 50 characters';
+    }
+
+    return newErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formErrors = validateForm();
+    if (Object.keys(formErrors).length > 0) {
+      setErrors(formErrors);
+      return;
+    }
+
+    const data = {
+      name: formData.name,
+      parent: formData.parent || null,
+      color: formData.color
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await categoryAPI.update(editingId, data);
+        toast.success('Category updated successfully!');
+      } else {
+        await categoryAPI.create(data);
+        toast.success('Category created successfully!');
+      }
+      closeForm();
+      fetchCategories();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+
+    if (!merge.target) {
+      toast.error('Choose the category to merge into');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await categoryAPI.merge(merge.source._id, merge.target);
+      toast.success(`${response.message} (${response.data.itemsMoved} items moved)`);
+      closeMerge();
+      fetchCategories();
+    } catch (error) {
+      console.error('Error merging category:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete category ${category.name}?`)) {
+      return;
+    }
+
+    try {
+      await categoryAPI.delete(category._id);
+      toast.success('Category deleted successfully!');
+      setCategories(prev => prev.filter(c => c._id !== category._id));
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      // error is already handled by interceptor
+    }
+  };
+
+  // a category cannot be nested in, or merged into, itself or its own subcategories
+  const excludedIds = (categoryId) => (categoryId ? getDescendantIds(categories, categoryId) : []);
+  const parentOptions = categories.filter(c => !excludedIds(editingId).includes(c._id));
+  const mergeOptions = merge.source
+    ? categories.filter(c => !excludedIds(merge.source._id).includes(c._id))
+    : [];
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading categories...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaTags /> Categories
+          </h2>
+          {canEdit && (
+            <button onClick={openCreateForm} className="create-btn">
+              <FaPlus /> Add Category
+            </button>
+          )}
+        </div>
+
+        {showForm && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaTags /> {editingId ? 'Edit Category' : 'New Category'}
+              </h3>
+            </div>
+
+            <form onSubmit={handleSubmit} className="item-form compact-form">
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="name">Name *</label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    placeholder="e.g., Networking"
+                    className={errors.name ? 'error' : ''}
+                    disabled={saving}
+                    maxLength={50}
+                  />
+                  {errors.name && <span className="field-error">{errors.name}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="parent">Parent Category</label>
+                  <select
+                    id="parent"
+                    name="parent"
+                    value={formData.parent}
+                    onChange={handleChange}
+                    disabled={saving}
+                  >
+                    <option value="">None (top level)</option>
+                    {parentOptions.map(category => (
+                      <option key={category._id} value={category._id}>
+                        {categoryOptionLabel(category)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="color">Badge Color</label>
+                  <input
+                    type="color"
+                    id="color"
+                    name="color"
+                    value={formData.color}
+                    onChange={handleChange}
+                    className="color-input"
+                    disabled={saving}
+                  />
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={saving}>
+                  <FaSave /> {saving ? 'Saving...' : editingId ? 'Update Category' : 'Create Category'}
+                </button>
+                <button type="button" onClick={closeForm} className="cancel-btn" disabled={saving}>
+                  <FaTimes /> Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {merge.source && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaCompressArrowsAlt /> Merge {merge.source.name}
+              </h3>
+            </div>
+
+            <form onSubmit={handleMerge} className="item-form compact-form">
+              <div className="form-group">
+                <label htmlFor="mergeTarget">Merge into *</label>
+                <select
+                  id="mergeTarget"
+                  value={merge.target}
+                  onChange={(e) => setMerge(prev => ({ ...prev, target: e.target.value }))}
+                  disabled={saving}
+                >
+                  <option value="">Select a category</option>
+                  {mergeOptions.map(category => (
+                    <option key={category._id} value={category._id}>
+                      {categoryOptionLabel(category)}
+                    </option>
+                  ))}
+                </select>
+                <div className="input-help">
+                  Its {merge.source.itemCount} items and any subcategories move to the chosen category, then {merge.source.name} is deleted.
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={saving}>
+                  <FaCompressArrowsAlt /> {saving ? 'Merging...' : 'Merge Category'}
+                </button>
+                <button type="button" onClick={closeMerge} className="cancel-btn" disabled={saving}>
+                  <FaTimes /> Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Category</th>
+                <th>Items</th>
+                {canEdit && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {categories.length === 0 ? (
+                <tr>
+                  <td colSpan={canEdit ? 3 : 2} className="no-items">
+                    <div className="empty-state">
+                      <FaTags className="empty-icon" />
+                      <h3>No categories yet</h3>
+                      <p>Add a category before creating inventory items</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                categories.map(category => (
+                  <tr key={category._id}>
+                    <td style={{ paddingLeft: `${20 + category.depth * 28}px` }}>
+                      <span
+                        className="category-badge"
+                        style={{ backgroundColor: category.color || DEFAULT_CATEGORY_COLOR }}
+                      >
+                        {category.name}
+                      </span>
+                    </td>
+                    <td>{category.itemCount}</td>
+                    {canEdit && (
+                      <td className="actions">
+                        <button
+                          onClick={() => openEditForm(category)}
+                          className="action-btn edit-btn"
+                          title="Edit Category"
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => openMerge(category)}
+                          className="action-btn view-btn"
+                          title="Merge Category"
+                          disabled={categories.length < 2}
+                        >
+                          <FaCompressArrowsAlt />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(category)}
+                          className="action-btn delete-btn"
+                          title="Delete Category"
+                        >
+                          <FaTrash />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Categories;
@@ -1,40 +1,85 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { FaArrowLeft, FaSave, FaTimes, FaBox, FaTag, FaTruck, FaWarehouse, FaDollarSign } from 'react-icons/fa';
-import { inventoryAPI } from '../services/api';
+import { Link, useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaSave, FaTimes, FaBox, FaTag, FaTruck, FaWarehouse, FaDollarSign, FaCubes, FaExclamationTriangle, FaBarcode, FaHashtag } from 'react-icons/fa';
+import { inventoryAPI, warehouseAPI, supplierAPI, categoryAPI } from '../services/api';
 import { toast } from 'react-toastify';
+import { UNITS_OF_MEASURE, getStockStatus, stockClassName, needsReorder, isValidGtin, TRACKING_MODES } from '../utils/inventory';
+import { sortCategoryTree, categoryOptionLabel } from '../utils/categories';
+import { COMMON_CURRENCIES } from '../utils/format';
+import ReorderFields from './ReorderFields';
+
+const initialFormData = {
+  productName: '',
+  barcode: '',
+  category: '',
+  supplier: '',
+  costUnit: '',
+  costCurrency: 'USD',
+  quantity: '0',
+  unitOfMeasure: 'each',
+  trackingMode: 'none',
+  lowStockThreshold: '5',
+  reorderPoint: '0',
+  reorderQuantity: '0',
+  safetyStock: '0',
+  warehouse: ''
+};
 
 const CreateItem = () => {
   const navigate = useNavigate();
-  const [formData, setFormData] = useState({
-    productName: '',
-    category: 'Accessories',
-    supplier: '',
-    stock: 'In stock',
-    costUnit: '',
-    warehouse: ''
-  });
+  const [formData, setFormData] = useState(initialFormData);
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
-  const [categories] = useState(['Accessories', 'Electronics', 'Furniture', 'Printing', 'Audio', 'Office', 'Storage']);
+  const [warehouses, setWarehouses] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [categories, setCategories] = useState([]);
 
   useEffect(() => {
     // set focus on first input
     document.getElementById('productName')?.focus();
+    fetchWarehouses();
+    fetchSuppliers();
+    fetchCategories();
   }, []);
 
+  const fetchWarehouses = async () => {
+    try {
+      const response = await warehouseAPI.getAll({ active: true });
+      setWarehouses(response.data || []);
+    } catch (error) {
+      console.error('Error fetching warehouses:', error);
+    }
+  };
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await supplierAPI.getAll({ active: true });
+      setSuppliers(response.data || []);
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getAll();
+      setCategories(sortCategoryTree(response.data));
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
-    let processedValue = value;
-    
-    // format warehouse to uppercase
-    if (name === 'warehouse') {
-      processedValue = value.toUpperCase();
-    }
-    
     setFormData(prev => ({
       ...prev,
-      [name]: processedValue
+      [name]: value,
+      // items are priced in their supplier's currency unless changed
+      ...(name === 'supplier' && suppliers.find(s => s._id === value)
+        ? { costCurrency: suppliers.find(s => s._id === value).currency }
+        : {}),
+      // tracked stock is received later, with its lots or serials
+      ...(name === 'trackingMode' && value !== 'none' ? { quantity: '0' } : {})
     }));
     
     // clear error for this field
@@ -52,22 +97,40 @@ const CreateItem = () => {
       newErrors.productName = 'Product name cannot exceed 100 characters';
     }
     
-    if (!formData.supplier.trim()) {
+    if (formData.barcode && !isValidGtin(formData.barcode)) {
+      newErrors.barcode = 'Barcode must be a valid EAN-13, UPC-A or EAN-8 code';
+    }
+    
+    if (!formData.category) {
+      newErrors.category = 'Category is required';
+    }
+    
+    if (!formData.supplier) {
       newErrors.supplier = 'Supplier is required';
-    } else if (formData.supplier.length > 100) {
-      newErrors.supplier = 'Supplier name cannot exceed 100 characters';
     }
     
     if (!formData.costUnit || parseFloat(formData.costUnit) <= 0) {
       newErrors.costUnit = 'Valid cost is required (must be greater than 0)';
     } else if (parseFloat(formData.costUnit) > 1000000) {
-      newErrors.costUnit = 'Cost cannot exceed $1,000,000';
+      newErrors.costUnit = 'Cost cannot exceed 1,000,000';
     }
     
-    if (!formData.warehouse.trim()) {
+    if (formData.quantity === '' || parseFloat(formData.quantity) < 0) {
+      newErrors.quantity = 'Quantity must be zero or more';
+    }
+    
+    if (formData.lowStockThreshold === '' || parseFloat(formData.lowStockThreshold) < 0) {
+      newErrors.lowStockThreshold = 'Low stock threshold must be zero or more';
+    }
+    
+    ['reorderPoint', 'reorderQuantity', 'safetyStock'].forEach(field => {
+      if (formData[field] === '' || parseFloat(formData[field]) < 0) {
+        newErrors[field] = 'Must be zero or more';
+      }
+    });
+    
+    if (!formData.warehouse) {
       newErrors.warehouse = 'Warehouse is required';
-    } else if (formData.warehouse.length > 20) {
-      newErrors.warehouse = 'Warehouse code cannot exceed 20 characters';
     }
     
     return newErrors;
@@ -91,7 +154,12 @@ const CreateItem = () => {
     try {
       const itemData = {
         ...formData,
-        costUnit: parseFloat(formData.costUnit)
+        costUnit: parseFloat(formData.costUnit),
+        quantity: parseFloat(formData.quantity),
+        lowStockThreshold: parseFloat(formData.lowStockThreshold),
+        reorderPoint: parseFloat(formData.reorderPoint),
+        reorderQuantity: parseFloat(formData.reorderQuantity),
+        safetyStock: parseFloat(formData.safetyStock)
       };
       
       await inventoryAPI.create(itemData);
@@ -106,9 +174,7 @@ const CreateItem = () => {
   };
 
   const handleCancel = () => {
-    if (Object.keys(formData).some(key => formData[key] !== '' && 
-        !(key === 'category' && formData[key] === 'Accessories') &&
-        !(key === 'stock' && formData[key] === 'In stock'))) {
+    if (Object.keys(formData).some(key => formData[key] !== initialFormData[key])) {
       if (window.confirm('Are you sure you want to cancel? All unsaved changes will be lost.')) {
         navigate('/');
       }
@@ -117,16 +183,8 @@ const CreateItem = () => {
     }
   };
 
-  // auto-format warehouse input
-  const formatWarehouse = (value) => {
-    // remove any non-alphanumeric characters except dash
-    const cleaned = value.replace(/[^A-Z0-9-]/gi, '');
-    // ensure it starts with WH- if not already
-    if (!cleaned.startsWith('WH-') && cleaned.length > 0) {
-      return 'WH-' + cleaned.replace(/^WH-?/, '');
-    }
-    return cleaned;
-  };
+
+  const stockStatus = getStockStatus(formData.quantity, formData.lowStockThreshold);
 
   return (
     <div className="create-item-page">
@@ -176,6 +234,31 @@ const CreateItem = () => {
               )}
             </div>
 
+            {/* barcode */}
+            <div className="form-group">
+              <label htmlFor="barcode">
+                <FaBarcode /> Barcode
+              </label>
+              <input
+                type="text"
+                id="barcode"
+                name="barcode"
+                value={formData.barcode}
+                onChange={handleChange}
+                placeholder="EAN or UPC, e.g., 5901234123457"
+                className={errors.barcode ? 'error' : ''}
+                disabled={loading}
+                inputMode="numeric"
+                maxLength={13}
+              />
+              <div className="input-help">
+                Leave empty to label the item with its inventory ID instead
+              </div>
+              {errors.barcode && (
+                <span className="field-error">{errors.barcode}</span>
+              )}
+            </div>
+
             <div className="form-row">
               {/* category */}
               <div className="form-group">
@@ -190,10 +273,18 @@ const CreateItem = () => {
                   className={errors.category ? 'error' : ''}
                   disabled={loading}
                 >
-                  {categories.map(cat => (
-                    <option key={cat} value={cat}>{cat}</option>
+                  <option value="">Select a category</option>
+                  {categories.map(category => (
+                    <option key={category._id} value={category._id}>
+                      {categoryOptionLabel(category)}
+                    </option>
                   ))}
                 </select>
+                {categories.length === 0 && (
+                  <div className="input-help">
+                    No categories yet. <Link to="/categories">Add one first</Link>.
+                  </div>
+                )}
                 {errors.category && (
                   <span className="field-error">{errors.category}</span>
                 )}
@@ -204,16 +295,26 @@ const CreateItem = () => {
                 <label htmlFor="supplier">
                   <FaTruck /> Supplier *
                 </label>
-                <input
-                  type="text"
+                <select
                   id="supplier"
                   name="supplier"
                   value={formData.supplier}
                   onChange={handleChange}
                   className={errors.supplier ? 'error' : ''}
                   disabled={loading}
-                  maxLength={100}
-                />
+                >
+                  <option value="">Select a supplier</option>
+                  {suppliers.map(supplier => (
+                    <option key={supplier._id} value={supplier._id}>
+                      {supplier.name}
+                    </option>
+                  ))}
+                </select>
+                {suppliers.length === 0 && (
+                  <div className="input-help">
+                    No suppliers yet. <Link to="/suppliers">Add one first</Link>.
+                  </div>
+                )}
                 {errors.supplier && (
                   <span className="field-error">{errors.supplier}</span>
                 )}
@@ -221,44 +322,119 @@ const CreateItem = () => {
             </div>
 
             <div className="form-row">
-              {/* stock Status */}
+              {/* quantity on hand */}
+              <div className="form-group">
+                <label htmlFor="quantity">
+                  <FaCubes /> Opening Quantity *
+                </label>
+                <input
+                  type="number"
+                  id="quantity"
+                  name="quantity"
+                  value={formData.quantity}
+                  onChange={handleChange}
+                  step="any"
+                  min="0"
+                  className={errors.quantity ? 'error' : ''}
+                  disabled={loading || formData.trackingMode !== 'none'}
+                />
+                <div className="input-help">
+                  Status:{' '}
+                  <span className={`stock-badge ${stockClassName(stockStatus)}`}>{stockStatus}</span>
+                  {needsReorder(formData.quantity, formData.reorderPoint) && (
+                    <span className="reorder-flag">Needs reorder</span>
+                  )}
+                </div>
+                {errors.quantity && (
+                  <span className="field-error">{errors.quantity}</span>
+                )}
+              </div>
+
+              {/* unit of measure */}
+              <div className="form-group">
+                <label htmlFor="unitOfMeasure">
+                  <FaCubes /> Unit of Measure *
+                </label>
+                <select
+                  id="unitOfMeasure"
+                  name="unitOfMeasure"
+                  value={formData.unitOfMeasure}
+                  onChange={handleChange}
+                  disabled={loading}
+                >
+                  {UNITS_OF_MEASURE.map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {/* tracking */}
+            <div className="form-group">
+              <label htmlFor="trackingMode">
+                <FaHashtag /> Tracking
+              </label>
+              <select
+                id="trackingMode"
+                name="trackingMode"
+                value={formData.trackingMode}
+                onChange={handleChange}
+                disabled={loading}
+              >
+                {TRACKING_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+              <div className="input-help">
+                {formData.trackingMode === 'none'
+                  ? 'Track lots with expiry dates or individual serial numbers'
+                  : 'Stock is received after the item is created, with its lots or serial numbers'}
+              </div>
+            </div>
+
+            <div className="form-row">
+              {/* low stock threshold */}
               <div className="form-group">
-                <label>Stock Status *</label>
-                <div className="radio-group">
-                  <label className={`radio-label ${formData.stock === 'In stock' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="stock"
-                      value="In stock"
-                      checked={formData.stock === 'In stock'}
-                      onChange={handleChange}
-                      disabled={loading}
-                    />
-                    <span className="radio-custom in-stock"></span>
-                    <span className="radio-text">In stock</span>
-                  </label>
-                  <label className={`radio-label ${formData.stock === 'Out of stock' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="stock"
-                      value="Out of stock"
-                      checked={formData.stock === 'Out of stock'}
-                      onChange={handleChange}
-                      disabled={loading}
-                    />
-                    <span className="radio-custom out-of-stock"></span>
-                    <span className="radio-text">Out of stock</span>
-                  </label>
+                <label htmlFor="lowStockThreshold">
+                  <FaExclamationTriangle /> Low Stock Threshold
+                </label>
+                <input
+                  type="number"
+                  id="lowStockThreshold"
+                  name="lowStockThreshold"
+                  value={formData.lowStockThreshold}
+                  onChange={handleChange}
+                  step="any"
+                  min="0"
+                  className={errors.lowStockThreshold ? 'error' : ''}
+                  disabled={loading}
+                />
+                <div className="input-help">
+                  Items at or below this quantity are flagged as low stock
                 </div>
+                {errors.lowStockThreshold && (
+                  <span className="field-error">{errors.lowStockThreshold}</span>
+                )}
               </div>
 
               {/* cost unit */}
               <div className="form-group">
                 <label htmlFor="costUnit">
-                  <FaDollarSign /> Cost per Unit ($) *
+                  <FaDollarSign /> Cost per Unit *
                 </label>
-                <div className="input-with-prefix">
-                  <span className="input-prefix">$</span>
+                <div className="cost-input">
+                  <select
+                    id="costCurrency"
+                    name="costCurrency"
+                    value={formData.costCurrency}
+                    onChange={handleChange}
+                    aria-label="Currency"
+                    disabled={loading}
+                  >
+                    {[...new Set([formData.costCurrency, ...COMMON_CURRENCIES])].map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
                   <input
                     type="number"
                     id="costUnit"
@@ -278,26 +454,33 @@ const CreateItem = () => {
               </div>
             </div>
 
+            {/* reorder settings */}
+            <ReorderFields formData={formData} errors={errors} onChange={handleChange} disabled={loading} />
+
             {/* warehouse */}
             <div className="form-group">
               <label htmlFor="warehouse">
                 <FaWarehouse /> Warehouse *
               </label>
-              <input
-                type="text"
+              <select
                 id="warehouse"
                 name="warehouse"
                 value={formData.warehouse}
-                onChange={(e) => {
-                  const formatted = formatWarehouse(e.target.value);
-                  handleChange({ target: { name: 'warehouse', value: formatted } });
-                }}
+                onChange={handleChange}
                 className={errors.warehouse ? 'error' : ''}
                 disabled={loading}
-                maxLength={20}
-              />
+              >
+                <option value="">Select a warehouse</option>
+                {warehouses.map(warehouse => (
+                  <option key={warehouse._id} value={warehouse._id}>
+                    {warehouse.code} - {warehouse.name}
+                  </option>
+                ))}
+              </select>
               <div className="input-help">
-                Format: WH-XXX (e.g., WH-001, WH-A01)
+                {warehouses.length === 0
+                  ? <>No warehouses yet. <Link to="/warehouses">Add one first</Link>.</>
+                  : 'The opening quantity is received into this warehouse'}
               </div>
               {errors.warehouse && (
                 <span className="field-error">{errors.warehouse}</span>
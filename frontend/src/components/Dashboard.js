@@ -1,107 +1,315 @@
-import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { 
-  FaSignOutAlt, 
   FaSearch, 
   FaPlus, 
   FaEdit, 
   FaTrash, 
   FaBox,
   FaChartBar,
-  FaFilter
+  FaFilter,
+  FaWarehouse,
+  FaSort,
+  FaSortUp,
+  FaSortDown,
+  FaChevronLeft,
+  FaChevronRight,
+  FaFileImport,
+  FaFileExport,
+  FaEye,
+  FaShoppingCart,
+  FaBarcode,
+  FaQrcode,
+  FaHourglassHalf
 } from 'react-icons/fa';
-import { inventoryAPI } from '../services/api';
+import { inventoryAPI, categoryAPI, warehouseAPI, supplierAPI } from '../services/api';
 import { toast } from 'react-toastify';
 import DeleteModal from './DeleteModal';
+import BulkEditModal from './BulkEditModal';
+import Navbar from './Navbar';
+import Highlight from './Highlight';
+import { STOCK_STATUSES, stockClassName, formatQuantity } from '../utils/inventory';
+import { sortCategoryTree, categoryOptionLabel, DEFAULT_CATEGORY_COLOR } from '../utils/categories';
+import { hasRole } from '../utils/organization';
+import { formatCurrency } from '../utils/format';
+import { saveDownload, showBlobError } from '../utils/download';
+
+// list state lives in the query string so filtered views can be bookmarked
+const FILTER_PARAMS = ['q', 'category', 'stock', 'reorder', 'warehouse', 'supplier', 'minCost', 'maxCost'];
+const DEFAULT_SORT = '-lastUpdated';
+const PAGE_SIZES = [25, 50, 100];
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel (.xlsx)' },
+  { format: 'json', label: 'JSON' },
+  { format: 'pdf', label: 'PDF report' }
+];
 
 const Dashboard = () => {
-  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // viewers get the same list without the controls that change it
+  const canEdit = hasRole('editor');
   const [items, setItems] = useState([]);
-  const [filteredItems, setFilteredItems] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, limit: PAGE_SIZES[0], totalPages: 1 });
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [categoryFilter, setCategoryFilter] = useState('all');
-  const [stockFilter, setStockFilter] = useState('all');
+  const [fetching, setFetching] = useState(false);
   const [stats, setStats] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
   const [deleteModal, setDeleteModal] = useState({ show: false, item: null });
+  const [highlight, setHighlight] = useState([]);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const exportMenuRef = useRef(null);
+  // bulk selection: picked rows, or every item matching the filters
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [showBulkEdit, setShowBulkEdit] = useState(false);
+  const [bulkDeleting, setBulkDeleting] = useState(false);
+  const [printingLabels, setPrintingLabels] = useState(false);
+
+  // free-text inputs are edited locally and pushed to the URL once typing pauses
+  const [draft, setDraft] = useState({
+    q: searchParams.get('q') || '',
+    minCost: searchParams.get('minCost') || '',
+    maxCost: searchParams.get('maxCost') || ''
+  });
+
+  const searchParamsRef = useRef(searchParams);
+  searchParamsRef.current = searchParams;
 
-  const categories = ['All', 'Accessories', 'Electronics', 'Furniture', 'Printing', 'Audio', 'Office', 'Storage'];
-  const stockOptions = ['All', 'In stock', 'Out of stock'];
+  // searches are ranked by relevance unless a column sort is picked
+  const searching = Boolean(searchParams.get('q'));
+  const sort = searchParams.get('sort') || (searching ? '' : DEFAULT_SORT);
+  const hasFilters = FILTER_PARAMS.some(param => searchParams.get(param));
+  const filterKey = FILTER_PARAMS.map(param => searchParams.get(param) || '').join('|');
+
+  const updateParams = useCallback((changes, resetPage = true) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      if (resetPage) {
+        next.delete('page');
+      }
+      return next;
+    });
+  }, [setSearchParams]);
+
+  const fetchItems = useCallback(async () => {
+    setFetching(true);
+    try {
+      const params = Object.fromEntries(searchParams);
+      const response = params.q
+        ? await inventoryAPI.search(params)
+        : await inventoryAPI.getAll(params);
+      setItems(response.data || []);
+      setHighlight(response.highlight || []);
+      setPagination({
+        total: response.total,
+        page: response.page,
+        limit: response.limit,
+        totalPages: response.totalPages
+      });
+    } catch (error) {
+      console.error('Error fetching items:', error);
+    } finally {
+      setFetching(false);
+      setLoading(false);
+    }
+  }, [searchParams]);
 
   useEffect(() => {
     fetchData();
   }, []);
 
   useEffect(() => {
-    filterItems();
-  }, [items, searchTerm, categoryFilter, stockFilter]);
+    fetchItems();
+  }, [fetchItems]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const changed = Object.keys(draft).some(key => draft[key] !== (searchParamsRef.current.get(key) || ''));
+      if (changed) {
+        updateParams(draft);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [draft, updateParams]);
+
+  // keep the inputs in step when the URL changes underneath them (back button, bookmarks)
+  useEffect(() => {
+    setDraft({
+      q: searchParams.get('q') || '',
+      minCost: searchParams.get('minCost') || '',
+      maxCost: searchParams.get('maxCost') || ''
+    });
+  }, [searchParams]);
 
+  // a different filter means a different set of items, so start the selection over
+  useEffect(() => {
+    setSelectedIds([]);
+    setAllMatching(false);
+  }, [filterKey]);
+
+  // close the export menu on any click outside it
+  useEffect(() => {
+    if (!exportMenuOpen) return undefined;
+    const handleClick = (e) => {
+      if (exportMenuRef.current && !exportMenuRef.current.contains(e.target)) {
+        setExportMenuOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [exportMenuOpen]);
+
+  // exports every item matching the current filters, search and sort, not just this page
+  const handleExport = async (format) => {
+    setExportMenuOpen(false);
+    setExporting(true);
+    try {
+      const { page, limit, ...params } = Object.fromEntries(searchParams);
+      const response = await inventoryAPI.export({ ...params, format });
+      saveDownload(response, `inventory.${format}`);
+    } catch (error) {
+      console.error('Error exporting items:', error);
+      await showBlobError(error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // stats and the lists behind the filter dropdowns
   const fetchData = async () => {
     try {
-      const [itemsResponse, statsResponse] = await Promise.all([
-        inventoryAPI.getAll(),
-        inventoryAPI.getStats()
+      const [statsResponse, categoryResponse, warehouseResponse, supplierResponse] = await Promise.all([
+        inventoryAPI.getStats(),
+        categoryAPI.getAll(),
+        warehouseAPI.getAll(),
+        supplierAPI.getAll()
       ]);
       
-      setItems(itemsResponse.data || []);
-      setFilteredItems(itemsResponse.data || []);
       setStats(statsResponse.data);
-      setLoading(false);
+      setCategories(sortCategoryTree(categoryResponse.data));
+      setWarehouses(warehouseResponse.data || []);
+      setSuppliers(supplierResponse.data || []);
     } catch (error) {
       console.error('Error fetching data:', error);
-      setLoading(false);
     }
   };
 
-  const filterItems = () => {
-    let filtered = [...items];
-
-    // apply search filter
-    if (searchTerm.trim() !== '') {
-      const term = searchTerm.toLowerCase();
-      filtered = filtered.filter(item =>
-        item.productName.toLowerCase().includes(term) ||
-        item.category.toLowerCase().includes(term) ||
-        item.supplier.toLowerCase().includes(term) ||
-        item.inventoryId.toLowerCase().includes(term) ||
-        item.warehouse.toLowerCase().includes(term)
-      );
-    }
+  const handleDraftChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
 
-    // apply category filter
-    if (categoryFilter !== 'all') {
-        filtered = filtered.filter(item => 
-            item.category.toLowerCase() === categoryFilter.toLowerCase()
-        );
-    }
+  const handleFilter = (e) => {
+    updateParams({ [e.target.name]: e.target.value });
+  };
 
-    // apply stock filter
-    if (stockFilter !== 'all') {
-        filtered = filtered.filter(item => 
-            item.stock.toLowerCase() === stockFilter.toLowerCase()
-        );
-    }
+  const clearFilters = () => {
+    setDraft({ q: '', minCost: '', maxCost: '' });
+    updateParams(Object.fromEntries(FILTER_PARAMS.map(param => [param, ''])));
+  };
 
-    setFilteredItems(filtered);
+  // click once for ascending, again for descending
+  const handleSort = (field) => {
+    updateParams({ sort: sort === field ? `-${field}` : field });
   };
 
-  const handleSearch = (e) => {
-    setSearchTerm(e.target.value);
+  const goToPage = (page) => {
+    updateParams({ page: page > 1 ? page : '' }, false);
   };
 
-  const handleCategoryFilter = (category) => {
-    setCategoryFilter(category);
+  // words typos resolved to are reported per item
+  const termsFor = (item) => [...highlight, ...(item.matchedTerms || [])];
+
+  const renderSortHeader = (label, field) => {
+    let icon = <FaSort className="sort-icon" />;
+    if (sort === field) icon = <FaSortUp className="sort-icon active" />;
+    if (sort === `-${field}`) icon = <FaSortDown className="sort-icon active" />;
+
+    return (
+      <th className="sortable" onClick={() => handleSort(field)}>
+        {label} {icon}
+      </th>
+    );
+  };
+
+  const pageIds = items.map(item => item._id);
+  const allPageSelected = pageIds.length > 0 && pageIds.every(id => selectedIds.includes(id));
+  const selectionCount = allMatching ? pagination.total : selectedIds.length;
+
+  const toggleItem = (id) => {
+    setAllMatching(false);
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]));
   };
 
-  const handleStockFilter = (stock) => {
-    setStockFilter(stock);
+  const togglePage = () => {
+    setAllMatching(false);
+    setSelectedIds(prev => (allPageSelected
+      ? prev.filter(id => !pageIds.includes(id))
+      : [...new Set([...prev, ...pageIds])]));
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    toast.info('Logged out successfully');
-    navigate('/login');
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setAllMatching(false);
+  };
+
+  // what the bulk endpoints act on: the picked ids, or the filters currently applied
+  const selectionPayload = () => (allMatching
+    ? { filter: Object.fromEntries(FILTER_PARAMS.filter(param => searchParams.get(param)).map(param => [param, searchParams.get(param)])) }
+    : { ids: selectedIds });
+
+  // failures are rethrown so the modal can list the items that blocked the update
+  const handleBulkUpdate = async (changes) => {
+    const response = await inventoryAPI.bulkUpdate({ ...selectionPayload(), changes });
+    toast.success(response.message);
+    setShowBulkEdit(false);
+    clearSelection();
+    fetchItems();
+    fetchData();
+  };
+
+  const handleBulkDelete = async () => {
+    if (!window.confirm(`Move ${selectionCount} ${selectionCount === 1 ? 'item' : 'items'} to the trash?`)) {
+      return;
+    }
+
+    setBulkDeleting(true);
+    try {
+      const response = await inventoryAPI.bulkDelete(selectionPayload());
+      toast.success(response.message);
+      clearSelection();
+      fetchItems();
+      fetchData();
+    } catch (error) {
+      console.error('Error deleting items:', error);
+    } finally {
+      setBulkDeleting(false);
+    }
+  };
+
+  // kind is 'barcode' or 'qr'
+  const handlePrintLabels = async (kind) => {
+    setPrintingLabels(true);
+    try {
+      const response = await inventoryAPI.printLabels({ ...selectionPayload(), kind });
+      saveDownload(response, 'labels.pdf');
+    } catch (error) {
+      console.error('Error printing labels:', error);
+      await showBlobError(error);
+    } finally {
+      setPrintingLabels(false);
+    }
   };
 
   const handleDeleteClick = (item) => {
@@ -125,9 +333,10 @@ const confirmDelete = async () => {
         if (response.success) {
             // update the local state
             setItems(prevItems => prevItems.filter(item => item._id !== deleteModal.item._id));
-            toast.success('✅ Item deleted successfully');
+            toast.success('🗑️ Item moved to trash');
             
-            // refresh stats
+            // refresh the current page and stats
+            fetchItems();
             fetchData();
         } else {
             toast.error(response.message || 'Failed to delete item');
@@ -144,7 +353,7 @@ const confirmDelete = async () => {
             if (error.response.status === 404) {
                 toast.error('Item not found. It may have already been deleted.');
                 // refresh the list since item might not exist
-                fetchData();
+                fetchItems();
             } else if (error.response.status === 403) {
                 toast.error('You are not authorized to delete this item.');
             } else if (error.response.status === 400) {
@@ -180,28 +389,6 @@ const confirmDelete = async () => {
     return date.toLocaleString('en-US', options);
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount);
-  };
-
-  const getCategoryColor = (category) => {
-    const colors = {
-      'Accessories': '#3b82f6',
-      'Electronics': '#10b981',
-      'Furniture': '#f59e0b',
-      'Printing': '#8b5cf6',
-      'Audio': '#ec4899',
-      'Office': '#06b6d4',
-      'Storage': '#f97316'
-    };
-    return colors[category] || '#6b7280';
-  };
-
   if (loading) {
     return (
       <div className="loading">
@@ -211,26 +398,10 @@ const confirmDelete = async () => {
     );
   }
 
-  const user = JSON.parse(localStorage.getItem('user') || '{}');
-
   return (
     <div className="dashboard">
       {/* header */}
-      <nav className="navbar">
-        <div className="container">
-          <div className="navbar-brand">
-            <h1 className="logo">
-              <FaBox /> Smart Inventory Tracker
-            </h1>
-            <div className="user-info">
-              <span className="username">Welcome, {user.username || 'User'}!</span>
-            </div>
-          </div>
-          <button onClick={handleLogout} className="logout-btn">
-            <FaSignOutAlt /> Log Out
-          </button>
-        </div>
-      </nav>
+      <Navbar />
 
       <div className="container">
         {/* stats cards */}
@@ -256,6 +427,16 @@ const confirmDelete = async () => {
               </div>
             </div>
             
+            <div className="stat-card low-stock">
+              <div className="stat-icon">
+                <FaChartBar />
+              </div>
+              <div className="stat-content">
+                <h3 className="stat-number">{stats.lowStockItems}</h3>
+                <p className="stat-label">Low Stock</p>
+              </div>
+            </div>
+            
             <div className="stat-card out-of-stock">
               <div className="stat-icon">
                 <FaChartBar />
@@ -265,20 +446,69 @@ const confirmDelete = async () => {
                 <p className="stat-label">Out of Stock</p>
               </div>
             </div>
+
+            {/* shows the items that need reordering */}
+            <Link
+              to="/?reorder=true"
+              className={`stat-card needs-reorder ${searchParams.get('reorder') === 'true' ? 'active' : ''}`}
+              title="Show items at or below their reorder point"
+            >
+              <div className="stat-icon">
+                <FaShoppingCart />
+              </div>
+              <div className="stat-content">
+                <h3 className="stat-number">{stats.needsReorderItems || 0}</h3>
+                <p className="stat-label">Needs Reorder</p>
+              </div>
+            </Link>
             
-            <div className="stat-card value">
+            {/* the stock ledger valued like the valuation report */}
+            <Link
+              to="/reports/valuation"
+              className="stat-card value"
+              title={stats.missingRates?.length > 0
+                ? `No exchange rate for ${stats.missingRates.join(', ')}: those costs are counted unconverted`
+                : 'Stock ledger at your costing method. Open the inventory valuation report for the details'}
+            >
               <div className="stat-icon">
                 <FaChartBar />
               </div>
               <div className="stat-content">
-                <h3 className="stat-number">{formatCurrency(
-                  filteredItems
-                    .filter(item => item.stock === 'In stock')
-                    .reduce((sum, item) => sum + item.costUnit, 0)
-                )}</h3>
+                <h3 className="stat-number">
+                  {formatCurrency(stats.totalValue, stats.baseCurrency)}
+                  {stats.missingRates?.length > 0 && '*'}
+                </h3>
                 <p className="stat-label">Total Value</p>
               </div>
-            </div>
+            </Link>
+          </div>
+        )}
+
+        {/* per-warehouse breakdown */}
+        {stats?.warehouseStats?.length > 0 && (
+          <div className="warehouse-stats">
+            {stats.warehouseStats.map(warehouse => (
+              <div key={warehouse._id} className="warehouse-stat">
+                <div className="warehouse-stat-header">
+                  <FaWarehouse />
+                  <span className="warehouse-badge">{warehouse.code}</span>
+                  <span className="warehouse-stat-name">{warehouse.name}</span>
+                </div>
+                <div className="warehouse-stat-body">
+                  <span>{warehouse.count} items</span>
+                  <span>{warehouse.totalUnits.toLocaleString()} units</span>
+                  <strong>{formatCurrency(warehouse.totalValue, stats.baseCurrency)}</strong>
+                </div>
+                {warehouse.capacity > 0 && (
+                  <div className="capacity-bar" title={`${warehouse.totalUnits} of ${warehouse.capacity} units`}>
+                    <div
+                      className="capacity-bar-fill"
+                      style={{ width: `${Math.min(100, (warehouse.totalUnits / warehouse.capacity) * 100)}%` }}
+                    ></div>
+                  </div>
+                )}
+              </div>
+            ))}
           </div>
         )}
 
@@ -289,9 +519,11 @@ const confirmDelete = async () => {
               <FaSearch className="search-icon" />
               <input
                 type="text"
-                placeholder="Search by product, category, supplier, or ID..."
-                value={searchTerm}
-                onChange={handleSearch}
+                name="q"
+                placeholder='Search, e.g. headphones supplier:acme cost>100'
+                title="Narrow a search with supplier:, category:, warehouse:, stock:, id:, serial:, cost> or qty<"
+                value={draft.q}
+                onChange={handleDraftChange}
                 className="search-input"
               />
             </div>
@@ -300,13 +532,15 @@ const confirmDelete = async () => {
               <div className="filter-group">
                 <FaFilter className="filter-icon" />
                 <select 
-                  value={categoryFilter} 
-                  onChange={(e) => handleCategoryFilter(e.target.value)}
+                  name="category"
+                  value={searchParams.get('category') || ''} 
+                  onChange={handleFilter}
                   className="filter-select"
                 >
-                  {categories.map(cat => (
-                    <option key={cat} value={cat.toLowerCase()}>
-                      {cat === 'all' ? 'All Categories' : cat}
+                  <option value="">All Categories</option>
+                  {categories.map(category => (
+                    <option key={category._id} value={category._id}>
+                      {categoryOptionLabel(category)}
                     </option>
                   ))}
                 </select>
@@ -314,60 +548,215 @@ const confirmDelete = async () => {
               
               <div className="filter-group">
                 <select 
-                  value={stockFilter} 
-                  onChange={(e) => handleStockFilter(e.target.value)}
+                  name="stock"
+                  value={searchParams.get('stock') || ''} 
+                  onChange={handleFilter}
                   className="filter-select"
                 >
-                  {stockOptions.map(option => (
-                    <option key={option} value={option.toLowerCase()}>
-                      {option === 'all' ? 'All Stock' : option}
-                    </option>
+                  <option value="">All Stock</option>
+                  {STOCK_STATUSES.map(option => (
+                    <option key={option} value={option}>{option}</option>
                   ))}
                 </select>
               </div>
+
+              <div className="filter-group">
+                <select 
+                  name="reorder"
+                  value={searchParams.get('reorder') || ''} 
+                  onChange={handleFilter}
+                  className="filter-select"
+                >
+                  <option value="">Any Reorder Status</option>
+                  <option value="true">Needs reorder</option>
+                  <option value="false">Above reorder point</option>
+                </select>
+              </div>
+
+              <div className="filter-group">
+                <select 
+                  name="warehouse"
+                  value={searchParams.get('warehouse') || ''} 
+                  onChange={handleFilter}
+                  className="filter-select"
+                >
+                  <option value="">All Warehouses</option>
+                  {warehouses.map(warehouse => (
+                    <option key={warehouse._id} value={warehouse._id}>{warehouse.code}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="filter-group">
+                <select 
+                  name="supplier"
+                  value={searchParams.get('supplier') || ''} 
+                  onChange={handleFilter}
+                  className="filter-select"
+                >
+                  <option value="">All Suppliers</option>
+                  {suppliers.map(supplier => (
+                    <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="filter-group cost-range">
+                <input
+                  type="number"
+                  name="minCost"
+                  value={draft.minCost}
+                  onChange={handleDraftChange}
+                  placeholder="Min $"
+                  min="0"
+                  className="filter-select"
+                />
+                <span>–</span>
+                <input
+                  type="number"
+                  name="maxCost"
+                  value={draft.maxCost}
+                  onChange={handleDraftChange}
+                  placeholder="Max $"
+                  min="0"
+                  className="filter-select"
+                />
+              </div>
+
+              {hasFilters && (
+                <button type="button" onClick={clearFilters} className="clear-filters-btn">
+                  Clear filters
+                </button>
+              )}
             </div>
           </div>
           
-          <Link to="/create" className="create-btn">
-            <FaPlus /> Add New Item
-          </Link>
+          <div className="control-actions">
+            <div className="export-menu" ref={exportMenuRef}>
+              <button
+                type="button"
+                onClick={() => setExportMenuOpen(open => !open)}
+                className="secondary-btn"
+                disabled={exporting || pagination.total === 0}
+              >
+                <FaFileExport /> {exporting ? 'Exporting...' : 'Export'}
+              </button>
+              {exportMenuOpen && (
+                <div className="export-options">
+                  <div className="export-options-title">
+                    Export {pagination.total} {pagination.total === 1 ? 'item' : 'items'}
+                  </div>
+                  {EXPORT_FORMATS.map(({ format, label }) => (
+                    <button key={format} type="button" onClick={() => handleExport(format)}>
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            <Link to="/reorder" className="secondary-btn" title="What to order from each supplier">
+              <FaShoppingCart /> Reorder Report
+            </Link>
+            <Link to="/reports/expiring" className="secondary-btn" title="Lots and serial numbers expiring soon">
+              <FaHourglassHalf /> Expiring
+            </Link>
+            <Link to="/trash" className="secondary-btn" title="Deleted items">
+              <FaTrash /> Trash
+            </Link>
+            {canEdit && (
+              <>
+                <Link to="/import" className="secondary-btn">
+                  <FaFileImport /> Import
+                </Link>
+                <Link to="/create" className="create-btn">
+                  <FaPlus /> Add New Item
+                </Link>
+              </>
+            )}
+          </div>
         </div>
 
         {/* results info */}
         <div className="results-info">
           <p>
-            Showing {filteredItems.length} of {items.length} items
-            {searchTerm && ` for "${searchTerm}"`}
-            {categoryFilter !== 'all' && ` in ${categoryFilter}`}
-            {stockFilter !== 'all' && ` (${stockFilter})`}
+            {pagination.total === 0
+              ? 'No matching items'
+              : `Showing ${(pagination.page - 1) * pagination.limit + 1}–${(pagination.page - 1) * pagination.limit + items.length} of ${pagination.total} items`}
+            {hasFilters && ' (filtered)'}
+            {searching && !searchParams.get('sort') && ', best matches first'}
+            {fetching && ' · Loading...'}
           </p>
         </div>
 
+        {/* bulk actions for the selected rows */}
+        {canEdit && selectionCount > 0 && (
+          <div className="bulk-bar">
+            <span className="bulk-count">
+              {allMatching
+                ? `All ${pagination.total} matching items selected`
+                : `${selectionCount} ${selectionCount === 1 ? 'item' : 'items'} selected`}
+            </span>
+            {allPageSelected && !allMatching && pagination.total > selectedIds.length && (
+              <button type="button" className="clear-filters-btn" onClick={() => setAllMatching(true)}>
+                Select all {pagination.total} matching items
+              </button>
+            )}
+            <div className="bulk-actions">
+              <button type="button" className="secondary-btn" onClick={() => setShowBulkEdit(true)}>
+                <FaEdit /> Edit
+              </button>
+              <button type="button" className="secondary-btn" onClick={() => handlePrintLabels('barcode')} disabled={printingLabels}>
+                <FaBarcode /> {printingLabels ? 'Preparing...' : 'Barcode Labels'}
+              </button>
+              <button type="button" className="secondary-btn" onClick={() => handlePrintLabels('qr')} disabled={printingLabels}>
+                <FaQrcode /> QR Labels
+              </button>
+              <button type="button" className="secondary-btn danger" onClick={handleBulkDelete} disabled={bulkDeleting}>
+                <FaTrash /> {bulkDeleting ? 'Moving...' : 'Move to Trash'}
+              </button>
+              <button type="button" className="clear-filters-btn" onClick={clearSelection}>
+                Clear selection
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* inventory table */}
         <div className="table-container">
           <table className="inventory-table">
             <thead>
               <tr>
-                <th>Inventory ID</th>
-                <th>Product Name</th>
-                <th>Category</th>
-                <th>Supplier</th>
-                <th>Stock</th>
-                <th>Cost Unit</th>
-                <th>Warehouse</th>
-                <th>Last Updated</th>
+                {canEdit && (
+                  <th className="select-cell">
+                    <input
+                      type="checkbox"
+                      checked={allPageSelected}
+                      onChange={togglePage}
+                      aria-label="Select all items on this page"
+                    />
+                  </th>
+                )}
+                {renderSortHeader('Inventory ID', 'inventoryId')}
+                {renderSortHeader('Product Name', 'productName')}
+                {renderSortHeader('Category', 'category')}
+                {renderSortHeader('Supplier', 'supplier')}
+                {renderSortHeader('Quantity', 'quantity')}
+                {renderSortHeader('Stock', 'stock')}
+                {renderSortHeader('Cost Unit', 'costUnit')}
+                {renderSortHeader('Warehouse', 'warehouse')}
+                {renderSortHeader('Last Updated', 'lastUpdated')}
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredItems.length === 0 ? (
+              {items.length === 0 ? (
                 <tr>
-                  <td colSpan="9" className="no-items">
+                  <td colSpan={canEdit ? 11 : 10} className="no-items">
                     <div className="empty-state">
                       <FaBox className="empty-icon" />
                       <h3>No inventory items found</h3>
                       <p>
-                        {searchTerm || categoryFilter !== 'all' || stockFilter !== 'all'
+                        {hasFilters
                           ? 'Try adjusting your search or filters'
                           : 'Start by adding your first inventory item'}
                       </p>
@@ -375,33 +764,64 @@ const confirmDelete = async () => {
                   </td>
                 </tr>
               ) : (
-                filteredItems.map((item) => (
-                  <tr key={item._id}>
+                items.map((item) => (
+                  <tr key={item._id} className={allMatching || selectedIds.includes(item._id) ? 'selected-row' : ''}>
+                    {canEdit && (
+                      <td className="select-cell">
+                        <input
+                          type="checkbox"
+                          checked={allMatching || selectedIds.includes(item._id)}
+                          onChange={() => toggleItem(item._id)}
+                          disabled={allMatching}
+                          aria-label={`Select ${item.inventoryId}`}
+                        />
+                      </td>
+                    )}
                     <td className="inventory-id">
-                      <span className="id-badge">{item.inventoryId}</span>
+                      <span className="id-badge"><Highlight text={item.inventoryId} terms={termsFor(item)} /></span>
                     </td>
                     <td className="product-name">
-                      <strong>{item.productName}</strong>
+                      <strong><Highlight text={item.productName} terms={termsFor(item)} /></strong>
                     </td>
                     <td>
                       <span 
                         className="category-badge"
-                        style={{ backgroundColor: getCategoryColor(item.category) }}
+                        style={{ backgroundColor: item.category?.color || DEFAULT_CATEGORY_COLOR }}
                       >
-                        {item.category}
+                        <Highlight text={item.category?.name} terms={termsFor(item)} />
                       </span>
                     </td>
-                    <td className="supplier">{item.supplier}</td>
+                    <td className="supplier"><Highlight text={item.supplier?.name} terms={termsFor(item)} /></td>
+                    <td className="quantity">
+                      {formatQuantity(item.quantity, item.unitOfMeasure)}
+                    </td>
                     <td>
-                      <span className={`stock-badge ${item.stock.toLowerCase().replace(' ', '-')}`}>
+                      <span className={`stock-badge ${stockClassName(item.stock)}`}>
                         {item.stock}
                       </span>
+                      {item.needsReorder && (
+                        <span className="reorder-flag" title={`At or below the reorder point of ${formatQuantity(item.reorderPoint, item.unitOfMeasure)}`}>
+                          Reorder
+                        </span>
+                      )}
                     </td>
                     <td className="cost-unit">
-                      <strong>{formatCurrency(item.costUnit)}</strong>
+                      <strong>{formatCurrency(item.costUnit, item.costCurrency)}</strong>
                     </td>
                     <td className="warehouse">
-                      <span className="warehouse-badge">{item.warehouse}</span>
+                      {item.locations?.length > 0 ? (
+                        item.locations.map(location => (
+                          <span
+                            key={location.warehouse?._id}
+                            className="warehouse-badge"
+                            title={location.warehouse?.name}
+                          >
+                            {location.warehouse?.code}: {formatQuantity(location.quantity)}
+                          </span>
+                        ))
+                      ) : (
+                        <span className="warehouse-badge">{item.warehouse?.code}</span>
+                      )}
                     </td>
                     <td className="last-updated">
                       {formatDate(item.lastUpdated)}
@@ -410,17 +830,19 @@ const confirmDelete = async () => {
                       <Link 
                         to={`/edit/${item._id}`} 
                         className="action-btn edit-btn"
-                        title="Edit Item"
+                        title={canEdit ? 'Edit Item' : 'View Item'}
                       >
-                        <FaEdit />
+                        {canEdit ? <FaEdit /> : <FaEye />}
                       </Link>
-                      <button
-                        onClick={() => handleDeleteClick(item)}
-                        className="action-btn delete-btn"
-                        title="Delete Item"
-                      >
-                        <FaTrash />
-                      </button>
+                      {canEdit && (
+                        <button
+                          onClick={() => handleDeleteClick(item)}
+                          className="action-btn delete-btn"
+                          title="Delete Item"
+                        >
+                          <FaTrash />
+                        </button>
+                      )}
                     </td>
                   </tr>
                 ))
@@ -428,8 +850,50 @@ const confirmDelete = async () => {
             </tbody>
           </table>
         </div>
+
+        {/* pagination */}
+        {pagination.total > 0 && (
+          <div className="pagination">
+            <button
+              onClick={() => goToPage(pagination.page - 1)}
+              className="page-btn"
+              disabled={pagination.page <= 1 || fetching}
+            >
+              <FaChevronLeft /> Previous
+            </button>
+            <span className="page-info">
+              Page {pagination.page} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => goToPage(pagination.page + 1)}
+              className="page-btn"
+              disabled={pagination.page >= pagination.totalPages || fetching}
+            >
+              Next <FaChevronRight />
+            </button>
+            <select
+              value={pagination.limit}
+              onChange={(e) => updateParams({ limit: e.target.value === String(PAGE_SIZES[0]) ? '' : e.target.value })}
+              className="filter-select"
+            >
+              {PAGE_SIZES.map(size => (
+                <option key={size} value={size}>{size} per page</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
+      <BulkEditModal
+        show={showBulkEdit}
+        count={selectionCount}
+        categories={categories}
+        warehouses={warehouses}
+        suppliers={suppliers}
+        onClose={() => setShowBulkEdit(false)}
+        onSubmit={handleBulkUpdate}
+      />
+
       {/* delete Confirmation Modal */}
       <DeleteModal
         show={deleteModal.show}
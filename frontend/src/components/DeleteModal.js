@@ -1,5 +1,6 @@
 import React from 'react';
-import { FaExclamationTriangle, FaTimes } from 'react-icons/fa';
+import { FaExclamationTriangle, FaTimes, FaTrash } from 'react-icons/fa';
+import { formatQuantity } from '../utils/inventory';
 
 const DeleteModal = ({ show, item, onClose, onConfirm }) => {
   if (!show) return null;
@@ -21,7 +22,7 @@ const DeleteModal = ({ show, item, onClose, onConfirm }) => {
           <div className="modal-icon warning">
             <FaExclamationTriangle />
           </div>
-          <h3 className="modal-title">Confirm Deletion</h3>
+          <h3 className="modal-title">Move to Trash</h3>
           <button onClick={onClose} className="modal-close-btn">
             <FaTimes />
           </button>
@@ -29,16 +30,20 @@ const DeleteModal = ({ show, item, onClose, onConfirm }) => {
 
         <div className="modal-body">
           <p className="modal-message">
-            Are you sure you want to delete item <strong>"{item?.inventoryId} - {item?.productName}"</strong>?
+            Move item <strong>"{item?.inventoryId} - {item?.productName}"</strong> to the trash?
           </p>
           <div className="item-details">
             <div className="detail-row">
               <span className="detail-label">Category:</span>
-              <span className="detail-value">{item?.category}</span>
+              <span className="detail-value">{item?.category?.name}</span>
             </div>
             <div className="detail-row">
               <span className="detail-label">Supplier:</span>
-              <span className="detail-value">{item?.supplier}</span>
+              <span className="detail-value">{item?.supplier?.name}</span>
+            </div>
+            <div className="detail-row">
+              <span className="detail-label">Quantity:</span>
+              <span className="detail-value">{formatQuantity(item?.quantity, item?.unitOfMeasure)}</span>
             </div>
             <div className="detail-row">
               <span className="detail-label">Cost:</span>
@@ -46,12 +51,12 @@ const DeleteModal = ({ show, item, onClose, onConfirm }) => {
             </div>
             <div className="detail-row">
               <span className="detail-label">Warehouse:</span>
-              <span className="detail-value">{item?.warehouse}</span>
+              <span className="detail-value">{item?.warehouse?.code}</span>
             </div>
           </div>
           <div className="warning-box">
-            <FaExclamationTriangle className="warning-icon" />
-            <p>This action cannot be undone. The item will be permanently removed from your inventory.</p>
+            <FaTrash className="warning-icon" />
+            <p>The item disappears from lists, search and statistics. You can restore it from the trash until it is purged automatically.</p>
           </div>
         </div>
 
@@ -60,7 +65,7 @@ const DeleteModal = ({ show, item, onClose, onConfirm }) => {
             Cancel
           </button>
           <button onClick={handleConfirm} className="modal-btn delete-btn">
-            Delete Item
+            Move to Trash
           </button>
         </div>
       </div>
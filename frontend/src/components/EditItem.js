@@ -1,25 +1,56 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { FaArrowLeft, FaSave, FaTimes, FaBox, FaTag, FaTruck, FaWarehouse, FaDollarSign } from 'react-icons/fa';
-import { inventoryAPI } from '../services/api';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaSave, FaTimes, FaBox, FaTag, FaTruck, FaWarehouse, FaDollarSign, FaCubes, FaExclamationTriangle, FaArrowDown, FaArrowUp, FaBalanceScale, FaExchangeAlt, FaBarcode, FaHashtag } from 'react-icons/fa';
+import { inventoryAPI, movementAPI, warehouseAPI, supplierAPI, categoryAPI, salesOrderAPI, exchangeRateAPI } from '../services/api';
 import { toast } from 'react-toastify';
+import { UNITS_OF_MEASURE, stockClassName, formatQuantity, isValidGtin, isTracked, TRACKING_MODES } from '../utils/inventory';
+import { sortCategoryTree, categoryOptionLabel } from '../utils/categories';
+import { hasRole } from '../utils/organization';
+import { COMMON_CURRENCIES, formatMoney, formatDay } from '../utils/format';
+import StockMovementModal from './StockMovementModal';
+import MovementHistory from './MovementHistory';
+import ItemHistory from './ItemHistory';
+import ReorderFields from './ReorderFields';
+import ItemSalesOrders from './ItemSalesOrders';
+import ItemBarcode from './ItemBarcode';
+import ItemLots from './ItemLots';
 
 const EditItem = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  // viewers see the item and its history but cannot change either
+  const readOnly = !hasRole('editor');
   const [formData, setFormData] = useState({
     productName: '',
-    category: 'Accessories',
+    barcode: '',
+    category: '',
     supplier: '',
-    stock: 'In stock',
     costUnit: '',
+    costCurrency: 'USD',
+    unitOfMeasure: 'each',
+    trackingMode: 'none',
+    lowStockThreshold: '',
+    reorderPoint: '',
+    reorderQuantity: '',
+    safetyStock: '',
     warehouse: ''
   });
   const [originalData, setOriginalData] = useState(null);
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [fetching, setFetching] = useState(true);
-  const [categories] = useState(['Accessories', 'Electronics', 'Furniture', 'Printing', 'Audio', 'Office', 'Storage']);
+  const [item, setItem] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [balances, setBalances] = useState([]);
+  const [history, setHistory] = useState({ entries: [], total: 0, page: 1 });
+  const [salesOrders, setSalesOrders] = useState({ orders: [], total: 0 });
+  // latest rate of each currency against the organization's base currency
+  const [exchangeRates, setExchangeRates] = useState({ baseCurrency: 'USD', latest: {} });
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [movementModal, setMovementModal] = useState({ show: false, type: null });
+  const [warehouses, setWarehouses] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [categories, setCategories] = useState([]);
 
   useEffect(() => {
     fetchItem();
@@ -28,26 +59,52 @@ const EditItem = () => {
   const fetchItem = async () => {
     try {
       setFetching(true);
-      const response = await inventoryAPI.getById(id);
+      const [response, movementResponse, historyResponse, warehouseResponse, supplierResponse, categoryResponse, salesOrderResponse, rateResponse] = await Promise.all([
+        inventoryAPI.getById(id),
+        movementAPI.getAll(id),
+        inventoryAPI.getHistory(id),
+        warehouseAPI.getAll(),
+        supplierAPI.getAll(),
+        categoryAPI.getAll(),
+        salesOrderAPI.getAll({ item: id, limit: 10 }),
+        exchangeRateAPI.getAll()
+      ]);
       const item = response.data;
       
-      setFormData({
-        productName: item.productName || '',
-        category: item.category || 'Accessories',
-        supplier: item.supplier || '',
-        stock: item.stock || 'In stock',
-        costUnit: item.costUnit?.toString() || '',
-        warehouse: item.warehouse || ''
-      });
+      // inactive warehouses stay selectable only if the item already uses them
+      setWarehouses((warehouseResponse.data || []).filter(warehouse =>
+        warehouse.active || warehouse._id === item.warehouse?._id
+      ));
+      // same for inactive suppliers
+      setSuppliers((supplierResponse.data || []).filter(supplier =>
+        supplier.active || supplier._id === item.supplier?._id
+      ));
+      setCategories(sortCategoryTree(categoryResponse.data));
+      setItem(item);
+      setMovements(movementResponse.data.movements || []);
+      setBalances(movementResponse.data.balances || []);
+      setHistory({ entries: historyResponse.data || [], total: historyResponse.total, page: 1 });
+      setSalesOrders({ orders: salesOrderResponse.data || [], total: salesOrderResponse.total || 0 });
+      setExchangeRates({ baseCurrency: rateResponse.baseCurrency, latest: rateResponse.latest || {} });
       
-      setOriginalData({
+      const itemData = {
         productName: item.productName || '',
-        category: item.category || 'Accessories',
-        supplier: item.supplier || '',
-        stock: item.stock || 'In stock',
+        barcode: item.barcode || '',
+        category: item.category?._id || '',
+        supplier: item.supplier?._id || '',
         costUnit: item.costUnit?.toString() || '',
-        warehouse: item.warehouse || ''
-      });
+        costCurrency: item.costCurrency || 'USD',
+        unitOfMeasure: item.unitOfMeasure || 'each',
+        trackingMode: item.trackingMode || 'none',
+        lowStockThreshold: item.lowStockThreshold?.toString() || '0',
+        reorderPoint: item.reorderPoint?.toString() || '0',
+        reorderQuantity: item.reorderQuantity?.toString() || '0',
+        safetyStock: item.safetyStock?.toString() || '0',
+        warehouse: item.warehouse?._id || ''
+      };
+      
+      setFormData(itemData);
+      setOriginalData(itemData);
       
       setFetching(false);
     } catch (error) {
@@ -59,16 +116,9 @@ const EditItem = () => {
 
   const handleChange = (e) => {
     const { name, value } = e.target;
-    let processedValue = value;
-    
-    // format warehouse to uppercase
-    if (name === 'warehouse') {
-      processedValue = value.toUpperCase();
-    }
-    
     setFormData(prev => ({
       ...prev,
-      [name]: processedValue
+      [name]: value
     }));
     
     // clear error for this field
@@ -86,22 +136,36 @@ const EditItem = () => {
       newErrors.productName = 'Product name cannot exceed 100 characters';
     }
     
-    if (!formData.supplier.trim()) {
+    if (formData.barcode && !isValidGtin(formData.barcode)) {
+      newErrors.barcode = 'Barcode must be a valid EAN-13, UPC-A or EAN-8 code';
+    }
+    
+    if (!formData.category) {
+      newErrors.category = 'Category is required';
+    }
+    
+    if (!formData.supplier) {
       newErrors.supplier = 'Supplier is required';
-    } else if (formData.supplier.length > 100) {
-      newErrors.supplier = 'Supplier name cannot exceed 100 characters';
     }
     
     if (!formData.costUnit || parseFloat(formData.costUnit) <= 0) {
       newErrors.costUnit = 'Valid cost is required (must be greater than 0)';
     } else if (parseFloat(formData.costUnit) > 1000000) {
-      newErrors.costUnit = 'Cost cannot exceed $1,000,000';
+      newErrors.costUnit = 'Cost cannot exceed 1,000,000';
+    }
+    
+    if (formData.lowStockThreshold === '' || parseFloat(formData.lowStockThreshold) < 0) {
+      newErrors.lowStockThreshold = 'Low stock threshold must be zero or more';
     }
     
-    if (!formData.warehouse.trim()) {
+    ['reorderPoint', 'reorderQuantity', 'safetyStock'].forEach(field => {
+      if (formData[field] === '' || parseFloat(formData[field]) < 0) {
+        newErrors[field] = 'Must be zero or more';
+      }
+    });
+    
+    if (!formData.warehouse) {
       newErrors.warehouse = 'Warehouse is required';
-    } else if (formData.warehouse.length > 20) {
-      newErrors.warehouse = 'Warehouse code cannot exceed 20 characters';
     }
     
     return newErrors;
@@ -111,7 +175,7 @@ const EditItem = () => {
     if (!originalData) return false;
     
     return Object.keys(formData).some(key => {
-      if (key === 'costUnit') {
+      if (['costUnit', 'lowStockThreshold', 'reorderPoint', 'reorderQuantity', 'safetyStock'].includes(key)) {
         return parseFloat(formData[key]) !== parseFloat(originalData[key]);
       }
       return formData[key] !== originalData[key];
@@ -142,7 +206,11 @@ const EditItem = () => {
     try {
       const itemData = {
         ...formData,
-        costUnit: parseFloat(formData.costUnit)
+        costUnit: parseFloat(formData.costUnit),
+        lowStockThreshold: parseFloat(formData.lowStockThreshold),
+        reorderPoint: parseFloat(formData.reorderPoint),
+        reorderQuantity: parseFloat(formData.reorderQuantity),
+        safetyStock: parseFloat(formData.safetyStock)
       };
       
       await inventoryAPI.update(id, itemData);
@@ -166,16 +234,40 @@ const EditItem = () => {
     }
   };
 
-  const formatWarehouse = (value) => {
-    // remove any non-alphanumeric characters except dash
-    const cleaned = value.replace(/[^A-Z0-9-]/gi, '');
-    // ensure it starts with WH- if not already
-    if (!cleaned.startsWith('WH-') && cleaned.length > 0) {
-      return 'WH-' + cleaned.replace(/^WH-?/, '');
+  const loadMoreHistory = async () => {
+    setLoadingHistory(true);
+    try {
+      const response = await inventoryAPI.getHistory(id, { page: history.page + 1 });
+      setHistory(prev => ({
+        entries: [...prev.entries, ...(response.data || [])],
+        total: response.total,
+        page: prev.page + 1
+      }));
+    } catch (error) {
+      console.error('Error fetching item history:', error);
+    } finally {
+      setLoadingHistory(false);
     }
-    return cleaned;
   };
 
+  const handleMovement = async (type, data) => {
+    try {
+      const response = await movementAPI[type](id, data);
+      toast.success(response.message || 'Stock updated');
+      setMovementModal({ show: false, type: null });
+
+      // refresh quantity and history from the ledger
+      const movementResponse = await movementAPI.getAll(id);
+      setItem(response.data.item);
+      setMovements(movementResponse.data.movements || []);
+      setBalances(movementResponse.data.balances || []);
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      // error is already handled by interceptor
+    }
+  };
+
+
   if (fetching) {
     return (
       <div className="loading">
@@ -185,6 +277,10 @@ const EditItem = () => {
     );
   }
 
+  // the cost as the organization's stats count it
+  const costRate = exchangeRates.latest[formData.costCurrency];
+  const showBaseCost = formData.costCurrency !== exchangeRates.baseCurrency && formData.costUnit !== '';
+
   return (
     <div className="edit-item-page">
       {/* header */}
@@ -205,7 +301,7 @@ const EditItem = () => {
         <div className="form-container">
           <div className="form-header">
             <h2 className="form-title">
-              <FaSave /> Edit Inventory Item
+              <FaSave /> {readOnly ? 'Inventory Item' : 'Edit Inventory Item'}
             </h2>
             <p className="form-subtitle">
               Update the details of your inventory item
@@ -226,7 +322,7 @@ const EditItem = () => {
                 onChange={handleChange}
                 placeholder="e.g., Logitech Mouse M90"
                 className={errors.productName ? 'error' : ''}
-                disabled={loading}
+                disabled={loading || readOnly}
                 maxLength={100}
               />
               <div className="input-help">
@@ -237,6 +333,31 @@ const EditItem = () => {
               )}
             </div>
 
+            {/* barcode */}
+            <div className="form-group">
+              <label htmlFor="barcode">
+                <FaBarcode /> Barcode
+              </label>
+              <input
+                type="text"
+                id="barcode"
+                name="barcode"
+                value={formData.barcode}
+                onChange={handleChange}
+                placeholder="EAN or UPC, e.g., 5901234123457"
+                className={errors.barcode ? 'error' : ''}
+                disabled={loading || readOnly}
+                inputMode="numeric"
+                maxLength={13}
+              />
+              <div className="input-help">
+                Leave empty to label the item with its inventory ID instead
+              </div>
+              {errors.barcode && (
+                <span className="field-error">{errors.barcode}</span>
+              )}
+            </div>
+
             <div className="form-row">
               {/* category */}
               <div className="form-group">
@@ -249,10 +370,13 @@ const EditItem = () => {
                   value={formData.category}
                   onChange={handleChange}
                   className={errors.category ? 'error' : ''}
-                  disabled={loading}
+                  disabled={loading || readOnly}
                 >
-                  {categories.map(cat => (
-                    <option key={cat} value={cat}>{cat}</option>
+                  <option value="">Select a category</option>
+                  {categories.map(category => (
+                    <option key={category._id} value={category._id}>
+                      {categoryOptionLabel(category)}
+                    </option>
                   ))}
                 </select>
                 {errors.category && (
@@ -265,20 +389,21 @@ const EditItem = () => {
                 <label htmlFor="supplier">
                   <FaTruck /> Supplier *
                 </label>
-                <input
-                  type="text"
+                <select
                   id="supplier"
                   name="supplier"
                   value={formData.supplier}
                   onChange={handleChange}
-                  placeholder="e.g., TechSupply Inc"
                   className={errors.supplier ? 'error' : ''}
-                  disabled={loading}
-                  maxLength={100}
-                />
-                <div className="input-help">
-                  {formData.supplier.length}/100 characters
-                </div>
+                  disabled={loading || readOnly}
+                >
+                  <option value="">Select a supplier</option>
+                  {suppliers.map(supplier => (
+                    <option key={supplier._id} value={supplier._id}>
+                      {supplier.name}
+                    </option>
+                  ))}
+                </select>
                 {errors.supplier && (
                   <span className="field-error">{errors.supplier}</span>
                 )}
@@ -286,44 +411,147 @@ const EditItem = () => {
             </div>
 
             <div className="form-row">
-              {/* stock Status */}
+              {/* quantity on hand (changed through stock movements only) */}
               <div className="form-group">
-                <label>Stock Status *</label>
-                <div className="radio-group">
-                  <label className={`radio-label ${formData.stock === 'In stock' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="stock"
-                      value="In stock"
-                      checked={formData.stock === 'In stock'}
-                      onChange={handleChange}
+                <label>
+                  <FaCubes /> Quantity on Hand
+                </label>
+                <div className="stock-summary">
+                  <span className="stock-quantity">
+                    {formatQuantity(item?.quantity, item?.unitOfMeasure)}
+                  </span>
+                  <span className={`stock-badge ${stockClassName(item?.stock)}`}>{item?.stock}</span>
+                  {item?.needsReorder && <span className="reorder-flag">Needs reorder</span>}
+                </div>
+                {item?.allocated > 0 && (
+                  <div className="input-help">
+                    {formatQuantity(item.allocated, item.unitOfMeasure)} reserved by sales orders,
+                    {' '}{formatQuantity(item.available, item.unitOfMeasure)} available
+                  </div>
+                )}
+                {!readOnly && (
+                  <div className="movement-actions">
+                    <button
+                      type="button"
+                      className="movement-btn receive"
+                      onClick={() => setMovementModal({ show: true, type: 'receive' })}
                       disabled={loading}
-                    />
-                    <span className="radio-custom in-stock"></span>
-                    <span className="radio-text">In stock</span>
-                  </label>
-                  <label className={`radio-label ${formData.stock === 'Out of stock' ? 'selected' : ''}`}>
-                    <input
-                      type="radio"
-                      name="stock"
-                      value="Out of stock"
-                      checked={formData.stock === 'Out of stock'}
-                      onChange={handleChange}
+                    >
+                      <FaArrowDown /> Receive
+                    </button>
+                    <button
+                      type="button"
+                      className="movement-btn issue"
+                      onClick={() => setMovementModal({ show: true, type: 'issue' })}
+                      disabled={loading || !item?.quantity}
+                    >
+                      <FaArrowUp /> Issue
+                    </button>
+                    <button
+                      type="button"
+                      className="movement-btn adjust"
+                      onClick={() => setMovementModal({ show: true, type: 'adjust' })}
                       disabled={loading}
-                    />
-                    <span className="radio-custom out-of-stock"></span>
-                    <span className="radio-text">Out of stock</span>
-                  </label>
+                    >
+                      <FaBalanceScale /> Adjust
+                    </button>
+                    <button
+                      type="button"
+                      className="movement-btn transfer"
+                      onClick={() => setMovementModal({ show: true, type: 'transfer' })}
+                      disabled={loading || !item?.quantity || warehouses.length < 2}
+                    >
+                      <FaExchangeAlt /> Transfer
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {/* unit of measure */}
+              <div className="form-group">
+                <label htmlFor="unitOfMeasure">
+                  <FaCubes /> Unit of Measure *
+                </label>
+                <select
+                  id="unitOfMeasure"
+                  name="unitOfMeasure"
+                  value={formData.unitOfMeasure}
+                  onChange={handleChange}
+                  disabled={loading || readOnly}
+                >
+                  {UNITS_OF_MEASURE.map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {/* tracking */}
+            <div className="form-group">
+              <label htmlFor="trackingMode">
+                <FaHashtag /> Tracking
+              </label>
+              <select
+                id="trackingMode"
+                name="trackingMode"
+                value={formData.trackingMode}
+                onChange={handleChange}
+                disabled={loading || readOnly || item?.quantity !== 0}
+              >
+                {TRACKING_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+              <div className="input-help">
+                {item?.quantity !== 0
+                  ? 'Can only be changed while the item has no stock'
+                  : 'Track lots with expiry dates or individual serial numbers'}
+              </div>
+            </div>
+
+            <div className="form-row">
+              {/* low stock threshold */}
+              <div className="form-group">
+                <label htmlFor="lowStockThreshold">
+                  <FaExclamationTriangle /> Low Stock Threshold
+                </label>
+                <input
+                  type="number"
+                  id="lowStockThreshold"
+                  name="lowStockThreshold"
+                  value={formData.lowStockThreshold}
+                  onChange={handleChange}
+                  step="any"
+                  min="0"
+                  className={errors.lowStockThreshold ? 'error' : ''}
+                  disabled={loading || readOnly}
+                />
+                <div className="input-help">
+                  Items at or below this quantity are flagged as low stock
                 </div>
+                {errors.lowStockThreshold && (
+                  <span className="field-error">{errors.lowStockThreshold}</span>
+                )}
               </div>
 
               {/* cost Unit */}
               <div className="form-group">
                 <label htmlFor="costUnit">
-                  <FaDollarSign /> Cost per Unit ($) *
+                  <FaDollarSign /> Cost per Unit *
                 </label>
-                <div className="input-with-prefix">
-                  <span className="input-prefix">$</span>
+                <div className="cost-input">
+                  <select
+                    id="costCurrency"
+                    name="costCurrency"
+                    value={formData.costCurrency}
+                    onChange={handleChange}
+                    aria-label="Currency"
+                    disabled={loading || readOnly}
+                  >
+                    {[...new Set([formData.costCurrency, ...COMMON_CURRENCIES])].map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
                   <input
                     type="number"
                     id="costUnit"
@@ -335,36 +563,49 @@ const EditItem = () => {
                     min="0"
                     max="1000000"
                     className={errors.costUnit ? 'error' : ''}
-                    disabled={loading}
+                    disabled={loading || readOnly}
                   />
                 </div>
+                {showBaseCost && (
+                  <div className="input-help">
+                    {costRate
+                      ? `${formatMoney(parseFloat(formData.costUnit), formData.costCurrency)} ≈ ${formatMoney(parseFloat(formData.costUnit) * costRate.rate, exchangeRates.baseCurrency)} at the ${formatDay(costRate.effectiveDate)} rate`
+                      : `No ${formData.costCurrency} rate yet, so it is counted unconverted in ${exchangeRates.baseCurrency} totals`}
+                  </div>
+                )}
                 {errors.costUnit && (
                   <span className="field-error">{errors.costUnit}</span>
                 )}
               </div>
             </div>
 
+            {/* reorder settings */}
+            <ReorderFields formData={formData} errors={errors} onChange={handleChange} disabled={loading || readOnly} />
+
             {/* warehouse */}
             <div className="form-group">
               <label htmlFor="warehouse">
                 <FaWarehouse /> Warehouse *
               </label>
-              <input
-                type="text"
+              <select
                 id="warehouse"
                 name="warehouse"
                 value={formData.warehouse}
-                onChange={(e) => {
-                  const formatted = formatWarehouse(e.target.value);
-                  handleChange({ target: { name: 'warehouse', value: formatted } });
-                }}
-                placeholder="e.g., WH-001"
+                onChange={handleChange}
                 className={errors.warehouse ? 'error' : ''}
-                disabled={loading}
-                maxLength={20}
-              />
+                disabled={loading || readOnly}
+              >
+                <option value="">Select a warehouse</option>
+                {warehouses.map(warehouse => (
+                  <option key={warehouse._id} value={warehouse._id}>
+                    {warehouse.code} - {warehouse.name}
+                  </option>
+                ))}
+              </select>
               <div className="input-help">
-                Format: WH-XXX (e.g., WH-001, WH-A01)
+                {warehouses.length === 0
+                  ? <>No warehouses yet. <Link to="/warehouses">Add one first</Link>.</>
+                  : 'Default warehouse for receipts and issues'}
               </div>
               {errors.warehouse && (
                 <span className="field-error">{errors.warehouse}</span>
@@ -373,21 +614,23 @@ const EditItem = () => {
 
             {/* form Actions */}
             <div className="form-actions">
-              <button
-                type="submit"
-                className="submit-btn"
-                disabled={loading || !hasChanges()}
-              >
-                {loading ? (
-                  <>
-                    <span className="loading-spinner-small"></span> Updating...
-                  </>
-                ) : (
-                  <>
-                    <FaSave /> Update Item
-                  </>
-                )}
-              </button>
+              {!readOnly && (
+                <button
+                  type="submit"
+                  className="submit-btn"
+                  disabled={loading || !hasChanges()}
+                >
+                  {loading ? (
+                    <>
+                      <span className="loading-spinner-small"></span> Updating...
+                    </>
+                  ) : (
+                    <>
+                      <FaSave /> Update Item
+                    </>
+                  )}
+                </button>
+              )}
               <button
                 type="button"
                 onClick={handleCancel}
@@ -400,11 +643,47 @@ const EditItem = () => {
 
             <div className="form-note">
               <p>* Required fields</p>
+              <p>Quantity is changed with the Receive, Issue, Adjust and Transfer actions</p>
               <p>Last updated field will be automatically updated</p>
             </div>
           </form>
         </div>
+
+        {item && <ItemBarcode item={item} />}
+
+        {isTracked(item) && <ItemLots item={item} canEdit={!readOnly} />}
+
+        <MovementHistory
+          movements={movements}
+          balances={balances}
+          unitOfMeasure={item?.unitOfMeasure}
+        />
+
+        <ItemSalesOrders
+          itemId={id}
+          orders={salesOrders.orders}
+          total={salesOrders.total}
+          unitOfMeasure={item?.unitOfMeasure}
+          canEdit={!readOnly}
+        />
+
+        <ItemHistory
+          entries={history.entries}
+          total={history.total}
+          unitOfMeasure={item?.unitOfMeasure}
+          loadingMore={loadingHistory}
+          onLoadMore={loadMoreHistory}
+        />
       </div>
+
+      <StockMovementModal
+        show={movementModal.show}
+        type={movementModal.type}
+        item={item}
+        warehouses={warehouses}
+        onClose={() => setMovementModal({ show: false, type: null })}
+        onSubmit={handleMovement}
+      />
     </div>
   );
 };
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaCoins, FaArrowLeft, FaPlus, FaUpload, FaTrash } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { exchangeRateAPI } from '../services/api';
+import Navbar from './Navbar';
+import { hasRole } from '../utils/organization';
+import { formatDay } from '../utils/format';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyRate = () => ({ currency: '', rate: '', effectiveDate: today() });
+
+// The rates used to convert costs into the organization's base currency
+const ExchangeRates = () => {
+  const canManage = hasRole('admin');
+
+  const [rates, setRates] = useState([]);
+  const [latest, setLatest] = useState({});
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [currencyFilter, setCurrencyFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState(emptyRate());
+  const [errors, setErrors] = useState({});
+  const [file, setFile] = useState(null);
+
+  const fetchRates = useCallback(async () => {
+    try {
+      const response = await exchangeRateAPI.getAll(currencyFilter ? { currency: currencyFilter } : {});
+      setRates(response.data || []);
+      setLatest(response.latest || {});
+      setBaseCurrency(response.baseCurrency);
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [currencyFilter]);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: name === 'currency' ? value.toUpperCase() : value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!/^[A-Z]{3}$/.test(formData.currency)) {
+      newErrors.currency = 'Currency must be a 3-letter ISO code';
+    } else if (formData.currency === baseCurrency) {
+      newErrors.currency = `Rates are entered against ${baseCurrency}`;
+    }
+    if (!(parseFloat(formData.rate) > 0)) {
+      newErrors.rate = 'Rate must be greater than zero';
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setSaving(true);
+    try {
+      const response = await exchangeRateAPI.create({
+        currency: formData.currency,
+        rate: parseFloat(formData.rate),
+        effectiveDate: formData.effectiveDate || undefined
+      });
+      toast.success(response.message);
+      setFormData(emptyRate());
+      fetchRates();
+    } catch (error) {
+      console.error('Error saving exchange rate:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      toast.error('Choose a CSV or Excel file first');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await exchangeRateAPI.import(formData);
+      toast.success(response.message);
+      setFile(null);
+      e.target.reset();
+      fetchRates();
+    } catch (error) {
+      console.error('Error importing exchange rates:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete the ${rate.currency} rate of ${formatDay(rate.effectiveDate)}?`)) return;
+
+    try {
+      const response = await exchangeRateAPI.delete(rate._id);
+      toast.success(response.message);
+      fetchRates();
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading exchange rates...</p>
+      </div>
+    );
+  }
+
+  const latestEntries = Object.entries(latest).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaCoins /> Exchange Rates
+          </h2>
+          <Link to="/team" className="secondary-btn">
+            <FaArrowLeft /> Back to Team
+          </Link>
+        </div>
+
+        <div className="results-info">
+          <p>
+            Costs are converted into {baseCurrency} with the latest rate on or before the day stock was received.
+            {latestEntries.length > 0 && (
+              <>
+                {' '}Current rates: {latestEntries.map(([currency, { rate }]) => `1 ${currency} = ${rate} ${baseCurrency}`).join(' · ')}
+              </>
+            )}
+          </p>
+        </div>
+
+        {canManage && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaPlus /> Add a Rate
+              </h3>
+            </div>
+
+            <form onSubmit={handleSubmit} className="item-form compact-form">
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="rate-currency">Currency *</label>
+                  <input
+                    type="text"
+                    id="rate-currency"
+                    name="currency"
+                    value={formData.currency}
+                    onChange={handleChange}
+                    placeholder="e.g., EUR"
+                    className={errors.currency ? 'error' : ''}
+                    disabled={saving}
+                    maxLength={3}
+                  />
+                  {errors.currency && <span className="field-error">{errors.currency}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="rate-value">Rate in {baseCurrency} *</label>
+                  <input
+                    type="number"
+                    id="rate-value"
+                    name="rate"
+                    value={formData.rate}
+                    onChange={handleChange}
+                    placeholder="e.g., 1.08"
+                    className={errors.rate ? 'error' : ''}
+                    disabled={saving}
+                    min="0"
+                    step="any"
+                  />
+                  {errors.rate && <span className="field-error">{errors.rate}</span>}
+                  <span className="field-hint">What 1 unit of the currency is worth in {baseCurrency}</span>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="rate-date">Effective From</label>
+                  <input
+                    type="date"
+                    id="rate-date"
+                    name="effectiveDate"
+                    value={formData.effectiveDate}
+                    onChange={handleChange}
+                    disabled={saving}
+                  />
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={saving}>
+                  <FaPlus /> {saving ? 'Saving...' : 'Save Rate'}
+                </button>
+              </div>
+            </form>
+
+            <form onSubmit={handleImport} className="item-form compact-form">
+              <div className="form-group">
+                <label htmlFor="rateFile">Or import a CSV or Excel file (max 5 MB)</label>
+                <input
+                  type="file"
+                  id="rateFile"
+                  accept=".csv,.xlsx"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                  disabled={saving}
+                />
+                <div className="input-help">
+                  Columns: Currency, Rate and Date (plus Base Currency when a rate is not quoted in {baseCurrency}).
+                  A rate for a currency and day that already exists is replaced.
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={!file || saving}>
+                  <FaUpload /> Import Rates
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="filter-section">
+          <div className="filter-group">
+            <select
+              value={currencyFilter}
+              onChange={(e) => setCurrencyFilter(e.target.value)}
+              className="filter-select"
+              aria-label="Currency"
+            >
+              <option value="">All currencies</option>
+              {latestEntries.map(([currency]) => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Effective From</th>
+                <th>Currency</th>
+                <th>Rate</th>
+                <th>Source</th>
+                <th>Entered By</th>
+                {canManage && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {rates.length === 0 ? (
+                <tr>
+                  <td colSpan={canManage ? 6 : 5} className="no-items">
+                    <div className="empty-state">
+                      <FaCoins className="empty-icon" />
+                      <h3>No exchange rates yet</h3>
+                      <p>Costs in other currencies are counted unconverted until a rate is entered</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                rates.map(rate => (
+                  <tr key={rate._id}>
+                    <td className="last-updated">{formatDay(rate.effectiveDate)}</td>
+                    <td><strong>{rate.currency}</strong></td>
+                    <td className="cost-unit">1 {rate.currency} = {rate.rate} {rate.baseCurrency}</td>
+                    <td>{rate.source === 'import' ? 'Imported' : 'Manual'}</td>
+                    <td>{rate.createdBy?.username || '—'}</td>
+                    {canManage && (
+                      <td className="actions">
+                        <button type="button" className="delete-btn" onClick={() => handleDelete(rate)} title="Delete rate">
+                          <FaTrash />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRates;
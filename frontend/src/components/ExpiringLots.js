@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FaHourglassHalf, FaArrowLeft, FaCheckCircle } from 'react-icons/fa';
+import { reportAPI, warehouseAPI } from '../services/api';
+import Navbar from './Navbar';
+import { formatQuantity, expiryStatus, EXPIRY_WARNING_DAYS } from '../utils/inventory';
+import { formatDay } from '../utils/format';
+
+const WINDOWS = [7, 30, 60, 90, 180];
+
+// Lots and serial numbers in stock that expire soon or already have
+const ExpiringLots = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [report, setReport] = useState(null);
+  const [warehouses, setWarehouses] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const days = searchParams.get('days') || String(EXPIRY_WARNING_DAYS);
+  const warehouse = searchParams.get('warehouse') || '';
+
+  const fetchReport = useCallback(async () => {
+    try {
+      const params = { days };
+      if (warehouse) params.warehouse = warehouse;
+
+      const response = await reportAPI.getExpiring(params);
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error fetching expiring lots:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [days, warehouse]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  useEffect(() => {
+    warehouseAPI.getAll()
+      .then(response => setWarehouses(response.data || []))
+      .catch(error => console.error('Error fetching warehouses:', error));
+  }, []);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value); else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading expiring stock...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaHourglassHalf /> Expiring Stock
+          </h2>
+          <div className="filter-section">
+            <div className="filter-group">
+              <select
+                value={days}
+                onChange={(e) => updateParams({ days: e.target.value })}
+                className="filter-select"
+                aria-label="Expiring within"
+              >
+                {!WINDOWS.includes(Number(days)) && <option value={days}>Within {days} days</option>}
+                {WINDOWS.map(windowDays => (
+                  <option key={windowDays} value={windowDays}>Within {windowDays} days</option>
+                ))}
+              </select>
+            </div>
+            <div className="filter-group">
+              <select
+                value={warehouse}
+                onChange={(e) => updateParams({ warehouse: e.target.value })}
+                className="filter-select"
+                aria-label="Warehouse"
+              >
+                <option value="">All Warehouses</option>
+                {warehouses.map(option => (
+                  <option key={option._id} value={option._id}>{option.code}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <Link to="/" className="secondary-btn">
+            <FaArrowLeft /> Back to Inventory
+          </Link>
+        </div>
+
+        {report && (
+          <>
+            <div className="results-info">
+              <p>
+                {report.totals.lots} {report.totals.lots === 1 ? 'lot or serial' : 'lots and serials'} in stock
+                {' '}expire by {formatDay(report.cutoff)}
+                {report.totals.expired > 0 && `, ${report.totals.expired} already expired`}.
+              </p>
+            </div>
+
+            <div className="table-container">
+              <table className="inventory-table">
+                <thead>
+                  <tr>
+                    <th>Inventory ID</th>
+                    <th>Product</th>
+                    <th>Lot / Serial</th>
+                    <th>Expires</th>
+                    <th>On Hand</th>
+                    <th>Warehouses</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.lots.length === 0 ? (
+                    <tr>
+                      <td colSpan="6" className="no-items">
+                        <div className="empty-state">
+                          <FaCheckCircle className="empty-icon" />
+                          <h3>Nothing expiring</h3>
+                          <p>No stock in lots or serials expires within {report.days} days</p>
+                        </div>
+                      </td>
+                    </tr>
+                  ) : (
+                    report.lots.map(lot => {
+                      const status = expiryStatus(lot.expiryDate, report.days);
+                      return (
+                        <tr key={lot._id}>
+                          <td className="inventory-id">
+                            <Link to={`/edit/${lot.item._id}`}>{lot.item.inventoryId}</Link>
+                          </td>
+                          <td className="product-name">{lot.item.productName}</td>
+                          <td>
+                            <strong>{lot.code}</strong>
+                            {lot.kind === 'serial' && <span className="input-help"> serial</span>}
+                          </td>
+                          <td>
+                            {formatDay(lot.expiryDate)}
+                            {status && <span className={`expiry-badge ${status.className}`}>{status.label}</span>}
+                          </td>
+                          <td className="quantity">{formatQuantity(lot.quantity, lot.item.unitOfMeasure)}</td>
+                          <td>
+                            {lot.locations.map(location => (
+                              <span key={location.warehouse?._id} className="warehouse-badge" title={location.warehouse?.name}>
+                                {location.warehouse?.code}: {formatQuantity(location.quantity, lot.item.unitOfMeasure)}
+                              </span>
+                            ))}
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExpiringLots;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FaKey, FaEnvelope, FaPaperPlane } from 'react-icons/fa';
+import { authAPI } from '../services/api';
+
+// Asks for a password reset link by email
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.forgotPassword(email.trim());
+      setSent(true);
+    } catch (error) {
+      // error is already handled by interceptor
+      console.error('Forgot password error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1 className="auth-title">
+            <FaKey /> Reset Password
+          </h1>
+          <p className="auth-subtitle">
+            {sent
+              ? `If an account uses ${email}, a link to choose a new password is on its way. It works for an hour.`
+              : "Enter your account's email and we'll send you a link to choose a new password."}
+          </p>
+        </div>
+
+        {!sent && (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email">
+                <FaEnvelope /> Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                placeholder="Enter your email"
+                className={error ? 'error' : ''}
+                disabled={loading}
+                autoFocus
+              />
+              {error && <span className="field-error">{error}</span>}
+            </div>
+
+            <button type="submit" className="auth-btn" disabled={loading}>
+              {loading ? <span className="loading-spinner"></span> : <><FaPaperPlane /> Send Reset Link</>}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p className="auth-link">
+            Remembered it? <Link to="/login">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,27 @@
+import React from 'react';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wraps every occurrence of the given terms in <mark>, case-insensitively
+const Highlight = ({ text, terms }) => {
+  const words = (terms || [])
+    .flatMap(term => term.split(/\s+/))
+    .filter(word => /[a-z0-9]/i.test(word));
+
+  if (!text || words.length === 0) {
+    return <>{text}</>;
+  }
+
+  // longest first so "headphones" wins over "head"
+  const pattern = new RegExp(`(${words.sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})`, 'gi');
+
+  return (
+    <>
+      {String(text).split(pattern).map((part, index) =>
+        index % 2 === 1 ? <mark key={index} className="search-highlight">{part}</mark> : part
+      )}
+    </>
+  );
+};
+
+export default Highlight;
@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { FaFileImport, FaArrowLeft, FaUpload, FaCheck, FaRedo } from 'react-icons/fa';
+import { inventoryAPI } from '../services/api';
+import { toast } from 'react-toastify';
+import Navbar from './Navbar';
+
+const FIELD_LABELS = {
+  inventoryId: 'Inventory ID',
+  productName: 'Product Name',
+  barcode: 'Barcode',
+  category: 'Category',
+  supplier: 'Supplier',
+  warehouse: 'Warehouse',
+  costUnit: 'Cost per Unit',
+  quantity: 'Quantity',
+  unitOfMeasure: 'Unit of Measure',
+  trackingMode: 'Tracking',
+  lowStockThreshold: 'Low Stock Threshold',
+  reorderPoint: 'Reorder Point',
+  reorderQuantity: 'Reorder Quantity',
+  safetyStock: 'Safety Stock'
+};
+
+const ACTION_LABELS = {
+  create: 'New',
+  update: 'Update',
+  error: 'Error'
+};
+
+const ImportItems = () => {
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const buildFormData = (columnMapping, dryRun) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (columnMapping) {
+      formData.append('mapping', JSON.stringify(columnMapping));
+    }
+    formData.append('dryRun', dryRun ? 'true' : 'false');
+    formData.append('skipInvalid', skipInvalid ? 'true' : 'false');
+    return formData;
+  };
+
+  // every check is a dry run; nothing is saved until the import is confirmed
+  const runCheck = async (columnMapping) => {
+    setChecking(true);
+    try {
+      const response = await inventoryAPI.import(buildFormData(columnMapping, true));
+      setPreview(response.data);
+      setMapping(response.data.mapping);
+    } catch (error) {
+      console.error('Error checking import file:', error);
+      // error is already handled by interceptor
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setPreview(null);
+    setMapping({});
+  };
+
+  const handleUpload = (e) => {
+    e.preventDefault();
+
+    if (!file) {
+      toast.error('Choose a CSV or Excel file first');
+      return;
+    }
+
+    // let the server suggest a mapping from the header names
+    runCheck(null);
+  };
+
+  const handleMappingChange = (header, field) => {
+    const next = { ...mapping };
+    // a field can only come from one column
+    Object.keys(next).forEach(key => {
+      if (field && next[key] === field) delete next[key];
+    });
+    if (field) {
+      next[header] = field;
+    } else {
+      delete next[header];
+    }
+    setMapping(next);
+    runCheck(next);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const response = await inventoryAPI.import(buildFormData(mapping, false));
+      const { summary, failed } = response.data;
+      toast.success(response.message);
+      if (failed.length > 0) {
+        toast.warning(`${failed.length} row(s) could not be saved: ${failed.map(f => `row ${f.row}`).join(', ')}`);
+      }
+      if (summary.skipped > 0) {
+        toast.info(`${summary.skipped} invalid row(s) were skipped`);
+      }
+      navigate('/');
+    } catch (error) {
+      console.error('Error importing items:', error);
+      // error is already handled by interceptor
+      if (error.response?.data?.data) {
+        setPreview(error.response.data.data);
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const summary = preview?.summary;
+  const importable = summary ? summary.create + summary.update : 0;
+  const canImport = summary && importable > 0 && (summary.invalid === 0 || skipInvalid);
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaFileImport /> Import Items
+          </h2>
+          <Link to="/" className="back-btn">
+            <FaArrowLeft /> Back to Inventory
+          </Link>
+        </div>
+
+        <div className="panel">
+          <div className="panel-header">
+            <h3 className="panel-title">
+              <FaUpload /> 1. Choose a file
+            </h3>
+          </div>
+
+          <form onSubmit={handleUpload} className="item-form compact-form">
+            <div className="form-group">
+              <label htmlFor="importFile">CSV or Excel file (max 5 MB)</label>
+              <input
+                type="file"
+                id="importFile"
+                accept=".csv,.xlsx"
+                onChange={handleFileChange}
+                disabled={checking || importing}
+              />
+              <div className="input-help">
+                The first row must hold column names. Rows whose Inventory ID already exists update that item; other rows create new items.
+                Categories and suppliers are matched by name, warehouses by code or name.
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="submit-btn" disabled={!file || checking || importing}>
+                <FaUpload /> {checking && !preview ? 'Checking...' : 'Check File'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {preview && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaRedo /> 2. Match columns
+              </h3>
+            </div>
+
+            <div className="import-mapping">
+              {preview.headers.map(header => (
+                <div className="form-group" key={header}>
+                  <label htmlFor={`map-${header}`}>{header || '(no name)'}</label>
+                  <select
+                    id={`map-${header}`}
+                    value={mapping[header] || ''}
+                    onChange={(e) => handleMappingChange(header, e.target.value)}
+                    disabled={checking || importing}
+                  >
+                    <option value="">Ignore column</option>
+                    {preview.fields.map(field => (
+                      <option key={field} value={field}>{FIELD_LABELS[field] || field}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {preview && (
+          <div className="panel import-preview">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaCheck /> 3. Review and import
+              </h3>
+              <div className="import-summary">
+                <span className="import-status create">{summary.create} new</span>
+                <span className="import-status update">{summary.update} updates</span>
+                <span className="import-status error">{summary.invalid} with errors</span>
+              </div>
+            </div>
+
+            <div className="table-container">
+              <table className="inventory-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Status</th>
+                    <th>Inventory ID</th>
+                    <th>Product Name</th>
+                    <th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="no-items">No rows with data were found</td>
+                    </tr>
+                  ) : (
+                    preview.rows.map(row => (
+                      <tr key={row.row} className={row.action === 'error' ? 'import-row-error' : ''}>
+                        <td>{row.row}</td>
+                        <td>
+                          <span className={`import-status ${row.action}`}>{ACTION_LABELS[row.action]}</span>
+                        </td>
+                        <td>{row.inventoryId ? <span className="id-badge">{row.inventoryId}</span> : <span className="movement-note">generated</span>}</td>
+                        <td>{row.productName}</td>
+                        <td>
+                          {row.errors.length > 0 && (
+                            <ul className="import-errors">
+                              {row.errors.map(err => (
+                                <li key={`${err.field}-${err.message}`}>
+                                  <strong>{FIELD_LABELS[err.field] || err.field}:</strong> {err.message}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="form-actions">
+              {summary.invalid > 0 && (
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={skipInvalid}
+                    onChange={(e) => setSkipInvalid(e.target.checked)}
+                    disabled={importing}
+                  />
+                  Skip the {summary.invalid} row(s) with errors
+                </label>
+              )}
+              <button
+                type="button"
+                onClick={handleImport}
+                className="submit-btn"
+                disabled={!canImport || checking || importing}
+              >
+                <FaFileImport /> {importing ? 'Importing...' : `Import ${importable} Items`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportItems;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FaChartBar, FaArrowLeft, FaBoxes, FaDollarSign, FaArrowUp, FaWarehouse, FaTags } from 'react-icons/fa';
+import { reportAPI } from '../services/api';
+import Navbar from './Navbar';
+import { formatQuantity } from '../utils/inventory';
+import { formatMoney, formatDay } from '../utils/format';
+import { COSTING_METHOD_LABELS } from '../utils/organization';
+
+// "5 @ $4.00 · 3 @ $4.50": what the remaining stock was bought at, in the base currency
+const describeLayers = (item, currency) => item.layers
+  .map(layer => `${formatQuantity(layer.quantity, item.unitOfMeasure)} @ ${formatMoney(layer.unitCost, currency)}`)
+  .join(' · ');
+
+// What the inventory was worth on a given day, by item, category and warehouse
+const InventoryValuation = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const asOf = searchParams.get('asOf') || '';
+  const from = searchParams.get('from') || '';
+  const method = searchParams.get('method') || '';
+
+  const fetchReport = useCallback(async () => {
+    try {
+      const params = {};
+      if (asOf) params.asOf = asOf;
+      if (from) params.from = from;
+      if (method) params.method = method;
+
+      const response = await reportAPI.getValuation(params);
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error fetching valuation:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [asOf, from, method]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const money = (amount) => formatMoney(amount, report?.baseCurrency);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value); else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Valuing inventory...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaChartBar /> Inventory Valuation
+          </h2>
+          <div className="filter-section">
+            <div className="filter-group">
+              <label htmlFor="valuation-as-of">As of</label>
+              <input
+                type="date"
+                id="valuation-as-of"
+                value={asOf}
+                onChange={(e) => updateParams({ asOf: e.target.value })}
+                className="filter-select"
+              />
+            </div>
+            <div className="filter-group">
+              <label htmlFor="valuation-from">Issues since</label>
+              <input
+                type="date"
+                id="valuation-from"
+                value={from}
+                onChange={(e) => updateParams({ from: e.target.value })}
+                className="filter-select"
+              />
+            </div>
+            <div className="filter-group">
+              <select
+                value={method}
+                onChange={(e) => updateParams({ method: e.target.value })}
+                className="filter-select"
+                aria-label="Costing method"
+              >
+                <option value="">Organization's method</option>
+                {Object.entries(COSTING_METHOD_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <Link to="/" className="secondary-btn">
+            <FaArrowLeft /> Back to Inventory
+          </Link>
+        </div>
+
+        {report && (
+          <>
+            <div className="results-info">
+              <p>
+                Valued in {report.baseCurrency} with {COSTING_METHOD_LABELS[report.method]} as of {formatDay(report.asOf)}.
+                {' '}Cost of goods issued covers {report.from ? `issues since ${formatDay(report.from)}` : 'every issue up to then'}.
+              </p>
+              {report.missingRates.length > 0 && (
+                <p className="reorder-flag">
+                  No exchange rate for {report.missingRates.join(', ')}: those costs are counted as if they were {report.baseCurrency}.
+                  {' '}<Link to="/exchange-rates">Add rates</Link>
+                </p>
+              )}
+            </div>
+
+            <div className="stats-grid">
+              <div className="stat-card total">
+                <div className="stat-icon">
+                  <FaBoxes />
+                </div>
+                <div className="stat-content">
+                  <h3 className="stat-number">{report.totals.items}</h3>
+                  <p className="stat-label">Items Held</p>
+                </div>
+              </div>
+              <div className="stat-card value">
+                <div className="stat-icon">
+                  <FaDollarSign />
+                </div>
+                <div className="stat-content">
+                  <h3 className="stat-number">{money(report.totals.value)}</h3>
+                  <p className="stat-label">Inventory Value</p>
+                </div>
+              </div>
+              <div className="stat-card out-of-stock">
+                <div className="stat-icon">
+                  <FaArrowUp />
+                </div>
+                <div className="stat-content">
+                  <h3 className="stat-number">{money(report.totals.costOfGoodsIssued)}</h3>
+                  <p className="stat-label">Cost of Goods Issued</p>
+                </div>
+              </div>
+            </div>
+
+            <div className="valuation-breakdown">
+              <div className="panel">
+                <div className="panel-header">
+                  <h3 className="panel-title"><FaTags /> By Category</h3>
+                </div>
+                {report.categories.length === 0 ? (
+                  <p className="panel-empty">Nothing held on this date.</p>
+                ) : (
+                  <table className="inventory-table">
+                    <thead>
+                      <tr>
+                        <th>Category</th>
+                        <th>Value</th>
+                        <th>Cost of Goods Issued</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.categories.map(category => (
+                        <tr key={category._id}>
+                          <td>{category.name}</td>
+                          <td className="cost-unit">{money(category.value)}</td>
+                          <td className="cost-unit">{money(category.costOfGoodsIssued)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className="panel">
+                <div className="panel-header">
+                  <h3 className="panel-title"><FaWarehouse /> By Warehouse</h3>
+                </div>
+                {report.warehouses.length === 0 ? (
+                  <p className="panel-empty">Nothing held on this date.</p>
+                ) : (
+                  <table className="inventory-table">
+                    <thead>
+                      <tr>
+                        <th>Warehouse</th>
+                        <th>Units</th>
+                        <th>Value</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.warehouses.map(warehouse => (
+                        <tr key={warehouse._id}>
+                          <td><span className="warehouse-badge">{warehouse.code}</span> {warehouse.name}</td>
+                          <td className="quantity">{warehouse.quantity.toLocaleString()}</td>
+                          <td className="cost-unit">{money(warehouse.value)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+
+            <div className="table-container">
+              <table className="inventory-table">
+                <thead>
+                  <tr>
+                    <th>Inventory ID</th>
+                    <th>Product</th>
+                    <th>On Hand</th>
+                    <th>Unit Cost</th>
+                    <th>Value</th>
+                    <th>Cost Layers</th>
+                    <th>Cost of Goods Issued</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.items.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" className="no-items">
+                        <div className="empty-state">
+                          <FaChartBar className="empty-icon" />
+                          <h3>No stock on this date</h3>
+                          <p>Receive stock into an item to start valuing it</p>
+                        </div>
+                      </td>
+                    </tr>
+                  ) : (
+                    report.items.map(item => (
+                      <tr key={item._id}>
+                        <td className="inventory-id">
+                          <Link to={`/edit/${item._id}`}>{item.inventoryId}</Link>
+                        </td>
+                        <td className="product-name">{item.productName}</td>
+                        <td className="quantity">{formatQuantity(item.quantity, item.unitOfMeasure)}</td>
+                        <td className="cost-unit">{money(item.unitCost)}</td>
+                        <td className="cost-unit"><strong>{money(item.value)}</strong></td>
+                        <td className="cost-layers">{describeLayers(item, report.baseCurrency) || '—'}</td>
+                        <td className="cost-unit">{money(item.costOfGoodsIssued)}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InventoryValuation;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { FaBarcode, FaQrcode, FaDownload, FaPrint } from 'react-icons/fa';
+import { inventoryAPI } from '../services/api';
+import { saveDownload, showBlobError } from '../utils/download';
+
+// The item's barcode or QR code, with a PNG download and a one-label print sheet
+const ItemBarcode = ({ item }) => {
+  const [kind, setKind] = useState('barcode');
+  const [imageUrl, setImageUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // redrawn when the barcode changes, since the code falls back to the inventory ID
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+
+    inventoryAPI.getBarcode(item._id, { kind, format: 'svg' })
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setImageUrl(url);
+      })
+      .catch(error => console.error('Error fetching barcode:', error));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [item._id, item.barcode, kind]);
+
+  const handleDownload = async () => {
+    try {
+      const blob = await inventoryAPI.getBarcode(item._id, { kind, format: 'png' });
+      saveDownload({ data: blob, headers: {} }, `${item.inventoryId}-${kind}.png`);
+    } catch (error) {
+      console.error('Error downloading barcode:', error);
+    }
+  };
+
+  const handlePrint = async () => {
+    setBusy(true);
+    try {
+      const response = await inventoryAPI.printLabels({ ids: [item._id], kind });
+      saveDownload(response, `${item.inventoryId}-label.pdf`);
+    } catch (error) {
+      console.error('Error printing label:', error);
+      await showBlobError(error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <h3 className="panel-title">
+          {kind === 'qr' ? <FaQrcode /> : <FaBarcode />} {kind === 'qr' ? 'QR Code' : 'Barcode'}
+        </h3>
+        <div className="control-actions">
+          <button
+            type="button"
+            className="clear-filters-btn"
+            onClick={() => setKind(kind === 'qr' ? 'barcode' : 'qr')}
+          >
+            {kind === 'qr' ? 'Show barcode' : 'Show QR code'}
+          </button>
+          <button type="button" className="secondary-btn" onClick={handleDownload}>
+            <FaDownload /> PNG
+          </button>
+          <button type="button" className="secondary-btn" onClick={handlePrint} disabled={busy}>
+            <FaPrint /> {busy ? 'Preparing...' : 'Print Label'}
+          </button>
+        </div>
+      </div>
+
+      <div className={`barcode-preview ${kind}`}>
+        {imageUrl && <img src={imageUrl} alt={`${kind === 'qr' ? 'QR code' : 'Barcode'} for ${item.inventoryId}`} />}
+        <p className="input-help">
+          {item.barcode
+            ? `EAN/UPC ${item.barcode}`
+            : `Code 128 of ${item.inventoryId}; add the manufacturer's EAN or UPC to the item to use that instead`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ItemBarcode;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { FaClipboardList } from 'react-icons/fa';
+import { AUDIT_ACTION_LABELS, AUDIT_FIELD_LABELS, formatQuantity } from '../utils/inventory';
+import { formatDate } from '../utils/format';
+
+// references come with a label from the server; ones that were deleted since only have their id
+const formatValue = (change, side, unitOfMeasure) => {
+  const value = change[side];
+  const label = change[`${side}Label`];
+
+  if (value === undefined || value === null || value === '') return '—';
+  if (label) return label;
+  if (['category', 'supplier', 'warehouse'].includes(change.field)) return '(deleted)';
+  if (change.field === 'costUnit') return `$${Number(value).toFixed(2)}`;
+  if (['quantity', 'lowStockThreshold', 'reorderPoint', 'reorderQuantity', 'safetyStock'].includes(change.field)) return formatQuantity(value, unitOfMeasure);
+  return value.toString();
+};
+
+const ItemHistory = ({ entries, total, unitOfMeasure, loadingMore, onLoadMore }) => {
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <h3 className="panel-title">
+          <FaClipboardList /> Change History
+        </h3>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="panel-empty">No changes recorded yet.</p>
+      ) : (
+        <ol className="audit-timeline">
+          {entries.map(entry => (
+            <li key={entry._id} className={`audit-entry ${entry.action}`}>
+              <div className="audit-entry-header">
+                <span className={`audit-badge ${entry.action}`}>
+                  {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                </span>
+                <span className="audit-actor">{entry.actor?.username || (entry.source === 'retention' ? 'System' : 'Unknown user')}</span>
+                {entry.source !== 'api' && <span className="audit-source">via {entry.source}</span>}
+                <span className="last-updated">{formatDate(entry.createdAt)}</span>
+              </div>
+              {entry.action === 'update' && (
+                <ul className="audit-changes">
+                  {entry.changes.map(change => (
+                    <li key={change.field}>
+                      <strong>{AUDIT_FIELD_LABELS[change.field] || change.field}:</strong>{' '}
+                      <span className="audit-before">{formatValue(change, 'before', unitOfMeasure)}</span>
+                      {' → '}
+                      <span className="audit-after">{formatValue(change, 'after', unitOfMeasure)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {entries.length < total && (
+        <div className="audit-more">
+          <button type="button" className="secondary-btn" onClick={onLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : `Show older changes (${total - entries.length} more)`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ItemHistory;
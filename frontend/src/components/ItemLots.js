@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaLayerGroup, FaEdit, FaSave, FaTimes } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { lotAPI } from '../services/api';
+import { formatQuantity, expiryStatus } from '../utils/inventory';
+import { formatDay } from '../utils/format';
+
+// The lots or serial numbers of a tracked item, shown on the item's page.
+// Refetched whenever the item changes, since movements create and use up lots.
+const ItemLots = ({ item, canEdit }) => {
+  const serial = item.trackingMode === 'serial';
+  const [lots, setLots] = useState([]);
+  const [showEmpty, setShowEmpty] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [expiryDate, setExpiryDate] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchLots = useCallback(async () => {
+    try {
+      const response = await lotAPI.getAll(item._id, showEmpty ? {} : { inStock: true });
+      setLots(response.data || []);
+    } catch (error) {
+      console.error('Error fetching lots:', error);
+    }
+  }, [item._id, showEmpty]);
+
+  // lastUpdated changes with every stock movement
+  useEffect(() => {
+    fetchLots();
+  }, [fetchLots, item.lastUpdated]);
+
+  const startEditing = (lot) => {
+    setEditing(lot._id);
+    setExpiryDate(lot.expiryDate ? lot.expiryDate.slice(0, 10) : '');
+  };
+
+  const handleSave = async (lot) => {
+    setSaving(true);
+    try {
+      const response = await lotAPI.update(item._id, lot._id, { expiryDate: expiryDate || null });
+      toast.success(response.message);
+      setEditing(null);
+      fetchLots();
+    } catch (error) {
+      console.error('Error updating lot:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <h3 className="panel-title">
+          <FaLayerGroup /> {serial ? 'Serial Numbers' : 'Lots'}
+        </h3>
+        <label className="checkbox-label">
+          <input type="checkbox" checked={showEmpty} onChange={(e) => setShowEmpty(e.target.checked)} />
+          Show {serial ? 'serials no longer in stock' : 'used-up lots'}
+        </label>
+      </div>
+
+      {lots.length === 0 ? (
+        <p className="panel-empty">
+          {serial ? 'No serial numbers in stock.' : 'No lots in stock.'} Receive stock to add {serial ? 'serial numbers' : 'lots'}.
+        </p>
+      ) : (
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>{serial ? 'Serial Number' : 'Lot'}</th>
+                <th>Expires</th>
+                <th>{serial ? 'Status' : 'On Hand'}</th>
+                <th>Warehouses</th>
+                {canEdit && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {lots.map(lot => {
+                const status = expiryStatus(lot.expiryDate);
+                return (
+                  <tr key={lot._id}>
+                    <td><strong>{lot.code}</strong></td>
+                    <td>
+                      {editing === lot._id ? (
+                        <input
+                          type="date"
+                          value={expiryDate}
+                          onChange={(e) => setExpiryDate(e.target.value)}
+                          aria-label={`Expiry date of ${lot.code}`}
+                          disabled={saving}
+                        />
+                      ) : lot.expiryDate ? (
+                        <>
+                          {formatDay(lot.expiryDate)}
+                          {status && lot.quantity > 0 && <span className={`expiry-badge ${status.className}`}>{status.label}</span>}
+                        </>
+                      ) : '—'}
+                    </td>
+                    <td className="quantity">
+                      {serial
+                        ? (lot.quantity > 0 ? 'In stock' : 'Issued')
+                        : formatQuantity(lot.quantity, item.unitOfMeasure)}
+                    </td>
+                    <td>
+                      {lot.locations.map(location => (
+                        <span key={location.warehouse?._id} className="warehouse-badge" title={location.warehouse?.name}>
+                          {location.warehouse?.code}{serial ? '' : `: ${formatQuantity(location.quantity, item.unitOfMeasure)}`}
+                        </span>
+                      ))}
+                    </td>
+                    {canEdit && (
+                      <td className="actions">
+                        {editing === lot._id ? (
+                          <>
+                            <button type="button" className="edit-btn" onClick={() => handleSave(lot)} disabled={saving} title="Save expiry date">
+                              <FaSave />
+                            </button>
+                            <button type="button" className="delete-btn" onClick={() => setEditing(null)} disabled={saving} title="Cancel">
+                              <FaTimes />
+                            </button>
+                          </>
+                        ) : (
+                          <button type="button" className="edit-btn" onClick={() => startEditing(lot)} title="Change expiry date">
+                            <FaEdit />
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ItemLots;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FaShippingFast, FaPlus } from 'react-icons/fa';
+import { formatQuantity } from '../utils/inventory';
+import { formatDay } from '../utils/format';
+import { SO_STATUS_LABELS, isOpen, backorderedQuantity } from '../utils/salesOrders';
+
+// The latest sales orders for one item, shown on the item's page
+const ItemSalesOrders = ({ itemId, orders, total, unitOfMeasure, canEdit }) => {
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <h3 className="panel-title">
+          <FaShippingFast /> Sales Orders
+        </h3>
+        <div className="control-actions">
+          {total > orders.length && (
+            <Link to={`/sales-orders?item=${itemId}`} className="clear-filters-btn">
+              View all {total}
+            </Link>
+          )}
+          {canEdit && (
+            <Link to={`/sales-orders/new?item=${itemId}`} className="secondary-btn">
+              <FaPlus /> New Sales Order
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {orders.length === 0 ? (
+        <p className="panel-empty">This item is not on any sales order yet.</p>
+      ) : (
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Order</th>
+                <th>Customer</th>
+                <th>Status</th>
+                <th>Ordered</th>
+                <th>Allocated</th>
+                <th>Shipped</th>
+                <th>Backordered</th>
+                <th>Created</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map(order => {
+                const line = order.lines.find(l => l.item === itemId);
+                if (!line) return null;
+                return (
+                  <tr key={order._id}>
+                    <td className="inventory-id">
+                      <Link to={`/sales-orders/${order._id}`}>{order.number}</Link>
+                    </td>
+                    <td className="supplier">{order.customerName}</td>
+                    <td>
+                      <span className={`so-status ${order.status}`}>{SO_STATUS_LABELS[order.status]}</span>
+                    </td>
+                    <td className="quantity">{formatQuantity(line.quantityOrdered, unitOfMeasure)}</td>
+                    <td className="quantity">{formatQuantity(line.quantityAllocated, unitOfMeasure)}</td>
+                    <td className="quantity">{formatQuantity(line.quantityShipped, unitOfMeasure)}</td>
+                    <td className="quantity">
+                      {isOpen(order) && backorderedQuantity(line) > 0
+                        ? <span className="reorder-flag">{formatQuantity(backorderedQuantity(line), unitOfMeasure)}</span>
+                        : '—'}
+                    </td>
+                    <td className="last-updated">{formatDay(order.createdAt)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ItemSalesOrders;
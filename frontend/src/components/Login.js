@@ -1,17 +1,25 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { FaSignInAlt, FaEnvelope, FaLock } from 'react-icons/fa';
-import { authAPI } from '../services/api';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { FaSignInAlt, FaEnvelope, FaLock, FaShieldAlt } from 'react-icons/fa';
+import { authAPI, organizationAPI } from '../services/api';
+import { syncCurrentOrganization } from '../utils/organization';
+import { saveLogin } from '../utils/auth';
 import { toast } from 'react-toastify';
 
 const Login = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const [formData, setFormData] = useState({
-    email: '',
+    // filled in when coming from registration
+    email: location.state?.email || '',
     password: '',
   });
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  // set once the password was right for an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -55,13 +63,12 @@ const Login = () => {
     setLoading(true);
     try {
       const response = await authAPI.login(formData.email, formData.password);
-      
-      // save token and user data
-      localStorage.setItem('token', response.token);
-      localStorage.setItem('user', JSON.stringify(response.user));
-      
-      toast.success('Login successful!');
-      navigate('/');
+
+      if (response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+        return;
+      }
+      await finishLogin(response);
     } catch (error) {
       // error is already handled by interceptor
       console.error('Login error:', error);
@@ -70,6 +77,59 @@ const Login = () => {
     }
   };
 
+  const finishLogin = async (response) => {
+    // save tokens and user data
+    saveLogin(response);
+
+    // pick the organization to work in before any inventory request goes out
+    const organizations = await organizationAPI.getAll();
+    syncCurrentOrganization(organizations.data || []);
+
+    toast.success(response.message || 'Login successful!');
+    // back to the page that sent them here, e.g. an invitation link
+    navigate(location.state?.from?.pathname || '/', { replace: true });
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setErrors({ code: useRecoveryCode ? 'Recovery code is required' : 'Code is required' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.loginTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+      );
+      await finishLogin(response);
+    } catch (error) {
+      // the challenge ran out: start over with the password
+      if (error.response?.status === 401) {
+        setChallengeToken(null);
+      }
+      setCode('');
+      console.error('Two-factor login error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setCode('');
+    setErrors({});
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setErrors({});
+  };
+
   // demo credentials for testing
   const fillDemoCredentials = () => {
     setFormData({
@@ -79,6 +139,73 @@ const Login = () => {
     toast.info('Demo credentials filled. Click Login to continue.');
   };
 
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1 className="auth-title">
+              <FaShieldAlt /> Two-Factor Authentication
+            </h1>
+            <p className="auth-subtitle">
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when you turned two-factor authentication on'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form onSubmit={handleCodeSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="code">
+                <FaLock /> {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                id="code"
+                name="code"
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value);
+                  setErrors({});
+                }}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                className={errors.code ? 'error' : ''}
+                disabled={loading}
+                autoFocus
+              />
+              {errors.code && <span className="field-error">{errors.code}</span>}
+              <button type="button" className="forgot-link link-btn" onClick={toggleRecoveryCode}>
+                {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your phone? Use a recovery code'}
+              </button>
+            </div>
+
+            <button
+              type="submit"
+              className="auth-btn"
+              disabled={loading}
+            >
+              {loading ? (
+                <span className="loading-spinner"></span>
+              ) : (
+                <>
+                  <FaSignInAlt /> Verify
+                </>
+              )}
+            </button>
+          </form>
+
+          <div className="auth-footer">
+            <p className="auth-link">
+              <button type="button" className="link-btn" onClick={cancelTwoFactor}>Back to sign in</button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -122,6 +249,7 @@ const Login = () => {
               disabled={loading}
             />
             {errors.password && <span className="field-error">{errors.password}</span>}
+            <Link to="/forgot-password" className="forgot-link">Forgot your password?</Link>
           </div>
 
           <button 
@@ -141,7 +269,7 @@ const Login = () => {
 
         <div className="auth-footer">
           <p className="auth-link">
-            Don't have an account? <Link to="/register">Sign up here</Link>
+            Don't have an account? <Link to="/register" state={location.state}>Sign up here</Link>
           </p>
         </div>
       </div>
@@ -0,0 +1,80 @@
+import React from 'react';
+import { FaHistory } from 'react-icons/fa';
+import { ADJUSTMENT_REASONS, MOVEMENT_TYPE_LABELS, formatQuantity } from '../utils/inventory';
+import { formatDate } from '../utils/format';
+
+const reasonLabel = (code) => ADJUSTMENT_REASONS.find(r => r.value === code)?.label || code;
+
+const MovementHistory = ({ movements, balances, unitOfMeasure }) => {
+  return (
+    <div className="panel">
+      <div className="panel-header">
+        <h3 className="panel-title">
+          <FaHistory /> Stock Movements
+        </h3>
+        {balances?.length > 0 && (
+          <div className="balance-list">
+            {balances.map(balance => (
+              <span key={balance.warehouse?._id || balance.warehouse} className="warehouse-badge" title={balance.warehouse?.name}>
+                {balance.warehouse?.code || '?'}: {formatQuantity(balance.quantity, unitOfMeasure)}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {movements.length === 0 ? (
+        <p className="panel-empty">No stock movements recorded yet.</p>
+      ) : (
+        <div className="table-container">
+          <table className="inventory-table movement-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Quantity</th>
+                <th>Warehouse</th>
+                <th>Details</th>
+                <th>By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {movements.map(movement => (
+                <tr key={movement._id}>
+                  <td className="last-updated">{formatDate(movement.createdAt)}</td>
+                  <td>
+                    <span className={`movement-badge ${movement.type}`}>
+                      {MOVEMENT_TYPE_LABELS[movement.type] || movement.type}
+                    </span>
+                  </td>
+                  <td className={`quantity ${movement.quantity < 0 ? 'negative' : 'positive'}`}>
+                    {movement.quantity > 0 ? '+' : ''}{formatQuantity(movement.quantity, unitOfMeasure)}
+                  </td>
+                  <td>
+                    <span className="warehouse-badge">{movement.warehouse?.code}</span>
+                    {movement.counterpartWarehouse && (
+                      <span className="movement-counterpart">
+                        {movement.quantity < 0 ? ' → ' : ' ← '}{movement.counterpartWarehouse.code}
+                      </span>
+                    )}
+                  </td>
+                  <td className="movement-details">
+                    {movement.lot && (
+                      <div>{movement.lot.kind === 'serial' ? 'Serial' : 'Lot'}: {movement.lot.code}</div>
+                    )}
+                    {movement.reasonCode && <div>{reasonLabel(movement.reasonCode)}</div>}
+                    {movement.reference && <div>Ref: {movement.reference}</div>}
+                    {movement.note && <div className="movement-note">{movement.note}</div>}
+                  </td>
+                  <td>{movement.performedBy?.username || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MovementHistory;
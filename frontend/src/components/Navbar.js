@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { NavLink, useNavigate } from 'react-router-dom';
+import { FaSignOutAlt, FaBox, FaWarehouse, FaTruck, FaTags, FaUsers, FaFileInvoiceDollar, FaShippingFast, FaBarcode } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { authAPI, organizationAPI } from '../services/api';
+import { getRefreshToken, clearLogin } from '../utils/auth';
+import {
+  getCurrentOrganization,
+  setCurrentOrganization,
+  syncCurrentOrganization
+} from '../utils/organization';
+
+const Navbar = () => {
+  const navigate = useNavigate();
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const [organizations, setOrganizations] = useState([]);
+  const [currentOrganization, setCurrentOrganizationState] = useState(getCurrentOrganization());
+  const [verificationSent, setVerificationSent] = useState(false);
+
+  useEffect(() => {
+    const fetchOrganizations = async () => {
+      try {
+        const response = await organizationAPI.getAll();
+        setOrganizations(response.data || []);
+        setCurrentOrganizationState(syncCurrentOrganization(response.data || []));
+      } catch (error) {
+        console.error('Error fetching organizations:', error);
+      }
+    };
+
+    fetchOrganizations();
+  }, []);
+
+  // every page loads its data for the current organization, so start over on the dashboard
+  const handleSwitchOrganization = (e) => {
+    const organization = organizations.find(org => org._id === e.target.value);
+    if (!organization) return;
+
+    setCurrentOrganization(organization);
+    window.location.assign('/');
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await authAPI.resendVerification();
+      setVerificationSent(true);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error resending confirmation email:', error);
+    }
+  };
+
+  // ends the session on the server too, so the refresh token cannot be reused
+  const handleLogout = async () => {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('Error logging out:', error);
+      }
+    }
+    clearLogin();
+    toast.info('Logged out successfully');
+    navigate('/login');
+  };
+
+  return (
+    <nav className="navbar">
+      <div className="container">
+        <div className="navbar-brand">
+          <h1 className="logo">
+            <FaBox /> Smart Inventory Tracker
+          </h1>
+          <div className="user-info">
+            <NavLink to="/security" className="username" title="Account security and devices">
+              Welcome, {user.username || 'User'}!
+            </NavLink>
+            {organizations.length > 1 ? (
+              <select
+                className="org-switcher"
+                value={currentOrganization?._id || ''}
+                onChange={handleSwitchOrganization}
+                aria-label="Current organization"
+              >
+                {organizations.map(org => (
+                  <option key={org._id} value={org._id}>{org.name}</option>
+                ))}
+              </select>
+            ) : currentOrganization && (
+              <span className="org-name">{currentOrganization.name}</span>
+            )}
+          </div>
+        </div>
+        <div className="navbar-links">
+          <NavLink to="/" end className="nav-link">
+            <FaBox /> Inventory
+          </NavLink>
+          <NavLink to="/scan" className="nav-link">
+            <FaBarcode /> Scan
+          </NavLink>
+          <NavLink to="/warehouses" className="nav-link">
+            <FaWarehouse /> Warehouses
+          </NavLink>
+          <NavLink to="/suppliers" className="nav-link">
+            <FaTruck /> Suppliers
+          </NavLink>
+          <NavLink to="/purchase-orders" className="nav-link">
+            <FaFileInvoiceDollar /> Purchasing
+          </NavLink>
+          <NavLink to="/sales-orders" className="nav-link">
+            <FaShippingFast /> Sales
+          </NavLink>
+          <NavLink to="/categories" className="nav-link">
+            <FaTags /> Categories
+          </NavLink>
+          <NavLink to="/team" className="nav-link">
+            <FaUsers /> Team
+          </NavLink>
+        </div>
+        <button onClick={handleLogout} className="logout-btn">
+          <FaSignOutAlt /> Log Out
+        </button>
+      </div>
+      {user.emailVerified === false && (
+        <div className="verify-banner">
+          Please confirm your email address using the link sent to {user.email}.
+          {verificationSent ? (
+            <span> Check your inbox.</span>
+          ) : (
+            <button type="button" onClick={handleResendVerification}>Send it again</button>
+          )}
+        </div>
+      )}
+    </nav>
+  );
+};
+
+export default Navbar;
@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  FaFileInvoiceDollar,
+  FaArrowLeft,
+  FaEdit,
+  FaPaperPlane,
+  FaTrash,
+  FaBan,
+  FaPrint,
+  FaDolly,
+  FaCheck,
+  FaTimes
+} from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { purchaseOrderAPI, warehouseAPI, inventoryAPI } from '../services/api';
+import Navbar from './Navbar';
+import { hasRole, getCurrentOrganization } from '../utils/organization';
+import { formatMoney, formatDay, formatDate } from '../utils/format';
+import { formatQuantity, parseSerials } from '../utils/inventory';
+import { PO_STATUS_LABELS, isReceivable, outstandingQuantity } from '../utils/purchaseOrders';
+
+// one line per address part, for the printed delivery address
+const addressLines = (address = {}) => [
+  address.street,
+  [address.postalCode, address.city].filter(Boolean).join(' '),
+  [address.state, address.country].filter(Boolean).join(', ')
+].filter(Boolean);
+
+const PurchaseOrderDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const canEdit = hasRole('editor');
+  const organization = getCurrentOrganization();
+
+  const [order, setOrder] = useState(null);
+  const [warehouses, setWarehouses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  // receiving: quantities keyed by line id, plus where the goods go
+  const [receiving, setReceiving] = useState(null);
+  // tracking mode of each line's item, looked up when receiving starts
+  const [trackingModes, setTrackingModes] = useState({});
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      try {
+        const response = await purchaseOrderAPI.getById(id);
+        setOrder(response.data);
+      } catch (error) {
+        console.error('Error fetching purchase order:', error);
+        navigate('/purchase-orders');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+  }, [id, navigate]);
+
+  useEffect(() => {
+    if (!canEdit) return;
+    warehouseAPI.getAll()
+      .then(response => setWarehouses((response.data || []).filter(warehouse => warehouse.active)))
+      .catch(error => console.error('Error fetching warehouses:', error));
+  }, [canEdit]);
+
+  // runs one of the status actions and shows the updated order
+  const runAction = async (action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+
+    setBusy(true);
+    try {
+      const response = await action(id);
+      toast.success(response.message);
+      if (response.data) setOrder(response.data);
+    } catch (error) {
+      console.error('Error updating purchase order:', error);
+      // error is already handled by interceptor
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete draft ${order.number}?`)) return;
+
+    setBusy(true);
+    try {
+      const response = await purchaseOrderAPI.delete(id);
+      toast.success(response.message);
+      navigate('/purchase-orders');
+    } catch (error) {
+      console.error('Error deleting purchase order:', error);
+      setBusy(false);
+    }
+  };
+
+  const startReceiving = async () => {
+    setReceiving({
+      warehouse: order.warehouse?._id || '',
+      note: '',
+      quantities: Object.fromEntries(order.lines.map(line => [line._id, String(outstandingQuantity(line))])),
+      // lot number, serial numbers and expiry date of tracked lines
+      tracking: Object.fromEntries(order.lines.map(line => [line._id, { lotCode: '', serials: '', expiryDate: '' }]))
+    });
+
+    // items that are gone from inventory cannot be received anyway
+    const outstanding = order.lines.filter(line => outstandingQuantity(line) > 0);
+    const items = await Promise.all(outstanding.map(line => inventoryAPI.getById(line.item)
+      .then(response => response.data)
+      .catch(() => null)));
+    setTrackingModes(Object.fromEntries(items.filter(Boolean).map(item => [item._id, item.trackingMode || 'none'])));
+  };
+
+  // 'lot' or 'serial' for tracked lines still to be received
+  const lineTracking = (line) => (outstandingQuantity(line) > 0 && trackingModes[line.item]) || 'none';
+
+  const updateTracking = (lineId, changes) => setReceiving(prev => ({
+    ...prev,
+    tracking: { ...prev.tracking, [lineId]: { ...prev.tracking[lineId], ...changes } }
+  }));
+
+  // the lots or serials a tracked line sends along with its quantity; an error message when incomplete
+  const trackingFor = (line, quantity) => {
+    const { lotCode, serials, expiryDate } = receiving.tracking[line._id];
+    const mode = lineTracking(line);
+    if (mode === 'lot') {
+      if (!lotCode.trim()) return { error: `${line.inventoryId}: enter the lot number` };
+      return { lots: [{ code: lotCode.trim(), quantity, expiryDate: expiryDate || undefined }] };
+    }
+    if (mode === 'serial') {
+      const serialNumbers = parseSerials(serials);
+      if (serialNumbers.length !== quantity) {
+        return { error: `${line.inventoryId}: enter one serial number per unit received` };
+      }
+      return { serials: serialNumbers, expiryDate: expiryDate || undefined };
+    }
+    return {};
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+
+    const lines = order.lines
+      .map(line => ({ line, quantity: parseFloat(receiving.quantities[line._id]) || 0 }))
+      .filter(entry => entry.quantity > 0)
+      .map(({ line, quantity }) => ({ line: line._id, quantity, ...trackingFor(line, quantity) }));
+    if (lines.length === 0) {
+      toast.error('Enter a quantity for at least one line');
+      return;
+    }
+    const incomplete = lines.find(entry => entry.error);
+    if (incomplete) {
+      toast.error(incomplete.error);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const response = await purchaseOrderAPI.receive(id, {
+        lines,
+        warehouse: receiving.warehouse || undefined,
+        note: receiving.note || undefined
+      });
+      toast.success(response.message);
+      setOrder(response.data);
+      setReceiving(null);
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      // error is already handled by interceptor
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading || !order) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading purchase order...</p>
+      </div>
+    );
+  }
+
+  const supplier = order.supplier || {};
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container purchase-order">
+        <div className="dashboard-controls no-print">
+          <h2 className="page-title">
+            <FaFileInvoiceDollar /> {order.number}
+            <span className={`po-status ${order.status}`}>{PO_STATUS_LABELS[order.status]}</span>
+          </h2>
+          <div className="control-actions">
+            <button type="button" className="secondary-btn" onClick={() => window.print()}>
+              <FaPrint /> Print
+            </button>
+            {canEdit && order.status === 'draft' && (
+              <>
+                <Link to={`/purchase-orders/${id}/edit`} className="secondary-btn">
+                  <FaEdit /> Edit
+                </Link>
+                <button type="button" className="secondary-btn danger" onClick={handleDelete} disabled={busy}>
+                  <FaTrash /> Delete
+                </button>
+                <button
+                  type="button"
+                  className="create-btn"
+                  onClick={() => runAction(purchaseOrderAPI.send, `Mark ${order.number} as sent to ${supplier.name}? It cannot be edited afterwards.`)}
+                  disabled={busy}
+                >
+                  <FaPaperPlane /> Mark as Sent
+                </button>
+              </>
+            )}
+            {canEdit && isReceivable(order) && (
+              <>
+                <button
+                  type="button"
+                  className="secondary-btn danger"
+                  onClick={() => runAction(purchaseOrderAPI.cancel, `Cancel ${order.number}? Stock already received stays in inventory.`)}
+                  disabled={busy}
+                >
+                  <FaBan /> Cancel Order
+                </button>
+                {!receiving && (
+                  <button type="button" className="create-btn" onClick={startReceiving} disabled={busy}>
+                    <FaDolly /> Receive
+                  </button>
+                )}
+              </>
+            )}
+            <Link to="/purchase-orders" className="back-btn">
+              <FaArrowLeft /> All Orders
+            </Link>
+          </div>
+        </div>
+
+        {/* printed heading; on screen the controls above carry the number */}
+        <div className="print-only po-print-header">
+          <h1>Purchase Order {order.number}</h1>
+          {organization && <p>{organization.name}</p>}
+        </div>
+
+        <div className="panel po-summary">
+          <div className="po-parties">
+            <div>
+              <h4>Supplier</h4>
+              <p><strong>{supplier.name || '—'}</strong></p>
+              {supplier.contactName && <p>{supplier.contactName}</p>}
+              {supplier.email && <p>{supplier.email}</p>}
+              {supplier.phone && <p>{supplier.phone}</p>}
+            </div>
+            <div>
+              <h4>Deliver To</h4>
+              <p><strong>{order.warehouse ? `${order.warehouse.code} - ${order.warehouse.name}` : '—'}</strong></p>
+              {addressLines(order.warehouse?.address).map(line => <p key={line}>{line}</p>)}
+            </div>
+            <div>
+              <h4>Details</h4>
+              <p>Ordered: {formatDay(order.sentAt || order.createdAt)}</p>
+              <p>Expected: {formatDay(order.expectedDate)}</p>
+              {order.receivedAt && <p>Received: {formatDay(order.receivedAt)}</p>}
+              {order.cancelledAt && <p>Cancelled: {formatDay(order.cancelledAt)}</p>}
+              <p className="no-print">Created by {order.createdBy?.username || 'Unknown user'} on {formatDate(order.createdAt)}</p>
+            </div>
+          </div>
+          {order.notes && <p className="po-notes">{order.notes}</p>}
+        </div>
+
+        <form onSubmit={handleReceive}>
+          <div className="table-container">
+            <table className="inventory-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Ordered</th>
+                  <th>Unit Cost</th>
+                  <th>Line Total</th>
+                  <th className="no-print">Received</th>
+                  <th className="no-print">Outstanding</th>
+                  {receiving && <th className="no-print">Receive Now</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {order.lines.map(line => (
+                  <tr key={line._id}>
+                    <td className="product-name">
+                      <strong>{line.inventoryId}</strong> {line.productName}
+                    </td>
+                    <td className="quantity">{formatQuantity(line.quantityOrdered, line.unitOfMeasure)}</td>
+                    <td className="cost-unit">{formatMoney(line.unitCost, order.currency)}</td>
+                    <td className="cost-unit">{formatMoney(line.quantityOrdered * line.unitCost, order.currency)}</td>
+                    <td className="quantity no-print">{formatQuantity(line.quantityReceived, line.unitOfMeasure)}</td>
+                    <td className="quantity no-print">{formatQuantity(outstandingQuantity(line), line.unitOfMeasure)}</td>
+                    {receiving && (
+                      <td className="no-print">
+                        <input
+                          type="number"
+                          className="po-line-input"
+                          value={receiving.quantities[line._id]}
+                          onChange={(e) => setReceiving(prev => ({
+                            ...prev,
+                            quantities: { ...prev.quantities, [line._id]: e.target.value }
+                          }))}
+                          min="0"
+                          max={outstandingQuantity(line)}
+                          step="any"
+                          disabled={busy || outstandingQuantity(line) === 0}
+                          aria-label={`Quantity of ${line.inventoryId} to receive`}
+                        />
+                        {lineTracking(line) === 'lot' && (
+                          <input
+                            type="text"
+                            className="po-line-input"
+                            value={receiving.tracking[line._id].lotCode}
+                            onChange={(e) => updateTracking(line._id, { lotCode: e.target.value })}
+                            placeholder="Lot number"
+                            maxLength={100}
+                            disabled={busy}
+                            aria-label={`Lot number of ${line.inventoryId}`}
+                          />
+                        )}
+                        {lineTracking(line) === 'serial' && (
+                          <textarea
+                            className="po-line-input"
+                            value={receiving.tracking[line._id].serials}
+                            onChange={(e) => updateTracking(line._id, { serials: e.target.value })}
+                            placeholder="Serial numbers, one per line"
+                            rows={3}
+                            disabled={busy}
+                            aria-label={`Serial numbers of ${line.inventoryId}`}
+                          />
+                        )}
+                        {lineTracking(line) !== 'none' && (
+                          <input
+                            type="date"
+                            className="po-line-input"
+                            value={receiving.tracking[line._id].expiryDate}
+                            onChange={(e) => updateTracking(line._id, { expiryDate: e.target.value })}
+                            title="Expiry date (optional)"
+                            disabled={busy}
+                            aria-label={`Expiry date of ${line.inventoryId}`}
+                          />
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="po-total">
+            Total: <strong>{formatMoney(order.total, order.currency)}</strong>
+          </div>
+
+          {receiving && (
+            <div className="panel po-receive no-print">
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="receive-warehouse">Receive Into</label>
+                  <select
+                    id="receive-warehouse"
+                    value={receiving.warehouse}
+                    onChange={(e) => setReceiving(prev => ({ ...prev, warehouse: e.target.value }))}
+                    disabled={busy}
+                  >
+                    {warehouses.map(warehouse => (
+                      <option key={warehouse._id} value={warehouse._id}>{warehouse.code} - {warehouse.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="receive-note">Note</label>
+                  <input
+                    type="text"
+                    id="receive-note"
+                    value={receiving.note}
+                    onChange={(e) => setReceiving(prev => ({ ...prev, note: e.target.value }))}
+                    placeholder="e.g., packing slip number"
+                    maxLength={500}
+                    disabled={busy}
+                  />
+                </div>
+              </div>
+              <div className="form-actions">
+                <button type="button" className="cancel-btn" onClick={() => setReceiving(null)} disabled={busy}>
+                  <FaTimes /> Cancel
+                </button>
+                <button type="submit" className="submit-btn" disabled={busy}>
+                  <FaCheck /> {busy ? 'Receiving...' : 'Receive Stock'}
+                </button>
+              </div>
+            </div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrderDetail;
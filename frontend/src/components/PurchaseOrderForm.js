@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { FaFileInvoiceDollar, FaArrowLeft, FaSave, FaTimes, FaTrash, FaShoppingCart } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { purchaseOrderAPI, supplierAPI, warehouseAPI, inventoryAPI } from '../services/api';
+import Navbar from './Navbar';
+import { formatMoney } from '../utils/format';
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const lineFromItem = (item, quantity) => ({
+  item: item._id,
+  inventoryId: item.inventoryId,
+  productName: item.productName,
+  unitOfMeasure: item.unitOfMeasure,
+  quantityOrdered: String(quantity),
+  unitCost: String(item.costUnit ?? '')
+});
+
+// Create a purchase order, or edit one that is still a draft
+const PurchaseOrderForm = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const editing = Boolean(id);
+  // the query string (?supplier=&fromReorder=1) only seeds the form on first load
+  const seed = useRef({ supplier: searchParams.get('supplier'), fromReorder: searchParams.get('fromReorder') });
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [supplierItems, setSupplierItems] = useState([]);
+  const [formData, setFormData] = useState({
+    supplier: searchParams.get('supplier') || '',
+    warehouse: '',
+    expectedDate: '',
+    notes: ''
+  });
+  const [lines, setLines] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [addingSuggestions, setAddingSuggestions] = useState(false);
+
+  // adds the supplier's reorder suggestions that are not on the order yet
+  const addSuggestions = useCallback(async (supplierId, currentLines, { quiet = false } = {}) => {
+    setAddingSuggestions(true);
+    try {
+      const response = await inventoryAPI.getReorderSuggestions({ supplier: supplierId });
+      const suggested = (response.data?.[0]?.items || []).filter(item => item.suggestedQuantity > 0);
+      const fresh = suggested.filter(item => !currentLines.some(line => line.item === item._id));
+      setLines(prev => [...prev, ...fresh.map(item => lineFromItem(item, item.suggestedQuantity))]);
+      if (suggested.length === 0) {
+        toast.info('Nothing from this supplier needs reordering');
+      } else if (!quiet) {
+        toast.info(`Added ${fresh.length} suggested ${fresh.length === 1 ? 'item' : 'items'}`);
+      }
+      return suggested;
+    } catch (error) {
+      console.error('Error fetching reorder suggestions:', error);
+      return [];
+    } finally {
+      setAddingSuggestions(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [supplierResponse, warehouseResponse] = await Promise.all([
+          supplierAPI.getAll(),
+          warehouseAPI.getAll()
+        ]);
+        setSuppliers(supplierResponse.data || []);
+        const activeWarehouses = (warehouseResponse.data || []).filter(warehouse => warehouse.active);
+        setWarehouses(activeWarehouses);
+
+        if (editing) {
+          const { data: order } = await purchaseOrderAPI.getById(id);
+          if (order.status !== 'draft') {
+            toast.info(`${order.number} has been sent and can no longer be edited`);
+            navigate(`/purchase-orders/${id}`, { replace: true });
+            return;
+          }
+          setFormData({
+            supplier: order.supplier?._id || '',
+            warehouse: order.warehouse?._id || '',
+            expectedDate: toDateInput(order.expectedDate),
+            notes: order.notes || ''
+          });
+          setLines(order.lines.map(line => ({
+            item: line.item,
+            inventoryId: line.inventoryId,
+            productName: line.productName,
+            unitOfMeasure: line.unitOfMeasure,
+            quantityOrdered: String(line.quantityOrdered),
+            unitCost: String(line.unitCost)
+          })));
+        } else if (seed.current.supplier && seed.current.fromReorder) {
+          const suggested = await addSuggestions(seed.current.supplier, [], { quiet: true });
+          // deliver to where the first suggested item lives
+          const warehouse = suggested.find(item => item.warehouse)?.warehouse?._id;
+          setFormData(prev => ({ ...prev, warehouse: warehouse || activeWarehouses[0]?._id || '' }));
+        } else {
+          setFormData(prev => ({ ...prev, warehouse: activeWarehouses[0]?._id || '' }));
+        }
+      } catch (error) {
+        console.error('Error loading purchase order form:', error);
+        navigate('/purchase-orders');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [id, editing, navigate, addSuggestions]);
+
+  // items the supplier provides, for the "add item" picker
+  useEffect(() => {
+    if (!formData.supplier) {
+      setSupplierItems([]);
+      return;
+    }
+    inventoryAPI.getAll({ supplier: formData.supplier, sort: 'inventoryId', limit: 100 })
+      .then(response => setSupplierItems(response.data || []))
+      .catch(error => console.error('Error fetching supplier items:', error));
+  }, [formData.supplier]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    if (name === 'supplier' && lines.length > 0 && !window.confirm('Changing the supplier removes the lines already on this order. Continue?')) {
+      return;
+    }
+    if (name === 'supplier') setLines([]);
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleAddItem = (e) => {
+    const item = supplierItems.find(option => option._id === e.target.value);
+    if (!item) return;
+    setLines(prev => [...prev, lineFromItem(item, item.reorderQuantity || 1)]);
+    setErrors(prev => ({ ...prev, lines: '' }));
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const removeLine = (index) => {
+    setLines(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const total = lines.reduce((sum, line) => sum + (parseFloat(line.quantityOrdered) || 0) * (parseFloat(line.unitCost) || 0), 0);
+  const currency = suppliers.find(supplier => supplier._id === formData.supplier)?.currency || 'USD';
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.supplier) newErrors.supplier = 'Supplier is required';
+    if (!formData.warehouse) newErrors.warehouse = 'Warehouse is required';
+    if (lines.length === 0) {
+      newErrors.lines = 'Add at least one item';
+    } else if (lines.some(line => !(parseFloat(line.quantityOrdered) > 0))) {
+      newErrors.lines = 'Every line needs a quantity greater than zero';
+    } else if (lines.some(line => line.unitCost === '' || parseFloat(line.unitCost) < 0)) {
+      newErrors.lines = 'Every line needs a unit cost of zero or more';
+    }
+    return newErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formErrors = validateForm();
+    if (Object.keys(formErrors).length > 0) {
+      setErrors(formErrors);
+      return;
+    }
+
+    const data = {
+      ...formData,
+      lines: lines.map(line => ({
+        item: line.item,
+        quantityOrdered: parseFloat(line.quantityOrdered),
+        unitCost: parseFloat(line.unitCost)
+      }))
+    };
+
+    setSaving(true);
+    try {
+      const response = editing
+        ? await purchaseOrderAPI.update(id, data)
+        : await purchaseOrderAPI.create(data);
+      toast.success(response.message);
+      navigate(`/purchase-orders/${response.data._id}`);
+    } catch (error) {
+      console.error('Error saving purchase order:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading purchase order...</p>
+      </div>
+    );
+  }
+
+  const availableItems = supplierItems.filter(item => !lines.some(line => line.item === item._id));
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaFileInvoiceDollar /> {editing ? 'Edit Purchase Order' : 'New Purchase Order'}
+          </h2>
+          <Link to={editing ? `/purchase-orders/${id}` : '/purchase-orders'} className="back-btn">
+            <FaArrowLeft /> Back
+          </Link>
+        </div>
+
+        <form onSubmit={handleSubmit} className="panel">
+          <div className="item-form compact-form">
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="supplier">Supplier *</label>
+                <select
+                  id="supplier"
+                  name="supplier"
+                  value={formData.supplier}
+                  onChange={handleChange}
+                  className={errors.supplier ? 'error' : ''}
+                  disabled={saving}
+                >
+                  <option value="">Select a supplier</option>
+                  {suppliers
+                    .filter(supplier => supplier.active || supplier._id === formData.supplier)
+                    .map(supplier => (
+                      <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                    ))}
+                </select>
+                {errors.supplier && <span className="field-error">{errors.supplier}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="warehouse">Deliver To *</label>
+                <select
+                  id="warehouse"
+                  name="warehouse"
+                  value={formData.warehouse}
+                  onChange={handleChange}
+                  className={errors.warehouse ? 'error' : ''}
+                  disabled={saving}
+                >
+                  <option value="">Select a warehouse</option>
+                  {warehouses.map(warehouse => (
+                    <option key={warehouse._id} value={warehouse._id}>{warehouse.code} - {warehouse.name}</option>
+                  ))}
+                </select>
+                {errors.warehouse && <span className="field-error">{errors.warehouse}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="expectedDate">Expected Delivery</label>
+                <input
+                  type="date"
+                  id="expectedDate"
+                  name="expectedDate"
+                  value={formData.expectedDate}
+                  onChange={handleChange}
+                  disabled={saving}
+                />
+                <div className="input-help">Left empty, the supplier's lead time is used</div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="notes">Notes</label>
+                <textarea
+                  id="notes"
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleChange}
+                  rows="2"
+                  maxLength={1000}
+                  disabled={saving}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="panel-header">
+            <h3 className="panel-title">Lines</h3>
+            {formData.supplier && (
+              <div className="po-line-tools">
+                <select value="" onChange={handleAddItem} className="filter-select" disabled={saving || availableItems.length === 0} aria-label="Add item">
+                  <option value="">{availableItems.length === 0 ? 'No more items from this supplier' : 'Add an item...'}</option>
+                  {availableItems.map(item => (
+                    <option key={item._id} value={item._id}>{item.inventoryId} - {item.productName}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="secondary-btn"
+                  onClick={() => addSuggestions(formData.supplier, lines)}
+                  disabled={saving || addingSuggestions}
+                >
+                  <FaShoppingCart /> {addingSuggestions ? 'Adding...' : 'Add Reorder Suggestions'}
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="table-container">
+            <table className="inventory-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Quantity</th>
+                  <th>Unit Cost</th>
+                  <th>Line Total</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="no-items">
+                      {formData.supplier ? 'Add items from the list above' : 'Pick a supplier to add items'}
+                    </td>
+                  </tr>
+                ) : (
+                  lines.map((line, index) => (
+                    <tr key={line.item}>
+                      <td className="product-name">
+                        <strong>{line.inventoryId}</strong> {line.productName}
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          className="po-line-input"
+                          value={line.quantityOrdered}
+                          onChange={(e) => updateLine(index, 'quantityOrdered', e.target.value)}
+                          min="0"
+                          step="any"
+                          aria-label={`Quantity of ${line.inventoryId}`}
+                          disabled={saving}
+                        />
+                        {line.unitOfMeasure !== 'each' && <span className="po-unit">{line.unitOfMeasure}</span>}
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          className="po-line-input"
+                          value={line.unitCost}
+                          onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                          min="0"
+                          step="0.01"
+                          aria-label={`Unit cost of ${line.inventoryId}`}
+                          disabled={saving}
+                        />
+                      </td>
+                      <td className="cost-unit">
+                        {formatMoney((parseFloat(line.quantityOrdered) || 0) * (parseFloat(line.unitCost) || 0), currency)}
+                      </td>
+                      <td className="actions">
+                        <button type="button" className="action-btn delete-btn" onClick={() => removeLine(index)} title="Remove Line" disabled={saving}>
+                          <FaTrash />
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+          {errors.lines && <span className="field-error">{errors.lines}</span>}
+
+          <div className="po-total">
+            Total: <strong>{formatMoney(total, currency)}</strong>
+          </div>
+
+          <div className="form-actions">
+            <Link to={editing ? `/purchase-orders/${id}` : '/purchase-orders'} className="cancel-btn">
+              <FaTimes /> Cancel
+            </Link>
+            <button type="submit" className="submit-btn" disabled={saving}>
+              <FaSave /> {saving ? 'Saving...' : editing ? 'Save Changes' : 'Create Draft'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrderForm;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FaFileInvoiceDollar, FaPlus, FaEye, FaFilter, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { purchaseOrderAPI, supplierAPI } from '../services/api';
+import Navbar from './Navbar';
+import { hasRole } from '../utils/organization';
+import { formatMoney, formatDay } from '../utils/format';
+import { PO_STATUSES, PO_STATUS_LABELS } from '../utils/purchaseOrders';
+
+const PurchaseOrders = () => {
+  const canEdit = hasRole('editor');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [orders, setOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 1 });
+  const [loading, setLoading] = useState(true);
+
+  const status = searchParams.get('status') || '';
+  const supplier = searchParams.get('supplier') || '';
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      const params = { page };
+      if (status) params.status = status;
+      if (supplier) params.supplier = supplier;
+
+      const response = await purchaseOrderAPI.getAll(params);
+      setOrders(response.data || []);
+      setPagination({ total: response.total, page: response.page, totalPages: response.totalPages });
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, supplier, page]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  useEffect(() => {
+    supplierAPI.getAll()
+      .then(response => setSuppliers(response.data || []))
+      .catch(error => console.error('Error fetching suppliers:', error));
+  }, []);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value); else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading purchase orders...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaFileInvoiceDollar /> Purchase Orders
+          </h2>
+          <div className="filter-section">
+            <div className="filter-group">
+              <FaFilter className="filter-icon" />
+              <select
+                value={status}
+                onChange={(e) => updateParams({ status: e.target.value, page: '' })}
+                className="filter-select"
+                aria-label="Status"
+              >
+                <option value="">All Statuses</option>
+                {PO_STATUSES.map(value => (
+                  <option key={value} value={value}>{PO_STATUS_LABELS[value]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="filter-group">
+              <select
+                value={supplier}
+                onChange={(e) => updateParams({ supplier: e.target.value, page: '' })}
+                className="filter-select"
+                aria-label="Supplier"
+              >
+                <option value="">All Suppliers</option>
+                {suppliers.map(option => (
+                  <option key={option._id} value={option._id}>{option.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {canEdit && (
+            <Link to="/purchase-orders/new" className="create-btn">
+              <FaPlus /> New Purchase Order
+            </Link>
+          )}
+        </div>
+
+        <div className="results-info">
+          <p>{pagination.total} {pagination.total === 1 ? 'purchase order' : 'purchase orders'}</p>
+        </div>
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Number</th>
+                <th>Supplier</th>
+                <th>Status</th>
+                <th>Lines</th>
+                <th>Total</th>
+                <th>Deliver To</th>
+                <th>Expected</th>
+                <th>Created</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.length === 0 ? (
+                <tr>
+                  <td colSpan="9" className="no-items">
+                    <div className="empty-state">
+                      <FaFileInvoiceDollar className="empty-icon" />
+                      <h3>No purchase orders found</h3>
+                      <p>{canEdit ? 'Create one, or start from the reorder report' : 'Orders placed with suppliers show up here'}</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                orders.map(order => (
+                  <tr key={order._id}>
+                    <td className="inventory-id">
+                      <Link to={`/purchase-orders/${order._id}`}>{order.number}</Link>
+                    </td>
+                    <td className="supplier">{order.supplier?.name || '—'}</td>
+                    <td>
+                      <span className={`po-status ${order.status}`}>{PO_STATUS_LABELS[order.status]}</span>
+                    </td>
+                    <td className="quantity">{order.lines.length}</td>
+                    <td className="cost-unit">{formatMoney(order.total, order.currency)}</td>
+                    <td className="warehouse">{order.warehouse?.code || '—'}</td>
+                    <td className="last-updated">{formatDay(order.expectedDate)}</td>
+                    <td className="last-updated">{formatDay(order.createdAt)}</td>
+                    <td className="actions">
+                      <Link to={`/purchase-orders/${order._id}`} className="action-btn view-btn" title="View Purchase Order">
+                        <FaEye />
+                      </Link>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination">
+            <button
+              onClick={() => updateParams({ page: String(pagination.page - 1) })}
+              className="page-btn"
+              disabled={pagination.page <= 1}
+            >
+              <FaChevronLeft /> Previous
+            </button>
+            <span className="page-info">
+              Page {pagination.page} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => updateParams({ page: String(pagination.page + 1) })}
+              className="page-btn"
+              disabled={pagination.page >= pagination.totalPages}
+            >
+              Next <FaChevronRight />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrders;
@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { FaUser, FaEnvelope, FaLock, FaUserPlus } from 'react-icons/fa';
 import { authAPI } from '../services/api';
 import { toast } from 'react-toastify';
 
 const Register = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const [formData, setFormData] = useState({
     username: '',
     email: '',
@@ -70,13 +71,14 @@ const Register = () => {
     try {
       const { username, email, password } = formData;
       const response = await authAPI.register(username, email, password);
-      
-      // save token and user data
-      localStorage.setItem('token', response.token);
-      localStorage.setItem('user', JSON.stringify(response.user));
-      
-      toast.success('Registration successful! Welcome to Smart Inventory Tracker.');
-      navigate('/');
+
+      if (response.emailSent) {
+        toast.success(response.message);
+      } else {
+        toast.warning(response.message);
+      }
+      // log in next; keeps the page that sent them here, e.g. an invitation link
+      navigate('/login', { replace: true, state: { ...location.state, email } });
     } catch (error) {
       // error is already handled by interceptor
       console.error('Registration error:', error);
@@ -183,7 +185,7 @@ const Register = () => {
 
         <div className="auth-footer">
           <p className="auth-link">
-            Already have an account? <Link to="/login">Sign in here</Link>
+            Already have an account? <Link to="/login" state={location.state}>Sign in here</Link>
           </p>
         </div>
       </div>
@@ -0,0 +1,55 @@
+import React from 'react';
+import { FaRedo, FaShoppingCart, FaShieldAlt } from 'react-icons/fa';
+
+const FIELDS = [
+  {
+    name: 'reorderPoint',
+    label: 'Reorder Point',
+    icon: <FaRedo />,
+    help: 'Reorder when stock falls to this level (0 turns reordering off)'
+  },
+  {
+    name: 'reorderQuantity',
+    label: 'Reorder Quantity',
+    icon: <FaShoppingCart />,
+    help: 'How much is usually ordered at once'
+  },
+  {
+    name: 'safetyStock',
+    label: 'Safety Stock',
+    icon: <FaShieldAlt />,
+    help: 'Buffer kept on hand; orders restock above it'
+  }
+];
+
+// Reorder settings shared by the create and edit item forms
+const ReorderFields = ({ formData, errors, onChange, disabled }) => {
+  return (
+    <div className="form-row">
+      {FIELDS.map(field => (
+        <div className="form-group" key={field.name}>
+          <label htmlFor={field.name}>
+            {field.icon} {field.label}
+          </label>
+          <input
+            type="number"
+            id={field.name}
+            name={field.name}
+            value={formData[field.name]}
+            onChange={onChange}
+            step="any"
+            min="0"
+            className={errors[field.name] ? 'error' : ''}
+            disabled={disabled}
+          />
+          <div className="input-help">{field.help}</div>
+          {errors[field.name] && (
+            <span className="field-error">{errors[field.name]}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReorderFields;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaShoppingCart, FaArrowLeft, FaTruck, FaCheckCircle, FaFileInvoiceDollar } from 'react-icons/fa';
+import { inventoryAPI } from '../services/api';
+import Navbar from './Navbar';
+import { formatQuantity } from '../utils/inventory';
+import { formatCurrency, formatDay } from '../utils/format';
+import { hasRole } from '../utils/organization';
+
+// What to order from each supplier: every item at or below its reorder point
+const ReorderSuggestions = () => {
+  const canOrder = hasRole('editor');
+  const [groups, setGroups] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchSuggestions = async () => {
+      try {
+        const response = await inventoryAPI.getReorderSuggestions();
+        setGroups(response.data || []);
+        setTotal(response.total || 0);
+      } catch (error) {
+        console.error('Error fetching reorder suggestions:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSuggestions();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading reorder suggestions...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaShoppingCart /> Reorder Suggestions
+          </h2>
+          <Link to="/" className="secondary-btn">
+            <FaArrowLeft /> Back to Inventory
+          </Link>
+        </div>
+
+        <div className="results-info">
+          <p>
+            {total} {total === 1 ? 'item needs' : 'items need'} reordering
+            {groups.length > 0 && ` from ${groups.length} ${groups.length === 1 ? 'supplier' : 'suppliers'}`}.
+            {' '}Items marked urgent are at or below their safety stock.
+          </p>
+        </div>
+
+        {groups.length === 0 ? (
+          <div className="panel">
+            <div className="empty-state">
+              <FaCheckCircle className="empty-icon" />
+              <h3>Nothing to reorder</h3>
+              <p>Every item with a reorder point is above it</p>
+            </div>
+          </div>
+        ) : (
+          groups.map(group => (
+            <div key={group.supplier._id || 'none'} className="panel reorder-group">
+              <div className="panel-header">
+                <h3 className="panel-title">
+                  <FaTruck />{' '}
+                  {group.supplier._id ? (
+                    <Link to={`/suppliers/${group.supplier._id}`}>{group.supplier.name}</Link>
+                  ) : group.supplier.name}
+                </h3>
+                <div className="reorder-summary">
+                  <span>{group.totalItems} {group.totalItems === 1 ? 'item' : 'items'}</span>
+                  {group.currency && <span>Est. <strong>{formatCurrency(group.estimatedCost, group.currency)}</strong></span>}
+                  <span>Arrives by {formatDay(group.expectedArrival)}</span>
+                  {canOrder && group.supplier._id && (
+                    <Link to={`/purchase-orders/new?supplier=${group.supplier._id}&fromReorder=1`} className="secondary-btn">
+                      <FaFileInvoiceDollar /> Create Purchase Order
+                    </Link>
+                  )}
+                </div>
+              </div>
+
+              {(group.supplier.contactName || group.supplier.email || group.supplier.phone) && (
+                <p className="reorder-contact">
+                  {[group.supplier.contactName, group.supplier.email, group.supplier.phone].filter(Boolean).join(' · ')}
+                </p>
+              )}
+
+              <div className="table-container">
+                <table className="inventory-table">
+                  <thead>
+                    <tr>
+                      <th>Inventory ID</th>
+                      <th>Product</th>
+                      <th>Warehouse</th>
+                      <th>On Hand</th>
+                      <th>Reorder Point</th>
+                      <th>Safety Stock</th>
+                      <th>Suggested Order</th>
+                      <th>Est. Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.items.map(item => (
+                      <tr key={item._id}>
+                        <td className="inventory-id">
+                          <Link to={`/edit/${item._id}`}>{item.inventoryId}</Link>
+                        </td>
+                        <td className="product-name">
+                          {item.productName}
+                          {item.belowSafetyStock && <span className="stock-badge out-of-stock">Urgent</span>}
+                        </td>
+                        <td className="warehouse">{item.warehouse?.code || '—'}</td>
+                        <td className="quantity">{formatQuantity(item.quantity, item.unitOfMeasure)}</td>
+                        <td className="quantity">{formatQuantity(item.reorderPoint, item.unitOfMeasure)}</td>
+                        <td className="quantity">{formatQuantity(item.safetyStock, item.unitOfMeasure)}</td>
+                        <td className="quantity">
+                          <strong>{formatQuantity(item.suggestedQuantity, item.unitOfMeasure)}</strong>
+                        </td>
+                        <td className="cost-unit">{formatCurrency(item.estimatedCost, item.costCurrency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReorderSuggestions;
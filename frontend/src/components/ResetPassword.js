@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { FaKey, FaLock, FaCheck } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { authAPI } from '../services/api';
+
+// Sets a new password from the link emailed by ForgotPassword
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
+    if (formData.confirmPassword !== formData.password) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    return newErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formErrors = validateForm();
+    if (Object.keys(formErrors).length > 0) {
+      setErrors(formErrors);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword(token, formData.password);
+      toast.success(response.message);
+      navigate('/login', { replace: true });
+    } catch (error) {
+      // error is already handled by interceptor
+      console.error('Reset password error:', error);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1 className="auth-title">
+            <FaKey /> Choose a New Password
+          </h1>
+          <p className="auth-subtitle">Every device signed in to your account will be signed out.</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="form-group">
+            <label htmlFor="password">
+              <FaLock /> New Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              placeholder="At least 6 characters"
+              className={errors.password ? 'error' : ''}
+              disabled={loading}
+              autoFocus
+            />
+            {errors.password && <span className="field-error">{errors.password}</span>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">
+              <FaLock /> Confirm Password
+            </label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              placeholder="Repeat the new password"
+              className={errors.confirmPassword ? 'error' : ''}
+              disabled={loading}
+            />
+            {errors.confirmPassword && <span className="field-error">{errors.confirmPassword}</span>}
+          </div>
+
+          <button type="submit" className="auth-btn" disabled={loading}>
+            {loading ? <span className="loading-spinner"></span> : <><FaCheck /> Change Password</>}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          <p className="auth-link">
+            Link expired? <Link to="/forgot-password">Get a new one</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
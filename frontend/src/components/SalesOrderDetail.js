@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  FaShippingFast,
+  FaArrowLeft,
+  FaEdit,
+  FaCheckCircle,
+  FaTrash,
+  FaBan,
+  FaBoxes,
+  FaDolly,
+  FaTruck,
+  FaCheck,
+  FaTimes
+} from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { salesOrderAPI, inventoryAPI } from '../services/api';
+import Navbar from './Navbar';
+import { hasRole } from '../utils/organization';
+import { formatMoney, formatDay, formatDate } from '../utils/format';
+import { formatQuantity, parseSerials } from '../utils/inventory';
+import { SO_STATUS_LABELS, isOpen, canPick, backorderedQuantity } from '../utils/salesOrders';
+
+const SalesOrderDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const canEdit = hasRole('editor');
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  // shipping: tracking number and note for the shipment being recorded,
+  // plus the serial numbers shipped on lines of serial-tracked items
+  const [shipping, setShipping] = useState(null);
+  const [serialLines, setSerialLines] = useState([]);
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      try {
+        const response = await salesOrderAPI.getById(id);
+        setOrder(response.data);
+      } catch (error) {
+        console.error('Error fetching sales order:', error);
+        navigate('/sales-orders');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+  }, [id, navigate]);
+
+  // runs one of the status actions and shows the updated order
+  const runAction = async (action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+
+    setBusy(true);
+    try {
+      const response = await action(id);
+      toast.success(response.message);
+      if (response.data) setOrder(response.data);
+    } catch (error) {
+      console.error('Error updating sales order:', error);
+      // error is already handled by interceptor
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete draft ${order.number}?`)) return;
+
+    setBusy(true);
+    try {
+      const response = await salesOrderAPI.delete(id);
+      toast.success(response.message);
+      navigate('/sales-orders');
+    } catch (error) {
+      console.error('Error deleting sales order:', error);
+      setBusy(false);
+    }
+  };
+
+  // lots are picked first-expiry-first-out by the server, serials have to be named
+  const startShipping = async () => {
+    setShipping({ trackingNumber: order.trackingNumber || '', note: '', serials: {} });
+
+    const allocated = order.lines.filter(line => line.quantityAllocated > 0);
+    const items = await Promise.all(allocated.map(line => inventoryAPI.getById(line.item)
+      .then(response => response.data)
+      .catch(() => null)));
+    setSerialLines(allocated.filter((line, index) => items[index]?.trackingMode === 'serial'));
+  };
+
+  const handleShip = async (e) => {
+    e.preventDefault();
+
+    const lines = serialLines.map(line => ({ line: line._id, serials: parseSerials(shipping.serials[line._id] || '') }));
+    const incomplete = serialLines.find((line, index) => lines[index].serials.length !== line.quantityAllocated);
+    if (incomplete) {
+      toast.error(`${incomplete.inventoryId}: enter one serial number per unit shipped`);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const response = await salesOrderAPI.ship(id, {
+        trackingNumber: shipping.trackingNumber || undefined,
+        note: shipping.note || undefined,
+        lines: lines.length > 0 ? lines : undefined
+      });
+      toast.success(response.message);
+      setOrder(response.data);
+      setShipping(null);
+    } catch (error) {
+      console.error('Error shipping sales order:', error);
+      // error is already handled by interceptor
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading || !order) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading sales order...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaShippingFast /> {order.number}
+            <span className={`so-status ${order.status}`}>{SO_STATUS_LABELS[order.status]}</span>
+          </h2>
+          <div className="control-actions">
+            {canEdit && order.status === 'draft' && (
+              <>
+                <Link to={`/sales-orders/${id}/edit`} className="secondary-btn">
+                  <FaEdit /> Edit
+                </Link>
+                <button type="button" className="secondary-btn danger" onClick={handleDelete} disabled={busy}>
+                  <FaTrash /> Delete
+                </button>
+                <button
+                  type="button"
+                  className="create-btn"
+                  onClick={() => runAction(salesOrderAPI.confirm, `Confirm ${order.number} and reserve its stock? It cannot be edited afterwards.`)}
+                  disabled={busy}
+                >
+                  <FaCheckCircle /> Confirm
+                </button>
+              </>
+            )}
+            {canEdit && isOpen(order) && (
+              <>
+                <button
+                  type="button"
+                  className="secondary-btn danger"
+                  onClick={() => runAction(salesOrderAPI.cancel, `Cancel ${order.number}? Its reserved stock is released; anything already shipped is not returned.`)}
+                  disabled={busy}
+                >
+                  <FaBan /> Cancel Order
+                </button>
+                {order.backordered && (
+                  <button type="button" className="secondary-btn" onClick={() => runAction(salesOrderAPI.allocate)} disabled={busy}>
+                    <FaBoxes /> Allocate Backorders
+                  </button>
+                )}
+                {canPick(order) && (
+                  <button type="button" className="create-btn" onClick={() => runAction(salesOrderAPI.pick)} disabled={busy}>
+                    <FaDolly /> Start Picking
+                  </button>
+                )}
+                {order.status === 'picking' && !shipping && (
+                  <button
+                    type="button"
+                    className="create-btn"
+                    onClick={startShipping}
+                    disabled={busy}
+                  >
+                    <FaTruck /> Ship
+                  </button>
+                )}
+              </>
+            )}
+            <Link to="/sales-orders" className="back-btn">
+              <FaArrowLeft /> All Orders
+            </Link>
+          </div>
+        </div>
+
+        <div className="panel po-summary">
+          <div className="po-parties">
+            <div>
+              <h4>Customer</h4>
+              <p><strong>{order.customerName}</strong></p>
+              {order.customerEmail && <p>{order.customerEmail}</p>}
+              {order.customerReference && <p>Ref: {order.customerReference}</p>}
+              {order.shippingAddress && <p className="po-notes">{order.shippingAddress}</p>}
+            </div>
+            <div>
+              <h4>Ship From</h4>
+              <p><strong>{order.warehouse ? `${order.warehouse.code} - ${order.warehouse.name}` : '—'}</strong></p>
+              {order.trackingNumber && <p>Tracking: {order.trackingNumber}</p>}
+            </div>
+            <div>
+              <h4>Details</h4>
+              <p>Requested: {formatDay(order.requestedDate)}</p>
+              {order.confirmedAt && <p>Confirmed: {formatDay(order.confirmedAt)}</p>}
+              {order.shippedAt && <p>Shipped: {formatDay(order.shippedAt)}</p>}
+              {order.cancelledAt && <p>Cancelled: {formatDay(order.cancelledAt)}</p>}
+              <p>Created by {order.createdBy?.username || 'Unknown user'} on {formatDate(order.createdAt)}</p>
+            </div>
+          </div>
+          {order.notes && <p className="po-notes">{order.notes}</p>}
+        </div>
+
+        {order.backordered && (
+          <div className="results-info">
+            <p>
+              Some lines are on backorder: the warehouse did not have enough unreserved stock.
+              {' '}Allocate again once more stock arrives; allocated lines can be picked and shipped meanwhile.
+            </p>
+          </div>
+        )}
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>Ordered</th>
+                <th>Allocated</th>
+                <th>Shipped</th>
+                <th>Backordered</th>
+                <th>Unit Price</th>
+                <th>Line Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {order.lines.map(line => (
+                <tr key={line._id}>
+                  <td className="product-name">
+                    <Link to={`/edit/${line.item}`}><strong>{line.inventoryId}</strong></Link> {line.productName}
+                  </td>
+                  <td className="quantity">{formatQuantity(line.quantityOrdered, line.unitOfMeasure)}</td>
+                  <td className="quantity">{formatQuantity(line.quantityAllocated, line.unitOfMeasure)}</td>
+                  <td className="quantity">{formatQuantity(line.quantityShipped, line.unitOfMeasure)}</td>
+                  <td className="quantity">
+                    {isOpen(order) && backorderedQuantity(line) > 0
+                      ? <span className="reorder-flag">{formatQuantity(backorderedQuantity(line), line.unitOfMeasure)}</span>
+                      : '—'}
+                  </td>
+                  <td className="cost-unit">{formatMoney(line.unitPrice, order.currency)}</td>
+                  <td className="cost-unit">{formatMoney(line.quantityOrdered * line.unitPrice, order.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="po-total">
+          Total: <strong>{formatMoney(order.total, order.currency)}</strong>
+        </div>
+
+        {shipping && (
+          <form onSubmit={handleShip} className="panel po-receive">
+            <p className="input-help">
+              Ships every allocated quantity from {order.warehouse?.code} and deducts it from stock.
+              {' '}Lot-tracked items ship from the lots that expire first.
+            </p>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="ship-tracking">Tracking Number</label>
+                <input
+                  type="text"
+                  id="ship-tracking"
+                  value={shipping.trackingNumber}
+                  onChange={(e) => setShipping(prev => ({ ...prev, trackingNumber: e.target.value }))}
+                  maxLength={100}
+                  disabled={busy}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="ship-note">Note</label>
+                <input
+                  type="text"
+                  id="ship-note"
+                  value={shipping.note}
+                  onChange={(e) => setShipping(prev => ({ ...prev, note: e.target.value }))}
+                  placeholder="e.g., carrier or parcel count"
+                  maxLength={500}
+                  disabled={busy}
+                />
+              </div>
+              {serialLines.map(line => (
+                <div key={line._id} className="form-group">
+                  <label htmlFor={`ship-serials-${line._id}`}>
+                    Serial Numbers of {line.inventoryId} ({line.quantityAllocated})
+                  </label>
+                  <textarea
+                    id={`ship-serials-${line._id}`}
+                    value={shipping.serials[line._id] || ''}
+                    onChange={(e) => setShipping(prev => ({ ...prev, serials: { ...prev.serials, [line._id]: e.target.value } }))}
+                    placeholder="One per line"
+                    rows={3}
+                    disabled={busy}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="form-actions">
+              <button type="button" className="cancel-btn" onClick={() => setShipping(null)} disabled={busy}>
+                <FaTimes /> Cancel
+              </button>
+              <button type="submit" className="submit-btn" disabled={busy}>
+                <FaCheck /> {busy ? 'Shipping...' : 'Ship Order'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SalesOrderDetail;
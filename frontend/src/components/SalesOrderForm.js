@@ -0,0 +1,423 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { FaShippingFast, FaArrowLeft, FaSave, FaTimes, FaTrash } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { salesOrderAPI, warehouseAPI, inventoryAPI } from '../services/api';
+import Navbar from './Navbar';
+import { formatMoney } from '../utils/format';
+import { formatQuantity } from '../utils/inventory';
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const lineFromItem = (item) => ({
+  item: item._id,
+  inventoryId: item.inventoryId,
+  productName: item.productName,
+  unitOfMeasure: item.unitOfMeasure,
+  quantityOrdered: '1',
+  unitPrice: ''
+});
+
+// Create a sales order, or edit one that is still a draft
+const SalesOrderForm = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const editing = Boolean(id);
+  // ?item= (from an item's page) only seeds the form on first load
+  const seed = useRef(searchParams.get('item'));
+
+  const [warehouses, setWarehouses] = useState([]);
+  const [items, setItems] = useState([]);
+  const [formData, setFormData] = useState({
+    customerName: '',
+    customerEmail: '',
+    customerReference: '',
+    shippingAddress: '',
+    warehouse: '',
+    currency: 'USD',
+    requestedDate: '',
+    notes: ''
+  });
+  const [lines, setLines] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [warehouseResponse, itemResponse] = await Promise.all([
+          warehouseAPI.getAll(),
+          inventoryAPI.getAll({ sort: 'inventoryId', limit: 100 })
+        ]);
+        const activeWarehouses = (warehouseResponse.data || []).filter(warehouse => warehouse.active);
+        const allItems = itemResponse.data || [];
+        setWarehouses(activeWarehouses);
+        setItems(allItems);
+
+        if (editing) {
+          const { data: order } = await salesOrderAPI.getById(id);
+          if (order.status !== 'draft') {
+            toast.info(`${order.number} has been confirmed and can no longer be edited`);
+            navigate(`/sales-orders/${id}`, { replace: true });
+            return;
+          }
+          setFormData({
+            customerName: order.customerName || '',
+            customerEmail: order.customerEmail || '',
+            customerReference: order.customerReference || '',
+            shippingAddress: order.shippingAddress || '',
+            warehouse: order.warehouse?._id || '',
+            currency: order.currency || 'USD',
+            requestedDate: toDateInput(order.requestedDate),
+            notes: order.notes || ''
+          });
+          setLines(order.lines.map(line => ({
+            item: line.item,
+            inventoryId: line.inventoryId,
+            productName: line.productName,
+            unitOfMeasure: line.unitOfMeasure,
+            quantityOrdered: String(line.quantityOrdered),
+            unitPrice: String(line.unitPrice)
+          })));
+        } else {
+          const seededItem = allItems.find(item => item._id === seed.current);
+          if (seededItem) setLines([lineFromItem(seededItem)]);
+          // ship from where the seeded item is kept
+          const warehouse = seededItem?.warehouse?._id;
+          setFormData(prev => ({
+            ...prev,
+            warehouse: activeWarehouses.some(w => w._id === warehouse) ? warehouse : activeWarehouses[0]?._id || ''
+          }));
+        }
+      } catch (error) {
+        console.error('Error loading sales order form:', error);
+        navigate('/sales-orders');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [id, editing, navigate]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleAddItem = (e) => {
+    const item = items.find(option => option._id === e.target.value);
+    if (!item) return;
+    setLines(prev => [...prev, lineFromItem(item)]);
+    setErrors(prev => ({ ...prev, lines: '' }));
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const removeLine = (index) => {
+    setLines(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const total = lines.reduce((sum, line) => sum + (parseFloat(line.quantityOrdered) || 0) * (parseFloat(line.unitPrice) || 0), 0);
+  const currency = /^[A-Z]{3}$/.test(formData.currency) ? formData.currency : 'USD';
+
+  const validateForm = () => {
+    const newErrors = {};
+    if (!formData.customerName.trim()) newErrors.customerName = 'Customer name is required';
+    if (formData.customerEmail && !/^\S+@\S+\.\S+$/.test(formData.customerEmail)) {
+      newErrors.customerEmail = 'Please enter a valid email';
+    }
+    if (!formData.warehouse) newErrors.warehouse = 'Warehouse is required';
+    if (!/^[A-Z]{3}$/.test(formData.currency)) newErrors.currency = 'Use a 3-letter code such as USD';
+    if (lines.length === 0) {
+      newErrors.lines = 'Add at least one item';
+    } else if (lines.some(line => !(parseFloat(line.quantityOrdered) > 0))) {
+      newErrors.lines = 'Every line needs a quantity greater than zero';
+    } else if (lines.some(line => line.unitPrice === '' || parseFloat(line.unitPrice) < 0)) {
+      newErrors.lines = 'Every line needs a unit price of zero or more';
+    }
+    return newErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formErrors = validateForm();
+    if (Object.keys(formErrors).length > 0) {
+      setErrors(formErrors);
+      return;
+    }
+
+    const data = {
+      ...formData,
+      lines: lines.map(line => ({
+        item: line.item,
+        quantityOrdered: parseFloat(line.quantityOrdered),
+        unitPrice: parseFloat(line.unitPrice)
+      }))
+    };
+
+    setSaving(true);
+    try {
+      const response = editing
+        ? await salesOrderAPI.update(id, data)
+        : await salesOrderAPI.create(data);
+      toast.success(response.message);
+      navigate(`/sales-orders/${response.data._id}`);
+    } catch (error) {
+      console.error('Error saving sales order:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading sales order...</p>
+      </div>
+    );
+  }
+
+  const availableItems = items.filter(item => !lines.some(line => line.item === item._id));
+  const backTo = editing ? `/sales-orders/${id}` : '/sales-orders';
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaShippingFast /> {editing ? 'Edit Sales Order' : 'New Sales Order'}
+          </h2>
+          <Link to={backTo} className="back-btn">
+            <FaArrowLeft /> Back
+          </Link>
+        </div>
+
+        <form onSubmit={handleSubmit} className="panel">
+          <div className="item-form compact-form">
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="customerName">Customer *</label>
+                <input
+                  type="text"
+                  id="customerName"
+                  name="customerName"
+                  value={formData.customerName}
+                  onChange={handleChange}
+                  className={errors.customerName ? 'error' : ''}
+                  maxLength={100}
+                  disabled={saving}
+                />
+                {errors.customerName && <span className="field-error">{errors.customerName}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="customerEmail">Customer Email</label>
+                <input
+                  type="email"
+                  id="customerEmail"
+                  name="customerEmail"
+                  value={formData.customerEmail}
+                  onChange={handleChange}
+                  className={errors.customerEmail ? 'error' : ''}
+                  disabled={saving}
+                />
+                {errors.customerEmail && <span className="field-error">{errors.customerEmail}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="customerReference">Customer Reference</label>
+                <input
+                  type="text"
+                  id="customerReference"
+                  name="customerReference"
+                  value={formData.customerReference}
+                  onChange={handleChange}
+                  placeholder="e.g., their PO number"
+                  maxLength={100}
+                  disabled={saving}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="warehouse">Ship From *</label>
+                <select
+                  id="warehouse"
+                  name="warehouse"
+                  value={formData.warehouse}
+                  onChange={handleChange}
+                  className={errors.warehouse ? 'error' : ''}
+                  disabled={saving}
+                >
+                  <option value="">Select a warehouse</option>
+                  {warehouses.map(warehouse => (
+                    <option key={warehouse._id} value={warehouse._id}>{warehouse.code} - {warehouse.name}</option>
+                  ))}
+                </select>
+                {errors.warehouse && <span className="field-error">{errors.warehouse}</span>}
+                <div className="input-help">Stock is reserved in this warehouse when the order is confirmed</div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="requestedDate">Requested Delivery</label>
+                <input
+                  type="date"
+                  id="requestedDate"
+                  name="requestedDate"
+                  value={formData.requestedDate}
+                  onChange={handleChange}
+                  disabled={saving}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="currency">Currency *</label>
+                <input
+                  type="text"
+                  id="currency"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={(e) => handleChange({ target: { name: 'currency', value: e.target.value.toUpperCase() } })}
+                  className={errors.currency ? 'error' : ''}
+                  maxLength={3}
+                  disabled={saving}
+                />
+                {errors.currency && <span className="field-error">{errors.currency}</span>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="shippingAddress">Shipping Address</label>
+                <textarea
+                  id="shippingAddress"
+                  name="shippingAddress"
+                  value={formData.shippingAddress}
+                  onChange={handleChange}
+                  rows="3"
+                  maxLength={500}
+                  disabled={saving}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="notes">Notes</label>
+                <textarea
+                  id="notes"
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleChange}
+                  rows="3"
+                  maxLength={1000}
+                  disabled={saving}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="panel-header">
+            <h3 className="panel-title">Lines</h3>
+            <div className="po-line-tools">
+              <select value="" onChange={handleAddItem} className="filter-select" disabled={saving || availableItems.length === 0} aria-label="Add item">
+                <option value="">{availableItems.length === 0 ? 'No more items' : 'Add an item...'}</option>
+                {availableItems.map(item => (
+                  <option key={item._id} value={item._id}>
+                    {item.inventoryId} - {item.productName} ({formatQuantity(item.available, item.unitOfMeasure)} available)
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="table-container">
+            <table className="inventory-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Quantity</th>
+                  <th>Unit Price</th>
+                  <th>Line Total</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="no-items">Add items from the list above</td>
+                  </tr>
+                ) : (
+                  lines.map((line, index) => (
+                    <tr key={line.item}>
+                      <td className="product-name">
+                        <strong>{line.inventoryId}</strong> {line.productName}
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          className="po-line-input"
+                          value={line.quantityOrdered}
+                          onChange={(e) => updateLine(index, 'quantityOrdered', e.target.value)}
+                          min="0"
+                          step="any"
+                          aria-label={`Quantity of ${line.inventoryId}`}
+                          disabled={saving}
+                        />
+                        {line.unitOfMeasure !== 'each' && <span className="po-unit">{line.unitOfMeasure}</span>}
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          className="po-line-input"
+                          value={line.unitPrice}
+                          onChange={(e) => updateLine(index, 'unitPrice', e.target.value)}
+                          min="0"
+                          step="0.01"
+                          aria-label={`Unit price of ${line.inventoryId}`}
+                          disabled={saving}
+                        />
+                      </td>
+                      <td className="cost-unit">
+                        {formatMoney((parseFloat(line.quantityOrdered) || 0) * (parseFloat(line.unitPrice) || 0), currency)}
+                      </td>
+                      <td className="actions">
+                        <button type="button" className="action-btn delete-btn" onClick={() => removeLine(index)} title="Remove Line" disabled={saving}>
+                          <FaTrash />
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+          {errors.lines && <span className="field-error">{errors.lines}</span>}
+
+          <div className="po-total">
+            Total: <strong>{formatMoney(total, currency)}</strong>
+          </div>
+
+          <div className="form-actions">
+            <Link to={backTo} className="cancel-btn">
+              <FaTimes /> Cancel
+            </Link>
+            <button type="submit" className="submit-btn" disabled={saving}>
+              <FaSave /> {saving ? 'Saving...' : editing ? 'Save Changes' : 'Create Draft'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SalesOrderForm;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { FaShippingFast, FaPlus, FaEye, FaFilter, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { salesOrderAPI } from '../services/api';
+import Navbar from './Navbar';
+import { hasRole } from '../utils/organization';
+import { formatMoney, formatDay } from '../utils/format';
+import { SO_STATUSES, SO_STATUS_LABELS } from '../utils/salesOrders';
+
+const SalesOrders = () => {
+  const canEdit = hasRole('editor');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 1 });
+  const [loading, setLoading] = useState(true);
+
+  const status = searchParams.get('status') || '';
+  const backordered = searchParams.get('backordered') || '';
+  // set when arriving from an item's page
+  const item = searchParams.get('item') || '';
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      const params = { page };
+      if (status) params.status = status;
+      if (backordered) params.backordered = backordered;
+      if (item) params.item = item;
+
+      const response = await salesOrderAPI.getAll(params);
+      setOrders(response.data || []);
+      setPagination({ total: response.total, page: response.page, totalPages: response.totalPages });
+    } catch (error) {
+      console.error('Error fetching sales orders:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, backordered, item, page]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value); else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  // the item's own line, when the list is filtered to one item
+  const itemLine = (order) => order.lines.find(line => line.item === item);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading sales orders...</p>
+      </div>
+    );
+  }
+
+  const itemName = item && orders.map(itemLine).find(Boolean);
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaShippingFast /> Sales Orders
+          </h2>
+          <div className="filter-section">
+            <div className="filter-group">
+              <FaFilter className="filter-icon" />
+              <select
+                value={status}
+                onChange={(e) => updateParams({ status: e.target.value, page: '' })}
+                className="filter-select"
+                aria-label="Status"
+              >
+                <option value="">All Statuses</option>
+                {SO_STATUSES.map(value => (
+                  <option key={value} value={value}>{SO_STATUS_LABELS[value]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="filter-group">
+              <select
+                value={backordered}
+                onChange={(e) => updateParams({ backordered: e.target.value, page: '' })}
+                className="filter-select"
+                aria-label="Backorders"
+              >
+                <option value="">Any Allocation</option>
+                <option value="true">With Backorders</option>
+                <option value="false">Fully Allocated</option>
+              </select>
+            </div>
+          </div>
+          {canEdit && (
+            <Link to={item ? `/sales-orders/new?item=${item}` : '/sales-orders/new'} className="create-btn">
+              <FaPlus /> New Sales Order
+            </Link>
+          )}
+        </div>
+
+        <div className="results-info">
+          <p>
+            {pagination.total} {pagination.total === 1 ? 'sales order' : 'sales orders'}
+            {item && (
+              <>
+                {' '}for {itemName ? `${itemName.inventoryId} - ${itemName.productName}` : 'this item'}
+                {' '}<button type="button" className="clear-filters-btn" onClick={() => updateParams({ item: '', page: '' })}>
+                  Show all items
+                </button>
+              </>
+            )}
+          </p>
+        </div>
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Number</th>
+                <th>Customer</th>
+                <th>Status</th>
+                <th>{item ? 'Ordered' : 'Lines'}</th>
+                <th>Total</th>
+                <th>Ships From</th>
+                <th>Requested</th>
+                <th>Created</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.length === 0 ? (
+                <tr>
+                  <td colSpan="9" className="no-items">
+                    <div className="empty-state">
+                      <FaShippingFast className="empty-icon" />
+                      <h3>No sales orders found</h3>
+                      <p>{canEdit ? 'Create one to reserve stock for a customer' : 'Orders shipped to customers show up here'}</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                orders.map(order => (
+                  <tr key={order._id}>
+                    <td className="inventory-id">
+                      <Link to={`/sales-orders/${order._id}`}>{order.number}</Link>
+                    </td>
+                    <td className="supplier">{order.customerName}</td>
+                    <td>
+                      <span className={`so-status ${order.status}`}>{SO_STATUS_LABELS[order.status]}</span>
+                      {order.backordered && <span className="reorder-flag">Backorder</span>}
+                    </td>
+                    <td className="quantity">{item ? itemLine(order)?.quantityOrdered : order.lines.length}</td>
+                    <td className="cost-unit">{formatMoney(order.total, order.currency)}</td>
+                    <td className="warehouse">{order.warehouse?.code || '—'}</td>
+                    <td className="last-updated">{formatDay(order.requestedDate)}</td>
+                    <td className="last-updated">{formatDay(order.createdAt)}</td>
+                    <td className="actions">
+                      <Link to={`/sales-orders/${order._id}`} className="action-btn view-btn" title="View Sales Order">
+                        <FaEye />
+                      </Link>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination">
+            <button
+              onClick={() => updateParams({ page: String(pagination.page - 1) })}
+              className="page-btn"
+              disabled={pagination.page <= 1}
+            >
+              <FaChevronLeft /> Previous
+            </button>
+            <span className="page-info">
+              Page {pagination.page} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => updateParams({ page: String(pagination.page + 1) })}
+              className="page-btn"
+              disabled={pagination.page >= pagination.totalPages}
+            >
+              Next <FaChevronRight />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SalesOrders;
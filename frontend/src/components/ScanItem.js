@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaBarcode, FaCamera, FaStop, FaSearch, FaEdit, FaArrowDown, FaArrowUp } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { inventoryAPI, movementAPI, warehouseAPI } from '../services/api';
+import Navbar from './Navbar';
+import StockMovementModal from './StockMovementModal';
+import { hasRole } from '../utils/organization';
+import { formatQuantity } from '../utils/inventory';
+
+const SCAN_MODES = [
+  { value: 'open', label: 'Open item', icon: <FaEdit /> },
+  { value: 'receive', label: 'Receive stock', icon: <FaArrowDown />, role: 'editor' },
+  { value: 'issue', label: 'Issue stock', icon: <FaArrowUp />, role: 'editor' }
+];
+
+// symbologies printed on item labels (see backend/utils/barcodes.js)
+const DETECTOR_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'qr_code'];
+
+// how often a camera frame is checked for a code, in ms
+const DETECT_INTERVAL = 300;
+
+// Scans an item's barcode or QR code with the device camera, or takes the
+// code typed in or sent by a keyboard-style scanner, then opens the item or
+// records a receipt or issue for it
+const ScanItem = () => {
+  const navigate = useNavigate();
+  const canMove = hasRole('editor');
+  // BarcodeDetector is missing in some browsers (Firefox, Safari on macOS)
+  const cameraSupported = 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+  const [mode, setMode] = useState('open');
+  const [code, setCode] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [lookingUp, setLookingUp] = useState(false);
+  const [notFound, setNotFound] = useState('');
+  const [item, setItem] = useState(null);
+  const [warehouses, setWarehouses] = useState([]);
+  const [movementModal, setMovementModal] = useState({ show: false, type: null });
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!canMove) return;
+    warehouseAPI.getAll()
+      .then(response => setWarehouses((response.data || []).filter(warehouse => warehouse.active)))
+      .catch(error => console.error('Error fetching warehouses:', error));
+  }, [canMove]);
+
+  const stopCamera = useCallback(() => {
+    clearInterval(timerRef.current);
+    timerRef.current = null;
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setScanning(false);
+  }, []);
+
+  // release the camera when leaving the page
+  useEffect(() => stopCamera, [stopCamera]);
+
+  const handleCode = async (scanned) => {
+    const value = scanned.trim();
+    if (!value) return;
+
+    setLookingUp(true);
+    setNotFound('');
+    try {
+      const response = await inventoryAPI.lookup(value);
+      const found = response.data;
+
+      if (mode === 'open') {
+        navigate(`/edit/${found._id}`);
+        return;
+      }
+      setItem(found);
+      setMovementModal({ show: true, type: mode });
+    } catch (error) {
+      console.error('Error looking up scanned code:', error);
+      if (error.response?.status === 404) {
+        setNotFound(error.response.data?.message || `No item matches ${value}`);
+      }
+    } finally {
+      setLookingUp(false);
+      setCode('');
+    }
+  };
+
+  const startCamera = async () => {
+    try {
+      const supported = await window.BarcodeDetector.getSupportedFormats();
+      const detector = new window.BarcodeDetector({
+        formats: DETECTOR_FORMATS.filter(format => supported.includes(format))
+      });
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setScanning(true);
+      setNotFound('');
+
+      timerRef.current = setInterval(async () => {
+        if (!videoRef.current || videoRef.current.readyState < 2) return;
+        try {
+          const [detected] = await detector.detect(videoRef.current);
+          if (detected && timerRef.current) {
+            stopCamera();
+            handleCode(detected.rawValue);
+          }
+        } catch (error) {
+          console.error('Error reading camera frame:', error);
+        }
+      }, DETECT_INTERVAL);
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      stopCamera();
+      toast.error(error.name === 'NotAllowedError'
+        ? 'Camera access was denied. Allow it in the browser or type the code instead.'
+        : 'Could not start the camera. Type the code instead.');
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    handleCode(code);
+  };
+
+  const closeModal = () => {
+    setMovementModal({ show: false, type: null });
+    inputRef.current?.focus();
+  };
+
+  const handleMovement = async (type, data) => {
+    try {
+      const response = await movementAPI[type](item._id, data);
+      toast.success(response.message || 'Stock updated');
+      setItem(response.data.item);
+      closeModal();
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      // error is already handled by interceptor
+    }
+  };
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaBarcode /> Scan
+          </h2>
+        </div>
+
+        <div className="scan-modes" role="group" aria-label="After scanning">
+          {SCAN_MODES.filter(option => !option.role || hasRole(option.role)).map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`scan-mode ${mode === option.value ? 'active' : ''}`}
+              onClick={() => setMode(option.value)}
+              disabled={scanning}
+            >
+              {option.icon} {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="panel">
+          <div className={`scan-camera ${scanning ? 'active' : ''}`}>
+            <video ref={videoRef} muted playsInline />
+          </div>
+
+          <div className="control-actions">
+            {cameraSupported ? (
+              scanning ? (
+                <button type="button" className="secondary-btn" onClick={stopCamera}>
+                  <FaStop /> Stop Camera
+                </button>
+              ) : (
+                <button type="button" className="submit-btn" onClick={startCamera} disabled={lookingUp}>
+                  <FaCamera /> Scan with Camera
+                </button>
+              )
+            ) : (
+              <p className="input-help">
+                This browser cannot read barcodes from the camera. Type the code or use a handheld scanner.
+              </p>
+            )}
+          </div>
+
+          <form onSubmit={handleSubmit} className="scan-form">
+            <input
+              ref={inputRef}
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Barcode or inventory ID"
+              aria-label="Barcode or inventory ID"
+              disabled={lookingUp}
+              autoFocus
+            />
+            <button type="submit" className="secondary-btn" disabled={!code.trim() || lookingUp}>
+              <FaSearch /> {lookingUp ? 'Looking up...' : 'Find'}
+            </button>
+          </form>
+
+          {notFound && <p className="field-error">{notFound}</p>}
+
+          {item && !movementModal.show && (
+            <p className="input-help">
+              Last scanned: <strong>{item.productName}</strong> ({item.inventoryId}),{' '}
+              {formatQuantity(item.quantity, item.unitOfMeasure)} in stock
+            </p>
+          )}
+        </div>
+      </div>
+
+      <StockMovementModal
+        show={movementModal.show}
+        type={movementModal.type}
+        item={item}
+        warehouses={warehouses}
+        onClose={closeModal}
+        onSubmit={handleMovement}
+      />
+    </div>
+  );
+};
+
+export default ScanItem;
@@ -0,0 +1,398 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaShieldAlt, FaArrowLeft, FaLaptop, FaKey, FaCopy, FaCheck, FaTimes, FaHistory } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { authAPI } from '../services/api';
+import { saveTokens } from '../utils/auth';
+import Navbar from './Navbar';
+import { formatDate, describeDevice } from '../utils/format';
+
+const FAILURE_LABELS = {
+  password: 'Wrong password',
+  'two-factor': 'Wrong two-factor code',
+  throttled: 'Blocked: too many failed attempts'
+};
+
+// Two-factor authentication for the signed-in user: setting it up with an
+// authenticator app, the recovery codes and turning it off again. Below it
+// the recent logins to the account, to spot ones that were not the user.
+const Security = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // the secret and QR code while setting up
+  const [setup, setSetup] = useState(null);
+  // shown once, right after they were created
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [disableData, setDisableData] = useState({ password: '', code: '' });
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [loginHistory, setLoginHistory] = useState([]);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactor();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchLoginHistory = async () => {
+    try {
+      const response = await authAPI.getLoginHistory();
+      setLoginHistory(response.data || []);
+    } catch (error) {
+      console.error('Error fetching login history:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+    fetchLoginHistory();
+  }, []);
+
+  const handleSetup = async () => {
+    setSaving(true);
+    try {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+      setCode('');
+    } catch (error) {
+      console.error('Error setting up two-factor authentication:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      setErrors({ code: 'Enter the code from your authenticator app' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await authAPI.enableTwoFactor(code.trim());
+      // the new access token tells organizations that two-factor authentication is on
+      saveTokens(response);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      toast.success(response.message);
+      fetchStatus();
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      setErrors({ code: 'Enter the code from your authenticator app' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await authAPI.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setCode('');
+      toast.success(response.message);
+      fetchStatus();
+    } catch (error) {
+      console.error('Error creating recovery codes:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    const newErrors = {};
+    if (!disableData.password) newErrors.password = 'Password is required';
+    if (!disableData.code.trim()) newErrors.disableCode = useRecoveryCode ? 'Recovery code is required' : 'Code is required';
+    if (Object.keys(newErrors).length > 0) {
+      setErrors(newErrors);
+      return;
+    }
+    if (!window.confirm('Turn off two-factor authentication? Your password alone will sign you in.')) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await authAPI.disableTwoFactor(
+        disableData.password,
+        useRecoveryCode ? { recoveryCode: disableData.code.trim() } : { code: disableData.code.trim() }
+      );
+      saveTokens(response);
+      setDisableData({ password: '', code: '' });
+      setRecoveryCodes(null);
+      toast.success(response.message);
+      fetchStatus();
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.info('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy the recovery codes');
+    }
+  };
+
+  const handleCodeChange = (e) => {
+    setCode(e.target.value);
+    setErrors({});
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading security settings...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaShieldAlt /> Security
+          </h2>
+          <div className="control-actions">
+            <Link to="/sessions" className="secondary-btn">
+              <FaLaptop /> Sessions
+            </Link>
+            <Link to="/api-keys" className="secondary-btn">
+              <FaKey /> API Keys
+            </Link>
+            <Link to="/" className="secondary-btn">
+              <FaArrowLeft /> Back to Inventory
+            </Link>
+          </div>
+        </div>
+
+        {recoveryCodes && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaKey /> Your Recovery Codes
+              </h3>
+              <button type="button" className="secondary-btn" onClick={handleCopyCodes}>
+                <FaCopy /> Copy
+              </button>
+            </div>
+            <p className="field-hint">
+              Each code signs you in once if you lose your phone. Keep them somewhere safe: they are not shown again.
+            </p>
+            <ul className="recovery-codes">
+              {recoveryCodes.map(recoveryCode => (
+                <li key={recoveryCode}>{recoveryCode}</li>
+              ))}
+            </ul>
+            <div className="form-actions">
+              <button type="button" className="submit-btn" onClick={() => setRecoveryCodes(null)}>
+                <FaCheck /> I Saved Them
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="panel">
+          <div className="panel-header">
+            <h3 className="panel-title">
+              <FaShieldAlt /> Two-Factor Authentication
+            </h3>
+            <span className={`two-factor-badge ${status?.enabled ? 'on' : 'off'}`}>
+              {status?.enabled ? 'On' : 'Off'}
+            </span>
+          </div>
+
+          {!status?.enabled && !setup && (
+            <>
+              <p className="field-hint">
+                Sign in with a code from an authenticator app (Google Authenticator, Authy, 1Password...) as well as your password.
+              </p>
+              <div className="form-actions">
+                <button type="button" className="submit-btn" onClick={handleSetup} disabled={saving}>
+                  <FaShieldAlt /> Turn On
+                </button>
+              </div>
+            </>
+          )}
+
+          {!status?.enabled && setup && (
+            <form onSubmit={handleEnable} className="item-form compact-form">
+              <div className="two-factor-setup">
+                <img src={setup.qrCode} alt="QR code for your authenticator app" />
+                <div>
+                  <p>1. Scan the QR code with your authenticator app.</p>
+                  <p className="field-hint">
+                    Cannot scan it? Enter this key instead: <code className="two-factor-secret">{setup.secret}</code>
+                  </p>
+                  <p>2. Enter the 6-digit code the app shows.</p>
+                  <div className="form-group">
+                    <label htmlFor="code">Code *</label>
+                    <input
+                      type="text"
+                      id="code"
+                      value={code}
+                      onChange={handleCodeChange}
+                      placeholder="123456"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      className={errors.code ? 'error' : ''}
+                      disabled={saving}
+                      autoFocus
+                    />
+                    {errors.code && <span className="field-error">{errors.code}</span>}
+                  </div>
+                </div>
+              </div>
+              <div className="form-actions">
+                <button type="button" className="cancel-btn" onClick={() => setSetup(null)} disabled={saving}>
+                  <FaTimes /> Cancel
+                </button>
+                <button type="submit" className="submit-btn" disabled={saving}>
+                  <FaCheck /> {saving ? 'Verifying...' : 'Verify & Turn On'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {status?.enabled && (
+            <>
+              <p className="field-hint">
+                On since {formatDate(status.enabledAt)}.{' '}
+                {status.recoveryCodesLeft === 1 ? '1 recovery code is' : `${status.recoveryCodesLeft} recovery codes are`} left.
+              </p>
+
+              <form onSubmit={handleRegenerate} className="item-form compact-form">
+                <div className="form-group">
+                  <label htmlFor="code">New recovery codes</label>
+                  <input
+                    type="text"
+                    id="code"
+                    value={code}
+                    onChange={handleCodeChange}
+                    placeholder="Code from your authenticator app"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    className={errors.code ? 'error' : ''}
+                    disabled={saving}
+                  />
+                  {errors.code && <span className="field-error">{errors.code}</span>}
+                  <span className="field-hint">Replaces your recovery codes; the old ones stop working.</span>
+                </div>
+                <div className="form-actions">
+                  <button type="submit" className="submit-btn" disabled={saving}>
+                    <FaKey /> Create New Codes
+                  </button>
+                </div>
+              </form>
+
+              <form onSubmit={handleDisable} className="item-form compact-form">
+                <div className="form-grid">
+                  <div className="form-group">
+                    <label htmlFor="disable-password">Password *</label>
+                    <input
+                      type="password"
+                      id="disable-password"
+                      value={disableData.password}
+                      onChange={(e) => { setDisableData(prev => ({ ...prev, password: e.target.value })); setErrors({}); }}
+                      className={errors.password ? 'error' : ''}
+                      disabled={saving}
+                    />
+                    {errors.password && <span className="field-error">{errors.password}</span>}
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="disable-code">{useRecoveryCode ? 'Recovery code *' : 'Code *'}</label>
+                    <input
+                      type="text"
+                      id="disable-code"
+                      value={disableData.code}
+                      onChange={(e) => { setDisableData(prev => ({ ...prev, code: e.target.value })); setErrors({}); }}
+                      placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                      autoComplete="one-time-code"
+                      className={errors.disableCode ? 'error' : ''}
+                      disabled={saving}
+                    />
+                    {errors.disableCode && <span className="field-error">{errors.disableCode}</span>}
+                    <button type="button" className="link-btn" onClick={() => setUseRecoveryCode(prev => !prev)}>
+                      {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code'}
+                    </button>
+                  </div>
+                </div>
+                <div className="form-actions">
+                  <button type="submit" className="secondary-btn danger" disabled={saving}>
+                    <FaTimes /> Turn Off Two-Factor Authentication
+                  </button>
+                </div>
+              </form>
+            </>
+          )}
+        </div>
+
+        <div className="panel">
+          <div className="panel-header">
+            <h3 className="panel-title">
+              <FaHistory /> Login History
+            </h3>
+          </div>
+          {loginHistory.length === 0 ? (
+            <p className="panel-empty">No logins recorded yet</p>
+          ) : (
+            <div className="table-container">
+              <table className="inventory-table">
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>Result</th>
+                    <th>Device</th>
+                    <th>IP Address</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loginHistory.map(attempt => (
+                    <tr key={attempt._id}>
+                      <td>{formatDate(attempt.createdAt)}</td>
+                      <td>
+                        <span className={`login-result ${attempt.success ? 'success' : 'failure'}`}>
+                          {attempt.success ? 'Signed in' : FAILURE_LABELS[attempt.reason] || 'Failed'}
+                        </span>
+                      </td>
+                      <td title={attempt.userAgent}>{describeDevice(attempt.userAgent)}</td>
+                      <td>{attempt.ip || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="field-hint">
+            Do not recognize a login? Sign out your other devices on the <Link to="/sessions">Sessions</Link> page and reset your password.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Security;
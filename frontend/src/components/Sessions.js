@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaLaptop, FaArrowLeft, FaSignOutAlt } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { authAPI } from '../services/api';
+import Navbar from './Navbar';
+import { formatDate, describeDevice } from '../utils/format';
+
+// The devices the user is signed in on, with a way to sign any of them out
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (!window.confirm(`Sign out ${describeDevice(session.userAgent)}?`)) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const response = await authAPI.revokeSession(session._id);
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device?')) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const response = await authAPI.revokeOtherSessions();
+      setSessions(prev => prev.filter(s => s.current));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading sessions...</p>
+      </div>
+    );
+  }
+
+  const others = sessions.filter(session => !session.current);
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaLaptop /> Sessions
+          </h2>
+          <div className="control-actions">
+            {others.length > 0 && (
+              <button type="button" className="secondary-btn" onClick={handleRevokeOthers} disabled={busy}>
+                <FaSignOutAlt /> Sign Out Other Devices
+              </button>
+            )}
+            <Link to="/" className="secondary-btn">
+              <FaArrowLeft /> Back to Inventory
+            </Link>
+          </div>
+        </div>
+
+        <div className="results-info">
+          <p>
+            Devices you are signed in on. Signing a device out ends its session within a few minutes.
+          </p>
+        </div>
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Device</th>
+                <th>IP Address</th>
+                <th>Signed In</th>
+                <th>Last Active</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map(session => (
+                <tr key={session._id}>
+                  <td className="product-name" title={session.userAgent}>
+                    {describeDevice(session.userAgent)}
+                    {session.current && <span className="role-badge current-session">This device</span>}
+                  </td>
+                  <td>{session.ip || '—'}</td>
+                  <td>{formatDate(session.createdAt)}</td>
+                  <td>{formatDate(session.lastUsedAt)}</td>
+                  <td className="actions">
+                    {!session.current && (
+                      <button
+                        onClick={() => handleRevoke(session)}
+                        className="action-btn delete-btn"
+                        title="Sign Out"
+                        disabled={busy}
+                      >
+                        <FaSignOutAlt />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
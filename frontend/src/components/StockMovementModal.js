@@ -0,0 +1,405 @@
+import React, { useState, useEffect } from 'react';
+import { FaTimes, FaArrowDown, FaArrowUp, FaBalanceScale, FaExchangeAlt } from 'react-icons/fa';
+import { ADJUSTMENT_REASONS, formatQuantity, isTracked, parseSerials } from '../utils/inventory';
+import { formatDay } from '../utils/format';
+import { lotAPI } from '../services/api';
+
+const modalConfig = {
+  receive: { title: 'Receive Stock', icon: <FaArrowDown />, submitLabel: 'Receive' },
+  issue: { title: 'Issue Stock', icon: <FaArrowUp />, submitLabel: 'Issue' },
+  adjust: { title: 'Adjust Stock', icon: <FaBalanceScale />, submitLabel: 'Adjust' },
+  transfer: { title: 'Transfer Stock', icon: <FaExchangeAlt />, submitLabel: 'Transfer' }
+};
+
+const emptyForm = {
+  quantity: '',
+  warehouse: '',
+  toWarehouse: '',
+  reasonCode: 'count-correction',
+  unitCost: '',
+  reference: '',
+  note: '',
+  // lot- and serial-tracked items
+  lotCode: '',
+  expiryDate: '',
+  serials: ''
+};
+
+const StockMovementModal = ({ show, type, item, warehouses = [], onClose, onSubmit }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  // lots or serials of a tracked item that are in stock
+  const [lots, setLots] = useState([]);
+
+  useEffect(() => {
+    if (show) {
+      setFormData({ ...emptyForm, warehouse: item?.warehouse?._id || '' });
+      setError('');
+    }
+  }, [show, item]);
+
+  useEffect(() => {
+    if (!show || !isTracked(item)) return;
+    lotAPI.getAll(item._id, { inStock: true })
+      .then(response => setLots(response.data || []))
+      .catch(error => console.error('Error fetching lots:', error));
+  }, [show, item]);
+
+  if (!show || !modalConfig[type]) return null;
+
+  const config = modalConfig[type];
+  const tracking = isTracked(item) ? item.trackingMode : null;
+  const serialNumbers = tracking === 'serial' ? parseSerials(formData.serials) : [];
+  // receipts and positive adjustments bring new lots or serials in
+  const incoming = type === 'receive' || (type === 'adjust' && !(parseFloat(formData.quantity) < 0));
+
+  const lotQuantityIn = (lot, warehouseId) => {
+    const location = lot.locations.find(l => (l.warehouse?._id || l.warehouse) === warehouseId);
+    return location ? location.quantity : 0;
+  };
+  const currentWarehouse = formData.warehouse || item?.warehouse?._id;
+  const lotsHere = lots.filter(lot => lotQuantityIn(lot, currentWarehouse) > 0);
+
+  const quantityIn = (warehouseId) => {
+    const location = item?.locations?.find(l => (l.warehouse?._id || l.warehouse) === warehouseId);
+    return location ? location.quantity : 0;
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && !submitting) {
+      onClose();
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // a serial-tracked movement moves one unit per serial number; only an
+    // adjustment asks for the quantity, for its sign
+    const quantity = tracking === 'serial' && type !== 'adjust'
+      ? serialNumbers.length
+      : parseFloat(formData.quantity);
+    if (tracking === 'serial' && (serialNumbers.length === 0 || Math.abs(quantity) !== serialNumbers.length)) {
+      setError('Enter one serial number per unit');
+      return;
+    }
+    if (tracking === 'lot' && !formData.lotCode.trim()) {
+      setError(incoming ? 'Enter the lot number' : 'Choose a lot');
+      return;
+    }
+    if (isNaN(quantity) || quantity === 0 || (type !== 'adjust' && quantity < 0)) {
+      setError(type === 'adjust'
+        ? 'Enter a non-zero quantity (negative to remove stock)'
+        : 'Quantity must be greater than zero');
+      return;
+    }
+
+    if (type === 'receive' && formData.unitCost !== '' && !(parseFloat(formData.unitCost) >= 0)) {
+      setError('Unit cost must be zero or more');
+      return;
+    }
+
+    if (type === 'transfer' && (!formData.toWarehouse || formData.toWarehouse === formData.warehouse)) {
+      setError('Choose a different destination warehouse');
+      return;
+    }
+
+    const data = {
+      quantity,
+      reference: formData.reference || undefined,
+      note: formData.note || undefined
+    };
+    if (type === 'transfer') {
+      data.fromWarehouse = formData.warehouse || undefined;
+      data.toWarehouse = formData.toWarehouse;
+    } else {
+      data.warehouse = formData.warehouse || undefined;
+    }
+    if (type === 'adjust') {
+      data.reasonCode = formData.reasonCode;
+    }
+    if (type === 'receive' && formData.unitCost !== '') {
+      data.unitCost = parseFloat(formData.unitCost);
+    }
+    if (tracking === 'serial') {
+      data.serials = serialNumbers;
+      if (incoming && formData.expiryDate) data.expiryDate = formData.expiryDate;
+    }
+    if (tracking === 'lot') {
+      data.lots = [{
+        code: formData.lotCode.trim(),
+        quantity: Math.abs(quantity),
+        expiryDate: incoming && formData.expiryDate ? formData.expiryDate : undefined
+      }];
+    }
+
+    setSubmitting(true);
+    try {
+      await onSubmit(type, data);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div className="modal-content form-modal">
+        <div className="modal-header">
+          <div className={`modal-icon movement ${type}`}>
+            {config.icon}
+          </div>
+          <h3 className="modal-title">{config.title}</h3>
+          <button onClick={onClose} className="modal-close-btn" disabled={submitting}>
+            <FaTimes />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <p className="modal-message">
+              <strong>{item?.inventoryId} - {item?.productName}</strong>
+              <br />
+              On hand: {formatQuantity(item?.quantity, item?.unitOfMeasure)}
+            </p>
+
+            {!(tracking === 'serial' && type !== 'adjust') && (
+              <div className="form-group">
+                <label htmlFor="movement-quantity">Quantity *</label>
+                <input
+                  type="number"
+                  id="movement-quantity"
+                  name="quantity"
+                  value={formData.quantity}
+                  onChange={handleChange}
+                  step="any"
+                  min={type === 'adjust' ? undefined : '0'}
+                  className={error ? 'error' : ''}
+                  disabled={submitting}
+                  autoFocus
+                />
+                {type === 'adjust' && (
+                  <div className="input-help">Use a negative number to remove stock</div>
+                )}
+                {error && <span className="field-error">{error}</span>}
+              </div>
+            )}
+
+            {type === 'receive' && (
+              <div className="form-group">
+                <label htmlFor="movement-unit-cost">Unit Cost{item?.costCurrency ? ` (${item.costCurrency})` : ''}</label>
+                <input
+                  type="number"
+                  id="movement-unit-cost"
+                  name="unitCost"
+                  value={formData.unitCost}
+                  onChange={handleChange}
+                  step="0.01"
+                  min="0"
+                  placeholder={item?.costUnit !== undefined ? String(item.costUnit) : ''}
+                  disabled={submitting}
+                />
+                <div className="input-help">What this delivery cost per unit; the item's cost is used when left empty</div>
+              </div>
+            )}
+
+            {type === 'adjust' && (
+              <div className="form-group">
+                <label htmlFor="movement-reason">Reason *</label>
+                <select
+                  id="movement-reason"
+                  name="reasonCode"
+                  value={formData.reasonCode}
+                  onChange={handleChange}
+                  disabled={submitting}
+                >
+                  {ADJUSTMENT_REASONS.map(reason => (
+                    <option key={reason.value} value={reason.value}>{reason.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="movement-warehouse">{type === 'transfer' ? 'From Warehouse *' : 'Warehouse'}</label>
+              <select
+                id="movement-warehouse"
+                name="warehouse"
+                value={formData.warehouse}
+                onChange={handleChange}
+                disabled={submitting}
+              >
+                {warehouses.map(warehouse => (
+                  <option key={warehouse._id} value={warehouse._id}>
+                    {warehouse.code} - {warehouse.name} ({formatQuantity(quantityIn(warehouse._id), item?.unitOfMeasure)} on hand)
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {type === 'transfer' && (
+              <div className="form-group">
+                <label htmlFor="movement-to-warehouse">To Warehouse *</label>
+                <select
+                  id="movement-to-warehouse"
+                  name="toWarehouse"
+                  value={formData.toWarehouse}
+                  onChange={handleChange}
+                  disabled={submitting}
+                >
+                  <option value="">Select a warehouse</option>
+                  {warehouses
+                    .filter(warehouse => warehouse._id !== formData.warehouse)
+                    .map(warehouse => (
+                      <option key={warehouse._id} value={warehouse._id}>
+                        {warehouse.code} - {warehouse.name}
+                      </option>
+                    ))}
+                </select>
+              </div>
+            )}
+
+            {tracking === 'lot' && (incoming ? (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="movement-lot">Lot Number *</label>
+                  <input
+                    type="text"
+                    id="movement-lot"
+                    name="lotCode"
+                    value={formData.lotCode}
+                    onChange={handleChange}
+                    placeholder="e.g., B-2025-117"
+                    maxLength={100}
+                    list="movement-lot-codes"
+                    disabled={submitting}
+                  />
+                  <datalist id="movement-lot-codes">
+                    {lots.map(lot => <option key={lot._id} value={lot.code} />)}
+                  </datalist>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="movement-expiry">Expiry Date</label>
+                  <input
+                    type="date"
+                    id="movement-expiry"
+                    name="expiryDate"
+                    value={formData.expiryDate}
+                    onChange={handleChange}
+                    disabled={submitting}
+                  />
+                </div>
+              </div>
+            ) : (
+              <div className="form-group">
+                <label htmlFor="movement-lot">Lot *</label>
+                <select
+                  id="movement-lot"
+                  name="lotCode"
+                  value={formData.lotCode}
+                  onChange={handleChange}
+                  disabled={submitting}
+                >
+                  <option value="">Select a lot</option>
+                  {lotsHere.map(lot => (
+                    <option key={lot._id} value={lot.code}>
+                      {lot.code}{lot.expiryDate ? `, expires ${formatDay(lot.expiryDate)}` : ''} ({formatQuantity(lotQuantityIn(lot, currentWarehouse), item?.unitOfMeasure)})
+                    </option>
+                  ))}
+                </select>
+                {lotsHere.length === 0 && (
+                  <div className="input-help">No lots of this item in the selected warehouse</div>
+                )}
+              </div>
+            ))}
+
+            {tracking === 'serial' && (
+              <div className="form-group">
+                <label htmlFor="movement-serials">Serial Numbers *</label>
+                <textarea
+                  id="movement-serials"
+                  name="serials"
+                  value={formData.serials}
+                  onChange={handleChange}
+                  rows="4"
+                  placeholder="One per line, or scan them in"
+                  className={error && type !== 'adjust' ? 'error' : ''}
+                  disabled={submitting}
+                  autoFocus={type !== 'adjust'}
+                />
+                <div className="input-help">
+                  {serialNumbers.length} serial number(s)
+                  {!incoming && lotsHere.length > 0 && (
+                    `; in stock here: ${lotsHere.slice(0, 20).map(lot => lot.code).join(', ')}${lotsHere.length > 20 ? ', ...' : ''}`
+                  )}
+                </div>
+                {type !== 'adjust' && error && <span className="field-error">{error}</span>}
+              </div>
+            )}
+
+            {tracking === 'serial' && incoming && (
+              <div className="form-group">
+                <label htmlFor="movement-expiry">Expiry Date</label>
+                <input
+                  type="date"
+                  id="movement-expiry"
+                  name="expiryDate"
+                  value={formData.expiryDate}
+                  onChange={handleChange}
+                  disabled={submitting}
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="movement-reference">Reference</label>
+              <input
+                type="text"
+                id="movement-reference"
+                name="reference"
+                value={formData.reference}
+                onChange={handleChange}
+                placeholder="e.g., packing slip or order number"
+                maxLength={100}
+                disabled={submitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="movement-note">Note</label>
+              <input
+                type="text"
+                id="movement-note"
+                name="note"
+                value={formData.note}
+                onChange={handleChange}
+                maxLength={500}
+                disabled={submitting}
+              />
+            </div>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" onClick={onClose} className="modal-btn cancel-btn" disabled={submitting}>
+              Cancel
+            </button>
+            <button type="submit" className="modal-btn confirm-btn" disabled={submitting}>
+              {submitting ? 'Saving...' : config.submitLabel}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StockMovementModal;
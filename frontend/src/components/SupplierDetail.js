@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { FaArrowLeft, FaTruck, FaBoxOpen, FaEdit } from 'react-icons/fa';
+import { supplierAPI } from '../services/api';
+import Navbar from './Navbar';
+import { formatCurrency } from '../utils/format';
+import { formatQuantity, stockClassName } from '../utils/inventory';
+
+const SupplierDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [supplier, setSupplier] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchSupplier = async () => {
+      try {
+        const response = await supplierAPI.getById(id);
+        setSupplier(response.data);
+      } catch (error) {
+        console.error('Error fetching supplier:', error);
+        navigate('/suppliers');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSupplier();
+  }, [id, navigate]);
+
+  if (loading || !supplier) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading supplier...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaTruck /> {supplier.name}
+            {!supplier.active && <span className="stock-badge out-of-stock">Inactive</span>}
+          </h2>
+          <Link to="/suppliers" className="back-btn">
+            <FaArrowLeft /> All Suppliers
+          </Link>
+        </div>
+
+        <div className="stats-grid">
+          <div className="stat-card total">
+            <div className="stat-icon">
+              <FaBoxOpen />
+            </div>
+            <div className="stat-info">
+              <h3>{supplier.itemCount}</h3>
+              <p>Items Supplied</p>
+            </div>
+          </div>
+          <div className="stat-card in-stock">
+            <div className="stat-icon">
+              <FaBoxOpen />
+            </div>
+            <div className="stat-info">
+              <h3>{supplier.totalUnits.toLocaleString()}</h3>
+              <p>Units On Hand</p>
+            </div>
+          </div>
+          <div className="stat-card value">
+            <div className="stat-icon">$</div>
+            <div className="stat-info">
+              <h3>{formatCurrency(supplier.totalValue, supplier.baseCurrency)}</h3>
+              <p>Inventory Value</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="panel supplier-details">
+          <dl>
+            <div>
+              <dt>Contact</dt>
+              <dd>{supplier.contactName || '—'}</dd>
+            </div>
+            <div>
+              <dt>Email</dt>
+              <dd>{supplier.email ? <a href={`mailto:${supplier.email}`}>{supplier.email}</a> : '—'}</dd>
+            </div>
+            <div>
+              <dt>Phone</dt>
+              <dd>{supplier.phone ? <a href={`tel:${supplier.phone}`}>{supplier.phone}</a> : '—'}</dd>
+            </div>
+            <div>
+              <dt>Default Lead Time</dt>
+              <dd>{supplier.defaultLeadTimeDays} days</dd>
+            </div>
+            <div>
+              <dt>Currency</dt>
+              <dd>{supplier.currency}</dd>
+            </div>
+          </dl>
+          {supplier.notes && <p className="supplier-notes">{supplier.notes}</p>}
+        </div>
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Inventory ID</th>
+                <th>Product</th>
+                <th>Quantity</th>
+                <th>Stock</th>
+                <th>Cost</th>
+                <th>Value</th>
+                <th>Warehouse</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {supplier.items.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="no-items">
+                    <div className="empty-state">
+                      <FaBoxOpen className="empty-icon" />
+                      <h3>No items from this supplier</h3>
+                      <p>Assign this supplier to an item to see it here</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                supplier.items.map(item => (
+                  <tr key={item._id}>
+                    <td className="inventory-id">
+                      <span className="id-badge">{item.inventoryId}</span>
+                    </td>
+                    <td className="product-name">{item.productName}</td>
+                    <td className="quantity">{formatQuantity(item.quantity, item.unitOfMeasure)}</td>
+                    <td>
+                      <span className={`stock-badge ${stockClassName(item.stock)}`}>
+                        {item.stock}
+                      </span>
+                    </td>
+                    <td className="cost-unit">{formatCurrency(item.costUnit, item.costCurrency)}</td>
+                    <td className="cost-unit">{formatCurrency(item.quantity * item.costUnit, item.costCurrency)}</td>
+                    <td>
+                      <span className="warehouse-badge" title={item.warehouse?.name}>
+                        {item.warehouse?.code}
+                      </span>
+                    </td>
+                    <td className="actions">
+                      <Link
+                        to={`/edit/${item._id}`}
+                        className="action-btn edit-btn"
+                        title="Edit Item"
+                      >
+                        <FaEdit />
+                      </Link>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SupplierDetail;
@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaTruck, FaPlus, FaEdit, FaTrash, FaSave, FaTimes, FaEye } from 'react-icons/fa';
+import { supplierAPI } from '../services/api';
+import { toast } from 'react-toastify';
+import Navbar from './Navbar';
+import { hasRole } from '../utils/organization';
+import { formatCurrency } from '../utils/format';
+
+const emptyForm = {
+  name: '',
+  contactName: '',
+  email: '',
+  phone: '',
+  defaultLeadTimeDays: '',
+  currency: 'USD',
+  notes: '',
+  active: true
+};
+
+const Suppliers = () => {
+  const canEdit = hasRole('editor');
+  const [suppliers, setSuppliers] = useState([]);
+  // totals come back converted into the organization's base currency
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, []);
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await supplierAPI.getAll();
+      setSuppliers(response.data || []);
+      setBaseCurrency(response.baseCurrency || 'USD');
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setFormData(emptyForm);
+    setErrors({});
+    setShowForm(true);
+  };
+
+  const openEditForm = (supplier) => {
+    setEditingId(supplier._id);
+    setFormData({
+      name: supplier.name,
+      contactName: supplier.contactName || '',
+      email: supplier.email || '',
+      phone: supplier.phone || '',
+      defaultLeadTimeDays: supplier.defaultLeadTimeDays?.toString() || '',
+      currency: supplier.currency || 'USD',
+      notes: supplier.notes || '',
+      active: supplier.active
+    });
+    setErrors({});
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    let processedValue = type === 'checkbox' ? checked : value;
+
+    if (name === 'currency') {
+      processedValue = value.toUpperCase().replace(/[^A-Z]/g, '');
+    }
+
+    setFormData(prev => ({ ...prev, [name]: processedValue }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Supplier name is required';
+    } else if (formData.name.length > 100) {
+      newErrors.name = 'Supplier name cannot exceed 100 characters';
+    }
+
+    if (formData.email && !/\S+@\S+\.\S+/.test(formData.email)) {
+      newErrors.email = 'Email is invalid';
+    }
+
+    if (formData.defaultLeadTimeDays !== '' && parseInt(formData.defaultLeadTimeDays, 10) < 0) {
+      newErrors.defaultLeadTimeDays = 'Lead time cannot be negative';
+    }
+
+    if (!/^[A-Z]{3}$/.test(formData.currency)) {
+      newErrors.currency = 'Currency must be a 3-letter ISO code';
+    }
+
+    return newErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formErrors = validateForm();
+    if (Object.keys(formErrors).length > 0) {
+      setErrors(formErrors);
+      return;
+    }
+
+    const data = {
+      ...formData,
+      defaultLeadTimeDays: formData.defaultLeadTimeDays === '' ? 0 : parseInt(formData.defaultLeadTimeDays, 10)
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await supplierAPI.update(editingId, data);
+        toast.success('Supplier updated successfully!');
+      } else {
+        await supplierAPI.create(data);
+        toast.success('Supplier created successfully!');
+      }
+      closeForm();
+      fetchSuppliers();
+    } catch (error) {
+      console.error('Error saving supplier:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(`Delete supplier ${supplier.name}?`)) {
+      return;
+    }
+
+    try {
+      await supplierAPI.delete(supplier._id);
+      toast.success('Supplier deleted successfully!');
+      setSuppliers(prev => prev.filter(s => s._id !== supplier._id));
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      // error is already handled by interceptor
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading suppliers...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaTruck /> Suppliers
+          </h2>
+          {canEdit && (
+            <button onClick={openCreateForm} className="create-btn">
+              <FaPlus /> Add Supplier
+            </button>
+          )}
+        </div>
+
+        {showForm && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaTruck /> {editingId ? 'Edit Supplier' : 'New Supplier'}
+              </h3>
+            </div>
+
+            <form onSubmit={handleSubmit} className="item-form compact-form">
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="name">Name *</label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    placeholder="e.g., TechSupply Inc"
+                    className={errors.name ? 'error' : ''}
+                    disabled={saving}
+                    maxLength={100}
+                  />
+                  {errors.name && <span className="field-error">{errors.name}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="contactName">Contact Name</label>
+                  <input type="text" id="contactName" name="contactName" value={formData.contactName} onChange={handleChange} disabled={saving} maxLength={100} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="email">Email</label>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    className={errors.email ? 'error' : ''}
+                    disabled={saving}
+                  />
+                  {errors.email && <span className="field-error">{errors.email}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="phone">Phone</label>
+                  <input type="tel" id="phone" name="phone" value={formData.phone} onChange={handleChange} disabled={saving} maxLength={30} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="defaultLeadTimeDays">Default Lead Time (days)</label>
+                  <input
+                    type="number"
+                    id="defaultLeadTimeDays"
+                    name="defaultLeadTimeDays"
+                    value={formData.defaultLeadTimeDays}
+                    onChange={handleChange}
+                    min="0"
+                    step="1"
+                    className={errors.defaultLeadTimeDays ? 'error' : ''}
+                    disabled={saving}
+                  />
+                  {errors.defaultLeadTimeDays && <span className="field-error">{errors.defaultLeadTimeDays}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="currency">Currency</label>
+                  <input
+                    type="text"
+                    id="currency"
+                    name="currency"
+                    value={formData.currency}
+                    onChange={handleChange}
+                    placeholder="e.g., USD"
+                    className={errors.currency ? 'error' : ''}
+                    disabled={saving}
+                    maxLength={3}
+                  />
+                  {errors.currency && <span className="field-error">{errors.currency}</span>}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="notes">Notes</label>
+                <textarea
+                  id="notes"
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleChange}
+                  rows={3}
+                  disabled={saving}
+                  maxLength={1000}
+                />
+              </div>
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="active"
+                  checked={formData.active}
+                  onChange={handleChange}
+                  disabled={saving}
+                />
+                Active (available in supplier pickers)
+              </label>
+
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={saving}>
+                  <FaSave /> {saving ? 'Saving...' : editingId ? 'Update Supplier' : 'Create Supplier'}
+                </button>
+                <button type="button" onClick={closeForm} className="cancel-btn" disabled={saving}>
+                  <FaTimes /> Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Contact</th>
+                <th>Lead Time</th>
+                <th>Currency</th>
+                <th>Items</th>
+                <th>Inventory Value</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {suppliers.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="no-items">
+                    <div className="empty-state">
+                      <FaTruck className="empty-icon" />
+                      <h3>No suppliers yet</h3>
+                      <p>Add a supplier before creating inventory items</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                suppliers.map(supplier => (
+                  <tr key={supplier._id}>
+                    <td className="product-name">
+                      <Link to={`/suppliers/${supplier._id}`}>{supplier.name}</Link>
+                    </td>
+                    <td className="supplier">
+                      {supplier.contactName || '—'}
+                      {supplier.email && <div className="contact-detail">{supplier.email}</div>}
+                      {supplier.phone && <div className="contact-detail">{supplier.phone}</div>}
+                    </td>
+                    <td>{supplier.defaultLeadTimeDays} days</td>
+                    <td>{supplier.currency}</td>
+                    <td>{supplier.itemCount}</td>
+                    <td className="cost-unit">{formatCurrency(supplier.totalValue, baseCurrency)}</td>
+                    <td>
+                      <span className={`stock-badge ${supplier.active ? 'in-stock' : 'out-of-stock'}`}>
+                        {supplier.active ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="actions">
+                      <Link
+                        to={`/suppliers/${supplier._id}`}
+                        className="action-btn view-btn"
+                        title="View Supplier"
+                      >
+                        <FaEye />
+                      </Link>
+                      {canEdit && (
+                        <>
+                          <button
+                            onClick={() => openEditForm(supplier)}
+                            className="action-btn edit-btn"
+                            title="Edit Supplier"
+                          >
+                            <FaEdit />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(supplier)}
+                            className="action-btn delete-btn"
+                            title="Delete Supplier"
+                          >
+                            <FaTrash />
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Suppliers;
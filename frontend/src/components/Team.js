@@ -0,0 +1,618 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaUsers, FaUserPlus, FaEdit, FaTrash, FaSave, FaTimes, FaCopy, FaSignOutAlt, FaPlus, FaCheck, FaEnvelope } from 'react-icons/fa';
+import { organizationAPI, invitationAPI } from '../services/api';
+import { toast } from 'react-toastify';
+import Navbar from './Navbar';
+import {
+  ROLES,
+  ROLE_LABELS,
+  ROLE_DESCRIPTIONS,
+  COSTING_METHOD_LABELS,
+  getCurrentOrganization,
+  setCurrentOrganization,
+  clearCurrentOrganization,
+  hasRole
+} from '../utils/organization';
+import { COMMON_CURRENCIES } from '../utils/format';
+
+const INVITABLE_ROLES = ROLES.filter(role => role !== 'owner');
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const Team = () => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  const isOwner = hasRole('owner');
+  const isAdmin = hasRole('admin');
+
+  const [organization, setOrganization] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [myInvitations, setMyInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState('');
+  const [inviteData, setInviteData] = useState({ email: '', role: 'editor' });
+  const [newOrganizationName, setNewOrganizationName] = useState('');
+  const [errors, setErrors] = useState({});
+
+  const fetchTeam = useCallback(async () => {
+    try {
+      const [current, mine, pending] = await Promise.all([
+        organizationAPI.getCurrent(),
+        // invitations are only shown once the email address is confirmed
+        user.emailVerified === false ? Promise.resolve({ data: [] }) : invitationAPI.getMine(),
+        isAdmin ? organizationAPI.getInvitations() : Promise.resolve({ data: [] })
+      ]);
+      setOrganization(current.data);
+      setMyInvitations(mine.data || []);
+      setInvitations(pending.data || []);
+    } catch (error) {
+      console.error('Error fetching team:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAdmin, user.emailVerified]);
+
+  useEffect(() => {
+    fetchTeam();
+  }, [fetchTeam]);
+
+  // switching organization reloads every page's data, so start over on the dashboard
+  const switchTo = (summary) => {
+    setCurrentOrganization(summary);
+    window.location.assign('/');
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setErrors({ name: 'Organization name is required' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await organizationAPI.rename(name.trim());
+      setCurrentOrganization(response.data);
+      setOrganization(prev => ({ ...prev, name: response.data.name }));
+      setRenaming(false);
+      toast.success('Organization renamed successfully!');
+    } catch (error) {
+      console.error('Error renaming organization:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCostingChange = async (costingMethod) => {
+    if (!window.confirm(`Value inventory with ${COSTING_METHOD_LABELS[costingMethod]} from now on? Reports for past dates use the new method too.`)) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await organizationAPI.updateSettings({ costingMethod });
+      setOrganization(prev => ({ ...prev, costingMethod: response.data.costingMethod }));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error updating organization settings:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBaseCurrencyChange = async (baseCurrency) => {
+    if (!window.confirm(`Report inventory values in ${baseCurrency} from now on? Exchange rates need to be entered against ${baseCurrency}.`)) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await organizationAPI.updateSettings({ baseCurrency });
+      setOrganization(prev => ({ ...prev, baseCurrency: response.data.baseCurrency }));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error updating organization settings:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRequireTwoFactorChange = async (requireTwoFactor) => {
+    const withoutTwoFactor = organization.members.filter(m => !m.twoFactorEnabled).length;
+    if (requireTwoFactor && withoutTwoFactor > 0 &&
+        !window.confirm(`${withoutTwoFactor} member${withoutTwoFactor === 1 ? ' has' : 's have'} not turned on two-factor authentication and will be locked out until they do. Continue?`)) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await organizationAPI.updateSettings({ requireTwoFactor });
+      setOrganization(prev => ({ ...prev, requireTwoFactor: response.data.requireTwoFactor }));
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Error updating organization settings:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await organizationAPI.updateMember(member.user._id, role);
+      setOrganization(prev => ({
+        ...prev,
+        members: prev.members.map(m => (m.user._id === member.user._id ? { ...m, role } : m))
+      }));
+      toast.success(`${member.user.username} is now ${ROLE_LABELS[role].toLowerCase()}`);
+    } catch (error) {
+      console.error('Error updating member:', error);
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    if (!window.confirm(`Remove ${member.user.username} from ${organization.name}?`)) {
+      return;
+    }
+
+    try {
+      await organizationAPI.removeMember(member.user._id);
+      setOrganization(prev => ({
+        ...prev,
+        members: prev.members.filter(m => m.user._id !== member.user._id)
+      }));
+      toast.success('Member removed successfully!');
+    } catch (error) {
+      console.error('Error removing member:', error);
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${organization.name}? You will lose access to its inventory.`)) {
+      return;
+    }
+
+    try {
+      await organizationAPI.leave();
+      clearCurrentOrganization();
+      toast.info(`You have left ${organization.name}`);
+      window.location.assign('/');
+    } catch (error) {
+      console.error('Error leaving organization:', error);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!/\S+@\S+\.\S+/.test(inviteData.email)) {
+      setErrors({ email: 'Please enter a valid email' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await organizationAPI.invite(inviteData.email.trim(), inviteData.role);
+      setInvitations(prev => [response.data, ...prev.filter(i => i._id !== response.data._id)]);
+      setInviteData({ email: '', role: inviteData.role });
+      toast.success(response.message);
+    } catch (error) {
+      if (error.response?.data?.field) {
+        setErrors({ [error.response.data.field]: error.response.data.message });
+      }
+      console.error('Error inviting member:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopyLink = async (invitation) => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${invitation.link}`);
+      toast.info('Invitation link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) {
+      return;
+    }
+
+    try {
+      await organizationAPI.revokeInvitation(invitation._id);
+      setInvitations(prev => prev.filter(i => i._id !== invitation._id));
+      toast.success('Invitation revoked');
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+    }
+  };
+
+  const handleRespond = async (invitation, accept) => {
+    try {
+      if (accept) {
+        const response = await invitationAPI.accept(invitation.token);
+        toast.success(response.message);
+        switchTo(response.data);
+      } else {
+        await invitationAPI.decline(invitation.token);
+        setMyInvitations(prev => prev.filter(i => i.token !== invitation.token));
+        toast.info('Invitation declined');
+      }
+    } catch (error) {
+      console.error('Error answering invitation:', error);
+    }
+  };
+
+  const handleCreateOrganization = async (e) => {
+    e.preventDefault();
+    if (!newOrganizationName.trim()) {
+      setErrors({ newOrganizationName: 'Organization name is required' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await organizationAPI.create(newOrganizationName.trim());
+      toast.success(response.message);
+      switchTo(response.data);
+    } catch (error) {
+      console.error('Error creating organization:', error);
+      setSaving(false);
+    }
+  };
+
+  // admins manage editors and viewers; only owners touch owners
+  const canManage = (member) => (
+    isAdmin && member.user._id !== user.id && (isOwner || member.role !== 'owner')
+  );
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading team...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaUsers /> Team
+          </h2>
+        </div>
+
+        {myInvitations.length > 0 && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaEnvelope /> Invitations for You
+              </h3>
+            </div>
+            <div className="table-container">
+              <table className="inventory-table">
+                <thead>
+                  <tr>
+                    <th>Organization</th>
+                    <th>Role</th>
+                    <th>Invited By</th>
+                    <th>Expires</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {myInvitations.map(invitation => (
+                    <tr key={invitation.token}>
+                      <td className="product-name">{invitation.organization.name}</td>
+                      <td><span className={`role-badge ${invitation.role}`}>{ROLE_LABELS[invitation.role]}</span></td>
+                      <td>{invitation.invitedBy?.username || '—'}</td>
+                      <td>{formatDate(invitation.expiresAt)}</td>
+                      <td className="actions">
+                        <button onClick={() => handleRespond(invitation, true)} className="action-btn edit-btn" title="Accept">
+                          <FaCheck />
+                        </button>
+                        <button onClick={() => handleRespond(invitation, false)} className="action-btn delete-btn" title="Decline">
+                          <FaTimes />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {organization && (
+          <div className="panel">
+            <div className="panel-header">
+              {renaming ? (
+                <form onSubmit={handleRename} className="inline-form">
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => { setName(e.target.value); setErrors({}); }}
+                    className={errors.name ? 'error' : ''}
+                    disabled={saving}
+                    maxLength={100}
+                    aria-label="Organization name"
+                    autoFocus
+                  />
+                  <button type="submit" className="action-btn edit-btn" title="Save" disabled={saving}>
+                    <FaSave />
+                  </button>
+                  <button type="button" onClick={() => setRenaming(false)} className="action-btn delete-btn" title="Cancel" disabled={saving}>
+                    <FaTimes />
+                  </button>
+                  {errors.name && <span className="field-error">{errors.name}</span>}
+                </form>
+              ) : (
+                <h3 className="panel-title">
+                  {organization.name}
+                  <span className={`role-badge ${organization.role}`}>{ROLE_LABELS[organization.role]}</span>
+                  {isOwner && (
+                    <button
+                      onClick={() => { setName(organization.name); setRenaming(true); }}
+                      className="action-btn edit-btn"
+                      title="Rename Organization"
+                    >
+                      <FaEdit />
+                    </button>
+                  )}
+                </h3>
+              )}
+              <button onClick={handleLeave} className="secondary-btn">
+                <FaSignOutAlt /> Leave
+              </button>
+            </div>
+
+            <div className="table-container">
+              <table className="inventory-table">
+                <thead>
+                  <tr>
+                    <th>Member</th>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Two-Factor</th>
+                    <th>Joined</th>
+                    {isAdmin && <th>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {organization.members.map(member => (
+                    <tr key={member.user._id}>
+                      <td className="product-name">
+                        {member.user.username}
+                        {member.user._id === user.id && <span className="capacity-usage"> (you)</span>}
+                      </td>
+                      <td>{member.user.email}</td>
+                      <td>
+                        {canManage(member) ? (
+                          <select
+                            value={member.role}
+                            onChange={(e) => handleRoleChange(member, e.target.value)}
+                            className="role-select"
+                            aria-label={`Role of ${member.user.username}`}
+                          >
+                            {(isOwner ? ROLES : INVITABLE_ROLES).map(role => (
+                              <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className={`role-badge ${member.role}`}>{ROLE_LABELS[member.role]}</span>
+                        )}
+                      </td>
+                      <td>
+                        <span className={`two-factor-badge ${member.twoFactorEnabled ? 'on' : 'off'}`}>
+                          {member.twoFactorEnabled ? 'On' : 'Off'}
+                        </span>
+                      </td>
+                      <td>{formatDate(member.joinedAt)}</td>
+                      {isAdmin && (
+                        <td className="actions">
+                          {canManage(member) && (
+                            <button
+                              onClick={() => handleRemoveMember(member)}
+                              className="action-btn delete-btn"
+                              title="Remove Member"
+                            >
+                              <FaTrash />
+                            </button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="org-settings">
+              <label htmlFor="costingMethod">Inventory costing</label>
+              {isOwner ? (
+                <select
+                  id="costingMethod"
+                  value={organization.costingMethod || 'fifo'}
+                  onChange={(e) => handleCostingChange(e.target.value)}
+                  className="role-select"
+                  disabled={saving}
+                >
+                  {Object.entries(COSTING_METHOD_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              ) : (
+                <strong id="costingMethod">{COSTING_METHOD_LABELS[organization.costingMethod || 'fifo']}</strong>
+              )}
+              <span className="input-help">Used for the inventory value and the cost of goods issued</span>
+            </div>
+
+            <div className="org-settings">
+              <label htmlFor="baseCurrency">Base currency</label>
+              {isOwner ? (
+                <select
+                  id="baseCurrency"
+                  value={organization.baseCurrency || 'USD'}
+                  onChange={(e) => handleBaseCurrencyChange(e.target.value)}
+                  className="role-select"
+                  disabled={saving}
+                >
+                  {[...new Set([organization.baseCurrency || 'USD', ...COMMON_CURRENCIES])].map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+              ) : (
+                <strong id="baseCurrency">{organization.baseCurrency || 'USD'}</strong>
+              )}
+              <span className="input-help">Stats and reports convert every cost into it</span>
+              <Link to="/exchange-rates" className="clear-filters-btn">Exchange Rates</Link>
+            </div>
+
+            <div className="org-settings">
+              <label htmlFor="requireTwoFactor">Two-factor authentication</label>
+              {isOwner ? (
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    id="requireTwoFactor"
+                    checked={Boolean(organization.requireTwoFactor)}
+                    onChange={(e) => handleRequireTwoFactorChange(e.target.checked)}
+                    disabled={saving}
+                  />
+                  Required for every member
+                </label>
+              ) : (
+                <strong id="requireTwoFactor">{organization.requireTwoFactor ? 'Required' : 'Optional'}</strong>
+              )}
+              <span className="input-help">Members without it cannot open this organization until they turn it on</span>
+              <Link to="/security" className="clear-filters-btn">Your Security</Link>
+            </div>
+          </div>
+        )}
+
+        {isAdmin && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaUserPlus /> Invite Members
+              </h3>
+            </div>
+
+            <form onSubmit={handleInvite} className="item-form compact-form">
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="invite-email">Email *</label>
+                  <input
+                    type="email"
+                    id="invite-email"
+                    value={inviteData.email}
+                    onChange={(e) => { setInviteData(prev => ({ ...prev, email: e.target.value })); setErrors({}); }}
+                    placeholder="colleague@example.com"
+                    className={errors.email ? 'error' : ''}
+                    disabled={saving}
+                  />
+                  {errors.email && <span className="field-error">{errors.email}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="invite-role">Role</label>
+                  <select
+                    id="invite-role"
+                    value={inviteData.role}
+                    onChange={(e) => setInviteData(prev => ({ ...prev, role: e.target.value }))}
+                    disabled={saving}
+                  >
+                    {INVITABLE_ROLES.map(role => (
+                      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                    ))}
+                  </select>
+                  <span className="field-hint">{ROLE_DESCRIPTIONS[inviteData.role]}</span>
+                </div>
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={saving}>
+                  <FaEnvelope /> {saving ? 'Inviting...' : 'Send Invitation'}
+                </button>
+              </div>
+            </form>
+
+            {invitations.length === 0 ? (
+              <p className="panel-empty">No pending invitations</p>
+            ) : (
+              <div className="table-container">
+                <table className="inventory-table">
+                  <thead>
+                    <tr>
+                      <th>Email</th>
+                      <th>Role</th>
+                      <th>Invited By</th>
+                      <th>Expires</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invitations.map(invitation => (
+                      <tr key={invitation._id}>
+                        <td className="product-name">{invitation.email}</td>
+                        <td><span className={`role-badge ${invitation.role}`}>{ROLE_LABELS[invitation.role]}</span></td>
+                        <td>{invitation.invitedBy?.username || '—'}</td>
+                        <td>{formatDate(invitation.expiresAt)}</td>
+                        <td className="actions">
+                          <button onClick={() => handleCopyLink(invitation)} className="action-btn edit-btn" title="Copy Invitation Link">
+                            <FaCopy />
+                          </button>
+                          <button onClick={() => handleRevoke(invitation)} className="action-btn delete-btn" title="Revoke Invitation">
+                            <FaTrash />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="panel">
+          <div className="panel-header">
+            <h3 className="panel-title">
+              <FaPlus /> New Organization
+            </h3>
+          </div>
+          <form onSubmit={handleCreateOrganization} className="item-form compact-form">
+            <div className="form-group">
+              <label htmlFor="new-organization">Name *</label>
+              <input
+                type="text"
+                id="new-organization"
+                value={newOrganizationName}
+                onChange={(e) => { setNewOrganizationName(e.target.value); setErrors({}); }}
+                placeholder="e.g., Downtown Store"
+                className={errors.newOrganizationName ? 'error' : ''}
+                disabled={saving}
+                maxLength={100}
+              />
+              {errors.newOrganizationName && <span className="field-error">{errors.newOrganizationName}</span>}
+              <span className="field-hint">You will be its owner. Its inventory is separate from {getCurrentOrganization()?.name || 'this one'}.</span>
+            </div>
+            <div className="form-actions">
+              <button type="submit" className="submit-btn" disabled={saving}>
+                <FaPlus /> Create Organization
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Team;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaTrash, FaTrashRestore, FaArrowLeft, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { inventoryAPI } from '../services/api';
+import { toast } from 'react-toastify';
+import Navbar from './Navbar';
+import { formatQuantity } from '../utils/inventory';
+import { formatDate } from '../utils/format';
+import { hasRole } from '../utils/organization';
+
+const Trash = () => {
+  const canRestore = hasRole('editor');
+  const canPurge = hasRole('admin');
+
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, page: 1, totalPages: 1 });
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchTrash = useCallback(async (page = 1) => {
+    try {
+      const response = await inventoryAPI.getTrash({ page });
+      setItems(response.data || []);
+      setPagination({ total: response.total, page: response.page, totalPages: response.totalPages });
+      setRetentionDays(response.retentionDays);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  // after an item leaves the trash, stay on the page unless it is now empty
+  const refreshAfterRemoving = () => {
+    const page = items.length === 1 && pagination.page > 1 ? pagination.page - 1 : pagination.page;
+    fetchTrash(page);
+  };
+
+  const handleRestore = async (item) => {
+    setBusyId(item._id);
+    try {
+      const response = await inventoryAPI.restore(item._id);
+      toast.success(response.message);
+      refreshAfterRemoving();
+    } catch (error) {
+      console.error('Error restoring item:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeletePermanently = async (item) => {
+    if (!window.confirm(`Delete ${item.inventoryId} - ${item.productName} permanently? Its stock history is kept for past valuations. This cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(item._id);
+    try {
+      await inventoryAPI.deletePermanently(item._id);
+      toast.success('Item deleted permanently');
+      refreshAfterRemoving();
+    } catch (error) {
+      console.error('Error deleting item:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading trash...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaTrash /> Trash
+          </h2>
+          <Link to="/" className="secondary-btn">
+            <FaArrowLeft /> Back to Inventory
+          </Link>
+        </div>
+
+        <div className="results-info">
+          <p>
+            {pagination.total} {pagination.total === 1 ? 'item' : 'items'} in the trash.
+            {retentionDays && ` Items are deleted permanently ${retentionDays} days after they were moved here.`}
+          </p>
+        </div>
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Inventory ID</th>
+                <th>Product</th>
+                <th>Quantity</th>
+                <th>Deleted</th>
+                <th>Deleted By</th>
+                <th>Purged On</th>
+                {(canRestore || canPurge) && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {items.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="no-items">
+                    <div className="empty-state">
+                      <FaTrash className="empty-icon" />
+                      <h3>The trash is empty</h3>
+                      <p>Deleted items show up here until they are purged</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                items.map(item => (
+                  <tr key={item._id}>
+                    <td className="inventory-id">{item.inventoryId}</td>
+                    <td className="product-name">{item.productName}</td>
+                    <td className="quantity">{formatQuantity(item.quantity, item.unitOfMeasure)}</td>
+                    <td className="last-updated">{formatDate(item.deletedAt)}</td>
+                    <td>{item.deletedBy?.username || '—'}</td>
+                    <td className="last-updated">{formatDate(item.purgeAt)}</td>
+                    {(canRestore || canPurge) && (
+                      <td className="actions">
+                        {canRestore && (
+                          <button
+                            onClick={() => handleRestore(item)}
+                            className="action-btn edit-btn"
+                            title="Restore Item"
+                            disabled={busyId === item._id}
+                          >
+                            <FaTrashRestore />
+                          </button>
+                        )}
+                        {canPurge && (
+                          <button
+                            onClick={() => handleDeletePermanently(item)}
+                            className="action-btn delete-btn"
+                            title="Delete Permanently"
+                            disabled={busyId === item._id}
+                          >
+                            <FaTrash />
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination.totalPages > 1 && (
+          <div className="pagination">
+            <button
+              onClick={() => fetchTrash(pagination.page - 1)}
+              className="page-btn"
+              disabled={pagination.page <= 1}
+            >
+              <FaChevronLeft /> Previous
+            </button>
+            <span className="page-info">
+              Page {pagination.page} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => fetchTrash(pagination.page + 1)}
+              className="page-btn"
+              disabled={pagination.page >= pagination.totalPages}
+            >
+              Next <FaChevronRight />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,59 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FaEnvelopeOpenText } from 'react-icons/fa';
+import { authAPI } from '../services/api';
+import { getToken, markEmailVerified } from '../utils/auth';
+
+// Opened from the confirmation link emailed at registration
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const signedIn = Boolean(getToken());
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  // the token is single-use, so it must not be sent twice (StrictMode runs effects twice)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        markEmailVerified(response.data.email);
+        setMessage(response.message);
+        setStatus('verified');
+      } catch (error) {
+        console.error('Email verification error:', error);
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1 className="auth-title">
+            <FaEnvelopeOpenText /> Confirm Email
+          </h1>
+          <p className="auth-subtitle">
+            {status === 'verifying' && 'Confirming your email address...'}
+            {status === 'verified' && `${message}. Thanks!`}
+            {status === 'failed' && 'This confirmation link is invalid or has expired. Log in to get a new one.'}
+          </p>
+        </div>
+
+        <div className="auth-footer">
+          <p className="auth-link">
+            {signedIn ? <Link to="/">Go to your inventory</Link> : <Link to="/login">Go to login</Link>}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
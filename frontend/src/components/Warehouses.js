@@ -0,0 +1,383 @@
+import React, { useState, useEffect } from 'react';
+import { FaWarehouse, FaPlus, FaEdit, FaTrash, FaSave, FaTimes } from 'react-icons/fa';
+import { warehouseAPI } from '../services/api';
+import { toast } from 'react-toastify';
+import Navbar from './Navbar';
+import { hasRole } from '../utils/organization';
+import { formatCurrency } from '../utils/format';
+
+const emptyForm = {
+  code: '',
+  name: '',
+  street: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: '',
+  capacity: '',
+  active: true
+};
+
+const Warehouses = () => {
+  const canEdit = hasRole('editor');
+  const [warehouses, setWarehouses] = useState([]);
+  // totals come back converted into the organization's base currency
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    fetchWarehouses();
+  }, []);
+
+  const fetchWarehouses = async () => {
+    try {
+      const response = await warehouseAPI.getAll();
+      setWarehouses(response.data || []);
+      setBaseCurrency(response.baseCurrency || 'USD');
+    } catch (error) {
+      console.error('Error fetching warehouses:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setFormData(emptyForm);
+    setErrors({});
+    setShowForm(true);
+  };
+
+  const openEditForm = (warehouse) => {
+    setEditingId(warehouse._id);
+    setFormData({
+      code: warehouse.code,
+      name: warehouse.name,
+      street: warehouse.address?.street || '',
+      city: warehouse.address?.city || '',
+      state: warehouse.address?.state || '',
+      postalCode: warehouse.address?.postalCode || '',
+      country: warehouse.address?.country || '',
+      capacity: warehouse.capacity?.toString() || '',
+      active: warehouse.active
+    });
+    setErrors({});
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    let processedValue = type === 'checkbox' ? checked : value;
+
+    if (name === 'code') {
+      processedValue = value.toUpperCase().replace(/[^A-Z0-9-]/g, '');
+    }
+
+    setFormData(prev => ({ ...prev, [name]: processedValue }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.code.trim()) {
+      newErrors.code = 'Warehouse code is required';
+    } else if (formData.code.length > 20) {
+      newErrors.code = 'Warehouse code cannot exceed 20 characters';
+    }
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Warehouse name is required';
+    }
+
+    if (formData.capacity !== '' && parseFloat(formData.capacity) < 0) {
+      newErrors.capacity = 'Capacity cannot be negative';
+    }
+
+    return newErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formErrors = validateForm();
+    if (Object.keys(formErrors).length > 0) {
+      setErrors(formErrors);
+      return;
+    }
+
+    const data = {
+      code: formData.code,
+      name: formData.name,
+      address: {
+        street: formData.street,
+        city: formData.city,
+        state: formData.state,
+        postalCode: formData.postalCode,
+        country: formData.country
+      },
+      capacity: formData.capacity === '' ? null : parseFloat(formData.capacity),
+      active: formData.active
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await warehouseAPI.update(editingId, data);
+        toast.success('Warehouse updated successfully!');
+      } else {
+        await warehouseAPI.create(data);
+        toast.success('Warehouse created successfully!');
+      }
+      closeForm();
+      fetchWarehouses();
+    } catch (error) {
+      console.error('Error saving warehouse:', error);
+      // error is already handled by interceptor
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (warehouse) => {
+    if (!window.confirm(`Delete warehouse ${warehouse.code} - ${warehouse.name}?`)) {
+      return;
+    }
+
+    try {
+      await warehouseAPI.delete(warehouse._id);
+      toast.success('Warehouse deleted successfully!');
+      setWarehouses(prev => prev.filter(w => w._id !== warehouse._id));
+    } catch (error) {
+      console.error('Error deleting warehouse:', error);
+      // error is already handled by interceptor
+    }
+  };
+
+  const formatLocation = (address = {}) => {
+    return [address.city, address.state, address.country].filter(Boolean).join(', ') || '—';
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading warehouses...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard">
+      <Navbar />
+
+      <div className="container">
+        <div className="dashboard-controls">
+          <h2 className="page-title">
+            <FaWarehouse /> Warehouses
+          </h2>
+          {canEdit && (
+            <button onClick={openCreateForm} className="create-btn">
+              <FaPlus /> Add Warehouse
+            </button>
+          )}
+        </div>
+
+        {showForm && (
+          <div className="panel">
+            <div className="panel-header">
+              <h3 className="panel-title">
+                <FaWarehouse /> {editingId ? 'Edit Warehouse' : 'New Warehouse'}
+              </h3>
+            </div>
+
+            <form onSubmit={handleSubmit} className="item-form compact-form">
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="code">Code *</label>
+                  <input
+                    type="text"
+                    id="code"
+                    name="code"
+                    value={formData.code}
+                    onChange={handleChange}
+                    placeholder="e.g., WH-001"
+                    className={errors.code ? 'error' : ''}
+                    disabled={saving}
+                    maxLength={20}
+                  />
+                  {errors.code && <span className="field-error">{errors.code}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="name">Name *</label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    placeholder="e.g., Main Distribution Center"
+                    className={errors.name ? 'error' : ''}
+                    disabled={saving}
+                    maxLength={100}
+                  />
+                  {errors.name && <span className="field-error">{errors.name}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="street">Street</label>
+                  <input type="text" id="street" name="street" value={formData.street} onChange={handleChange} disabled={saving} maxLength={200} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="city">City</label>
+                  <input type="text" id="city" name="city" value={formData.city} onChange={handleChange} disabled={saving} maxLength={100} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="state">State / Province</label>
+                  <input type="text" id="state" name="state" value={formData.state} onChange={handleChange} disabled={saving} maxLength={100} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="postalCode">Postal Code</label>
+                  <input type="text" id="postalCode" name="postalCode" value={formData.postalCode} onChange={handleChange} disabled={saving} maxLength={20} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="country">Country</label>
+                  <input type="text" id="country" name="country" value={formData.country} onChange={handleChange} disabled={saving} maxLength={100} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="capacity">Capacity (units)</label>
+                  <input
+                    type="number"
+                    id="capacity"
+                    name="capacity"
+                    value={formData.capacity}
+                    onChange={handleChange}
+                    min="0"
+                    placeholder="Leave empty for unlimited"
+                    className={errors.capacity ? 'error' : ''}
+                    disabled={saving}
+                  />
+                  {errors.capacity && <span className="field-error">{errors.capacity}</span>}
+                </div>
+              </div>
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="active"
+                  checked={formData.active}
+                  onChange={handleChange}
+                  disabled={saving}
+                />
+                Active (available in warehouse pickers)
+              </label>
+
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={saving}>
+                  <FaSave /> {saving ? 'Saving...' : editingId ? 'Update Warehouse' : 'Create Warehouse'}
+                </button>
+                <button type="button" onClick={closeForm} className="cancel-btn" disabled={saving}>
+                  <FaTimes /> Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="table-container">
+          <table className="inventory-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Name</th>
+                <th>Location</th>
+                <th>Items</th>
+                <th>Units / Capacity</th>
+                <th>Value</th>
+                <th>Status</th>
+                {canEdit && <th>Actions</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {warehouses.length === 0 ? (
+                <tr>
+                  <td colSpan={canEdit ? 8 : 7} className="no-items">
+                    <div className="empty-state">
+                      <FaWarehouse className="empty-icon" />
+                      <h3>No warehouses yet</h3>
+                      <p>Add a warehouse before creating inventory items</p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                warehouses.map(warehouse => (
+                  <tr key={warehouse._id}>
+                    <td>
+                      <span className="warehouse-badge">{warehouse.code}</span>
+                    </td>
+                    <td className="product-name">{warehouse.name}</td>
+                    <td className="supplier">{formatLocation(warehouse.address)}</td>
+                    <td>{warehouse.itemCount}</td>
+                    <td className="quantity">
+                      {warehouse.totalUnits.toLocaleString()}
+                      {warehouse.capacity ? (
+                        <span className="capacity-usage">
+                          {' '}/ {warehouse.capacity.toLocaleString()} ({Math.round((warehouse.totalUnits / warehouse.capacity) * 100)}%)
+                        </span>
+                      ) : null}
+                    </td>
+                    <td className="cost-unit">{formatCurrency(warehouse.totalValue, baseCurrency)}</td>
+                    <td>
+                      <span className={`stock-badge ${warehouse.active ? 'in-stock' : 'out-of-stock'}`}>
+                        {warehouse.active ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    {canEdit && (
+                      <td className="actions">
+                        <button
+                          onClick={() => openEditForm(warehouse)}
+                          className="action-btn edit-btn"
+                          title="Edit Warehouse"
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(warehouse)}
+                          className="action-btn delete-btn"
+                          title="Delete Warehouse"
+                        >
+                          <FaTrash />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Warehouses;
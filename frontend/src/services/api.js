@@ -1,5 +1,7 @@
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import { getCurrentOrganization } from '../utils/organization';
+import { getToken, getRefreshToken, saveTokens, clearLogin } from '../utils/auth';
 
 const API_URL = 'https://cloudfinalprojectf25-5.onrender.com/api';
 
@@ -13,10 +15,15 @@ const api = axios.create({
 // request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    const token = getToken();
     if (token) {
       config.headers['x-auth-token'] = token;
     }
+    // every inventory route works inside the organization picked in the navbar
+    const organization = getCurrentOrganization();
+    if (organization) {
+      config.headers['x-organization-id'] = organization._id;
+    }
     return config;
   },
   (error) => {
@@ -24,25 +31,72 @@ api.interceptors.request.use(
   }
 );
 
+// requests whose 401 means wrong credentials, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// the refresh in flight: requests that fail together wait for the same one
+let refreshing = null;
+
+// Trades the refresh token for new tokens and resolves to the new access token
+const refreshTokens = () => {
+  if (!refreshing) {
+    const refreshToken = getRefreshToken();
+    refreshing = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then(response => {
+        saveTokens(response.data);
+        return response.data.token;
+      })
+      .catch(error => {
+        // another tab refreshed first with the same token
+        if (getRefreshToken() && getRefreshToken() !== refreshToken) return getToken();
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    const { response } = error;
+  async (error) => {
+    const { response, config } = error;
+
+    // an expired access token: refresh it and send the request again, once
+    if (response?.status === 401 && config && !config.retried && !NO_REFRESH_URLS.includes(config.url)) {
+      try {
+        await refreshTokens();
+        config.retried = true;
+        return api(config);
+      } catch (refreshError) {
+        // the session is over, handled below
+      }
+    }
     
     if (response) {
       switch (response.status) {
         case 401:
-          // unauthorized - token expired or invalid
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
+          // unauthorized - the session ended or was revoked
+          clearLogin();
           toast.error('Session expired. Please login again.');
           window.location.href = '/login';
           break;
         
         case 403:
-          // forbidden
-          toast.error('You do not have permission to perform this action.');
+          // the organization requires two-factor authentication: go turn it on
+          if (response.data?.code === 'two-factor-required') {
+            toast.error(response.data.message, { toastId: 'two-factor-required' });
+            if (window.location.pathname !== '/security') {
+              window.location.href = '/security';
+            }
+            break;
+          }
+          // forbidden, e.g. the role in the organization is too low
+          toast.error(response.data?.message || 'You do not have permission to perform this action.');
           break;
         
         case 404:
@@ -60,6 +114,11 @@ api.interceptors.response.use(
           }
           break;
         
+        case 429:
+          // too many attempts, e.g. failed logins
+          toast.error(response.data?.message || 'Too many requests. Please try again later.');
+          break;
+        
         case 500:
           // server error
           toast.error('Server error. Please try again later.');
@@ -101,12 +160,30 @@ export const makeApiCall = async (method, endpoint, data = null) => {
 // specific API methods
 export const authAPI = {
   login: (email, password) => makeApiCall('POST', '/auth/login', { email, password }),
+  // second login step; secondFactor is { code } or { recoveryCode }
+  loginTwoFactor: (challengeToken, secondFactor) => makeApiCall('POST', '/auth/login/2fa', { challengeToken, ...secondFactor }),
   register: (username, email, password) => makeApiCall('POST', '/auth/register', { username, email, password }),
   verify: () => makeApiCall('GET', '/auth/verify'),
+  logout: (refreshToken) => makeApiCall('POST', '/auth/logout', { refreshToken }),
+  verifyEmail: (token) => makeApiCall('POST', '/auth/verify-email', { token }),
+  resendVerification: () => makeApiCall('POST', '/auth/resend-verification'),
+  forgotPassword: (email) => makeApiCall('POST', '/auth/forgot-password', { email }),
+  resetPassword: (token, password) => makeApiCall('POST', '/auth/reset-password', { token, password }),
+  // devices the user is signed in on
+  getSessions: () => makeApiCall('GET', '/auth/sessions'),
+  revokeSession: (id) => makeApiCall('DELETE', `/auth/sessions/${id}`),
+  revokeOtherSessions: () => makeApiCall('DELETE', '/auth/sessions'),
+  getLoginHistory: () => makeApiCall('GET', '/auth/login-history'),
+  // two-factor authentication: setup returns the QR code, enable the recovery codes
+  getTwoFactor: () => makeApiCall('GET', '/auth/2fa'),
+  setupTwoFactor: () => makeApiCall('POST', '/auth/2fa/setup'),
+  enableTwoFactor: (code) => makeApiCall('POST', '/auth/2fa/enable', { code }),
+  disableTwoFactor: (password, secondFactor) => makeApiCall('POST', '/auth/2fa/disable', { password, ...secondFactor }),
+  regenerateRecoveryCodes: (code) => makeApiCall('POST', '/auth/2fa/recovery-codes', { code }),
 };
 
 export const inventoryAPI = {
-  getAll: () => makeApiCall('GET', '/items'),
+  getAll: (params) => makeApiCall('GET', '/items', params),
   getById: (id) => makeApiCall('GET', `/items/${id}`),
   create: (data) => makeApiCall('POST', '/items', data),
   update: (id, data) => makeApiCall('PUT', `/items/${id}`, data),
@@ -124,8 +201,147 @@ export const inventoryAPI = {
         throw error;
       });
   },
-  search: (query) => makeApiCall('GET', '/items/search', { q: query }),
+  search: (params) => makeApiCall('GET', '/items/search', params),
+  // formData carries the file plus mapping/dryRun/skipInvalid fields
+  import: (formData) => api.post('/items/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }).then(response => response.data),
   getStats: () => makeApiCall('GET', '/items/stats/summary'),
+  getHistory: (id, params) => makeApiCall('GET', `/items/${id}/history`, params),
+  getTrash: (params) => makeApiCall('GET', '/items/trash', params),
+  getReorderSuggestions: (params) => makeApiCall('GET', '/items/reorder-suggestions', params),
+  restore: (id) => makeApiCall('POST', `/items/${id}/restore`),
+  deletePermanently: (id) => makeApiCall('DELETE', `/items/${id}/permanent`),
+  // data is { ids } or { filter } (the list query), plus changes for bulkUpdate
+  bulkUpdate: (data) => makeApiCall('PATCH', '/items/bulk', data),
+  bulkDelete: (data) => makeApiCall('POST', '/items/bulk-delete', data),
+  // resolves to the whole response so the caller can read the file name header
+  export: (params) => api.get('/items/export', { params, responseType: 'blob' }),
+  // the item whose barcode or inventory ID was scanned
+  lookup: (code) => makeApiCall('GET', '/items/lookup', { code }),
+  // resolves to the image blob; params are { kind?: 'barcode' | 'qr', format?: 'svg' | 'png' }
+  getBarcode: (id, params) => api.get(`/items/${id}/barcode`, { params, responseType: 'blob' }).then(response => response.data),
+  // data is { ids } or { filter }, plus kind; resolves to the whole response like export
+  printLabels: (data) => api.post('/items/labels', data, { responseType: 'blob' }),
+};
+
+export const movementAPI = {
+  getAll: (itemId) => makeApiCall('GET', `/items/${itemId}/movements`),
+  receive: (itemId, data) => makeApiCall('POST', `/items/${itemId}/movements/receive`, data),
+  issue: (itemId, data) => makeApiCall('POST', `/items/${itemId}/movements/issue`, data),
+  adjust: (itemId, data) => makeApiCall('POST', `/items/${itemId}/movements/adjust`, data),
+  transfer: (itemId, data) => makeApiCall('POST', `/items/${itemId}/movements/transfer`, data),
+};
+
+// lots and serial numbers of lot- and serial-tracked items
+export const lotAPI = {
+  // params are { inStock? }
+  getAll: (itemId, params) => makeApiCall('GET', `/items/${itemId}/lots`, params),
+  // data is { expiryDate } (null clears it)
+  update: (itemId, lotId, data) => makeApiCall('PUT', `/items/${itemId}/lots/${lotId}`, data),
+};
+
+export const warehouseAPI = {
+  getAll: (params) => makeApiCall('GET', '/warehouses', params),
+  getById: (id) => makeApiCall('GET', `/warehouses/${id}`),
+  create: (data) => makeApiCall('POST', '/warehouses', data),
+  update: (id, data) => makeApiCall('PUT', `/warehouses/${id}`, data),
+  delete: (id) => makeApiCall('DELETE', `/warehouses/${id}`),
+};
+
+export const purchaseOrderAPI = {
+  getAll: (params) => makeApiCall('GET', '/purchase-orders', params),
+  getById: (id) => makeApiCall('GET', `/purchase-orders/${id}`),
+  create: (data) => makeApiCall('POST', '/purchase-orders', data),
+  update: (id, data) => makeApiCall('PUT', `/purchase-orders/${id}`, data),
+  delete: (id) => makeApiCall('DELETE', `/purchase-orders/${id}`),
+  send: (id) => makeApiCall('POST', `/purchase-orders/${id}/send`),
+  cancel: (id) => makeApiCall('POST', `/purchase-orders/${id}/cancel`),
+  // data is { lines: [{ line, quantity, lots?, serials?, expiryDate? }], warehouse?, note? }
+  receive: (id, data) => makeApiCall('POST', `/purchase-orders/${id}/receive`, data),
+};
+
+export const salesOrderAPI = {
+  getAll: (params) => makeApiCall('GET', '/sales-orders', params),
+  getById: (id) => makeApiCall('GET', `/sales-orders/${id}`),
+  create: (data) => makeApiCall('POST', '/sales-orders', data),
+  update: (id, data) => makeApiCall('PUT', `/sales-orders/${id}`, data),
+  delete: (id) => makeApiCall('DELETE', `/sales-orders/${id}`),
+  confirm: (id) => makeApiCall('POST', `/sales-orders/${id}/confirm`),
+  allocate: (id) => makeApiCall('POST', `/sales-orders/${id}/allocate`),
+  pick: (id) => makeApiCall('POST', `/sales-orders/${id}/pick`),
+  // data is { trackingNumber?, note?, lines?: [{ line, lots?, serials? }] }
+  ship: (id, data) => makeApiCall('POST', `/sales-orders/${id}/ship`, data),
+  cancel: (id) => makeApiCall('POST', `/sales-orders/${id}/cancel`),
+};
+
+export const supplierAPI = {
+  getAll: (params) => makeApiCall('GET', '/suppliers', params),
+  getById: (id) => makeApiCall('GET', `/suppliers/${id}`),
+  create: (data) => makeApiCall('POST', '/suppliers', data),
+  update: (id, data) => makeApiCall('PUT', `/suppliers/${id}`, data),
+  delete: (id) => makeApiCall('DELETE', `/suppliers/${id}`),
+};
+
+export const categoryAPI = {
+  getAll: () => makeApiCall('GET', '/categories'),
+  create: (data) => makeApiCall('POST', '/categories', data),
+  update: (id, data) => makeApiCall('PUT', `/categories/${id}`, data),
+  merge: (id, target) => makeApiCall('POST', `/categories/${id}/merge`, { target }),
+  delete: (id) => makeApiCall('DELETE', `/categories/${id}`),
+};
+
+export const organizationAPI = {
+  getAll: () => makeApiCall('GET', '/organizations'),
+  create: (name) => makeApiCall('POST', '/organizations', { name }),
+  getCurrent: () => makeApiCall('GET', '/organizations/current'),
+  rename: (name) => makeApiCall('PUT', '/organizations/current', { name }),
+  // settings is { costingMethod?, baseCurrency?, requireTwoFactor? }
+  updateSettings: (settings) => makeApiCall('PUT', '/organizations/current/settings', settings),
+  leave: () => makeApiCall('POST', '/organizations/current/leave'),
+  updateMember: (userId, role) => makeApiCall('PUT', `/organizations/current/members/${userId}`, { role }),
+  removeMember: (userId) => makeApiCall('DELETE', `/organizations/current/members/${userId}`),
+  getInvitations: () => makeApiCall('GET', '/organizations/current/invitations'),
+  invite: (email, role) => makeApiCall('POST', '/organizations/current/invitations', { email, role }),
+  revokeInvitation: (id) => makeApiCall('DELETE', `/organizations/current/invitations/${id}`),
+};
+
+export const exchangeRateAPI = {
+  // params are { currency? }
+  getAll: (params) => makeApiCall('GET', '/exchange-rates', params),
+  // rate is { currency, rate, effectiveDate?, baseCurrency? }
+  create: (rate) => makeApiCall('POST', '/exchange-rates', rate),
+  // formData carries the CSV or XLSX file
+  import: (formData) => api.post('/exchange-rates/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }).then(response => response.data),
+  delete: (id) => makeApiCall('DELETE', `/exchange-rates/${id}`),
+};
+
+export const reportAPI = {
+  // params are { asOf?, from?, method? }
+  getValuation: (params) => makeApiCall('GET', '/reports/valuation', params),
+  // params are { days?, warehouse? }
+  getExpiring: (params) => makeApiCall('GET', '/reports/expiring', params),
+};
+
+// keys for scripts; the organization ones belong to the current organization
+export const apiKeyAPI = {
+  getAll: () => makeApiCall('GET', '/api-keys'),
+  // key is { name, scopes, expiresInDays? }
+  create: (key) => makeApiCall('POST', '/api-keys', key),
+  revoke: (id) => makeApiCall('DELETE', `/api-keys/${id}`),
+  getOrganization: () => makeApiCall('GET', '/api-keys/organization'),
+  createOrganization: (key) => makeApiCall('POST', '/api-keys/organization', key),
+  revokeOrganization: (id) => makeApiCall('DELETE', `/api-keys/organization/${id}`),
+};
+
+// invitations addressed to the logged-in user
+export const invitationAPI = {
+  getMine: () => makeApiCall('GET', '/invitations'),
+  get: (token) => makeApiCall('GET', `/invitations/${token}`),
+  accept: (token) => makeApiCall('POST', `/invitations/${token}/accept`),
+  decline: (token) => makeApiCall('POST', `/invitations/${token}/decline`),
 };
 
 export default api;
\ No newline at end of file
@@ -0,0 +1,38 @@
+// the signed-in user, kept in localStorage: a short-lived access token sent
+// with every request, the refresh token that renews it (see
+// backend/models/Session.js) and the user's name and email
+import { clearCurrentOrganization } from './organization';
+
+export const getToken = () => localStorage.getItem('token');
+
+export const getRefreshToken = () => localStorage.getItem('refreshToken');
+
+// a new access token alone (e.g. after turning two-factor authentication on)
+// keeps the session's refresh token
+export const saveTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+// after logging in or registering
+export const saveLogin = (response) => {
+  saveTokens(response);
+  localStorage.setItem('user', JSON.stringify(response.user));
+};
+
+// once the confirmation link of the signed-in user's address was opened
+export const markEmailVerified = (email) => {
+  const user = JSON.parse(localStorage.getItem('user') || 'null');
+  if (user && user.email === email) {
+    localStorage.setItem('user', JSON.stringify({ ...user, emailVerified: true }));
+  }
+};
+
+export const clearLogin = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  clearCurrentOrganization();
+};
@@ -0,0 +1,39 @@
+// helpers for the nested category list returned by /api/categories
+
+// Orders categories parent-first (children right under their parent, by name)
+// and adds a `depth` to each, ready for an indented <select> or table
+export const sortCategoryTree = (categories = []) => {
+  const byParent = {};
+  categories.forEach(category => {
+    const key = category.parent || 'root';
+    (byParent[key] = byParent[key] || []).push(category);
+  });
+
+  const sorted = [];
+  const visit = (parentKey, depth) => {
+    (byParent[parentKey] || [])
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(category => {
+        sorted.push({ ...category, depth });
+        visit(category._id, depth + 1);
+      });
+  };
+  visit('root', 0);
+  return sorted;
+};
+
+// Ids of the category and everything nested below it
+export const getDescendantIds = (categories = [], categoryId) => {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    categories.forEach(category => {
+      if (category.parent === ids[i]) ids.push(category._id);
+    });
+  }
+  return ids;
+};
+
+// <option> text collapses normal spaces, so indent with non-breaking ones
+export const categoryOptionLabel = (category) => `${'\u00A0\u00A0\u00A0'.repeat(category.depth || 0)}${category.name}`;
+
+export const DEFAULT_CATEGORY_COLOR = '#6b7280';
@@ -0,0 +1,26 @@
+import { toast } from 'react-toastify';
+
+// files the API streams back (exports, label sheets)
+
+// Saves a blob response under the file name the server suggested
+export const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// validation errors come back as a blob, which the interceptor cannot read
+export const showBlobError = async (error) => {
+  if (error.response?.status === 400 && error.response.data instanceof Blob) {
+    const body = JSON.parse(await error.response.data.text());
+    toast.error(body.errors ? body.errors.map(err => err.msg).join(', ') : body.message);
+  }
+};
@@ -0,0 +1,108 @@
+// shared helpers for inventory items (mirrors the rules in backend/models/Inventory.js)
+
+export const STOCK_STATUSES = ['In stock', 'Low stock', 'Out of stock'];
+
+export const UNITS_OF_MEASURE = ['each', 'pair', 'set', 'pack', 'box', 'case', 'pallet', 'kg', 'g', 'lb', 'l', 'ml', 'm'];
+
+export const getStockStatus = (quantity, lowStockThreshold) => {
+  const qty = parseFloat(quantity) || 0;
+  if (qty <= 0) return 'Out of stock';
+  if (qty <= (parseFloat(lowStockThreshold) || 0)) return 'Low stock';
+  return 'In stock';
+};
+
+// reordering is off while the reorder point is 0
+export const needsReorder = (quantity, reorderPoint) => {
+  const point = parseFloat(reorderPoint) || 0;
+  return point > 0 && (parseFloat(quantity) || 0) <= point;
+};
+
+// EAN-13, UPC-A or EAN-8 with a correct check digit
+export const isValidGtin = (code) => {
+  if (!/^(\d{8}|\d{12}|\d{13})$/.test(code)) return false;
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+};
+
+// "In stock" -> "in-stock", used for badge class names
+export const stockClassName = (status = '') => status.toLowerCase().replace(/ /g, '-');
+
+export const formatQuantity = (quantity, unitOfMeasure) => {
+  const qty = Number(quantity || 0).toLocaleString('en-US', { maximumFractionDigits: 3 });
+  return unitOfMeasure && unitOfMeasure !== 'each' ? `${qty} ${unitOfMeasure}` : qty;
+};
+
+// mirrors TRACKING_MODES in backend/models/Inventory.js
+export const TRACKING_MODES = [
+  { value: 'none', label: 'Not tracked' },
+  { value: 'lot', label: 'By lot / batch' },
+  { value: 'serial', label: 'By serial number' }
+];
+
+export const isTracked = (item) => item?.trackingMode === 'lot' || item?.trackingMode === 'serial';
+
+// serial numbers typed, pasted or scanned one per line (commas also separate them)
+export const parseSerials = (text) => [...new Set(
+  text.split(/[\n,]+/).map(serial => serial.trim().toUpperCase()).filter(Boolean)
+)];
+
+// days ahead the expiring-soon report looks by default
+export const EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// { label, className } for a lot expiring within the warning window, null otherwise
+export const expiryStatus = (expiryDate, warningDays = EXPIRY_WARNING_DAYS) => {
+  if (!expiryDate) return null;
+  const daysLeft = Math.ceil((new Date(expiryDate) - Date.now()) / DAY_MS);
+  if (daysLeft <= 0) return { label: 'Expired', className: 'expired' };
+  if (daysLeft <= warningDays) return { label: `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`, className: 'expiring' };
+  return null;
+};
+
+export const ADJUSTMENT_REASONS = [
+  { value: 'count-correction', label: 'Count correction' },
+  { value: 'damaged', label: 'Damaged' },
+  { value: 'lost', label: 'Lost' },
+  { value: 'found', label: 'Found' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'returned', label: 'Returned' },
+  { value: 'opening-balance', label: 'Opening balance' },
+  { value: 'other', label: 'Other' }
+];
+
+export const MOVEMENT_TYPE_LABELS = {
+  receipt: 'Receipt',
+  issue: 'Issue',
+  adjustment: 'Adjustment',
+  transfer: 'Transfer'
+};
+
+// audit trail (mirrors AUDITED_ITEM_FIELDS in backend/utils/itemAudit.js)
+export const AUDIT_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  trash: 'Moved to trash',
+  restore: 'Restored',
+  delete: 'Deleted permanently'
+};
+
+export const AUDIT_FIELD_LABELS = {
+  inventoryId: 'Inventory ID',
+  productName: 'Product name',
+  barcode: 'Barcode',
+  category: 'Category',
+  supplier: 'Supplier',
+  costUnit: 'Cost per unit',
+  quantity: 'Quantity',
+  unitOfMeasure: 'Unit of measure',
+  trackingMode: 'Tracking',
+  lowStockThreshold: 'Low stock threshold',
+  reorderPoint: 'Reorder point',
+  reorderQuantity: 'Reorder quantity',
+  safetyStock: 'Safety stock',
+  warehouse: 'Warehouse',
+  stock: 'Stock status'
+};
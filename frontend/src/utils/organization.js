@@ -0,0 +1,60 @@
+// the organization the app is working in, kept next to the token in localStorage
+// (mirrors the roles in backend/models/Organization.js)
+
+const STORAGE_KEY = 'organization';
+
+// highest first: each role can do everything the roles after it can
+export const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  editor: 'Editor',
+  viewer: 'Viewer'
+};
+
+export const ROLE_DESCRIPTIONS = {
+  owner: 'Everything, including renaming the organization and managing owners',
+  admin: 'Edit inventory and manage members and invitations',
+  editor: 'Add, edit and delete inventory, suppliers, warehouses and categories',
+  viewer: 'Read-only access'
+};
+
+// how stock is costed, see backend/utils/valuation.js
+export const COSTING_METHOD_LABELS = {
+  fifo: 'FIFO (first in, first out)',
+  'weighted-average': 'Weighted average'
+};
+
+export const getCurrentOrganization = () => JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+
+export const setCurrentOrganization = (organization) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    _id: organization._id,
+    name: organization.name,
+    role: organization.role
+  }));
+};
+
+export const clearCurrentOrganization = () => localStorage.removeItem(STORAGE_KEY);
+
+// Keeps the stored organization in step with the user's memberships: the same
+// one if they still belong to it (with a fresh role), otherwise the first one
+export const syncCurrentOrganization = (organizations) => {
+  const current = getCurrentOrganization();
+  const match = current && organizations.find(org => org._id === current._id);
+  const next = match || organizations[0];
+
+  if (next) {
+    setCurrentOrganization(next);
+  } else {
+    clearCurrentOrganization();
+  }
+  return next || null;
+};
+
+// true when the current role is minimumRole or above it
+export const hasRole = (minimumRole) => {
+  const current = getCurrentOrganization();
+  return Boolean(current) && ROLES.includes(current.role) && ROLES.indexOf(current.role) <= ROLES.indexOf(minimumRole);
+};
@@ -0,0 +1,15 @@
+// purchase order helpers (mirrors the statuses in backend/models/PurchaseOrder.js)
+
+export const PO_STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent',
+  'partially-received': 'Partially received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+export const PO_STATUSES = Object.keys(PO_STATUS_LABELS);
+
+export const isReceivable = (order) => ['sent', 'partially-received'].includes(order?.status);
+
+export const outstandingQuantity = (line) => Math.max(0, line.quantityOrdered - line.quantityReceived);
@@ -0,0 +1,20 @@
+// sales order helpers (mirrors the statuses in backend/models/SalesOrder.js)
+
+export const SO_STATUS_LABELS = {
+  draft: 'Draft',
+  confirmed: 'Confirmed',
+  picking: 'Picking',
+  'partially-shipped': 'Partially shipped',
+  shipped: 'Shipped',
+  cancelled: 'Cancelled'
+};
+
+export const SO_STATUSES = Object.keys(SO_STATUS_LABELS);
+
+export const isOpen = (order) => ['confirmed', 'picking', 'partially-shipped'].includes(order?.status);
+
+export const canPick = (order) => ['confirmed', 'partially-shipped'].includes(order?.status)
+  && order.lines.some(line => line.quantityAllocated > 0);
+
+export const backorderedQuantity = (line) =>
+  Math.max(0, line.quantityOrdered - line.quantityAllocated - line.quantityShipped);